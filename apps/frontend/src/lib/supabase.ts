@@ -0,0 +1,15 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Browser Supabase client; it keeps the signed-in user's session
+export const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Access token of the current session, or null when signed out
+export async function getAccessToken(): Promise<string | null> {
+  const { data } = await supabase.auth.getSession();
+  return data.session?.access_token ?? null;
+}
+
+export default supabase;
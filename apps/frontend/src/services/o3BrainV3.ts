@@ -3,13 +3,14 @@
  * Advanced AI orchestration and reasoning system
  */
 
+import { getAccessToken } from '../lib/supabase';
+
 interface O3Message {
   message: string;
   conversationHistory?: Array<{
     role: 'user' | 'assistant' | 'system';
     content: string;
   }>;
-  userId?: string;
   onProgress?: (progress: number, stage: string, message?: string) => void;
   reasoningEffort?: 'low' | 'medium' | 'high';
   enableTools?: boolean;
@@ -36,42 +37,77 @@ interface O3Response {
   };
   metadata?: {
     reasoning_effort?: string;
+    // Input plus output tokens, when the director reports its usage
     tokens_used?: number;
+    // Milliseconds from sending the message to receiving the answer
     processing_time?: number;
     model_used?: string;
   };
   error?: string;
 }
 
+// Usage block of the functions' LLM calls
+interface LlmUsage {
+  inputTokens?: number;
+  outputTokens?: number;
+}
+
+// Total tokens of a usage block; undefined rather than 0 when none was reported
+function tokensUsed(usage?: LlmUsage): number | undefined {
+  if (!usage) return undefined;
+  return (usage.inputTokens || 0) + (usage.outputTokens || 0);
+}
+
 class O3BrainV3Service {
-  private baseUrl = 'https://hoea.netlify.app/.netlify/functions';
+  // Functions host and director endpoint are configurable so local and
+  // offline builds can point at `netlify dev` or another orchestrator
+  private baseUrl = import.meta.env.VITE_NETLIFY_FUNCTIONS_URL || 'https://hoea.netlify.app/.netlify/functions';
+  private directorEndpoint = import.meta.env.VITE_O3_DIRECTOR_ENDPOINT || 'api-o3-director';
   private defaultModel = 'o3-balanced';
+  // Supplies the signed-in user's Supabase access token; the functions
+  // identify the caller from it instead of trusting a user id in the body
+  private getAccessToken: () => Promise<string | null>;
+
+  constructor(accessTokenProvider: () => Promise<string | null>) {
+    this.getAccessToken = accessTokenProvider;
+  }
+
+  setAccessTokenProvider(provider: () => Promise<string | null>) {
+    this.getAccessToken = provider;
+  }
+
+  private async requestHeaders(): Promise<Record<string, string>> {
+    const token = await this.getAccessToken();
+    return {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    };
+  }
 
   async sendMessage(params: O3Message): Promise<O3Response> {
     const {
       message,
       conversationHistory = [],
-      userId = 'default_user',
       onProgress,
       reasoningEffort = 'medium',
       enableTools = true
     } = params;
 
+    const startedAt = Date.now();
+
     try {
       // Call O3 Director for orchestration
-      const response = await fetch(`${this.baseUrl}/api-o3-director`, {
+      const response = await fetch(`${this.baseUrl}/${this.directorEndpoint}`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: await this.requestHeaders(),
         body: JSON.stringify({
           message,
           conversationHistory,
           researchContext: {
-            entityId: userId,
             source: 'o3_brain_v3',
             reasoningEffort,
-            enableTools
+            enableTools,
+            model: this.defaultModel
           }
         }),
       });
@@ -108,9 +144,9 @@ class O3BrainV3Service {
         },
         metadata: {
           reasoning_effort: reasoningEffort,
-          tokens_used: 0, // O3 Director doesn't return token count
-          processing_time: 0, // Could be calculated
-          model_used: 'O3 Director'
+          tokens_used: tokensUsed(data.usage),
+          processing_time: Date.now() - startedAt,
+          model_used: data.model || 'O3 Director'
         }
       };
 
@@ -129,6 +165,7 @@ class O3BrainV3Service {
         error: error instanceof Error ? error.message : 'Unknown error in O3 Brain V3',
         metadata: {
           reasoning_effort: reasoningEffort,
+          processing_time: Date.now() - startedAt,
           model_used: 'error'
         }
       };
@@ -137,11 +174,9 @@ class O3BrainV3Service {
 
   async testConnection(): Promise<boolean> {
     try {
-      const response = await fetch(`${this.baseUrl}/api-o3-director`, {
+      const response = await fetch(`${this.baseUrl}/${this.directorEndpoint}`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: await this.requestHeaders(),
         body: JSON.stringify({
           message: 'test connection',
           conversationHistory: [],
@@ -177,6 +212,6 @@ class O3BrainV3Service {
   }
 }
 
-// Export singleton instance
-export const o3BrainV3 = new O3BrainV3Service();
+// Export singleton instance, authenticated with the Supabase session
+export const o3BrainV3 = new O3BrainV3Service(getAccessToken);
 export default o3BrainV3;
\ No newline at end of file
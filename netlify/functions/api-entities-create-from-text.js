@@ -1,296 +1,345 @@
-const { createClient } = require('@supabase/supabase-js');
-
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+const { HttpError, createHandler } = require('./utils/http');
+const { resolveWorkspace, requireEditor } = require('./utils/workspaces');
+const {
+  DUPLICATE_THRESHOLD,
+  MERGE_STRATEGIES,
+  findMatchCandidates
+} = require('./utils/entity-matching');
+const {
+  ENTITY_RULES,
+  AUTO_EXTRACTION_PROMPT,
+  requestExtraction,
+  buildEntityGraph,
+  mergeIntoExisting,
+  indexSavedEntity,
+  saveEntityGraph
+} = require('./utils/entity-extraction');
+const { normalizeEntity } = require('./utils/entity-normalization');
+const { buildSourceDocuments, traceEntityFields, pickProvenance } = require('./utils/provenance');
+const { recordUsage, llmTokens } = require('./utils/rate-limits');
+const { meterCall } = require('./utils/usage-metering');
 
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const CREATE_BODY = {
+  input: { type: 'string', required: true },
+  entityType: { type: 'string', required: true, enum: [...Object.keys(ENTITY_RULES), 'auto'] },
+  includeWebScraping: { type: 'boolean', default: false },
+  mergeStrategy: { type: 'string', enum: MERGE_STRATEGIES },
+  mergeTargetId: { type: 'any' }
+};
 
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+exports.handler = createHandler({
+  name: 'Entity creation',
+  failureMessage: 'Failed to create entity',
+  allowHeaders: ['X-Workspace-Id'],
+  methods: {
+    POST: {
+      body: CREATE_BODY,
+      usage: ['requests', 'llm_tokens'],
+      handle: createEntity
+    }
   }
+});
 
-  try {
-    // Initialize Supabase client
-    const supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+async function createEntity(request) {
+  const { event, body, user, supabase } = request;
+  const workspace = await resolveWorkspace(supabase, user, event);
+  requireEditor(workspace);
 
-    // Parse request body
-    const body = JSON.parse(event.body || '{}');
-    const { input, entityType, includeWebScraping = false } = body;
+  const { input, entityType, includeWebScraping, mergeStrategy, mergeTargetId } = body;
 
-    if (!input || !entityType) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Input text and entityType are required',
-          entity: null
-        })
-      };
-    }
+  console.log('🏗️ Creating entity from text:', { entityType, inputLength: input.length });
 
-    console.log('🏗️ Creating entity from text:', { entityType, inputLength: input.length });
-
-    // Extract URLs from input
-    const urlRegex = /(https?:\/\/[^\s]+)/gi;
-    const urls = input.match(urlRegex) || [];
-
-    // Prepare AI prompt based on entity type
-    let aiPrompt = '';
-    let extractionRules = {};
-
-    switch (entityType) {
-      case 'person':
-        aiPrompt = `Extract person information from the following text. Return a JSON object with these fields:
-        {
-          "name": "Full name",
-          "title": "Job title/position", 
-          "company": "Company name",
-          "email": "Email address",
-          "phone": "Phone number",
-          "linkedin": "LinkedIn URL",
-          "location": "City, State",
-          "bio": "Brief bio/description",
-          "expertise": ["area1", "area2"],
-          "confidence": 0.85
-        }`;
-        extractionRules = {
-          table: 'people',
-          requiredFields: ['name'],
-          optionalFields: ['title', 'company', 'email', 'phone', 'linkedin', 'location', 'bio', 'expertise']
-        };
-        break;
-
-      case 'company':
-        aiPrompt = `Extract company information from the following text. Return a JSON object with these fields:
-        {
-          "name": "Company name",
-          "description": "Company description",
-          "website": "Website URL",
-          "city": "City",
-          "state": "State",
-          "sectors": "Industry sectors",
-          "size": "Company size",
-          "founded": "Founded year",
-          "headquarters": "HQ address",
-          "confidence": 0.85
-        }`;
-        extractionRules = {
-          table: 'companies',
-          requiredFields: ['name'],
-          optionalFields: ['description', 'website', 'city', 'state', 'sectors', 'size', 'founded', 'headquarters']
-        };
-        break;
-
-      case 'project':
-        aiPrompt = `Extract project information from the following text. Return a JSON object with these fields:
-        {
-          "title": "Project name/title",
-          "description": "Project description",
-          "location": "Project location",
-          "type": "Project type (residential, commercial, etc.)",
-          "status": "Project status",
-          "developer": "Developer company",
-          "architect": "Architect firm",
-          "contractor": "General contractor",
-          "budget": "Project budget",
-          "timeline": "Project timeline",
-          "confidence": 0.85
-        }`;
-        extractionRules = {
-          table: 'projects',
-          requiredFields: ['title'],
-          optionalFields: ['description', 'location', 'type', 'status', 'developer', 'architect', 'contractor', 'budget', 'timeline']
-        };
-        break;
-
-      default:
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ 
-            error: 'Invalid entity type. Must be person, company, or project',
-            entity: null
-          })
-        };
-    }
+  // Extract URLs from input
+  const urlRegex = /(https?:\/\/[^\s]+)/gi;
+  const urls = input.match(urlRegex) || [];
 
-    // Enhanced input with web scraping if URLs found and requested
-    let enhancedInput = input;
-    let scrapedData = null;
-
-    if (includeWebScraping && urls.length > 0) {
-      try {
-        console.log('🌐 Web scraping enabled for URLs:', urls);
-        
-        // Use existing Firecrawl endpoint for scraping
-        const scrapeResponse = await fetch(`${process.env.NETLIFY_FUNCTIONS_URL || 'https://hoea.netlify.app/.netlify/functions'}/api-firecrawl-extract`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            urls: urls.slice(0, 3), // Limit to 3 URLs to avoid rate limits
-            includeMarkdown: true
-          })
-        });
-
-        if (scrapeResponse.ok) {
-          const scrapeData = await scrapeResponse.json();
-          scrapedData = scrapeData.data;
-          
-          // Append scraped content to input
-          if (scrapedData && scrapedData.length > 0) {
-            enhancedInput += '\n\nAdditional web content:\n' + 
-              scrapedData.map(page => page.markdown || page.content || '').join('\n\n');
+  // Enhanced input with web scraping if URLs found and requested
+  let enhancedInput = input;
+  let scrapedData = null;
+
+  if (includeWebScraping && urls.length > 0) {
+    try {
+      console.log('🌐 Web scraping enabled for URLs:', urls);
+      
+      // Use existing Firecrawl endpoint for scraping; each URL is a billed page
+      const scrapeUrls = urls.slice(0, 3); // Limit to 3 URLs to avoid rate limits
+      const scrapeData = await meterCall(
+        { operation: 'scrape', provider: 'firecrawl' },
+        async () => {
+          const scrapeResponse = await fetch(`${process.env.NETLIFY_FUNCTIONS_URL || 'https://hoea.netlify.app/.netlify/functions'}/api-firecrawl-extract`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              urls: scrapeUrls,
+              includeMarkdown: true
+            })
+          });
+          if (!scrapeResponse.ok) {
+            throw new Error(`Firecrawl extract error: ${scrapeResponse.status}`);
           }
-        }
-      } catch (scrapeError) {
-        console.warn('Web scraping failed:', scrapeError.message);
-        // Continue without scraped data
+          return scrapeResponse.json();
+        },
+        () => ({ requests: scrapeUrls.length })
+      );
+
+      scrapedData = scrapeData.data;
+
+      // Append scraped content to input
+      if (scrapedData && scrapedData.length > 0) {
+        enhancedInput += '\n\nAdditional web content:\n' + 
+          scrapedData.map(page => page.markdown || page.content || '').join('\n\n');
       }
+    } catch (scrapeError) {
+      console.warn('Web scraping failed:', scrapeError.message);
+      // Continue without scraped data
     }
+  }
 
-    // Use Anthropic Claude for AI extraction
-    const anthropicResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 1000,
-        temperature: 0.1,
-        messages: [
-          {
-            role: 'user',
-            content: `${aiPrompt}
-
-Text to extract from:
-${enhancedInput}
-
-Return only valid JSON, no other text.`
-          }
-        ]
-      })
+  if (entityType === 'auto') {
+    return await createEntityGraph({
+      request,
+      supabase,
+      user,
+      workspace,
+      input,
+      enhancedInput,
+      urls,
+      scrapedData,
+      includeWebScraping,
+      mergeStrategy
     });
+  }
 
-    if (!anthropicResponse.ok) {
-      throw new Error(`Anthropic API error: ${anthropicResponse.status}`);
-    }
+  // Pick extraction rules for the entity type
+  const extractionRules = ENTITY_RULES[entityType];
 
-    const anthropicData = await anthropicResponse.json();
-    const aiResponse = anthropicData.content[0].text;
+  // Use Anthropic Claude for AI extraction
+  const extraction = await requestExtraction(extractionRules.prompt, enhancedInput);
+  await recordUsage(request, 'llm_tokens', llmTokens(extraction.usage));
+  const rawExtraction = extraction.data;
 
-    // Parse AI response as JSON
-    let extractedData;
-    try {
-      extractedData = JSON.parse(aiResponse);
-    } catch (parseError) {
-      // Fallback: try to extract JSON from the response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        extractedData = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Failed to parse AI response as JSON');
-      }
-    }
+  // Normalize fields and drop values that fail validation before anything is saved
+  const { entity: extractedData, errors: fieldErrors, changes: normalizedFields } = normalizeEntity(entityType, rawExtraction);
 
-    // Validate required fields
-    const missingFields = extractionRules.requiredFields.filter(field => !extractedData[field]);
-    if (missingFields.length > 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: `Missing required fields: ${missingFields.join(', ')}`,
-          entity: extractedData
-        })
-      };
-    }
+  // Trace each value back to the input text or a scraped page; values found nowhere are unverified
+  const { provenance, unverified } = traceEntityFields(rawExtraction, buildSourceDocuments(input, scrapedData));
+  extractedData.field_provenance = pickProvenance(provenance, extractedData);
 
-    // Add metadata
-    extractedData.type = entityType;
-    extractedData.source = 'ai_extraction';
-    extractedData.created_at = new Date().toISOString();
-    extractedData.raw_input = input.substring(0, 1000); // Store first 1000 chars
-    
-    if (urls.length > 0) {
-      extractedData.source_urls = urls;
-    }
-    
-    if (scrapedData) {
-      extractedData.scraping_metadata = {
-        pages_scraped: scrapedData.length,
-        scraping_timestamp: new Date().toISOString()
-      };
-    }
+  const validation = {
+    errors: fieldErrors,
+    normalized: normalizedFields,
+    unverified: unverified.filter(field => field in extractedData)
+  };
 
-    // Save to database
-    const { data: savedEntity, error: saveError } = await supabase
-      .from(extractionRules.table)
-      .insert([extractedData])
-      .select()
-      .single();
+  // Validate required fields
+  const missingFields = extractionRules.requiredFields.filter(field => !extractedData[field]);
+  if (missingFields.length > 0) {
+    throw new HttpError(400, `Missing required fields: ${missingFields.join(', ')}`, {
+      code: 'MISSING_FIELDS',
+      details: { entity: extractedData, validation }
+    });
+  }
 
-    if (saveError) {
-      console.error('Database save error:', saveError);
-      // Return the extracted data even if save fails
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          success: true,
-          entity: extractedData,
-          warning: 'Entity extracted but not saved to database',
-          error: saveError.message
-        })
-      };
+  // Add metadata
+  extractedData.type = entityType;
+  extractedData.source = 'ai_extraction';
+  extractedData.created_at = new Date().toISOString();
+  extractedData.created_by = user.id;
+  extractedData.workspace_id = workspace.id;
+  extractedData.raw_input = input.substring(0, 1000); // Store first 1000 chars
+  
+  if (urls.length > 0) {
+    extractedData.source_urls = urls;
+  }
+  
+  if (scrapedData) {
+    extractedData.scraping_metadata = {
+      pages_scraped: scrapedData.length,
+      scraping_timestamp: new Date().toISOString()
+    };
+  }
+
+  // Look for existing records describing the same entity before inserting
+  const candidates = await findMatchCandidates(supabase, extractionRules.table, extractedData);
+  const duplicates = candidates.filter(candidate => candidate.score >= DUPLICATE_THRESHOLD);
+  const matchSummary = candidates.map(({ id, score, reasons }) => ({ id, score, reasons }));
+
+  // Without an explicit strategy, let the caller decide what to do with a likely duplicate
+  if (!mergeStrategy && duplicates.length > 0) {
+    console.log('🔁 Possible duplicate found:', duplicates[0].id, duplicates[0].score);
+    throw new HttpError(409, 'Possible duplicate found. Resubmit with a mergeStrategy of create, merge-into or skip.', {
+      code: 'POSSIBLE_DUPLICATE',
+      details: { entity: extractedData, candidates, validation }
+    });
+  }
+
+  if (mergeStrategy === 'skip' || mergeStrategy === 'merge-into') {
+    let target = mergeTargetId
+      ? candidates.find(candidate => String(candidate.id) === String(mergeTargetId))
+      : candidates[0];
+
+    // An explicit target that scored too low to be a candidate is still allowed
+    if (!target && mergeTargetId) {
+      const { data: targetRecord } = await supabase
+        .from(extractionRules.table)
+        .select('*')
+        .eq('id', mergeTargetId)
+        .eq('workspace_id', workspace.id)
+        .maybeSingle();
+      target = targetRecord ? { id: targetRecord.id, score: null, reasons: [], record: targetRecord } : null;
     }
 
-    console.log('✅ Entity created successfully:', savedEntity.id);
+    if (!target) {
+      throw new HttpError(
+        mergeTargetId ? 404 : 400,
+        mergeTargetId
+          ? `No ${entityType} found with id ${mergeTargetId}`
+          : `No existing ${entityType} matches this input`,
+        { details: { entity: extractedData, candidates: matchSummary } }
+      );
+    }
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
+    if (mergeStrategy === 'skip') {
+      console.log('⏭️ Skipped insert, existing entity kept:', target.id);
+      return {
         success: true,
-        entity: savedEntity,
+        entity: target.record,
+        skipped: true,
+        validation,
         metadata: {
           entityType,
-          confidence: extractedData.confidence || 0.8,
-          urlsProcessed: urls.length,
-          webScrapingUsed: includeWebScraping && urls.length > 0,
-          created_id: savedEntity.id
+          mergeStrategy,
+          existing_id: target.id,
+          candidates: matchSummary
         }
-      })
+      };
+    }
+
+    const { record: mergedEntity, changes } = await mergeIntoExisting(
+      supabase,
+      extractionRules.table,
+      target,
+      extractedData
+    );
+
+    console.log('🔀 Entity merged:', target.id, `${changes.length} field(s) changed`);
+
+    return {
+      success: true,
+      entity: mergedEntity,
+      merged: true,
+      changes,
+      validation,
+      metadata: {
+        entityType,
+        mergeStrategy,
+        confidence: extractedData.confidence || 0.8,
+        merged_id: target.id,
+        candidates: matchSummary
+      }
     };
+  }
+
+  // Save to database
+  const { data: insertedEntity, error: saveError } = await supabase
+    .from(extractionRules.table)
+    .insert([extractedData])
+    .select()
+    .single();
 
-  } catch (error) {
-    console.error('Entity creation error:', error);
+  if (saveError) {
+    console.error('Database save error:', saveError);
+    // Return the extracted data even if save fails
     return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        success: false,
-        error: 'Failed to create entity: ' + error.message,
-        entity: null
-      })
+      success: true,
+      entity: extractedData,
+      validation,
+      warning: 'Entity extracted but not saved to database',
+      error: saveError.message
     };
   }
-};
\ No newline at end of file
+
+  console.log('✅ Entity created successfully:', insertedEntity.id);
+
+  // Keep the semantic and map search indexes in step with the new row
+  const savedEntity = await indexSavedEntity(supabase, extractionRules.table, entityType, insertedEntity);
+
+  return {
+    success: true,
+    entity: savedEntity,
+    validation,
+    metadata: {
+      entityType,
+      confidence: extractedData.confidence || 0.8,
+      urlsProcessed: urls.length,
+      webScrapingUsed: includeWebScraping && urls.length > 0,
+      created_id: savedEntity.id,
+      candidates: matchSummary,
+      provider: extraction.provider,
+      model: extraction.model,
+      usage: extraction.usage
+    }
+  };
+}
+
+// Extract every person, company and project from the text, save them
+// (reusing likely duplicates) and link them through entity_relationships
+async function createEntityGraph({ request, supabase, user, workspace, input, enhancedInput, urls, scrapedData, includeWebScraping, mergeStrategy }) {
+  const extraction = await requestExtraction(AUTO_EXTRACTION_PROMPT, enhancedInput, { maxTokens: 4000 });
+  await recordUsage(request, 'llm_tokens', llmTokens(extraction.usage));
+  const graph = buildEntityGraph(extraction.data, { documents: buildSourceDocuments(input, scrapedData) });
+
+  const metadata = {
+    source: 'ai_extraction',
+    created_at: new Date().toISOString(),
+    created_by: user.id,
+    workspace_id: workspace.id,
+    raw_input: input.substring(0, 1000)
+  };
+  if (urls.length > 0) {
+    metadata.source_urls = urls;
+  }
+  if (scrapedData) {
+    metadata.scraping_metadata = {
+      pages_scraped: scrapedData.length,
+      scraping_timestamp: new Date().toISOString()
+    };
+  }
+
+  const { saved, relationships, relationshipError } = await saveEntityGraph(supabase, graph, { mergeStrategy, metadata });
+
+  const results = [...saved.people, ...saved.companies, ...saved.projects];
+  const countAction = action => results.filter(result => result.action === action).length;
+
+  console.log('✅ Entity graph saved:', {
+    entities: results.length,
+    relationships: relationships.length
+  });
+
+  return {
+    success: true,
+    entities: saved,
+    relationships,
+    rejected: graph.rejected,
+    validation: graph.validation,
+    warning: relationshipError ? 'Entities saved but relationships were not saved to database' : undefined,
+    metadata: {
+      entityType: 'auto',
+      counts: {
+        people: saved.people.length,
+        companies: saved.companies.length,
+        projects: saved.projects.length,
+        relationships: relationships.length
+      },
+      created: countAction('created'),
+      merged: countAction('merged'),
+      linked: countAction('linked'),
+      failed: countAction('failed'),
+      urlsProcessed: urls.length,
+      webScrapingUsed: includeWebScraping && urls.length > 0,
+      provider: extraction.provider,
+      model: extraction.model,
+      usage: extraction.usage
+    }
+  };
+}
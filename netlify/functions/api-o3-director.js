@@ -0,0 +1,118 @@
+const { createHandler } = require('./utils/http');
+const { complete } = require('./utils/llm-providers');
+const { parseJsonResponse } = require('./utils/entity-extraction');
+const { recordUsage, llmTokens } = require('./utils/rate-limits');
+
+// The research assistant behind the frontend's O3 Brain
+// (apps/frontend/src/services/o3BrainV3.ts):
+//   POST { message, conversationHistory?, researchContext? }
+// The answer comes from the "o3-director" provider chain
+// (LLM_PROVIDERS_O3_DIRECTOR, see utils/llm-providers.js), so it falls
+// back to the next provider on failure and runs offline on fixtures.
+const MAX_HISTORY_MESSAGES = 20;
+
+// Longest answer per reasoningEffort, in tokens
+const MAX_TOKENS = { low: 800, medium: 1500, high: 3000 };
+
+const DIRECTOR_SYSTEM = `You are O3 Director, a research assistant for business development in commercial construction. You help find and qualify people, companies and projects worth pursuing.
+Reply with JSON only:
+{
+  "response": "Your answer to the latest message",
+  "insights": ["Most important finding first"],
+  "nextSteps": ["Concrete action the user can take"],
+  "confidence": 0.8
+}`;
+
+const DIRECTOR_RESPONSE = {
+  success: { type: 'boolean', required: true },
+  response: { type: 'string', required: true },
+  insights: { type: 'array', required: true, items: { type: 'string' } },
+  nextSteps: { type: 'array', required: true, items: { type: 'string' } },
+  confidence: { type: 'number', nullable: true, min: 0, max: 1 },
+  provider: { type: 'string', required: true },
+  model: { type: 'string', required: true },
+  usage: { type: 'object', nullable: true }
+};
+
+exports.handler = createHandler({
+  name: 'O3 Director',
+  methods: {
+    POST: {
+      body: {
+        message: { type: 'string', required: true, maxLength: 8000 },
+        conversationHistory: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              role: { type: 'string', required: true, enum: ['user', 'assistant', 'system'] },
+              content: { type: 'string', required: true }
+            }
+          }
+        },
+        researchContext: {
+          type: 'object',
+          default: {},
+          properties: { reasoningEffort: { type: 'string', enum: Object.keys(MAX_TOKENS), default: 'medium' } }
+        }
+      },
+      response: DIRECTOR_RESPONSE,
+      usage: ['requests', 'llm_tokens'],
+      handle: direct
+    }
+  }
+});
+
+async function direct(request) {
+  const { message, conversationHistory, researchContext } = request.body;
+  console.log('🧭 O3 Director request:', { messageLength: message.length, history: conversationHistory.length });
+
+  const completion = await complete('o3-director', {
+    system: DIRECTOR_SYSTEM,
+    prompt: buildPrompt(message, conversationHistory),
+    maxTokens: MAX_TOKENS[researchContext.reasoningEffort],
+    temperature: 0.3
+  });
+  await recordUsage(request, 'llm_tokens', llmTokens(completion.usage));
+
+  return {
+    success: true,
+    ...readAnswer(completion.text),
+    provider: completion.provider,
+    model: completion.model,
+    usage: completion.usage || null
+  };
+}
+
+// The recent conversation followed by the new message
+function buildPrompt(message, conversationHistory) {
+  const history = conversationHistory
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(({ role, content }) => `${role}: ${content}`)
+    .join('\n\n');
+
+  return history
+    ? `Conversation so far:\n${history}\n\nLatest message:\n${message}`
+    : `Latest message:\n${message}`;
+}
+
+// The model's JSON answer, or its text as the response when it ignored
+// the format
+function readAnswer(text) {
+  let answer;
+  try {
+    answer = parseJsonResponse(text);
+  } catch (error) {
+    return { response: text.trim(), insights: [], nextSteps: [], confidence: null };
+  }
+
+  const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+  const confidence = Number(answer.confidence);
+  return {
+    response: typeof answer.response === 'string' ? answer.response : text.trim(),
+    insights: strings(answer.insights),
+    nextSteps: strings(answer.nextSteps),
+    confidence: Number.isFinite(confidence) && confidence >= 0 && confidence <= 1 ? confidence : null
+  };
+}
@@ -0,0 +1,90 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { getResearch } = require('./utils/research-store');
+const { checkCitations } = require('./utils/citations');
+
+// Citations of a saved research record:
+//   GET ?researchId=...                          list citations and the claims citing each
+//   GET ?researchId=...&check=true               also re-fetch each source and flag stale snapshots
+//                                                (at most 20 per request; the rest are "skipped")
+//   GET ?researchId=...&citationId=...           one citation with its stored snapshot text
+exports.handler = createHandler({
+  name: 'Research citation',
+  failureMessage: 'Citation request failed',
+  methods: {
+    GET: {
+      query: {
+        researchId: { type: 'string', required: true },
+        citationId: { type: 'string' },
+        check: { type: 'boolean', default: false }
+      },
+      async handle({ query, supabase }) {
+        const { researchId, citationId, check } = query;
+
+        const research = await getResearch(supabase, researchId);
+        if (!research) {
+          throw new HttpError(404, `Research ${researchId} not found`);
+        }
+
+        const claims = collectClaims(research.research_data);
+        const citations = (research.citations || []).map(citation => ({
+          ...citation,
+          citedBy: claims.filter(claim => claim.citationIds.includes(citation.id)).map(claim => claim.path)
+        }));
+
+        if (citationId) {
+          const citation = citations.find(item => item.id === citationId);
+          if (!citation) {
+            throw new HttpError(404, `Citation ${citationId} not found`);
+          }
+
+          let snapshot = null;
+          if (citation.has_snapshot) {
+            const { data, error } = await supabase
+              .from('citation_snapshots')
+              .select('content')
+              .eq('content_hash', citation.content_hash)
+              .maybeSingle();
+            if (error) {
+              throw new Error(`Snapshot lookup failed: ${error.message}`);
+            }
+            snapshot = data ? data.content : null;
+          }
+
+          return { success: true, citation: { ...citation, snapshot } };
+        }
+
+        let checks = null;
+        if (check) {
+          console.log('🔎 Checking citations for staleness:', researchId, citations.length);
+          checks = await checkCitations(citations);
+        }
+
+        const statusById = new Map((checks || []).map(result => [result.id, result]));
+        return {
+          success: true,
+          researchId,
+          citations: citations.map(citation => (statusById.has(citation.id)
+            ? { ...citation, check: statusById.get(citation.id) }
+            : citation)),
+          stale: checks ? checks.filter(result => result.status === 'stale').map(result => result.id) : undefined,
+          totalCitations: citations.length
+        };
+      }
+    }
+  }
+});
+
+// Every object in research_data that carries "citationIds", with its path
+function collectClaims(value, path = 'research_data', claims = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => collectClaims(item, `${path}[${i}]`, claims));
+  } else if (value && typeof value === 'object') {
+    if (Array.isArray(value.citationIds)) {
+      claims.push({ path, citationIds: value.citationIds });
+    }
+    Object.entries(value).forEach(([key, item]) => {
+      if (key !== 'citationIds') collectClaims(item, `${path}.${key}`, claims);
+    });
+  }
+  return claims;
+}
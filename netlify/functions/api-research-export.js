@@ -0,0 +1,106 @@
+const { HttpError, rawResponse, createHandler } = require('./utils/http');
+const { resolveWorkspace } = require('./utils/workspaces');
+const {
+  MAX_PAGE_SIZE,
+  LIST_QUERY,
+  parseListOptions,
+  getResearch,
+  listResearch
+} = require('./utils/research-store');
+const {
+  loadLinkedEntities,
+  renderMarkdown,
+  renderCsv,
+  buildBundle
+} = require('./utils/research-export');
+
+// Export one record (?id=) or every record matching the api-research list
+// filters as ?format=markdown | csv | json. The JSON bundle can be loaded
+// with api-research-import.
+const EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+// Largest number of records one export may contain
+const MAX_EXPORT_RECORDS = 500;
+
+exports.handler = createHandler({
+  name: 'Research export',
+  allowHeaders: ['X-Workspace-Id'],
+  exposeHeaders: ['Content-Disposition'],
+  methods: {
+    GET: {
+      // The api-research list filters; exports walk every page, so limit
+      // and offset are replaced
+      query: {
+        ...LIST_QUERY,
+        id: { type: 'string' },
+        format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'markdown' },
+        includeEntities: { type: 'boolean', default: true }
+      },
+      handle: exportResearch
+    }
+  }
+});
+
+async function exportResearch({ event, query, user, supabase }) {
+  const { id, format, includeEntities } = query;
+  const workspace = await resolveWorkspace(supabase, user, event);
+
+  let records;
+  if (id) {
+    const research = await getResearch(supabase, id);
+    if (!research) {
+      throw new HttpError(404, `Research ${id} not found`);
+    }
+    records = [research];
+  } else {
+    const { options, error } = parseListOptions({ ...query, limit: MAX_PAGE_SIZE, offset: 0 });
+    if (error) {
+      throw new HttpError(400, error);
+    }
+
+    options.workspaceId = workspace.id;
+
+    const firstPage = await listResearch(supabase, options);
+    if (firstPage.total > MAX_EXPORT_RECORDS) {
+      throw new HttpError(400, `${firstPage.total} records match. Narrow the filters to at most ${MAX_EXPORT_RECORDS} per export`);
+    }
+
+    records = firstPage.records;
+    while (records.length < firstPage.total) {
+      const page = await listResearch(supabase, { ...options, offset: records.length });
+      if (page.records.length === 0) break;
+      records.push(...page.records);
+    }
+  }
+
+  console.log('📦 Exporting research:', { format, records: records.length });
+
+  const linked = includeEntities
+    ? await loadLinkedEntities(supabase, records, workspace.id)
+    : { entities: { people: [], companies: [], projects: [] }, relationships: [], links: {} };
+
+  const exportedAt = new Date().toISOString();
+  let body;
+  if (format === 'markdown') {
+    body = renderMarkdown(records, linked, { exportedAt });
+  } else if (format === 'csv') {
+    body = renderCsv(records);
+  } else {
+    body = JSON.stringify(buildBundle(records, linked, { exportedAt }), null, 2);
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const fileName = `research-${id || exportedAt.substring(0, 10)}.${extension}`.replace(/[^\w.-]/g, '_');
+
+  return rawResponse({
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    },
+    body
+  });
+}
@@ -0,0 +1,43 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { resolveWorkspace, requireEditor } = require('./utils/workspaces');
+const { validateBundle, importBundle } = require('./utils/research-export');
+
+// Load a JSON bundle from api-research-export?format=json. The body is
+// either the bundle itself or { bundle }; imported research belongs to
+// the caller and, with the entities, to the active workspace. Importing
+// the same bundle twice leaves the database as the first import did.
+exports.handler = createHandler({
+  name: 'Research import',
+  allowHeaders: ['X-Workspace-Id'],
+  methods: {
+    POST: {
+      body: { bundle: { type: 'object' } },
+      async handle({ event, body, user, supabase }) {
+        const workspace = await resolveWorkspace(supabase, user, event);
+        requireEditor(workspace);
+
+        const bundle = body.bundle || body;
+        const problems = validateBundle(bundle);
+        if (problems.length > 0) {
+          throw new HttpError(400, 'Invalid research bundle', { details: { problems } });
+        }
+
+        console.log('📥 Importing research bundle:', {
+          exportedAt: bundle.exportedAt,
+          research: bundle.research.length
+        });
+
+        const { summary, errors } = await importBundle(supabase, bundle, { userId: user.id, workspaceId: workspace.id });
+
+        console.log('✅ Research bundle imported:', summary);
+
+        return {
+          success: true,
+          imported: true,
+          summary,
+          errors
+        };
+      }
+    }
+  }
+});
@@ -0,0 +1,156 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { diffJson } = require('./utils/json-diff');
+const { refreshEmbedding } = require('./utils/embeddings');
+
+// Version history of a saved research record:
+//   GET  ?researchId=...                   list versions, newest first
+//   GET  ?researchId=...&version=3         one version in full
+//   GET  ?researchId=...&from=1&to=3       diff two versions (to defaults to the latest)
+//   POST { researchId, version }           restore a version as the new latest
+const VERSION_SUMMARY_COLUMNS = 'version, user_id, entity_type, entity_name, confidence_score, sources, session_id, restored_from, created_at';
+
+// Fields of a version that are compared in a diff
+const DIFF_FIELDS = ['entity_type', 'entity_name', 'confidence_score', 'sources', 'citations', 'research_data'];
+
+exports.handler = createHandler({
+  name: 'Research version',
+  methods: {
+    GET: {
+      query: {
+        researchId: { type: 'string', required: true },
+        version: { type: 'integer', min: 1 },
+        from: { type: 'integer', min: 1 },
+        to: { type: 'integer', min: 1 }
+      },
+      async handle({ query, supabase }) {
+        const { researchId } = query;
+
+        if (query.from) {
+          const to = query.to || await latestVersion(supabase, researchId);
+          const [before, after] = await Promise.all([
+            fetchVersion(supabase, researchId, query.from),
+            to ? fetchVersion(supabase, researchId, to) : null
+          ]);
+
+          const missing = !before ? query.from : !after ? to : null;
+          if (missing) {
+            throw new HttpError(404, `Version ${missing} of research ${researchId} not found`);
+          }
+
+          const diff = diffJson(pickDiffFields(before), pickDiffFields(after));
+          return {
+            success: true,
+            researchId,
+            from: before.version,
+            to: after.version,
+            diff,
+            summary: {
+              added: diff.added.length,
+              removed: diff.removed.length,
+              changed: diff.changed.length
+            }
+          };
+        }
+
+        if (query.version) {
+          const version = await fetchVersion(supabase, researchId, query.version);
+          if (!version) {
+            throw new HttpError(404, `Version ${query.version} of research ${researchId} not found`);
+          }
+          return { success: true, researchId, version };
+        }
+
+        const { data: versions, error: listError } = await supabase
+          .from('saved_research_versions')
+          .select(VERSION_SUMMARY_COLUMNS)
+          .eq('research_id', researchId)
+          .order('version', { ascending: false });
+
+        if (listError) {
+          throw new Error(`Version list failed: ${listError.message}`);
+        }
+
+        return {
+          success: true,
+          researchId,
+          versions: (versions || []).map(({ sources, ...version }) => ({
+            ...version,
+            sourcesCount: (sources || []).length
+          })),
+          totalVersions: (versions || []).length
+        };
+      }
+    },
+
+    POST: {
+      body: {
+        researchId: { type: 'string', required: true },
+        version: { type: 'integer', required: true, min: 1, message: 'version must be a positive integer to restore' }
+      },
+      async handle({ body, supabase }) {
+        const { researchId, version } = body;
+
+        console.log('⏪ Restoring research version:', researchId, version);
+
+        const { data: rows, error: restoreError } = await supabase.rpc('restore_research_version', {
+          target_id: researchId,
+          target_version: version
+        });
+
+        if (restoreError) {
+          throw new Error(`Restore failed: ${restoreError.message}`);
+        }
+
+        const restored = (rows || [])[0];
+        if (!restored) {
+          throw new HttpError(404, `Version ${version} of research ${researchId} not found`);
+        }
+
+        await refreshEmbedding(supabase, 'saved_research', 'research', restored);
+
+        const { embedding, ...research } = restored;
+        return {
+          success: true,
+          restored: true,
+          research,
+          restoredFrom: version,
+          version: research.current_version
+        };
+      }
+    }
+  }
+});
+
+async function fetchVersion(supabase, researchId, version) {
+  const { data, error } = await supabase
+    .from('saved_research_versions')
+    .select(`${VERSION_SUMMARY_COLUMNS}, citations, research_data`)
+    .eq('research_id', researchId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Version lookup failed: ${error.message}`);
+  }
+  return data;
+}
+
+async function latestVersion(supabase, researchId) {
+  const { data, error } = await supabase
+    .from('saved_research_versions')
+    .select('version')
+    .eq('research_id', researchId)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Version lookup failed: ${error.message}`);
+  }
+  return data && data[0] ? data[0].version : null;
+}
+
+function pickDiffFields(version) {
+  const picked = {};
+  DIFF_FIELDS.forEach(field => { picked[field] = version[field]; });
+  return picked;
+}
@@ -0,0 +1,171 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { resolveWorkspace } = require('./utils/workspaces');
+const { handler: saveResearch } = require('./api-save-research');
+const {
+  VISIBILITY_LEVELS,
+  LIST_QUERY,
+  parseListOptions,
+  getResearch,
+  listResearch,
+  updateResearchMetadata,
+  listResearchShares,
+  updateResearchSharing,
+  deleteResearch
+} = require('./utils/research-store');
+
+// Saved research as a resource:
+//   GET    /api-research                list (filters, sort, limit/offset as query params)
+//   GET    /api-research/:id            one record
+//   POST   /api-research                save, same body as api-save-research
+//   PATCH  /api-research/:id            update tags, notes, visibility and sharedWith
+//   DELETE /api-research/:id            delete
+// The id may also be passed as ?id=. Lists cover the active workspace.
+const ID_QUERY = { id: { type: 'string' } };
+
+// Only descriptive metadata and sharing may change; research data is
+// replaced by saving again
+const METADATA_BODY = {
+  tags: { type: 'array', items: { type: 'string' }, unique: true },
+  notes: { type: 'string', nullable: true },
+  visibility: { type: 'string', enum: VISIBILITY_LEVELS },
+  sharedWith: { type: 'array', items: { type: 'string' }, unique: true }
+};
+
+const RECORD_RESPONSE = {
+  success: { type: 'boolean', required: true },
+  research: { type: 'object', required: true },
+  sharedWith: { type: 'array', items: { type: 'string' } }
+};
+
+exports.handler = createHandler({
+  name: 'Research',
+  allowHeaders: ['X-Workspace-Id'],
+  methods: {
+    GET: {
+      query: { ...LIST_QUERY, ...ID_QUERY },
+      async handle({ event, query, user, supabase }) {
+        const id = researchId(event, query);
+        if (id) {
+          const research = await loadResearch(supabase, id);
+          // Only the author sees who else the record is shared with
+          const sharedWith = research.user_id === user.id && research.storage === 'saved_research'
+            ? await listResearchShares(supabase, id)
+            : undefined;
+          return { success: true, research, sharedWith };
+        }
+
+        const { options, error } = parseListOptions(query);
+        if (error) {
+          throw new HttpError(400, error);
+        }
+
+        const workspace = await resolveWorkspace(supabase, user, event);
+        options.workspaceId = workspace.id;
+
+        console.log('📚 Listing saved research:', options);
+
+        const { records, total } = await listResearch(supabase, options);
+
+        return {
+          success: true,
+          research: records,
+          pagination: {
+            limit: options.limit,
+            offset: options.offset,
+            total,
+            hasMore: options.offset + records.length < total
+          }
+        };
+      }
+    },
+
+    POST: saveResearch,
+
+    PATCH: {
+      query: ID_QUERY,
+      body: METADATA_BODY,
+      response: RECORD_RESPONSE,
+      async handle({ event, query, body, user, supabase }) {
+        const id = requireResearchId(event, query);
+        const research = await loadOwnResearch(supabase, user, id);
+
+        const changes = {};
+        const sharing = {};
+        ['tags', 'notes'].filter(field => body[field] !== undefined).forEach(field => { changes[field] = body[field]; });
+        ['visibility', 'sharedWith'].filter(field => body[field] !== undefined).forEach(field => { sharing[field] = body[field]; });
+
+        if (Object.keys(changes).length === 0 && Object.keys(sharing).length === 0) {
+          throw new HttpError(400, 'Nothing to update. Send tags, notes, visibility and/or sharedWith');
+        }
+
+        console.log('✏️ Updating research metadata:', id, [...Object.keys(changes), ...Object.keys(sharing)]);
+
+        let updated = research;
+        if (Object.keys(changes).length > 0) {
+          updated = await updateResearchMetadata(supabase, research, changes);
+        }
+
+        let sharedWith;
+        if (Object.keys(sharing).length > 0) {
+          const result = await updateResearchSharing(supabase, updated, sharing, user.id);
+          if (result.error) {
+            throw new HttpError(400, result.error);
+          }
+          updated = result.research;
+          sharedWith = result.sharedWith;
+        }
+
+        return { success: true, research: updated, sharedWith };
+      }
+    },
+
+    DELETE: {
+      query: ID_QUERY,
+      async handle({ event, query, user, supabase }) {
+        const id = requireResearchId(event, query);
+        await loadOwnResearch(supabase, user, id);
+
+        console.log('🗑️ Deleting research:', id);
+
+        await deleteResearch(supabase, id);
+
+        return { success: true, deleted: true, id };
+      }
+    }
+  }
+});
+
+// "/.netlify/functions/api-research/abc" or "/api/research/abc" -> "abc"
+function researchIdFromPath(path) {
+  const match = (path || '').match(/\/(?:api-research|research)\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function researchId(event, query) {
+  return query.id || researchIdFromPath(event.path);
+}
+
+function requireResearchId(event, query) {
+  const id = researchId(event, query);
+  if (!id) {
+    throw new HttpError(400, 'Research id is required', { fields: [{ field: 'id', message: 'id is required' }] });
+  }
+  return id;
+}
+
+async function loadResearch(supabase, id) {
+  const research = await getResearch(supabase, id);
+  if (!research) {
+    throw new HttpError(404, `Research ${id} not found`);
+  }
+  return research;
+}
+
+// Research others can read stays theirs to change
+async function loadOwnResearch(supabase, user, id) {
+  const research = await loadResearch(supabase, id);
+  if (research.user_id !== user.id) {
+    throw new HttpError(403, `Research ${id} belongs to another user`);
+  }
+  return research;
+}
@@ -1,204 +1,337 @@
-const { createClient } = require('@supabase/supabase-js');
-
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+const crypto = require('crypto');
+const { HttpError, createHandler } = require('./utils/http');
+const { resolveWorkspace } = require('./utils/workspaces');
+const { SearchQueryError, parseSearchQuery, translateSearchQuery } = require('./utils/search-query-parser');
+const { embedText } = require('./utils/embeddings');
+const { METERS_PER_MILE, geocode, distanceMeters } = require('./utils/geocoding');
+
+const SORT_MODES = ['relevance', 'newest', 'name'];
+
+const SEARCH_MODES = ['keyword', 'hybrid'];
+
+// Only these entity types carry coordinates
+const GEO_ENTITY_TYPES = ['company', 'project'];
+
+const MAX_RADIUS_MILES = 500;
 
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
+const SEARCH_BODY = {
+  query: { type: 'string' },
+  includeResults: { type: 'boolean', default: true },
+  maxResults: { type: 'integer', min: 1, max: 100, default: 10 },
+  sort: { type: 'string', enum: SORT_MODES, default: 'relevance' },
+  cursor: { type: 'string' },
+  includeFacets: { type: 'boolean', default: true },
+  mode: { type: 'string', enum: SEARCH_MODES, default: 'keyword' },
+  semanticWeight: { type: 'number', min: 0, max: 1, default: 0.5 },
+  near: { type: 'object' },
+  bbox: { type: 'array', items: { type: 'number' }, minLength: 4, maxLength: 4, message: 'bbox must be [west, south, east, north]' }
+};
+
+const SEARCH_RESPONSE = {
+  success: { type: 'boolean', required: true },
+  // Empty for a search by area alone
+  query: { type: 'string' },
+  results: { type: 'array', required: true, items: { type: 'object' } },
+  analytics: { type: 'object', required: true },
+  pagination: { type: 'object', required: true },
+  totalResults: { type: 'integer', required: true }
+};
+
+exports.handler = createHandler({
+  name: 'Intelligent search',
+  failureMessage: 'Internal server error during search',
+  allowHeaders: ['X-Workspace-Id'],
+  methods: {
+    POST: {
+      body: SEARCH_BODY,
+      response: SEARCH_RESPONSE,
+      handle: search
+    }
   }
+});
 
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+async function search({ event, body, user, supabase }) {
+  const workspace = await resolveWorkspace(supabase, user, event);
+
+  const {
+    query,
+    includeResults,
+    maxResults: pageSize,
+    sort,
+    cursor,
+    includeFacets,
+    mode,
+    semanticWeight,
+    near,
+    bbox
+  } = body;
+
+  // A map view may search by area alone
+  const hasGeoFilter = Boolean(near || bbox);
+  if (!query && !hasGeoFilter) {
+    throw new HttpError(400, 'Query parameter is required', {
+      fields: [{ field: 'query', message: 'query is required unless near or bbox is given' }]
+    });
   }
 
-  try {
-    // Initialize Supabase client
-    const supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-
-    // Parse request body
-    const body = JSON.parse(event.body || '{}');
-    const { query, includeResults = true, maxResults = 10 } = body;
-
-    if (!query || query.trim().length === 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Query parameter is required',
-          results: []
-        })
-      };
+  let geo = null;
+  if (hasGeoFilter) {
+    geo = await parseGeoFilter(near, bbox);
+    if (geo.error) {
+      throw new HttpError(400, geo.error);
     }
+  }
 
-    console.log('🔍 Intelligent search for:', query);
-
-    const searchTerm = query.trim();
-    const results = [];
-
-    // Search across multiple entity types in parallel
-    const searchPromises = [];
-
-    // 1. Search People
-    searchPromises.push(
-      supabase
-        .from('people')
-        .select('id, name, title, company, email, phone, linkedin, type')
-        .or(`name.ilike.%${searchTerm}%,title.ilike.%${searchTerm}%,company.ilike.%${searchTerm}%,email.ilike.%${searchTerm}%`)
-        .limit(Math.ceil(maxResults / 3))
-        .then(({ data, error }) => {
-          if (error) {
-            console.error('People search error:', error);
-            return [];
-          }
-          return (data || []).map(item => ({
-            ...item,
-            type: 'person',
-            description: `${item.title || 'Professional'} at ${item.company || 'Unknown Company'}`,
-            relevanceScore: calculateRelevance(searchTerm, item.name, item.title, item.company)
-          }));
-        })
-    );
-
-    // 2. Search Companies
-    searchPromises.push(
-      supabase
-        .from('companies')
-        .select('id, name, description, city, state, sectors, website, type')
-        .or(`name.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%,sectors.ilike.%${searchTerm}%,city.ilike.%${searchTerm}%`)
-        .limit(Math.ceil(maxResults / 3))
-        .then(({ data, error }) => {
-          if (error) {
-            console.error('Companies search error:', error);
-            return [];
-          }
-          return (data || []).map(item => ({
-            ...item,
-            type: 'company',
-            description: item.description || `${item.sectors || 'Company'} based in ${item.city || 'Unknown'}, ${item.state || ''}`,
-            relevanceScore: calculateRelevance(searchTerm, item.name, item.description, item.sectors)
-          }));
-        })
-    );
-
-    // 3. Search Projects
-    searchPromises.push(
-      supabase
-        .from('projects')
-        .select('id, title, description, location, type, status, developer, architect')
-        .or(`title.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%,location.ilike.%${searchTerm}%,developer.ilike.%${searchTerm}%,architect.ilike.%${searchTerm}%`)
-        .limit(Math.ceil(maxResults / 3))
-        .then(({ data, error }) => {
-          if (error) {
-            console.error('Projects search error:', error);
-            return [];
-          }
-          return (data || []).map(item => ({
-            ...item,
-            type: 'project',
-            name: item.title,
-            description: item.description || `${item.type || 'Project'} in ${item.location || 'Unknown location'}`,
-            relevanceScore: calculateRelevance(searchTerm, item.title, item.description, item.location)
-          }));
-        })
-    );
-
-    // Execute all searches in parallel
-    const searchResults = await Promise.all(searchPromises);
-    
-    // Combine and flatten results
-    const allResults = searchResults.flat();
-
-    // Sort by relevance score and limit
-    const sortedResults = allResults
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, maxResults);
-
-    // Add search analytics
-    const analytics = {
-      totalResults: allResults.length,
-      resultsByType: {
-        people: searchResults[0].length,
-        companies: searchResults[1].length,
-        projects: searchResults[2].length
-      },
-      searchTerm: searchTerm,
-      timestamp: new Date().toISOString()
-    };
+  const searchTerm = query || '';
+  console.log('🔍 Intelligent search for:', searchTerm, geo ? geo.condition : '');
 
-    console.log('🎯 Search completed:', analytics);
+  // Cursors are tied to the mode, blend, query text and area they came
+  // from; a different semanticWeight reorders hybrid results
+  const cursorScope = `${workspace.id}:${mode}:${semanticWeight}:${searchTerm}:${geo ? JSON.stringify(geo.condition) : ''}`;
 
+  // A cursor only makes sense for the search and sort it came from
+  let afterCursor = null;
+  if (cursor) {
+    afterCursor = decodeCursor(cursor);
+    if (!afterCursor || afterCursor.q !== queryFingerprint(cursorScope) || afterCursor.s !== sort) {
+      throw new HttpError(400, 'Invalid cursor for this query and sort', {
+        fields: [{ field: 'cursor', message: 'cursor does not belong to this query and sort' }]
+      });
+    }
+  }
+
+  // Split field filters, phrases, negations and OR out of the query
+  let parsedQuery;
+  try {
+    const groups = searchTerm ? parseSearchQuery(searchTerm) : [];
+    parsedQuery = translateSearchQuery(groups, { includeResearch: mode === 'hybrid' });
+  } catch (parseError) {
+    if (!(parseError instanceof SearchQueryError)) throw parseError;
+    throw new HttpError(400, `Invalid search query: ${parseError.message}`, {
+      code: 'INVALID_QUERY',
+      details: { position: parseError.position }
+    });
+  }
+
+  // An area restricts the search to rows with coordinates inside it
+  if (geo) {
+    parsedQuery.entityTypes = parsedQuery.entityTypes.filter(type => GEO_ENTITY_TYPES.includes(type));
+    parsedQuery.entityTypes.forEach(type => {
+      parsedQuery.filters[type] = [...parsedQuery.filters[type], [geo.condition]];
+    });
+  }
+
+  // Only the active workspace and the shared pre-workspace library
+  parsedQuery.entityTypes.forEach(type => {
+    parsedQuery.filters[type] = [...parsedQuery.filters[type], [{ workspace: workspace.id }]];
+  });
+
+  // Filters that rule out every entity type cannot match anything
+  if (parsedQuery.entityTypes.length === 0) {
     return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        success: true,
-        query: searchTerm,
-        results: includeResults ? sortedResults : [],
-        analytics,
-        totalResults: allResults.length
-      })
+      success: true,
+      query: searchTerm,
+      results: [],
+      analytics: {
+        totalResults: 0,
+        resultsByType: { people: 0, companies: 0, projects: 0, research: 0 },
+        searchTerm: searchTerm,
+        timestamp: new Date().toISOString()
+      },
+      facets: {},
+      pagination: { sort, pageSize, hasMore: false, nextCursor: null },
+      totalResults: 0
     };
+  }
+
+  const searchArgs = {
+    search_query: parsedQuery.textQuery,
+    entity_types: parsedQuery.entityTypes,
+    filters: parsedQuery.filters
+  };
+
+  // Hybrid mode blends vector similarity of the free text with keyword relevance
+  if (mode === 'hybrid' && parsedQuery.textQuery) {
+    const { model, vector } = await embedText(parsedQuery.textQuery);
+    searchArgs.query_embedding = vector;
+    searchArgs.query_model = model;
+    searchArgs.semantic_weight = semanticWeight;
+  }
+
+  // Full-text and trigram search run in the database so typos and
+  // stemmed words match and all entity types share one ranking;
+  // filter values are passed as data, never spliced into filter strings.
+  // Totals and facets are counted over the whole match set, not the page.
+  const [pageResponse, facetResponse] = await Promise.all([
+    supabase.rpc('search_entities', {
+      ...searchArgs,
+      max_results: pageSize + 1,
+      sort_mode: sort,
+      after_cursor: afterCursor ? { key: afterCursor.k, type: afterCursor.t, id: afterCursor.i } : null
+    }),
+    supabase.rpc('search_entity_facets', searchArgs)
+  ]);
+
+  if (pageResponse.error) {
+    throw new Error(`Entity search failed: ${pageResponse.error.message}`);
+  }
+  if (facetResponse.error) {
+    throw new Error(`Facet count failed: ${facetResponse.error.message}`);
+  }
+
+  // One extra row was fetched to learn whether another page exists
+  const pageRows = pageResponse.data || [];
+  const hasMore = pageRows.length > pageSize;
+  const visibleRows = pageRows.slice(0, pageSize);
+  const sortedResults = visibleRows.map(row => formatSearchResult(row, geo && geo.center));
+  const lastRow = visibleRows[visibleRows.length - 1];
+
+  const { totals = {}, facets = {} } = facetResponse.data || {};
+  const resultsByType = {
+    people: totals.person || 0,
+    companies: totals.company || 0,
+    projects: totals.project || 0,
+    research: totals.research || 0
+  };
+  const totalResults = Object.values(resultsByType).reduce((sum, count) => sum + count, 0);
+
+  // Add search analytics
+  const analytics = {
+    totalResults,
+    resultsByType,
+    searchTerm: searchTerm,
+    mode,
+    textQuery: parsedQuery.textQuery,
+    entityTypes: parsedQuery.entityTypes,
+    geo: geo ? geo.condition : null,
+    workspaceId: workspace.id,
+    timestamp: new Date().toISOString()
+  };
+
+  console.log('🎯 Search completed:', analytics);
+
+  return {
+    success: true,
+    query: searchTerm,
+    results: includeResults ? sortedResults : [],
+    analytics,
+    facets: includeFacets ? facets : undefined,
+    pagination: {
+      sort,
+      pageSize,
+      hasMore,
+      nextCursor: hasMore && lastRow ? encodeCursor(cursorScope, sort, lastRow) : null
+    },
+    totalResults
+  };
+}
+
+// Short hash tying a cursor to the query it was issued for
+function queryFingerprint(searchTerm) {
+  return crypto.createHash('sha256').update(searchTerm).digest('hex').substring(0, 16);
+}
 
+// Opaque cursor pointing just past `row` in the given sort order
+function encodeCursor(searchTerm, sort, row) {
+  const payload = { q: queryFingerprint(searchTerm), s: sort, k: row.sort_key, t: row.entity_type, i: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && payload.t && payload.i && payload.k !== undefined ? payload : null;
   } catch (error) {
-    console.error('Intelligent search error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        success: false,
-        error: 'Internal server error during search',
-        results: []
-      })
-    };
+    return null;
   }
-};
+}
 
-// Calculate relevance score based on search term matching
-function calculateRelevance(searchTerm, ...fields) {
-  const term = searchTerm.toLowerCase();
-  let score = 0;
-  
-  fields.forEach((field, index) => {
-    if (!field) return;
-    
-    const fieldValue = field.toString().toLowerCase();
-    const weight = 1 / (index + 1); // First field gets highest weight
-    
-    // Exact match gets highest score
-    if (fieldValue === term) {
-      score += 100 * weight;
+// Validate `near` ({ lat, lng, radiusMiles } or { address, radiusMiles })
+// and `bbox` ([west, south, east, north]) into a search_entities filter
+// condition. Resolves to { condition, center } or { error }.
+async function parseGeoFilter(near, bbox) {
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const validLat = value => isNumber(value) && value >= -90 && value <= 90;
+  const validLng = value => isNumber(value) && value >= -180 && value <= 180;
+
+  if (near && bbox) {
+    return { error: 'Use either near or bbox, not both' };
+  }
+
+  if (bbox) {
+    if (!Array.isArray(bbox) || bbox.length !== 4) {
+      return { error: 'bbox must be [west, south, east, north]' };
     }
-    // Starts with search term
-    else if (fieldValue.startsWith(term)) {
-      score += 80 * weight;
+    const [west, south, east, north] = bbox;
+    if (!validLng(west) || !validLng(east) || !validLat(south) || !validLat(north)) {
+      return { error: 'bbox longitudes must be within -180..180 and latitudes within -90..90' };
     }
-    // Contains search term
-    else if (fieldValue.includes(term)) {
-      score += 60 * weight;
+    if (south > north) {
+      return { error: 'bbox south edge must not be north of its north edge' };
     }
-    // Fuzzy match (words within field contain search term)
-    else {
-      const words = fieldValue.split(' ');
-      const matchingWords = words.filter(word => word.includes(term)).length;
-      if (matchingWords > 0) {
-        score += (30 * matchingWords / words.length) * weight;
-      }
+    return { condition: { bbox: { west, south, east, north } }, center: null };
+  }
+
+  if (typeof near !== 'object' || Array.isArray(near)) {
+    return { error: 'near must be an object with lat and lng or address, and radiusMiles' };
+  }
+
+  const { radiusMiles } = near;
+  if (!isNumber(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_RADIUS_MILES) {
+    return { error: `near.radiusMiles must be a number between 0 and ${MAX_RADIUS_MILES}` };
+  }
+
+  let { lat, lng } = near;
+  if (near.address !== undefined && lat === undefined && lng === undefined) {
+    const location = typeof near.address === 'string' ? await geocode(near.address) : null;
+    if (!location) {
+      return { error: `Could not locate near.address "${near.address}"` };
     }
-  });
-  
-  return score;
-}
\ No newline at end of file
+    ({ lat, lng } = location);
+  }
+
+  if (!validLat(lat) || !validLng(lng)) {
+    return { error: 'near.lat must be within -90..90 and near.lng within -180..180' };
+  }
+
+  return {
+    condition: { near: { lat, lng, radius_m: radiusMiles * METERS_PER_MILE } },
+    center: { lat, lng }
+  };
+}
+
+// Shape a search_entities row like the rest of the API: the entity's own
+// columns plus type, display name, description and match details, and
+// the distance from `center` when searching around a point
+function formatSearchResult(row, center) {
+  const item = row.record || {};
+  const result = {
+    ...item,
+    id: row.id,
+    type: row.entity_type,
+    name: row.name,
+    relevanceScore: Number(row.rank.toFixed(4)),
+    keywordScore: row.keyword_rank === null ? null : Number(row.keyword_rank.toFixed(4)),
+    semanticSimilarity: row.similarity === null ? null : Number(row.similarity.toFixed(4)),
+    matchedFields: row.matched_fields || [],
+    highlights: row.highlights || {}
+  };
+
+  if (center && item.latitude !== null && item.latitude !== undefined) {
+    const meters = distanceMeters(center.lat, center.lng, item.latitude, item.longitude);
+    result.distanceMiles = Number((meters / METERS_PER_MILE).toFixed(2));
+  }
+
+  if (row.entity_type === 'person') {
+    result.description = `${item.title || 'Professional'} at ${item.company || 'Unknown Company'}`;
+  } else if (row.entity_type === 'research') {
+    result.description = `Saved research on ${item.entity_type || 'entity'} ${item.entity_name || ''}`.trim();
+  } else if (row.entity_type === 'company') {
+    result.description = item.description || `${item.sectors || 'Company'} based in ${item.city || 'Unknown'}, ${item.state || ''}`;
+  } else {
+    result.projectType = item.type;
+    result.description = item.description || `${item.type || 'Project'} in ${item.location || 'Unknown location'}`;
+  }
+
+  return result;
+}
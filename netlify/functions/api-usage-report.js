@@ -0,0 +1,151 @@
+const { HttpError, createHandler } = require('./utils/http');
+
+// Usage and cost of the paid AI and scraping calls the functions made
+// (see utils/usage-metering.js):
+//   GET ?from=2026-10-01&to=2026-10-31&groupBy=user,endpoint,provider,day
+// from and to are UTC days, both included (default: the last 30 days).
+// groupBy picks the dimensions totals are summed by, all four by
+// default; userId, endpoint and provider narrow the report. Callers see
+// their own usage, and workspace owners also their members'.
+const GROUP_DIMENSIONS = ['user', 'endpoint', 'provider', 'day'];
+
+// Longest range one report may cover
+const MAX_REPORT_DAYS = 366;
+
+const DAY_MS = 86400000;
+
+const REPORT_QUERY = {
+  from: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'from must be a date (YYYY-MM-DD)' },
+  to: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'to must be a date (YYYY-MM-DD)' },
+  groupBy: { type: 'array', items: { type: 'string', enum: GROUP_DIMENSIONS }, unique: true, default: GROUP_DIMENSIONS },
+  userId: { type: 'string' },
+  endpoint: { type: 'string' },
+  provider: { type: 'string' }
+};
+
+// Dimension -> usage_report column
+const DIMENSION_COLUMNS = {
+  user: 'user_id',
+  endpoint: 'endpoint',
+  provider: 'provider',
+  day: 'day'
+};
+
+const REPORT_RESPONSE = {
+  success: { type: 'boolean', required: true },
+  from: { type: 'string', required: true },
+  to: { type: 'string', required: true },
+  groupBy: { type: 'array', required: true, items: { type: 'string' } },
+  rows: { type: 'array', required: true, items: { type: 'object' } },
+  totals: { type: 'object', required: true }
+};
+
+exports.handler = createHandler({
+  name: 'Usage report',
+  methods: {
+    GET: {
+      query: REPORT_QUERY,
+      response: REPORT_RESPONSE,
+      async handle({ query, supabase }) {
+        const { from, to } = reportRange(query);
+
+        console.log('📊 Usage report:', { from, to, groupBy: query.groupBy });
+
+        let report = supabase.rpc('usage_report', {
+          from_time: `${from}T00:00:00Z`,
+          to_time: new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS).toISOString()
+        });
+        if (query.userId) report = report.eq('user_id', query.userId);
+        if (query.endpoint) report = report.eq('endpoint', query.endpoint);
+        if (query.provider) report = report.eq('provider', query.provider);
+
+        const { data, error } = await report;
+        if (error) {
+          throw new Error(`Usage report failed: ${error.message}`);
+        }
+
+        const totals = emptyTotals();
+        (data || []).forEach(row => addRow(totals, row));
+
+        return {
+          success: true,
+          from,
+          to,
+          groupBy: query.groupBy,
+          rows: summarize(data || [], query.groupBy),
+          totals: finishTotals(totals)
+        };
+      }
+    }
+  }
+});
+
+// The requested days, defaulting to the 30 days up to today
+function reportRange(query) {
+  const today = new Date().toISOString().substring(0, 10);
+  const to = query.to || today;
+  const from = query.from || new Date(Date.parse(`${to}T00:00:00Z`) - 29 * DAY_MS).toISOString().substring(0, 10);
+
+  const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS + 1;
+  if (Number.isNaN(days)) {
+    throw new HttpError(400, 'from and to must be valid dates', { code: 'VALIDATION_FAILED' });
+  }
+  if (days < 1) {
+    throw new HttpError(400, 'from must not be after to', {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'from', message: 'from must not be after to' }]
+    });
+  }
+  if (days > MAX_REPORT_DAYS) {
+    throw new HttpError(400, `A report covers at most ${MAX_REPORT_DAYS} days`, {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'from', message: `from must be within ${MAX_REPORT_DAYS} days of to` }]
+    });
+  }
+  return { from, to };
+}
+
+function emptyTotals() {
+  return { calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, audioSeconds: 0, requests: 0, latencyMs: 0, costUsd: 0 };
+}
+
+function addRow(totals, row) {
+  totals.calls += Number(row.calls) || 0;
+  totals.failedCalls += Number(row.failed_calls) || 0;
+  totals.inputTokens += Number(row.input_tokens) || 0;
+  totals.outputTokens += Number(row.output_tokens) || 0;
+  totals.audioSeconds += Number(row.audio_seconds) || 0;
+  totals.requests += Number(row.requests) || 0;
+  totals.latencyMs += Number(row.total_latency_ms) || 0;
+  totals.costUsd += Number(row.cost_usd) || 0;
+}
+
+// Round the sums and turn total latency into an average per call
+function finishTotals({ latencyMs, ...totals }) {
+  return {
+    ...totals,
+    audioSeconds: Math.round(totals.audioSeconds * 1000) / 1000,
+    averageLatencyMs: totals.calls > 0 ? Math.round(latencyMs / totals.calls) : null,
+    costUsd: Math.round(totals.costUsd * 1000000) / 1000000
+  };
+}
+
+// Sum the per-day, user, endpoint and provider rows by the requested
+// dimensions, keeping the report's day order
+function summarize(rows, groupBy) {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = JSON.stringify(groupBy.map(dimension => row[DIMENSION_COLUMNS[dimension]]));
+    if (!groups.has(key)) {
+      const group = {};
+      groupBy.forEach(dimension => {
+        group[dimension === 'user' ? 'userId' : dimension] = row[DIMENSION_COLUMNS[dimension]];
+      });
+      groups.set(key, { group, totals: emptyTotals() });
+    }
+    addRow(groups.get(key).totals, row);
+  });
+
+  return [...groups.values()].map(({ group, totals }) => ({ ...group, ...finishTotals(totals) }));
+}
@@ -0,0 +1,375 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { readTranscriptionOptions } = require('./utils/transcription');
+const {
+  getStreamProviderName,
+  transcribeStreamChunk,
+  applyChunk,
+  flushPending
+} = require('./utils/voice-stream');
+const { enforceUsage, recordUsage } = require('./utils/rate-limits');
+
+// Live transcription as a chunked HTTP session (functions cannot hold a
+// WebSocket open):
+//   POST { action: 'start', language? }          open a session
+//   POST ?sessionId=...&seq=N <audio chunk>      transcribe the next chunk; seq counts
+//        from 0 and chunks must arrive in order. Each chunk must be a complete
+//        audio file (e.g. one short WAV per chunk), not a slice of one recording.
+//        Answers with the events it produced
+//   GET  ?sessionId=...&after=<event id>         events after a cursor, to catch up after
+//        a dropped response; only the session's owner can read them
+//   POST { action: 'finish', sessionId }         close the session and return the transcript
+// Events are { id, seq, type: 'partial' | 'final', text, start, end, speaker,
+// confidence }; each partial replaces the previous one until a final
+// arrives. An empty chunk marks a pause. The session id is the session_id
+// of the session's voice_analytics rows. Starting a session counts as a
+// request against the rate limits and every chunk's audio against the
+// daily audio quota.
+
+// Largest chunk accepted; chunks are meant to be a few seconds of audio
+const MAX_STREAM_CHUNK_BYTES = 5 * 1024 * 1024;
+
+// Most events returned by one poll
+const MAX_EVENTS_PER_POLL = 500;
+
+const SESSION_ID = { type: 'uuid', required: true, message: 'sessionId (UUID) is required' };
+
+exports.handler = createHandler({
+  name: 'Voice stream',
+  failureMessage: 'Voice stream failed',
+  methods: {
+    GET: {
+      query: {
+        sessionId: SESSION_ID,
+        after: { type: 'integer', min: 0, default: 0, message: 'after must be an event id (0 for the start)' }
+      },
+      async handle(request) {
+        const { query, supabase } = request;
+        const session = await requireSession(request, query.sessionId);
+
+        const events = await listEvents(supabase, session.id, query.after);
+        return {
+          success: true,
+          sessionId: session.id,
+          status: session.status,
+          nextSeq: session.next_seq,
+          events,
+          cursor: events.length > 0 ? events[events.length - 1].id : query.after
+        };
+      }
+    },
+
+    POST: {
+      query: {
+        sessionId: { type: 'uuid', message: 'sessionId (UUID) is required' },
+        seq: { type: 'integer', min: 0, message: 'seq (the chunk number, from 0) is required' }
+      },
+      // Chunks are raw audio; start and finish are JSON actions
+      rawBody: true,
+      body: {
+        action: { type: 'string', required: true, enum: ['start', 'finish'] },
+        sessionId: { type: 'uuid' },
+        language: { type: 'string' }
+      },
+      async handle(request) {
+        const { body } = request;
+        if (body && body.action === 'start') {
+          return startSession(request);
+        }
+
+        const sessionId = body ? body.sessionId : request.query.sessionId;
+        const session = await requireSession(request, sessionId);
+        if (session.status !== 'active') {
+          throw new HttpError(409, `Voice stream ${session.id} is already ${session.status}`);
+        }
+
+        return body ? finishSession(request, session) : receiveChunk(request, session);
+      }
+    }
+  },
+  onError: logFailure
+});
+
+async function startSession(request) {
+  const { body, user, supabase } = request;
+  const { language, error: optionsError } = readTranscriptionOptions({ language: body.language }, {});
+  if (optionsError) {
+    throw new HttpError(400, optionsError, { fields: [{ field: 'language', message: optionsError }] });
+  }
+
+  await enforceUsage(request, ['requests', 'audio_seconds']);
+
+  const provider = getStreamProviderName();
+  const { data: session, error } = await supabase
+    .from('voice_stream_sessions')
+    .insert([{
+      user_id: user.id,
+      provider,
+      language: language || null,
+      language_detected: language ? false : null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Voice stream start failed: ${error.message}`);
+  }
+
+  console.log('🔴 Voice stream started:', session.id, provider);
+
+  return {
+    success: true,
+    sessionId: session.id,
+    status: session.status,
+    provider,
+    language: session.language,
+    nextSeq: session.next_seq,
+    cursor: 0
+  };
+}
+
+// The caller's session, remembered on the request so failures are
+// counted against it
+async function requireSession(request, sessionId) {
+  if (!sessionId) {
+    throw new HttpError(400, 'sessionId (UUID) is required', {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'sessionId', message: 'sessionId (UUID) is required' }]
+    });
+  }
+
+  const session = await loadSession(request.supabase, sessionId);
+  if (!session) {
+    throw new HttpError(404, `Voice stream ${sessionId} not found`);
+  }
+  request.streamSessionId = session.id;
+  return session;
+}
+
+// Failed chunks are counted against the session like failed transcriptions
+async function logFailure(error, { user, supabase, streamSessionId }) {
+  if (!streamSessionId) return;
+
+  await supabase
+    .from('voice_analytics')
+    .insert([{
+      user_id: user.id,
+      session_id: streamSessionId,
+      success: false,
+      error_message: error.message,
+      timestamp: new Date().toISOString()
+    }]);
+}
+
+async function loadSession(supabase, sessionId) {
+  const { data, error } = await supabase
+    .from('voice_stream_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Voice stream lookup failed: ${error.message}`);
+  }
+  return data;
+}
+
+async function listEvents(supabase, sessionId, after, { type } = {}) {
+  let query = supabase
+    .from('voice_stream_events')
+    .select('*')
+    .eq('session_id', sessionId)
+    .gt('id', after)
+    .order('id', { ascending: true });
+
+  query = type ? query.eq('type', type) : query.limit(MAX_EVENTS_PER_POLL);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Voice stream events lookup failed: ${error.message}`);
+  }
+  return (data || []).map(toEvent);
+}
+
+async function saveEvents(supabase, sessionId, seq, events) {
+  if (events.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('voice_stream_events')
+    .insert(events.map(item => ({
+      session_id: sessionId,
+      chunk_seq: seq,
+      type: item.type,
+      text: item.text,
+      start_seconds: item.start,
+      end_seconds: item.end,
+      speaker: item.speaker,
+      confidence: item.confidence
+    })))
+    .select();
+
+  if (error) {
+    throw new Error(`Voice stream events save failed: ${error.message}`);
+  }
+  return data.sort((a, b) => a.id - b.id).map(toEvent);
+}
+
+function toEvent(row) {
+  return {
+    id: Number(row.id),
+    seq: row.chunk_seq,
+    type: row.type,
+    text: row.text,
+    start: row.start_seconds,
+    end: row.end_seconds,
+    speaker: row.speaker,
+    confidence: row.confidence
+  };
+}
+
+// Transcribe one chunk, claim its sequence number and store its events
+async function receiveChunk(request, session) {
+  const { event, query, supabase } = request;
+  const { seq } = query;
+  if (seq === undefined) {
+    throw new HttpError(400, 'seq (the chunk number, from 0) is required', {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'seq', message: 'seq (the chunk number, from 0) is required' }]
+    });
+  }
+  if (seq !== session.next_seq) {
+    throw new HttpError(409, `Expected chunk ${session.next_seq}, got ${seq}`, {
+      code: 'OUT_OF_ORDER',
+      details: { nextSeq: session.next_seq }
+    });
+  }
+
+  const audioBuffer = event.body
+    ? (event.isBase64Encoded ? Buffer.from(event.body, 'base64') : Buffer.from(event.body))
+    : Buffer.alloc(0);
+  if (audioBuffer.length > MAX_STREAM_CHUNK_BYTES) {
+    throw new HttpError(413, `Chunk is ${audioBuffer.length} bytes; send chunks of at most ${MAX_STREAM_CHUNK_BYTES}`);
+  }
+
+  if (audioBuffer.length > 0) {
+    await enforceUsage(request, ['audio_seconds']);
+  }
+
+  const offset = Number(session.offset_seconds) || 0;
+  const chunk = audioBuffer.length > 0
+    ? await transcribeStreamChunk(session.provider, audioBuffer, { language: session.language || undefined })
+    : { segments: [], duration: null, chunkDuration: 0, service: null };
+
+  // Only a reported duration says whether speech ran to the end of the chunk
+  const { events, pending } = applyChunk(session.pending, chunk.segments, { offset, duration: chunk.duration });
+
+  const services = (session.services_used || '').split(',').filter(Boolean);
+  (chunk.service || '').split(',').filter(Boolean).forEach(service => {
+    if (!services.includes(service)) services.push(service);
+  });
+
+  const changes = {
+    next_seq: seq + 1,
+    offset_seconds: offset + chunk.chunkDuration,
+    audio_size_bytes: Number(session.audio_size_bytes) + audioBuffer.length,
+    services_used: services.join(',') || null,
+    pending,
+    updated_at: new Date().toISOString()
+  };
+  // The first chunk with speech fixes the language for the rest of the session
+  if (!session.language && chunk.language && chunk.segments.length > 0) {
+    changes.language = chunk.language;
+    changes.language_detected = true;
+    changes.language_confidence = chunk.languageConfidence;
+  }
+
+  // Claim the sequence number; a concurrent retry of the same chunk loses
+  const { data: claimed, error: claimError } = await supabase
+    .from('voice_stream_sessions')
+    .update(changes)
+    .eq('id', session.id)
+    .eq('next_seq', seq)
+    .eq('status', 'active')
+    .select('id');
+
+  if (claimError) {
+    throw new Error(`Voice stream update failed: ${claimError.message}`);
+  }
+  if (!claimed || claimed.length === 0) {
+    throw new HttpError(409, `Chunk ${seq} was already received`, { code: 'DUPLICATE_CHUNK' });
+  }
+
+  await recordUsage(request, 'audio_seconds', chunk.chunkDuration);
+
+  const saved = await saveEvents(supabase, session.id, seq, events);
+
+  console.log('🎧 Voice stream chunk:', session.id, seq, { bytes: audioBuffer.length, events: saved.length });
+
+  return {
+    success: true,
+    sessionId: session.id,
+    seq,
+    nextSeq: seq + 1,
+    language: changes.language || session.language,
+    events: saved,
+    cursor: saved.length > 0 ? saved[saved.length - 1].id : undefined
+  };
+}
+
+// Finalize pending speech, close the session and record its analytics
+async function finishSession({ supabase, user }, session) {
+  const saved = await saveEvents(supabase, session.id, session.next_seq, flushPending(session.pending));
+
+  const { error } = await supabase
+    .from('voice_stream_sessions')
+    .update({ status: 'finished', pending: null, finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', session.id);
+
+  if (error) {
+    throw new Error(`Voice stream finish failed: ${error.message}`);
+  }
+
+  const finals = await listEvents(supabase, session.id, 0, { type: 'final' });
+  const transcript = finals.map(item => item.text).join(' ');
+  const duration = Math.round((Number(session.offset_seconds) || 0) * 1000) / 1000;
+
+  console.log('⏹️ Voice stream finished:', session.id, { chunks: session.next_seq, transcriptLength: transcript.length });
+
+  try {
+    await supabase
+      .from('voice_analytics')
+      .insert([{
+        user_id: user.id,
+        session_id: session.id,
+        audio_size_bytes: Number(session.audio_size_bytes),
+        audio_seconds: duration,
+        transcript_length: transcript.length,
+        service_used: session.services_used || session.provider,
+        language: session.language,
+        language_detected: session.language_detected,
+        language_confidence: session.language_confidence,
+        success: true,
+        timestamp: new Date().toISOString()
+      }]);
+  } catch (analyticsError) {
+    console.warn('Analytics logging failed:', analyticsError.message);
+  }
+
+  return {
+    success: true,
+    sessionId: session.id,
+    status: 'finished',
+    transcript,
+    events: saved,
+    cursor: saved.length > 0 ? saved[saved.length - 1].id : undefined,
+    metadata: {
+      chunks: session.next_seq,
+      durationSeconds: duration,
+      audioSizeBytes: Number(session.audio_size_bytes),
+      transcriptLength: transcript.length,
+      serviceUsed: session.services_used || session.provider,
+      language: session.language,
+      languageDetected: session.language_detected,
+      languageConfidence: session.language_confidence
+    }
+  };
+}
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { HttpError, createHandler } = require('./utils/http');
+const { resolveWorkspace, requireEditor } = require('./utils/workspaces');
+const {
+  transcriptionConfigured,
+  readAudioBody,
+  readTranscriptionOptions,
+  transcribeAudio
+} = require('./utils/transcription');
+const { MERGE_STRATEGIES, findMatchCandidates } = require('./utils/entity-matching');
+const {
+  ENTITY_RULES,
+  AUTO_EXTRACTION_PROMPT,
+  requestExtraction,
+  graphKey,
+  buildEntityGraph,
+  selectFromGraph,
+  saveEntityGraph
+} = require('./utils/entity-extraction');
+const { buildSourceDocuments } = require('./utils/provenance');
+const { enforceUsage, recordUsage, llmTokens } = require('./utils/rate-limits');
+
+// Voice memo to leads in one call:
+//   POST <audio> [?autoSave=true&mergeStrategy=...]   transcribe, extract people, companies
+//        and projects and propose them; autoSave saves them straight away. The audio is
+//        a raw audio/* body or a multipart "file" field, with optional language and
+//        prompt fields
+//   POST { sessionId, accept?, mergeStrategy? }        save an earlier session's proposals,
+//        all of them or only the proposal keys listed in accept
+//   POST { sessionId, discard: true }                  drop an earlier session's proposals
+// Saved entities are linked to their voice session in voice_session_entities.
+const CONFIRM_BODY = {
+  sessionId: { type: 'string', required: true },
+  accept: { type: 'array', items: { type: 'string' }, message: 'accept must be an array of proposal keys' },
+  discard: { type: 'boolean', default: false },
+  mergeStrategy: { type: 'string', enum: MERGE_STRATEGIES }
+};
+
+exports.handler = createHandler({
+  name: 'Voice to leads',
+  failureMessage: 'Voice memo processing failed',
+  allowHeaders: ['X-Workspace-Id'],
+  methods: {
+    POST: {
+      query: {
+        mergeStrategy: { type: 'string', enum: MERGE_STRATEGIES },
+        autoSave: { type: 'boolean', default: false }
+      },
+      // Audio is read by the route; a JSON body confirms an earlier session
+      rawBody: true,
+      body: CONFIRM_BODY,
+      usage: ['requests'],
+      handle: voiceToLeads
+    }
+  },
+  onError: logFailure
+});
+
+async function voiceToLeads(request) {
+  const { event, query, body, user, supabase } = request;
+  const workspace = await resolveWorkspace(supabase, user, event);
+  requireEditor(workspace);
+
+  if (body) {
+    return confirmSession({ supabase, user, workspace, body });
+  }
+
+  const { mergeStrategy } = query;
+
+  if (!transcriptionConfigured()) {
+    throw new HttpError(500, 'No transcription service configured. Please set OPENAI_API_KEY or DEEPGRAM_API_KEY.', {
+      code: 'NOT_CONFIGURED'
+    });
+  }
+
+  const { audioBuffer, format: audioFormat, fields, error: audioError, statusCode: audioStatus } = readAudioBody(event);
+  if (audioError) {
+    throw new HttpError(audioStatus, audioError);
+  }
+
+  const { language, prompt, error: optionsError } = readTranscriptionOptions(fields, query);
+  if (optionsError) {
+    throw new HttpError(400, optionsError);
+  }
+
+  await enforceUsage(request, ['audio_seconds', 'llm_tokens']);
+
+  const sessionId = crypto.randomUUID();
+  request.voiceSessionId = sessionId;
+  request.transcribing = true;
+
+  console.log('🎙️ Voice memo to leads:', { sessionId, audioBytes: audioBuffer.length, audioFormat });
+
+  const { transcript, service, ...transcription } = await transcribeAudio(audioBuffer, { format: audioFormat, language, prompt });
+  request.transcribing = false;
+  await recordUsage(request, 'audio_seconds', transcription.duration);
+
+  try {
+    await supabase
+      .from('voice_analytics')
+      .insert([{
+        user_id: user.id,
+        session_id: sessionId,
+        audio_size_bytes: audioBuffer.length,
+        audio_seconds: transcription.duration,
+        transcript_length: transcript.length,
+        service_used: service,
+        language: transcription.language,
+        language_detected: transcription.languageDetected,
+        language_confidence: transcription.languageConfidence,
+        success: true,
+        timestamp: new Date().toISOString()
+      }]);
+  } catch (analyticsError) {
+    console.warn('Analytics logging failed:', analyticsError.message);
+  }
+
+  if (!transcript) {
+    throw new HttpError(422, 'No speech found in the recording', {
+      code: 'NO_SPEECH',
+      details: { sessionId, transcript }
+    });
+  }
+
+  const extraction = await requestExtraction(AUTO_EXTRACTION_PROMPT, transcript, {
+    maxTokens: 4000,
+    endpoint: 'voice-to-leads'
+  });
+  await recordUsage(request, 'llm_tokens', llmTokens(extraction.usage));
+  const graph = buildEntityGraph(extraction.data, { documents: buildSourceDocuments(transcript, null) });
+
+  const { data: session, error: sessionError } = await supabase
+    .from('voice_sessions')
+    .insert([{
+      id: sessionId,
+      user_id: user.id,
+      workspace_id: workspace.id,
+      transcript,
+      audio_size_bytes: audioBuffer.length,
+      service_used: service,
+      proposal: graph,
+      extraction_model: extraction.model
+    }])
+    .select()
+    .single();
+
+  if (sessionError) {
+    throw new Error(`Voice session save failed: ${sessionError.message}`);
+  }
+
+  const proposals = await describeProposals(supabase, graph, workspace.id);
+  const metadata = {
+    audioSizeBytes: audioBuffer.length,
+    transcriptLength: transcript.length,
+    serviceUsed: service,
+    language: transcription.language,
+    languageConfidence: transcription.languageConfidence,
+    provider: extraction.provider,
+    model: extraction.model
+  };
+
+  if (query.autoSave) {
+    const result = await saveSession({ supabase, user, session, mergeStrategy });
+    return { ...result, transcript, proposals, metadata };
+  }
+
+  console.log('📝 Leads proposed:', sessionId, proposals.relationships.length);
+
+  return {
+    success: true,
+    sessionId,
+    status: session.status,
+    transcript,
+    proposals,
+    rejected: graph.rejected,
+    validation: graph.validation,
+    metadata
+  };
+}
+
+// A failed transcription is counted like api-voice-transcribe does
+async function logFailure(error, { user, supabase, transcribing, voiceSessionId }) {
+  if (!transcribing) return;
+
+  await supabase
+    .from('voice_analytics')
+    .insert([{
+      user_id: user.id,
+      session_id: voiceSessionId,
+      success: false,
+      error_message: error.message,
+      timestamp: new Date().toISOString()
+    }]);
+}
+
+// Save or discard the proposals of an earlier session
+async function confirmSession({ supabase, user, workspace, body }) {
+  const { sessionId, accept, discard, mergeStrategy } = body;
+
+  const { data: session, error: lookupError } = await supabase
+    .from('voice_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  // A malformed uuid is just an unknown session
+  if (lookupError && lookupError.code !== '22P02') {
+    throw new Error(`Voice session lookup failed: ${lookupError.message}`);
+  }
+  if (!session) {
+    throw new HttpError(404, `Voice session ${sessionId} not found`);
+  }
+  if (session.status !== 'proposed') {
+    throw new HttpError(409, `Voice session ${sessionId} was already ${session.status}`);
+  }
+  if (session.workspace_id !== workspace.id) {
+    throw new HttpError(409, `Voice session ${sessionId} belongs to workspace ${session.workspace_id}; switch to it to confirm`, {
+      code: 'WRONG_WORKSPACE'
+    });
+  }
+
+  if (discard) {
+    const { error } = await supabase
+      .from('voice_sessions')
+      .update({ status: 'discarded' })
+      .eq('id', sessionId);
+    if (error) {
+      throw new Error(`Voice session update failed: ${error.message}`);
+    }
+    return { success: true, sessionId, status: 'discarded' };
+  }
+
+  if (accept) {
+    const known = new Set(proposalKeys(session.proposal));
+    const unknown = accept.filter(key => !known.has(key));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown proposal keys: ${unknown.join(', ')}`, {
+        fields: [{ field: 'accept', message: `Unknown proposal keys: ${unknown.join(', ')}` }]
+      });
+    }
+  }
+
+  return saveSession({ supabase, user, session, accept, mergeStrategy });
+}
+
+// Save a session's proposals (all, or the `accept`ed keys), link the
+// saved entities to the session and mark it saved
+async function saveSession({ supabase, user, session, accept, mergeStrategy }) {
+  const graph = accept ? selectFromGraph(session.proposal, accept) : session.proposal;
+  const metadata = {
+    source: 'voice_memo',
+    created_at: new Date().toISOString(),
+    created_by: user.id,
+    workspace_id: session.workspace_id,
+    raw_input: session.transcript.substring(0, 1000)
+  };
+
+  console.log('💾 Saving voice session leads:', session.id);
+
+  const { saved, relationships, relationshipError } = await saveEntityGraph(supabase, graph, { mergeStrategy, metadata });
+
+  const links = [];
+  Object.keys(ENTITY_RULES).forEach(type => {
+    saved[ENTITY_RULES[type].collection]
+      .filter(result => result.action !== 'failed')
+      .forEach(result => {
+        links.push({ session_id: session.id, entity_type: type, entity_id: String(result.entity.id), action: result.action });
+      });
+  });
+
+  if (links.length > 0) {
+    const { error: linkError } = await supabase
+      .from('voice_session_entities')
+      .upsert(links, { onConflict: 'session_id,entity_type,entity_id' });
+    if (linkError) {
+      console.warn('Voice session links save failed:', linkError.message);
+    }
+  }
+
+  const { error: statusError } = await supabase
+    .from('voice_sessions')
+    .update({ status: 'saved', saved_at: new Date().toISOString() })
+    .eq('id', session.id);
+  if (statusError) {
+    throw new Error(`Voice session update failed: ${statusError.message}`);
+  }
+
+  const results = [...saved.people, ...saved.companies, ...saved.projects];
+  const countAction = action => results.filter(result => result.action === action).length;
+
+  console.log('✅ Voice session leads saved:', { entities: results.length, relationships: relationships.length });
+
+  return {
+    success: true,
+    sessionId: session.id,
+    status: 'saved',
+    entities: saved,
+    relationships,
+    warning: relationshipError ? 'Entities saved but relationships were not saved to database' : undefined,
+    counts: {
+      created: countAction('created'),
+      merged: countAction('merged'),
+      linked: countAction('linked'),
+      failed: countAction('failed'),
+      relationships: relationships.length
+    }
+  };
+}
+
+function proposalKeys(graph) {
+  return Object.keys(ENTITY_RULES).flatMap(type => {
+    const rules = ENTITY_RULES[type];
+    return (graph[rules.collection] || []).map(node => graphKey(type, node[rules.nameField]));
+  });
+}
+
+// Proposed entities with a key to accept them by, their confidence and
+// any existing rows in the workspace they would likely duplicate
+async function describeProposals(supabase, graph, workspaceId) {
+  const proposals = { people: [], companies: [], projects: [], relationships: [] };
+
+  for (const type of Object.keys(ENTITY_RULES)) {
+    const rules = ENTITY_RULES[type];
+    for (const node of graph[rules.collection]) {
+      const candidates = await findMatchCandidates(supabase, rules.table, { ...node, workspace_id: workspaceId });
+      proposals[rules.collection].push({
+        key: graphKey(type, node[rules.nameField]),
+        type,
+        name: node[rules.nameField],
+        confidence: typeof node.confidence === 'number' ? node.confidence : null,
+        entity: node,
+        possibleDuplicates: candidates.map(({ id, score, reasons }) => ({ id, score, reasons }))
+      });
+    }
+  }
+
+  proposals.relationships = graph.relationships.map(relationship => ({
+    from: relationship.fromKey,
+    relation: relationship.relation,
+    to: relationship.toKey,
+    confidence: relationship.confidence
+  }));
+
+  return proposals;
+}
@@ -1,249 +1,168 @@
-const { createClient } = require('@supabase/supabase-js');
-const fetch = require('node-fetch');
-
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
-
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    console.log('🎤 Voice transcription request received');
-
-    // Check for API keys
-    if (!process.env.OPENAI_API_KEY && !process.env.DEEPGRAM_API_KEY) {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ 
-          error: 'No transcription service configured. Please set OPENAI_API_KEY or DEEPGRAM_API_KEY.',
-          transcript: ''
-        })
-      };
-    }
-
-    // Parse multipart form data manually since Netlify functions don't have built-in multipart support
-    const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
-    
-    if (!contentType.includes('multipart/form-data') && !contentType.includes('audio/')) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Content-Type must be multipart/form-data or audio/*',
-          transcript: ''
-        })
-      };
-    }
+const { HttpError, rawResponse, createHandler } = require('./utils/http');
+const {
+  transcriptionConfigured,
+  readAudioBody,
+  readTranscriptionOptions,
+  transcribeAudio,
+  translateToEnglish
+} = require('./utils/transcription');
+const { renderSrt, renderWebVtt } = require('./utils/captions');
+const { enforceUsage, recordUsage, llmTokens } = require('./utils/rate-limits');
+
+// The audio is a raw audio/* body or the "file" field of a multipart
+// form, whose language and prompt fields (or query parameters) are passed
+// to the provider; without a language it is detected. translate=true also
+// returns the transcript translated to English. ?format= for the response:
+// the plain transcript (default), the transcript with timestamped,
+// speaker-labelled segments, or the segments as an SRT or WebVTT caption
+// file
+const TRANSCRIPT_FORMATS = {
+  text: { segments: false },
+  segments: { segments: true },
+  srt: { segments: true, contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { segments: true, contentType: 'text/vtt; charset=utf-8', extension: 'vtt' }
+};
 
-    // Extract audio data from the request
-    const body = event.body;
-    const isBase64 = event.isBase64Encoded;
-    
-    if (!body) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'No audio data provided',
-          transcript: ''
-        })
-      };
+exports.handler = createHandler({
+  name: 'Voice transcription',
+  failureMessage: 'Transcription failed',
+  exposeHeaders: ['Content-Disposition'],
+  methods: {
+    POST: {
+      query: { format: { type: 'string', enum: Object.keys(TRANSCRIPT_FORMATS), default: 'text' } },
+      rawBody: true,
+      usage: ['requests', 'audio_seconds'],
+      handle: transcribe
     }
+  },
+  onError: logFailure
+});
 
-    let audioBuffer;
-    if (isBase64) {
-      audioBuffer = Buffer.from(body, 'base64');
-    } else {
-      audioBuffer = Buffer.from(body);
-    }
+async function transcribe(request) {
+  const { event, context, query, user, supabase } = request;
+  console.log('🎤 Voice transcription request received');
 
-    console.log('📄 Audio buffer size:', audioBuffer.length, 'bytes');
+  const { format } = query;
 
-    let transcript = '';
-    
-    // Try OpenAI Whisper first (generally more accurate)
-    if (process.env.OPENAI_API_KEY) {
-      try {
-        transcript = await transcribeWithOpenAI(audioBuffer);
-        console.log('✅ OpenAI transcription successful');
-      } catch (openaiError) {
-        console.warn('OpenAI transcription failed:', openaiError.message);
-        
-        // Fallback to Deepgram if available
-        if (process.env.DEEPGRAM_API_KEY) {
-          try {
-            transcript = await transcribeWithDeepgram(audioBuffer);
-            console.log('✅ Deepgram transcription successful (fallback)');
-          } catch (deepgramError) {
-            console.error('Deepgram transcription also failed:', deepgramError.message);
-            throw new Error('All transcription services failed');
-          }
-        } else {
-          throw openaiError;
-        }
-      }
-    } else if (process.env.DEEPGRAM_API_KEY) {
-      try {
-        transcript = await transcribeWithDeepgram(audioBuffer);
-        console.log('✅ Deepgram transcription successful');
-      } catch (deepgramError) {
-        console.error('Deepgram transcription failed:', deepgramError.message);
-        throw deepgramError;
-      }
-    }
+  // Check for API keys
+  if (!transcriptionConfigured()) {
+    throw new HttpError(500, 'No transcription service configured. Please set OPENAI_API_KEY or DEEPGRAM_API_KEY.', {
+      code: 'NOT_CONFIGURED'
+    });
+  }
 
-    // Clean up transcript
-    transcript = transcript.trim();
-    
-    // Log for analytics (without storing PII)
-    console.log('🎯 Transcription completed, length:', transcript.length);
+  // Extract audio data from the request
+  const { audioBuffer, format: audioFormat, fields, error: audioError, statusCode: audioStatus } = readAudioBody(event);
+  if (audioError) {
+    throw new HttpError(audioStatus, audioError);
+  }
 
-    // Optional: Store transcription analytics in Supabase (without storing actual transcript)
-    try {
-      const supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_ROLE_KEY
-      );
+  const { language, prompt, translate, error: optionsError } = readTranscriptionOptions(fields, query);
+  if (optionsError) {
+    throw new HttpError(400, optionsError);
+  }
+  if (translate && (format === 'srt' || format === 'vtt')) {
+    throw new HttpError(400, 'translate is only available with format=text or format=segments');
+  }
+  if (translate) {
+    await enforceUsage(request, ['llm_tokens']);
+  }
 
-      await supabase
-        .from('voice_analytics')
-        .insert([{
-          session_id: context.awsRequestId,
-          audio_size_bytes: audioBuffer.length,
-          transcript_length: transcript.length,
-          service_used: process.env.OPENAI_API_KEY ? 'openai' : 'deepgram',
-          success: true,
-          timestamp: new Date().toISOString()
-        }]);
-    } catch (analyticsError) {
-      console.warn('Analytics logging failed:', analyticsError.message);
-      // Don't fail the request for analytics issues
-    }
+  console.log('📄 Audio buffer size:', audioBuffer.length, 'bytes', audioFormat);
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        success: true,
-        transcript: transcript,
-        metadata: {
-          audioSizeBytes: audioBuffer.length,
-          transcriptLength: transcript.length,
-          serviceUsed: process.env.OPENAI_API_KEY ? 'openai' : 'deepgram',
-          timestamp: new Date().toISOString()
-        }
-      })
-    };
+  const transcription = await transcribeAudio(audioBuffer, {
+    format: audioFormat,
+    language,
+    prompt,
+    segments: TRANSCRIPT_FORMATS[format].segments
+  });
+  const { transcript, service, segments, duration, chunks } = transcription;
+  await recordUsage(request, 'audio_seconds', duration);
+  
+  // Log for analytics (without storing PII)
+  console.log('🎯 Transcription completed, length:', transcript.length, 'language:', transcription.language);
 
-  } catch (error) {
-    console.error('Voice transcription error:', error);
-    
-    // Log error analytics
+  // A failed translation still returns the original transcript
+  let translation = null;
+  if (translate) {
     try {
-      const supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_ROLE_KEY
-      );
-
-      await supabase
-        .from('voice_analytics')
-        .insert([{
-          session_id: context.awsRequestId,
-          success: false,
-          error_message: error.message,
-          timestamp: new Date().toISOString()
-        }]);
-    } catch (analyticsError) {
-      console.warn('Error analytics logging failed:', analyticsError.message);
+      translation = await translateToEnglish(transcript, transcription.language);
+      await recordUsage(request, 'llm_tokens', llmTokens(translation.usage));
+    } catch (translationError) {
+      console.warn('Transcript translation failed:', translationError.message);
+      translation = { transcript: null, error: translationError.message };
     }
-
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        success: false,
-        error: 'Transcription failed: ' + error.message,
-        transcript: ''
-      })
-    };
   }
-};
 
-// Transcribe audio using OpenAI Whisper
-async function transcribeWithOpenAI(audioBuffer) {
+  // Optional: Store transcription analytics in Supabase (without storing actual transcript)
   try {
-    // Create FormData for file upload to OpenAI
-    const FormData = require('form-data');
-    const formData = new FormData();
-    
-    formData.append('file', audioBuffer, {
-      filename: 'audio.wav',
-      contentType: 'audio/wav'
-    });
-    formData.append('model', 'whisper-1');
-    formData.append('response_format', 'text');
-    formData.append('language', 'en');
+    await supabase
+      .from('voice_analytics')
+      .insert([{
+        user_id: user.id,
+        session_id: context.awsRequestId,
+        audio_size_bytes: audioBuffer.length,
+        audio_seconds: transcription.duration,
+        transcript_length: transcript.length,
+        service_used: service,
+        language: transcription.language,
+        language_detected: transcription.languageDetected,
+        language_confidence: transcription.languageConfidence,
+        translated: Boolean(translation && translation.transcript),
+        success: true,
+        timestamp: new Date().toISOString()
+      }]);
+  } catch (analyticsError) {
+    console.warn('Analytics logging failed:', analyticsError.message);
+    // Don't fail the request for analytics issues
+  }
 
-    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
+  if (format === 'srt' || format === 'vtt') {
+    const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+    return rawResponse({
       headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        ...formData.getHeaders()
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="transcript-${context.awsRequestId || Date.now()}.${extension}"`
       },
-      body: formData
+      body: format === 'srt' ? renderSrt(segments) : renderWebVtt(segments)
     });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
+  return {
+    success: true,
+    transcript: transcript,
+    translatedTranscript: translation ? translation.transcript : undefined,
+    segments: segments || undefined,
+    metadata: {
+      audioSizeBytes: audioBuffer.length,
+      audioFormat,
+      chunks,
+      transcriptLength: transcript.length,
+      serviceUsed: service,
+      durationSeconds: duration || undefined,
+      segmentCount: segments ? segments.length : undefined,
+      language: transcription.language,
+      languageDetected: transcription.languageDetected,
+      languageConfidence: transcription.languageConfidence,
+      translation: translation
+        ? { provider: translation.provider, model: translation.model, error: translation.error }
+        : undefined,
+      timestamp: new Date().toISOString()
     }
-
-    const transcript = await response.text();
-    return transcript.trim();
-  } catch (error) {
-    throw new Error(`OpenAI transcription failed: ${error.message}`);
-  }
+  };
 }
 
-// Transcribe audio using Deepgram
-async function transcribeWithDeepgram(audioBuffer) {
-  const response = await fetch('https://api.deepgram.com/v1/listen?model=nova-2&smart_format=true&language=en', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Token ${process.env.DEEPGRAM_API_KEY}`,
-      'Content-Type': 'audio/wav'
-    },
-    body: audioBuffer
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Deepgram API error: ${response.status} - ${errorText}`);
-  }
-
-  const result = await response.json();
-  
-  if (!result.results || !result.results.channels || !result.results.channels[0] || !result.results.channels[0].alternatives) {
-    throw new Error('No transcription results from Deepgram');
-  }
-
-  const transcript = result.results.channels[0].alternatives[0].transcript;
-  return transcript.trim();
-}
\ No newline at end of file
+// Log error analytics for the identified caller
+async function logFailure(error, { context, user, supabase }) {
+  if (!user) return;
+
+  await supabase
+    .from('voice_analytics')
+    .insert([{
+      user_id: user.id,
+      session_id: context.awsRequestId,
+      success: false,
+      error_message: error.message,
+      timestamp: new Date().toISOString()
+    }]);
+}
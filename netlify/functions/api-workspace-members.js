@@ -0,0 +1,142 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { WORKSPACE_ROLES, listMembers } = require('./utils/workspaces');
+
+// Members of a workspace:
+//   GET    ?workspaceId=...                       list members and roles
+//   POST   { workspaceId, userId, role }          add a member (owners only)
+//   PATCH  { workspaceId, userId, role }          change a role (owners only)
+//   DELETE ?workspaceId=...&userId=...            remove a member (owners), or leave
+// A workspace always keeps at least one owner.
+const MEMBER_CHANGE = {
+  workspaceId: { type: 'uuid', required: true },
+  userId: { type: 'string', required: true },
+  role: { type: 'string', required: true, enum: WORKSPACE_ROLES }
+};
+
+const MEMBERS_RESPONSE = {
+  success: { type: 'boolean', required: true },
+  workspaceId: { type: 'uuid', required: true },
+  members: { type: 'array', required: true, items: { type: 'object' } }
+};
+
+exports.handler = createHandler({
+  name: 'Workspace member',
+  methods: {
+    GET: {
+      query: { workspaceId: { type: 'uuid', required: true } },
+      response: MEMBERS_RESPONSE,
+      async handle({ query, user, supabase }) {
+        const { caller, members } = await loadMembership(supabase, user, query.workspaceId);
+        return { success: true, workspaceId: query.workspaceId, role: caller.role, members };
+      }
+    },
+
+    POST: {
+      body: MEMBER_CHANGE,
+      response: MEMBERS_RESPONSE,
+      async handle({ body, user, supabase }) {
+        const { workspaceId, userId, role } = body;
+        const { members } = await loadMembership(supabase, user, workspaceId, { ownerOnly: true });
+
+        const target = members.find(member => member.user_id === userId);
+        if (target) {
+          throw new HttpError(409, `${userId} is already a ${target.role} of this workspace`, { details: { members } });
+        }
+
+        console.log('👥 Adding workspace member:', workspaceId, userId, role);
+
+        const { error } = await supabase
+          .from('workspace_members')
+          .insert([{ workspace_id: workspaceId, user_id: userId, role, added_by: user.id }]);
+        if (error) {
+          throw new Error(`Member add failed: ${error.message}`);
+        }
+
+        return { success: true, workspaceId, members: await listMembers(supabase, workspaceId) };
+      }
+    },
+
+    PATCH: {
+      body: MEMBER_CHANGE,
+      response: MEMBERS_RESPONSE,
+      async handle({ body, user, supabase }) {
+        const { workspaceId, userId, role } = body;
+        const { members } = await loadMembership(supabase, user, workspaceId, { ownerOnly: true });
+        requireOwnerRemains(members, userId, role);
+
+        console.log('🔑 Changing workspace role:', workspaceId, userId, role);
+
+        const { error } = await supabase
+          .from('workspace_members')
+          .update({ role })
+          .eq('workspace_id', workspaceId)
+          .eq('user_id', userId);
+        if (error) {
+          throw new Error(`Role change failed: ${error.message}`);
+        }
+
+        return { success: true, workspaceId, members: await listMembers(supabase, workspaceId) };
+      }
+    },
+
+    DELETE: {
+      query: {
+        workspaceId: { type: 'uuid', required: true },
+        userId: { type: 'string', required: true }
+      },
+      response: MEMBERS_RESPONSE,
+      async handle({ query, user, supabase }) {
+        const { workspaceId, userId } = query;
+        const leaving = userId === user.id;
+        const { members } = await loadMembership(supabase, user, workspaceId, { ownerOnly: !leaving });
+        requireOwnerRemains(members, userId, null);
+
+        // Research shared with them individually becomes unreadable too;
+        // sharing only applies to current members
+        console.log('👋 Removing workspace member:', workspaceId, userId);
+
+        const { error } = await supabase
+          .from('workspace_members')
+          .delete()
+          .eq('workspace_id', workspaceId)
+          .eq('user_id', userId);
+        if (error) {
+          throw new Error(`Member removal failed: ${error.message}`);
+        }
+
+        return { success: true, workspaceId, members: leaving ? [] : await listMembers(supabase, workspaceId) };
+      }
+    }
+  }
+});
+
+// The workspace's members and the caller's own membership; 404 unless
+// the caller belongs to it, 403 for non-owners when ownerOnly
+async function loadMembership(supabase, user, workspaceId, { ownerOnly = false } = {}) {
+  const members = await listMembers(supabase, workspaceId);
+  const caller = members.find(member => member.user_id === user.id);
+  if (!caller) {
+    throw new HttpError(404, `Workspace ${workspaceId} not found`);
+  }
+  if (ownerOnly && caller.role !== 'owner') {
+    throw new HttpError(403, 'Only workspace owners can manage members');
+  }
+  return { caller, members };
+}
+
+// Demoting or removing the last owner would orphan the workspace; role
+// is the new role, or null when the member is removed
+function requireOwnerRemains(members, userId, role) {
+  const target = members.find(member => member.user_id === userId);
+  if (!target) {
+    throw new HttpError(404, `${userId} is not a member of this workspace`, { details: { members } });
+  }
+
+  const owners = members.filter(member => member.role === 'owner');
+  if (target.role === 'owner' && role !== 'owner' && owners.length === 1) {
+    throw new HttpError(409, 'A workspace needs at least one owner; add another owner first', {
+      code: 'LAST_OWNER',
+      details: { members }
+    });
+  }
+}
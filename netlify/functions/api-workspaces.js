@@ -0,0 +1,158 @@
+const { HttpError, createHandler } = require('./utils/http');
+const { UUID_PATTERN, listMembers } = require('./utils/workspaces');
+
+// Workspaces of the caller:
+//   GET    /api-workspaces              list, with the caller's role in each
+//   GET    /api-workspaces/:id          one workspace with its members
+//   POST   { name }                     create; the caller becomes its owner
+//   PATCH  /api-workspaces/:id { name } rename (owners only)
+//   DELETE /api-workspaces/:id          delete with its entities (owners only)
+// The id may also be passed as ?id=. Members are managed through
+// api-workspace-members.
+const ID_QUERY = { id: { type: 'uuid' } };
+const NAME_BODY = { name: { type: 'string', required: true, maxLength: 200 } };
+
+const WORKSPACE_RESPONSE = {
+  success: { type: 'boolean', required: true },
+  workspace: { type: 'object', required: true }
+};
+
+exports.handler = createHandler({
+  name: 'Workspace',
+  methods: {
+    GET: {
+      query: ID_QUERY,
+      async handle({ event, query, user, supabase }) {
+        const id = workspaceId(event, query);
+        if (id) {
+          const { workspace, membership, members } = await loadWorkspace(supabase, user, id);
+          return { success: true, workspace: { ...workspace, role: membership.role, members } };
+        }
+
+        const { data, error } = await supabase
+          .from('workspace_members')
+          .select('role, created_at, workspaces(id, name, created_by, created_at)')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: true });
+
+        if (error) {
+          throw new Error(`Workspace list failed: ${error.message}`);
+        }
+
+        return {
+          success: true,
+          workspaces: (data || [])
+            .filter(membership => membership.workspaces)
+            .map(membership => ({ ...membership.workspaces, role: membership.role, joinedAt: membership.created_at }))
+        };
+      }
+    },
+
+    POST: {
+      body: NAME_BODY,
+      response: WORKSPACE_RESPONSE,
+      async handle({ body, user, supabase }) {
+        console.log('🏢 Creating workspace:', body.name);
+
+        const { data: workspace, error } = await supabase
+          .from('workspaces')
+          .insert([{ name: body.name, created_by: user.id }])
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(`Workspace create failed: ${error.message}`);
+        }
+
+        return { success: true, workspace: { ...workspace, role: 'owner' } };
+      }
+    },
+
+    PATCH: {
+      query: ID_QUERY,
+      body: NAME_BODY,
+      response: WORKSPACE_RESPONSE,
+      async handle({ event, query, body, user, supabase }) {
+        const id = requireWorkspaceId(event, query);
+        const { membership } = await loadWorkspace(supabase, user, id, { ownerOnly: true });
+
+        const { data: renamed, error } = await supabase
+          .from('workspaces')
+          .update({ name: body.name })
+          .eq('id', id)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(`Workspace update failed: ${error.message}`);
+        }
+
+        return { success: true, workspace: { ...renamed, role: membership.role } };
+      }
+    },
+
+    DELETE: {
+      query: ID_QUERY,
+      async handle({ event, query, user, supabase }) {
+        const id = requireWorkspaceId(event, query);
+        await loadWorkspace(supabase, user, id, { ownerOnly: true });
+
+        console.log('🗑️ Deleting workspace:', id);
+
+        const { error } = await supabase.from('workspaces').delete().eq('id', id);
+        if (error) {
+          throw new Error(`Workspace delete failed: ${error.message}`);
+        }
+
+        return { success: true, deleted: true, id };
+      }
+    }
+  }
+});
+
+// "/.netlify/functions/api-workspaces/abc" or "/api/workspaces/abc" -> "abc"
+function workspaceIdFromPath(path) {
+  const match = (path || '').match(/\/(?:api-workspaces|workspaces)\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function workspaceId(event, query) {
+  const id = query.id || workspaceIdFromPath(event.path);
+  if (id && !UUID_PATTERN.test(id)) {
+    throw new HttpError(400, 'A workspace id (UUID) is required', { fields: [{ field: 'id', message: 'id must be a UUID' }] });
+  }
+  return id;
+}
+
+function requireWorkspaceId(event, query) {
+  const id = workspaceId(event, query);
+  if (!id) {
+    throw new HttpError(400, 'A workspace id (UUID) is required', { fields: [{ field: 'id', message: 'id is required' }] });
+  }
+  return id;
+}
+
+// The workspace with the caller's membership and every member; 404 unless
+// the caller belongs to it, 403 for non-owners when ownerOnly
+async function loadWorkspace(supabase, user, id, { ownerOnly = false } = {}) {
+  const { data: workspace, error } = await supabase
+    .from('workspaces')
+    .select('id, name, created_by, created_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Workspace lookup failed: ${error.message}`);
+  }
+
+  const members = workspace ? await listMembers(supabase, id) : [];
+  const membership = members.find(member => member.user_id === user.id);
+  if (!workspace || !membership) {
+    throw new HttpError(404, `Workspace ${id} not found`);
+  }
+  if (ownerOnly && membership.role !== 'owner') {
+    throw new HttpError(403, 'Only workspace owners can change or delete it');
+  }
+
+  return { workspace, membership, members };
+}
@@ -0,0 +1,112 @@
+// Caller authentication for the Netlify functions. Every request carries
+// the caller's Supabase access token as "Authorization: Bearer <jwt>".
+//
+// With SUPABASE_JWT_SECRET set, HS256 tokens are verified locally;
+// otherwise (or for asymmetric tokens) Supabase Auth is asked who the
+// token belongs to. The database client handed back acts as the caller,
+// so row-level security decides what they may read and write.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { HttpError } = require('./errors');
+
+class AuthError extends HttpError {
+  constructor(message, statusCode = 401) {
+    super(statusCode, message);
+    this.name = 'AuthError';
+  }
+}
+
+function bearerToken(event) {
+  const headers = event.headers || {};
+  const header = headers.authorization || headers.Authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Verify an HS256 token against the project's JWT secret. Returns the
+// claims, or null when the token is not HS256 and must be checked remotely.
+function verifyLocally(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed access token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new AuthError('Malformed access token');
+  }
+  if (header.alg !== 'HS256') return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthError('Invalid access token signature');
+  }
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw new AuthError('Access token has expired');
+  }
+  if (claims.role !== 'authenticated' || !claims.sub) {
+    throw new AuthError('Access token does not belong to a signed-in user');
+  }
+  return claims;
+}
+
+// A Supabase client that sends the caller's token, so queries run under
+// their row-level security policies
+function createUserClient(token) {
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${token}` } },
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+}
+
+// A Supabase client with the service role, which bypasses row-level
+// security; only for writes no caller may make themselves
+function createServiceClient() {
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+}
+
+// Identify the caller. Resolves to { user: { id, email }, token, supabase }
+// or throws AuthError.
+async function authenticateRequest(event) {
+  const token = bearerToken(event);
+  if (!token) {
+    throw new AuthError('Missing Authorization bearer token');
+  }
+
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  let claims = secret ? verifyLocally(token, secret) : null;
+
+  if (!claims) {
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data || !data.user) {
+      throw new AuthError('Invalid or expired access token');
+    }
+    claims = { sub: data.user.id, email: data.user.email };
+  }
+
+  return {
+    user: { id: claims.sub, email: claims.email || null },
+    token,
+    supabase: createUserClient(token)
+  };
+}
+
+module.exports = {
+  AuthError,
+  authenticateRequest,
+  createServiceClient
+};
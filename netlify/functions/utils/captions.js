@@ -0,0 +1,56 @@
+// Caption files from normalized transcription segments (see
+// normalizeSegment in transcription.js), for reviewing and quoting
+// recorded meetings in a video player or caption editor.
+
+// 3725.5 -> "01:02:05,500" (SRT) or "01:02:05.500" (WebVTT)
+function formatTimestamp(seconds, decimalSeparator) {
+  const totalMs = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+  const pad = (value, width) => String(value).padStart(width, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${decimalSeparator}${pad(totalMs % 1000, 3)}`;
+}
+
+// Speakers are zero-based indexes; people count from one
+function speakerLabel(speaker) {
+  return Number.isInteger(speaker) ? `Speaker ${speaker + 1}` : null;
+}
+
+function captionSegments(segments) {
+  return (segments || []).filter(segment => segment.text);
+}
+
+function renderSrt(segments) {
+  return captionSegments(segments)
+    .map((segment, index) => {
+      const label = speakerLabel(segment.speaker);
+      return [
+        String(index + 1),
+        `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+        label ? `${label}: ${segment.text}` : segment.text
+      ].join('\n');
+    })
+    .join('\n\n') + '\n';
+}
+
+// Speakers become WebVTT voice spans, which players can style per speaker
+function renderWebVtt(segments) {
+  const cues = captionSegments(segments).map(segment => {
+    const label = speakerLabel(segment.speaker);
+    // "-->" and markup characters may not appear in cue text
+    const text = segment.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return [
+      `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+      label ? `<v ${label}>${text}` : text
+    ].join('\n');
+  });
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+module.exports = {
+  formatTimestamp,
+  renderSrt,
+  renderWebVtt
+};
@@ -0,0 +1,366 @@
+// Structured citations for saved research.
+//
+// A source arrives as a URL string or as
+//   { id?, url, title?, publisher?, fetchedAt?, snapshot?, contentHash? }
+// and is stored as
+//   { id, url, canonical_url, title, publisher, fetched_at, content_hash, has_snapshot }.
+// Sources with the same canonical URL collapse into one citation whose id
+// is derived from that URL. Claims anywhere in research_data cite sources
+// with a "citationIds" array holding citation ids, the caller's own source
+// ids, or URLs; all are rewritten to citation ids on save.
+//
+// Snapshots and content hashes are of a page's readable text: HTML,
+// whether fetched or supplied as a snapshot, is reduced to text the same
+// way first, so an unchanged page hashes the same either way. A supplied
+// contentHash must have been made with hashContent from that text too.
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { normalizeUrl } = require('./entity-normalization');
+
+// Longest snapshot kept per citation
+const MAX_SNAPSHOT_CHARS = 200000;
+
+const FETCH_TIMEOUT_MS = 10000;
+
+// Most of a page body read; HTML runs well past its text, and reading
+// stops here whatever the server sends
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// Most pages one save or check fetches; the rest are left alone
+const MAX_FETCHES_PER_CALL = 20;
+
+const MAX_REDIRECTS = 5;
+
+// Addresses a citation fetch must never reach: this host, the private
+// network and link-local ranges (cloud metadata services live there)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// normalizeUrl plus a stable query-parameter order
+function canonicalizeUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const normalized = normalizeUrl(value);
+  if (normalized.error) return null;
+
+  const url = new URL(normalized.value);
+  url.searchParams.sort();
+  return url.toString().replace(/\/(?=$|\?)/, '');
+}
+
+function citationId(canonicalUrl) {
+  return `c_${crypto.createHash('md5').update(canonicalUrl).digest('hex').substring(0, 10)}`;
+}
+
+// Snapshots are stored with whitespace collapsed, so whitespace
+// differences alone never make a snapshot stale
+function snapshotText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Hash of a snapshot's text; save_citation_snapshot computes the same
+// hash in the database from the stored text
+function hashContent(text) {
+  return `sha256:${crypto.createHash('sha256').update(snapshotText(text), 'utf8').digest('hex')}`;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The readable text of a page body, as snapshotted and hashed. Without a
+// content type (supplied snapshots) HTML is recognised by its tags.
+function pageText(body, contentType = null) {
+  const isHtml = contentType === null ? /<(html|head|body|p|div|span|a)\b[^>]*>/i.test(body) : contentType.includes('html');
+  return (isHtml ? htmlToText(body) : body).substring(0, MAX_SNAPSHOT_CHARS);
+}
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Only public http(s) hosts are fetched. Resolves to the address that
+// was checked, which the fetch then connects to.
+async function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported protocol ${parsed.protocol}`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${parsed.hostname} is not a public host`);
+  }
+  return { address: addresses[0].address, family: net.isIPv6(addresses[0].address) ? 6 : 4 };
+}
+
+// An agent that connects to the checked address whatever the host
+// resolves to by the time the connection opens
+function pinnedAgent(url, { address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+  return new URL(url).protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+// The body as text, reading no more than MAX_PAGE_BYTES
+async function readBody(body) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= MAX_PAGE_BYTES) {
+      body.destroy();
+      break;
+    }
+  }
+  return Buffer.concat(chunks).subarray(0, MAX_PAGE_BYTES).toString('utf8');
+}
+
+// The readable text of a page, as used for snapshots and stale checks.
+// Redirects are followed by hand so every hop is checked, and each hop
+// connects to the address its check passed.
+async function fetchPageText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    let location = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const agent = pinnedAgent(location, await assertPublicUrl(location));
+      const response = await fetch(location, { signal: controller.signal, redirect: 'manual', agent });
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        location = new URL(response.headers.get('location'), location).toString();
+        response.body.destroy();
+        continue;
+      }
+      if (!response.ok) {
+        response.body.destroy();
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return pageText(await readBody(response.body), response.headers.get('content-type') || '');
+    }
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Rewrite every "citationIds" list in research_data, collecting refs that
+// match no citation
+function rewriteClaimRefs(value, resolveRef, path, errors) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => rewriteClaimRefs(item, resolveRef, `${path}[${i}]`, errors));
+  }
+  if (!value || typeof value !== 'object') return value;
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    const itemPath = path ? `${path}.${key}` : key;
+    if (key !== 'citationIds') {
+      copy[key] = rewriteClaimRefs(item, resolveRef, itemPath, errors);
+      return;
+    }
+
+    if (!Array.isArray(item)) {
+      errors.push(`${itemPath} must be an array of citation ids`);
+      copy[key] = item;
+      return;
+    }
+    copy[key] = [...new Set(item.map(ref => {
+      const id = resolveRef(ref);
+      if (!id) errors.push(`${itemPath} cites unknown source "${ref}"`);
+      return id || ref;
+    }))];
+  });
+  return copy;
+}
+
+// Turn raw sources into deduplicated citations and point research_data
+// claims at them. Resolves to { citations, snapshots, researchData, errors };
+// snapshots are { content_hash, content } rows for citation_snapshots.
+// With `captureSnapshots`, pages without a supplied snapshot are fetched.
+async function buildCitations(sources, researchData, { captureSnapshots = false } = {}) {
+  const errors = [];
+  const byCanonical = new Map();
+  const refs = new Map();
+  const snapshots = new Map();
+
+  (sources || []).forEach((source, i) => {
+    const input = typeof source === 'string' ? { url: source } : source;
+    if (!input || typeof input !== 'object') {
+      errors.push(`sources[${i}] must be a URL or a citation object`);
+      return;
+    }
+
+    const canonical = canonicalizeUrl(input.url);
+    if (!canonical) {
+      errors.push(`sources[${i}] has an invalid url "${input.url}"`);
+      return;
+    }
+
+    let citation = byCanonical.get(canonical);
+    if (!citation) {
+      citation = {
+        id: citationId(canonical),
+        url: input.url.trim(),
+        canonical_url: canonical,
+        title: null,
+        publisher: null,
+        fetched_at: null,
+        content_hash: null,
+        has_snapshot: false
+      };
+      byCanonical.set(canonical, citation);
+    }
+
+    // Duplicates fill in whatever the first mention left out
+    citation.title = citation.title || input.title || null;
+    citation.publisher = citation.publisher || input.publisher || null;
+
+    if (typeof input.snapshot === 'string' && input.snapshot.trim() && !citation.has_snapshot) {
+      const content = snapshotText(pageText(input.snapshot));
+      citation.content_hash = hashContent(content);
+      citation.has_snapshot = true;
+      citation.fetched_at = input.fetchedAt || new Date().toISOString();
+      snapshots.set(citation.content_hash, content);
+    } else if (input.contentHash && !citation.content_hash) {
+      citation.content_hash = input.contentHash;
+      citation.fetched_at = citation.fetched_at || input.fetchedAt || null;
+    } else if (input.fetchedAt && !citation.fetched_at) {
+      citation.fetched_at = input.fetchedAt;
+    }
+
+    refs.set(citation.id, citation.id);
+    refs.set(canonical, citation.id);
+    if (input.id !== undefined && input.id !== null) refs.set(String(input.id), citation.id);
+  });
+
+  if (captureSnapshots) {
+    const uncaptured = [...byCanonical.values()].filter(citation => !citation.has_snapshot);
+    if (uncaptured.length > MAX_FETCHES_PER_CALL) {
+      console.warn(`Capturing ${MAX_FETCHES_PER_CALL} of ${uncaptured.length} snapshots`);
+    }
+    await Promise.all(uncaptured
+      .slice(0, MAX_FETCHES_PER_CALL)
+      .map(async citation => {
+        try {
+          const content = snapshotText(await fetchPageText(citation.url));
+          if (!content) return;
+          citation.content_hash = hashContent(content);
+          citation.has_snapshot = true;
+          citation.fetched_at = new Date().toISOString();
+          snapshots.set(citation.content_hash, content);
+        } catch (error) {
+          console.warn(`Snapshot capture failed for ${citation.url}:`, error.message);
+        }
+      }));
+  }
+
+  const resolveRef = ref => {
+    if (typeof ref !== 'string' && typeof ref !== 'number') return null;
+    return refs.get(String(ref)) || refs.get(canonicalizeUrl(String(ref))) || null;
+  };
+  const rewritten = rewriteClaimRefs(researchData, resolveRef, 'research_data', errors);
+
+  return {
+    citations: [...byCanonical.values()],
+    snapshots: [...snapshots.entries()].map(([contentHash, content]) => ({ content_hash: contentHash, content })),
+    researchData: rewritten,
+    errors
+  };
+}
+
+// Store snapshots through save_citation_snapshot, which hashes the text
+// itself; a hash that differs from ours means the citation would point
+// at the wrong text
+async function saveSnapshots(supabase, snapshots) {
+  for (const snapshot of snapshots) {
+    const { data: storedHash, error } = await supabase
+      .rpc('save_citation_snapshot', { snapshot: snapshot.content });
+
+    if (error) {
+      throw new Error(`Snapshot save failed: ${error.message}`);
+    }
+    if (storedHash !== snapshot.content_hash) {
+      throw new Error(`Snapshot save failed: stored as ${storedHash}, expected ${snapshot.content_hash}`);
+    }
+  }
+}
+
+// Re-fetch a citation and compare the page with its stored hash.
+// status: current | stale | unreachable | unchecked (nothing to compare with)
+// | skipped (over the per-call fetch limit, see checkCitations)
+async function checkCitation(citation) {
+  const checkedAt = new Date().toISOString();
+  if (!citation.content_hash) {
+    return { id: citation.id, url: citation.url, status: 'unchecked', checkedAt };
+  }
+
+  try {
+    const currentHash = hashContent(await fetchPageText(citation.url));
+    return {
+      id: citation.id,
+      url: citation.url,
+      status: currentHash === citation.content_hash ? 'current' : 'stale',
+      storedHash: citation.content_hash,
+      currentHash,
+      fetchedAt: citation.fetched_at,
+      checkedAt
+    };
+  } catch (error) {
+    return { id: citation.id, url: citation.url, status: 'unreachable', error: error.message, checkedAt };
+  }
+}
+
+// Check citations, fetching at most MAX_FETCHES_PER_CALL pages
+async function checkCitations(citations) {
+  const checkable = citations.filter(citation => citation.content_hash);
+  const allowed = new Set(checkable.slice(0, MAX_FETCHES_PER_CALL).map(citation => citation.id));
+
+  return Promise.all(citations.map(citation => {
+    if (!citation.content_hash || allowed.has(citation.id)) {
+      return checkCitation(citation);
+    }
+    return {
+      id: citation.id,
+      url: citation.url,
+      status: 'skipped',
+      error: `At most ${MAX_FETCHES_PER_CALL} citations are checked per request`,
+      checkedAt: new Date().toISOString()
+    };
+  }));
+}
+
+module.exports = {
+  canonicalizeUrl,
+  citationId,
+  hashContent,
+  buildCitations,
+  saveSnapshots,
+  checkCitation,
+  checkCitations
+};
@@ -0,0 +1,150 @@
+// Text embeddings for semantic search, behind a swappable provider.
+//
+// EMBEDDING_PROVIDER picks the provider: "openai" (default when
+// OPENAI_API_KEY is set) or "local", a deterministic feature-hashing
+// embedder that needs no network and always returns the same vector for
+// the same text. Every stored vector is tagged with the model that made
+// it, and search only compares vectors from the same model.
+const crypto = require('crypto');
+const { meterCall } = require('./usage-metering');
+
+// Column size of every embedding column; both providers emit this many dimensions
+const EMBEDDING_DIMENSIONS = 1536;
+
+// Longest text sent to a provider; the tail of huge research blobs adds little
+const MAX_EMBEDDING_CHARS = 8000;
+
+const PROVIDERS = {
+  openai: {
+    model: 'openai:text-embedding-3-small',
+    async embed(texts) {
+      const response = await fetch('https://api.openai.com/v1/embeddings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({
+          model: 'text-embedding-3-small',
+          input: texts,
+          dimensions: EMBEDDING_DIMENSIONS
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI embeddings error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        vectors: data.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+        inputTokens: data.usage ? data.usage.prompt_tokens : 0
+      };
+    }
+  },
+
+  // Hashes each word and word pair into a signed bucket, then
+  // L2-normalizes. Texts sharing vocabulary land close together, which
+  // is enough to exercise the pipeline and rank fixtures sensibly.
+  local: {
+    model: `local:hashing-${EMBEDDING_DIMENSIONS}`,
+    async embed(texts) {
+      const vectors = texts.map(text => {
+        const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+        const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+        const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+        features.forEach(feature => {
+          const digest = crypto.createHash('md5').update(feature).digest();
+          const bucket = digest.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+          vector[bucket] += digest[4] & 1 ? 1 : -1;
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => Number((value / norm).toFixed(6)));
+      });
+      return { vectors, inputTokens: 0 };
+    }
+  }
+};
+
+function getEmbeddingProvider() {
+  const name = process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Use openai or local.`);
+  }
+  return provider;
+}
+
+// Embed a list of texts. Resolves to { model, vectors }.
+async function embedTexts(texts) {
+  const provider = getEmbeddingProvider();
+  const [providerName, modelName] = provider.model.split(':');
+  const { vectors } = await meterCall(
+    { operation: 'embedding', provider: providerName, model: modelName },
+    () => provider.embed(texts.map(text => (text || '').substring(0, MAX_EMBEDDING_CHARS))),
+    result => ({ inputTokens: result.inputTokens })
+  );
+  return { model: provider.model, vectors };
+}
+
+async function embedText(text) {
+  const { model, vectors } = await embedTexts([text]);
+  return { model, vector: vectors[0] };
+}
+
+// The text that represents an entity or research record in vector space
+function embeddingTextFor(type, record) {
+  const join = values => values
+    .map(value => (Array.isArray(value) ? value.join(', ') : value))
+    .filter(value => value !== null && value !== undefined && value !== '')
+    .join('\n');
+
+  switch (type) {
+    case 'person':
+      return join([record.name, record.title, record.company, record.location, record.bio, record.expertise]);
+    case 'company':
+      return join([record.name, record.description, record.sectors, record.size, record.city, record.state, record.headquarters]);
+    case 'project':
+      return join([
+        record.title, record.description, record.type, record.status, record.location,
+        record.developer && `Developer: ${record.developer}`,
+        record.architect && `Architect: ${record.architect}`,
+        record.contractor && `Contractor: ${record.contractor}`
+      ]);
+    case 'research':
+      return join([record.entity_name, record.entity_type, JSON.stringify(record.research_data || {})]);
+    default:
+      return '';
+  }
+}
+
+// (Re)compute and store the embedding of a saved row. Failures are
+// logged and swallowed: a missing embedding only hides the row from
+// semantic matches, it must never fail the save that triggered it.
+async function refreshEmbedding(supabase, table, type, record) {
+  if (!record || !record.id) return null;
+
+  try {
+    const { model, vector } = await embedText(embeddingTextFor(type, record));
+    const { error } = await supabase
+      .from(table)
+      .update({ embedding: vector, embedding_model: model })
+      .eq('id', record.id);
+
+    if (error) throw new Error(error.message);
+    return model;
+  } catch (error) {
+    console.warn(`Embedding update failed for ${table} ${record.id}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  embedText,
+  embedTexts,
+  embeddingTextFor,
+  refreshEmbedding
+};
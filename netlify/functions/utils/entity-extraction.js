@@ -0,0 +1,446 @@
+// AI extraction of people, companies and projects from free text, and
+// saving the extracted entities and their relationships
+const {
+  DUPLICATE_THRESHOLD,
+  findMatchCandidates,
+  mergeEntityFields,
+  normalizeName
+} = require('./entity-matching');
+const { normalizeEntity } = require('./entity-normalization');
+const { traceEntityFields, pickProvenance } = require('./provenance');
+const { complete } = require('./llm-providers');
+const { refreshEmbedding } = require('./embeddings');
+const { refreshCoordinates } = require('./geocoding');
+
+// Prompt and table settings for single-entity extraction
+const ENTITY_RULES = {
+  person: {
+    table: 'people',
+    collection: 'people',
+    nameField: 'name',
+    requiredFields: ['name'],
+    optionalFields: ['title', 'company', 'email', 'phone', 'linkedin', 'location', 'bio', 'expertise'],
+    prompt: `Extract person information from the following text. Return a JSON object with these fields:
+        {
+          "name": "Full name",
+          "title": "Job title/position",
+          "company": "Company name",
+          "email": "Email address",
+          "phone": "Phone number",
+          "linkedin": "LinkedIn URL",
+          "location": "City, State",
+          "bio": "Brief bio/description",
+          "expertise": ["area1", "area2"],
+          "confidence": 0.85
+        }`
+  },
+  company: {
+    table: 'companies',
+    collection: 'companies',
+    nameField: 'name',
+    requiredFields: ['name'],
+    optionalFields: ['description', 'website', 'city', 'state', 'sectors', 'size', 'founded', 'headquarters'],
+    prompt: `Extract company information from the following text. Return a JSON object with these fields:
+        {
+          "name": "Company name",
+          "description": "Company description",
+          "website": "Website URL",
+          "city": "City",
+          "state": "State",
+          "sectors": "Industry sectors",
+          "size": "Company size",
+          "founded": "Founded year",
+          "headquarters": "HQ address",
+          "confidence": 0.85
+        }`
+  },
+  project: {
+    table: 'projects',
+    collection: 'projects',
+    nameField: 'title',
+    requiredFields: ['title'],
+    optionalFields: ['description', 'location', 'type', 'status', 'developer', 'architect', 'contractor', 'budget', 'timeline'],
+    prompt: `Extract project information from the following text. Return a JSON object with these fields:
+        {
+          "title": "Project name/title",
+          "description": "Project description",
+          "location": "Project location",
+          "type": "Project type (residential, commercial, etc.)",
+          "status": "Project status",
+          "developer": "Developer company",
+          "architect": "Architect firm",
+          "contractor": "General contractor",
+          "budget": "Project budget",
+          "timeline": "Project timeline",
+          "confidence": 0.85
+        }`
+  }
+};
+
+// Relationship types and the entity types they connect
+const RELATIONSHIP_TYPES = {
+  works_at: { from: 'person', to: 'company' },
+  developer_of: { from: 'company', to: 'project' },
+  architect_of: { from: 'company', to: 'project' },
+  contractor_of: { from: 'company', to: 'project' }
+};
+
+// Project columns that name a company in a given role
+const PROJECT_ROLE_FIELDS = {
+  developer: 'developer_of',
+  architect: 'architect_of',
+  contractor: 'contractor_of'
+};
+
+const AUTO_EXTRACTION_PROMPT = `Extract every person, company and project mentioned in the following text. Return a JSON object with these fields:
+        {
+          "people": [
+            { "name": "Full name", "title": "Job title", "company": "Company name", "email": "Email address", "phone": "Phone number", "linkedin": "LinkedIn URL", "location": "City, State", "bio": "Brief bio", "expertise": ["area1"], "confidence": 0.85 }
+          ],
+          "companies": [
+            { "name": "Company name", "description": "Company description", "website": "Website URL", "city": "City", "state": "State", "sectors": "Industry sectors", "size": "Company size", "founded": "Founded year", "headquarters": "HQ address", "confidence": 0.85 }
+          ],
+          "projects": [
+            { "title": "Project name", "description": "Project description", "location": "Project location", "type": "Project type", "status": "Project status", "developer": "Developer company", "architect": "Architect firm", "contractor": "General contractor", "budget": "Project budget", "timeline": "Project timeline", "confidence": 0.85 }
+          ],
+          "relationships": [
+            { "from": "Person or company name", "fromType": "person", "relation": "works_at", "to": "Company or project name", "toType": "company", "confidence": 0.85 }
+          ]
+        }
+        Allowed relations: works_at (person to company), developer_of, architect_of and contractor_of (company to project).
+        Use the exact names from the people, companies and projects lists in every relationship. Use empty arrays when nothing is found.`;
+
+// Parse the model output as JSON, tolerating text around the object
+function parseJsonResponse(aiResponse) {
+  try {
+    return JSON.parse(aiResponse);
+  } catch (parseError) {
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[0]);
+    }
+    throw new Error('Failed to parse AI response as JSON');
+  }
+}
+
+// Ask the configured LLM provider chain to extract JSON from text using
+// the given prompt. Resolves to { data, provider, model, usage }.
+async function requestExtraction(prompt, text, { maxTokens = 1000, endpoint = 'entities-create-from-text' } = {}) {
+  const completion = await complete(endpoint, {
+    maxTokens,
+    temperature: 0.1,
+    prompt: `${prompt}
+
+Text to extract from:
+${text}
+
+Return only valid JSON, no other text.`
+  });
+
+  return {
+    data: parseJsonResponse(completion.text),
+    provider: completion.provider,
+    model: completion.model,
+    usage: completion.usage
+  };
+}
+
+// Key used to spot the same entity mentioned twice in one extraction
+function graphKey(type, name) {
+  const table = ENTITY_RULES[type].table;
+  return `${type}:${normalizeName(name, table)}`;
+}
+
+// Turn the raw auto-extraction output into a clean graph: normalized
+// entities with their required fields, duplicates within the text collapsed, and
+// relationships implied by person.company and project roles added.
+// When source `documents` are given each entity gets field_provenance.
+function buildEntityGraph(raw, { documents = [] } = {}) {
+  const graph = { people: [], companies: [], projects: [], relationships: [], rejected: [], validation: [] };
+  const index = new Map();
+
+  const addEntity = (type, rawEntity) => {
+    const rules = ENTITY_RULES[type];
+    const { entity, errors, changes } = normalizeEntity(type, rawEntity || {});
+    const { provenance, unverified } = traceEntityFields(rawEntity || {}, documents);
+    entity.field_provenance = pickProvenance(provenance, entity);
+
+    const unverifiedFields = unverified.filter(field => field in entity);
+    if (Object.keys(errors).length > 0 || Object.keys(changes).length > 0 || unverifiedFields.length > 0) {
+      graph.validation.push({ type, name: entity[rules.nameField] || null, errors, normalized: changes, unverified: unverifiedFields });
+    }
+
+    const missingFields = rules.requiredFields.filter(field => !entity || !entity[field]);
+    if (missingFields.length > 0) {
+      graph.rejected.push({ type, entity, error: `Missing required fields: ${missingFields.join(', ')}` });
+      return null;
+    }
+
+    const key = graphKey(type, entity[rules.nameField]);
+    if (index.has(key)) {
+      const existing = index.get(key);
+      Object.keys(entity).forEach(field => {
+        if (field === 'field_provenance') return;
+        if (!existing[field] && entity[field]) {
+          existing[field] = entity[field];
+          if (entity.field_provenance[field]) existing.field_provenance[field] = entity.field_provenance[field];
+        }
+      });
+      return key;
+    }
+
+    const node = { ...entity };
+    index.set(key, node);
+    graph[rules.collection].push(node);
+    return key;
+  };
+
+  // Match short references such as "Suffolk" to an entity already in the
+  // graph such as "Suffolk Construction" before creating a new one
+  const resolveKey = (type, name) => {
+    const key = graphKey(type, name);
+    if (index.has(key)) return key;
+
+    const short = key.substring(type.length + 1);
+    const matches = [...index.keys()].filter(existingKey => {
+      if (!existingKey.startsWith(`${type}:`)) return false;
+      const long = existingKey.substring(type.length + 1);
+      return short && (long.startsWith(`${short} `) || short.startsWith(`${long} `));
+    });
+    return matches.length === 1 ? matches[0] : key;
+  };
+
+  const relationshipKeys = new Set();
+  const addRelationship = (fromType, fromName, relation, toType, toName, confidence, origin) => {
+    const allowed = RELATIONSHIP_TYPES[relation];
+    if (!allowed || allowed.from !== fromType || allowed.to !== toType || !fromName || !toName) return;
+
+    const fromKey = resolveKey(fromType, fromName);
+    const toKey = resolveKey(toType, toName);
+    if (!index.has(fromKey)) addEntity(fromType, { [ENTITY_RULES[fromType].nameField]: fromName });
+    if (!index.has(toKey)) addEntity(toType, { [ENTITY_RULES[toType].nameField]: toName });
+
+    const key = `${fromKey}|${relation}|${toKey}`;
+    if (relationshipKeys.has(key)) return;
+    relationshipKeys.add(key);
+    graph.relationships.push({ fromKey, relation, toKey, confidence: confidence || null, origin });
+  };
+
+  (raw.people || []).forEach(person => addEntity('person', person));
+  (raw.companies || []).forEach(company => addEntity('company', company));
+  (raw.projects || []).forEach(project => addEntity('project', project));
+
+  (raw.relationships || []).forEach(relationship => {
+    addRelationship(
+      relationship.fromType,
+      relationship.from,
+      relationship.relation,
+      relationship.toType,
+      relationship.to,
+      relationship.confidence,
+      'extracted'
+    );
+  });
+
+  // Free-text company fields are relationships too; keep them as links
+  graph.people.slice().forEach(person => {
+    if (person.company) {
+      addRelationship('person', person.name, 'works_at', 'company', person.company, person.confidence, 'field');
+    }
+  });
+  graph.projects.slice().forEach(project => {
+    Object.entries(PROJECT_ROLE_FIELDS).forEach(([field, relation]) => {
+      if (project[field]) {
+        addRelationship('company', project[field], relation, 'project', project.title, project.confidence, 'field');
+      }
+    });
+  });
+
+  return graph;
+}
+
+// Narrow a graph to the entities whose graphKey is in `keys`, keeping
+// only relationships between entities that remain
+function selectFromGraph(graph, keys) {
+  const selected = new Set(keys);
+  const narrowed = { ...graph, relationships: [] };
+
+  Object.keys(ENTITY_RULES).forEach(type => {
+    const rules = ENTITY_RULES[type];
+    narrowed[rules.collection] = graph[rules.collection]
+      .filter(node => selected.has(graphKey(type, node[rules.nameField])));
+  });
+  narrowed.relationships = graph.relationships
+    .filter(relationship => selected.has(relationship.fromKey) && selected.has(relationship.toKey));
+
+  return narrowed;
+}
+
+function typeForTable(table) {
+  return Object.keys(ENTITY_RULES).find(type => ENTITY_RULES[type].table === table);
+}
+
+// Merge an extraction into an existing row and record what changed.
+// The row is read in full first: candidates only carry the columns
+// scored for matching, and a column missing there would look blank.
+async function mergeIntoExisting(supabase, table, target, entity) {
+  const { data: existing, error: readError } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', target.id)
+    .single();
+
+  if (readError) {
+    throw new Error(`Merge into ${target.id} failed: ${readError.message}`);
+  }
+
+  const { patch, changes } = mergeEntityFields(table, existing, entity);
+  if (changes.length === 0) {
+    return { record: existing, changes };
+  }
+
+  const { data: updatedEntity, error: mergeError } = await supabase
+    .from(table)
+    .update(patch)
+    .eq('id', target.id)
+    .select()
+    .single();
+
+  if (mergeError) {
+    throw new Error(`Merge into ${target.id} failed: ${mergeError.message}`);
+  }
+
+  const { error: historyError } = await supabase
+    .from('entity_merges')
+    .insert([{
+      entity_table: table,
+      entity_id: String(target.id),
+      workspace_id: entity.workspace_id || null,
+      match_score: target.score,
+      match_reasons: target.reasons,
+      changes,
+      raw_input: entity.raw_input
+    }]);
+
+  if (historyError) {
+    console.warn('Merge history save failed:', historyError.message);
+  }
+
+  const indexedEntity = await indexSavedEntity(supabase, table, typeForTable(table), updatedEntity);
+
+  return { record: indexedEntity, changes };
+}
+
+// Keep the semantic and geographic search indexes in step with a saved
+// row. Resolves to the row with any new coordinates filled in.
+async function indexSavedEntity(supabase, table, type, record) {
+  await refreshEmbedding(supabase, table, type, record);
+  const location = await refreshCoordinates(supabase, table, type, record);
+  return location ? { ...record, latitude: location.lat, longitude: location.lng } : record;
+}
+
+// Save one entity, reusing a likely duplicate unless told to create.
+// Without a strategy an existing duplicate is linked as-is.
+async function resolveEntity(supabase, type, entity, { mergeStrategy } = {}) {
+  const { table } = ENTITY_RULES[type];
+  const candidates = await findMatchCandidates(supabase, table, entity);
+  const matchSummary = candidates.map(({ id, score, reasons }) => ({ id, score, reasons }));
+  const duplicate = candidates.find(candidate => candidate.score >= DUPLICATE_THRESHOLD);
+
+  if (duplicate && mergeStrategy !== 'create') {
+    if (mergeStrategy === 'merge-into') {
+      const { record, changes } = await mergeIntoExisting(supabase, table, duplicate, entity);
+      return { action: 'merged', entity: record, changes, candidates: matchSummary };
+    }
+    return { action: 'linked', entity: duplicate.record, changes: [], candidates: matchSummary };
+  }
+
+  const { data: savedEntity, error: saveError } = await supabase
+    .from(table)
+    .insert([entity])
+    .select()
+    .single();
+
+  if (saveError) {
+    return { action: 'failed', entity, error: saveError.message, candidates: matchSummary };
+  }
+
+  const indexedEntity = await indexSavedEntity(supabase, table, type, savedEntity);
+
+  return { action: 'created', entity: indexedEntity, changes: [], candidates: matchSummary };
+}
+
+// Save every entity in the graph, then the relationships between the
+// saved rows. `metadata` is copied onto each entity before saving; its
+// workspace_id also scopes the relationships. The entity kind is passed
+// alongside, never written over a node's own type (a project's type).
+async function saveEntityGraph(supabase, graph, { mergeStrategy, metadata = {} } = {}) {
+  const saved = { people: [], companies: [], projects: [] };
+  const idsByKey = new Map();
+
+  for (const type of Object.keys(ENTITY_RULES)) {
+    const rules = ENTITY_RULES[type];
+    for (const node of graph[rules.collection]) {
+      const entity = { ...node, ...metadata };
+      const result = await resolveEntity(supabase, type, entity, { mergeStrategy });
+      saved[rules.collection].push(result);
+      if (result.action !== 'failed') {
+        idsByKey.set(graphKey(type, node[rules.nameField]), { type, id: result.entity.id });
+      }
+    }
+  }
+
+  const relationshipRows = graph.relationships
+    .filter(relationship => idsByKey.has(relationship.fromKey) && idsByKey.has(relationship.toKey))
+    .map(relationship => {
+      const from = idsByKey.get(relationship.fromKey);
+      const to = idsByKey.get(relationship.toKey);
+      return {
+        workspace_id: metadata.workspace_id || null,
+        source_type: from.type,
+        source_id: String(from.id),
+        relation: relationship.relation,
+        target_type: to.type,
+        target_id: String(to.id),
+        confidence: relationship.confidence,
+        origin: relationship.origin
+      };
+    });
+
+  let relationships = [];
+  let relationshipError = null;
+  if (relationshipRows.length > 0) {
+    const { data, error } = await supabase
+      .from('entity_relationships')
+      .upsert(relationshipRows, {
+        onConflict: 'workspace_id,source_type,source_id,relation,target_type,target_id',
+        ignoreDuplicates: false
+      })
+      .select();
+
+    if (error) {
+      console.error('Relationship save error:', error);
+      relationshipError = error.message;
+      relationships = relationshipRows;
+    } else {
+      relationships = data || [];
+    }
+  }
+
+  return { saved, relationships, relationshipError };
+}
+
+module.exports = {
+  ENTITY_RULES,
+  RELATIONSHIP_TYPES,
+  AUTO_EXTRACTION_PROMPT,
+  parseJsonResponse,
+  requestExtraction,
+  graphKey,
+  buildEntityGraph,
+  selectFromGraph,
+  mergeIntoExisting,
+  indexSavedEntity,
+  resolveEntity,
+  saveEntityGraph
+};
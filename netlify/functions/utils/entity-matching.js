@@ -0,0 +1,321 @@
+// Duplicate detection and merge helpers for people, companies and projects
+
+// Candidates at or above this score are treated as the same entity
+const DUPLICATE_THRESHOLD = 0.8;
+
+// Candidates below this score are not worth showing to the caller
+const CANDIDATE_THRESHOLD = 0.5;
+
+const MERGE_STRATEGIES = ['create', 'merge-into', 'skip'];
+
+// Fields that identify a row or describe how it was created; never merged
+const MERGE_SKIP_FIELDS = ['id', 'created_at', 'created_by', 'workspace_id', 'type', 'source', 'raw_input', 'confidence'];
+
+// Per-table settings: which column holds the display name and which
+// columns are worth pulling back when scoring candidates
+const TABLE_CONFIG = {
+  people: {
+    nameField: 'name',
+    select: 'id, name, title, company, email, phone, linkedin, location, bio, expertise'
+  },
+  companies: {
+    nameField: 'name',
+    select: 'id, name, description, website, city, state, sectors, size, founded, headquarters'
+  },
+  projects: {
+    nameField: 'title',
+    select: 'id, title, description, location, type, status, developer, architect, contractor, budget, timeline'
+  }
+};
+
+const NAME_NOISE = {
+  people: ['mr', 'mrs', 'ms', 'dr', 'prof', 'jr', 'sr', 'ii', 'iii', 'phd', 'md', 'pe', 'aia', 'leed', 'ap'],
+  companies: ['inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'group', 'the'],
+  projects: ['the', 'project']
+};
+
+// Normalize a name for comparison: lowercase, no punctuation, no
+// honorifics or legal suffixes, single spaces
+function normalizeName(value, table = 'people') {
+  if (!value) return '';
+
+  const noise = NAME_NOISE[table] || [];
+  return value
+    .toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !noise.includes(word))
+    .join(' ');
+}
+
+// Reduce a URL or email address to its registrable host, e.g. "suffolk.com"
+function extractDomain(value) {
+  if (!value) return '';
+
+  const text = value.toString().trim().toLowerCase();
+  if (text.includes('@') && !text.includes('/')) {
+    return text.split('@').pop().replace(/^www\./, '');
+  }
+
+  try {
+    const url = new URL(/^https?:\/\//.test(text) ? text : `https://${text}`);
+    return url.hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Reduce a LinkedIn URL to "in/<slug>" or "company/<slug>"
+function normalizeLinkedIn(value) {
+  if (!value) return '';
+
+  const match = value.toString().toLowerCase().match(/linkedin\.com\/(in|company|pub)\/([^/?#\s]+)/);
+  return match ? `${match[1]}/${decodeURIComponent(match[2])}` : '';
+}
+
+function normalizeEmail(value) {
+  return value ? value.toString().trim().toLowerCase() : '';
+}
+
+// Dice coefficient over character bigrams, 0..1
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigrams = text => {
+    const grams = new Map();
+    const compact = text.replace(/\s+/g, ' ');
+    for (let i = 0; i < compact.length - 1; i++) {
+      const gram = compact.substring(i, i + 2);
+      grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+  };
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  });
+  gramsB.forEach(count => { total += count; });
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// Quote a value for use inside a PostgREST .or() filter string so that
+// commas, dots and parentheses in user data cannot change the filter
+function quoteFilterValue(value) {
+  return `"${value.toString().replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Escape LIKE wildcards so "a_b@x.com" only matches itself
+function escapeLikePattern(value) {
+  return value.toString().replace(/[\\%_]/g, '\\$&');
+}
+
+// Score how likely `candidate` is to be the same entity as `entity`.
+// Each matching signal contributes independently (noisy-OR), so two
+// weak signals together outrank either one alone.
+function scoreMatch(table, entity, candidate) {
+  const config = TABLE_CONFIG[table];
+  const reasons = [];
+
+  const entityName = normalizeName(entity[config.nameField], table);
+  const candidateName = normalizeName(candidate[config.nameField], table);
+  const similarity = nameSimilarity(entityName, candidateName);
+
+  if (entityName && entityName === candidateName) {
+    reasons.push({ field: config.nameField, signal: 'exact_name', weight: 0.7 });
+  } else if (similarity >= 0.75) {
+    reasons.push({ field: config.nameField, signal: 'similar_name', weight: Number((0.6 * similarity).toFixed(2)) });
+  }
+
+  if (table === 'people') {
+    const linkedin = normalizeLinkedIn(entity.linkedin);
+    if (linkedin && linkedin === normalizeLinkedIn(candidate.linkedin)) {
+      reasons.push({ field: 'linkedin', signal: 'linkedin_url', weight: 1 });
+    }
+
+    const email = normalizeEmail(entity.email);
+    if (email && email === normalizeEmail(candidate.email)) {
+      reasons.push({ field: 'email', signal: 'email', weight: 0.95 });
+    }
+
+    const sameCompany = entity.company && normalizeName(entity.company, 'companies') === normalizeName(candidate.company, 'companies');
+    const sameTitle = entity.title && normalizeName(entity.title) === normalizeName(candidate.title);
+    if (sameCompany && sameTitle) {
+      reasons.push({ field: 'company', signal: 'company_and_title', weight: 0.5 });
+    } else if (sameCompany) {
+      reasons.push({ field: 'company', signal: 'company', weight: 0.2 });
+    }
+  }
+
+  if (table === 'companies') {
+    const domain = extractDomain(entity.website);
+    if (domain && domain === extractDomain(candidate.website)) {
+      reasons.push({ field: 'website', signal: 'website_domain', weight: 0.9 });
+    }
+
+    if (entity.city && candidate.city && normalizeName(entity.city) === normalizeName(candidate.city)) {
+      reasons.push({ field: 'city', signal: 'city', weight: 0.15 });
+    }
+  }
+
+  if (table === 'projects') {
+    if (entity.location && candidate.location && normalizeName(entity.location) === normalizeName(candidate.location)) {
+      reasons.push({ field: 'location', signal: 'location', weight: 0.3 });
+    }
+
+    if (entity.developer && candidate.developer &&
+        normalizeName(entity.developer, 'companies') === normalizeName(candidate.developer, 'companies')) {
+      reasons.push({ field: 'developer', signal: 'developer', weight: 0.2 });
+    }
+  }
+
+  const score = 1 - reasons.reduce((remaining, reason) => remaining * (1 - reason.weight), 1);
+  return { score: Number(score.toFixed(2)), reasons };
+}
+
+// Build the PostgREST .or() clauses that pull back anything that could
+// possibly match; scoring happens afterwards in scoreMatch
+function buildCandidateFilters(table, entity) {
+  const config = TABLE_CONFIG[table];
+  const filters = [];
+
+  // Use the longest name token so "Jane A. Doe" still finds "Jane Doe"
+  const tokens = normalizeName(entity[config.nameField], table).split(' ').filter(token => token.length > 2);
+  const longestToken = tokens.sort((a, b) => b.length - a.length)[0];
+  if (longestToken) {
+    filters.push(`${config.nameField}.ilike.${quoteFilterValue(`%${escapeLikePattern(longestToken)}%`)}`);
+  }
+
+  if (table === 'people') {
+    const email = normalizeEmail(entity.email);
+    if (email) filters.push(`email.ilike.${quoteFilterValue(escapeLikePattern(email))}`);
+
+    const linkedin = normalizeLinkedIn(entity.linkedin);
+    if (linkedin) filters.push(`linkedin.ilike.${quoteFilterValue(`%${escapeLikePattern(linkedin)}%`)}`);
+
+    if (entity.company && entity.title) {
+      filters.push(`and(company.ilike.${quoteFilterValue(escapeLikePattern(entity.company))},title.ilike.${quoteFilterValue(escapeLikePattern(entity.title))})`);
+    }
+  }
+
+  if (table === 'companies') {
+    const domain = extractDomain(entity.website);
+    if (domain) filters.push(`website.ilike.${quoteFilterValue(`%${escapeLikePattern(domain)}%`)}`);
+  }
+
+  return filters;
+}
+
+// Find existing rows that likely describe the same entity, best first.
+// An entity with a workspace_id is only matched within that workspace.
+async function findMatchCandidates(supabase, table, entity, { limit = 5 } = {}) {
+  const config = TABLE_CONFIG[table];
+  if (!config) return [];
+
+  const filters = buildCandidateFilters(table, entity);
+  if (filters.length === 0) return [];
+
+  let request = supabase
+    .from(table)
+    .select(config.select)
+    .or(filters.join(','));
+  if (entity.workspace_id) request = request.eq('workspace_id', entity.workspace_id);
+
+  const { data, error } = await request.limit(25);
+
+  if (error) {
+    console.warn('Duplicate lookup failed:', error.message);
+    return [];
+  }
+
+  return (data || [])
+    .map(candidate => {
+      const { score, reasons } = scoreMatch(table, entity, candidate);
+      return { id: candidate.id, score, reasons, record: candidate };
+    })
+    .filter(candidate => candidate.score >= CANDIDATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Combine an incoming extraction into an existing row. Blank fields are
+// filled, arrays are unioned and differing values are replaced by the
+// newer extraction, except the name field which is kept as-is.
+// Returns the column patch plus a change log describing each edit.
+function mergeEntityFields(table, existing, incoming) {
+  const config = TABLE_CONFIG[table];
+  const patch = {};
+  const changes = [];
+
+  Object.keys(incoming).forEach(field => {
+    if (MERGE_SKIP_FIELDS.includes(field)) return;
+
+    const value = incoming[field];
+    const previous = existing[field];
+    if (isEmpty(value)) return;
+
+    if (isEmpty(previous)) {
+      patch[field] = value;
+      changes.push({ field, action: 'filled', previous: previous === undefined ? null : previous, value });
+      return;
+    }
+
+    if (Array.isArray(previous) || Array.isArray(value)) {
+      const current = Array.isArray(previous) ? previous : [previous];
+      const additions = (Array.isArray(value) ? value : [value])
+        .filter(item => !current.some(existingItem => JSON.stringify(existingItem) === JSON.stringify(item)));
+      if (additions.length > 0) {
+        patch[field] = [...current, ...additions];
+        changes.push({ field, action: 'appended', previous, value: patch[field] });
+      }
+      return;
+    }
+
+    if (typeof value === 'object' || typeof previous === 'object') {
+      if (JSON.stringify(value) !== JSON.stringify(previous)) {
+        patch[field] = { ...previous, ...value };
+        changes.push({ field, action: 'updated', previous, value: patch[field] });
+      }
+      return;
+    }
+
+    if (field === config.nameField) return;
+
+    if (value.toString().trim() !== previous.toString().trim()) {
+      patch[field] = value;
+      changes.push({ field, action: 'updated', previous, value });
+    }
+  });
+
+  return { patch, changes };
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  CANDIDATE_THRESHOLD,
+  MERGE_STRATEGIES,
+  normalizeName,
+  extractDomain,
+  normalizeLinkedIn,
+  nameSimilarity,
+  quoteFilterValue,
+  scoreMatch,
+  findMatchCandidates,
+  mergeEntityFields
+};
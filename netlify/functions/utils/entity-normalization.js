@@ -0,0 +1,227 @@
+// Normalization and validation of AI-extracted entity fields. Each
+// normalizer returns { value } on success or { error } when the input
+// cannot be turned into a trustworthy value.
+
+const US_STATES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC',
+  florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL',
+  indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+  maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK',
+  oregon: 'OR', pennsylvania: 'PA', 'puerto rico': 'PR', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX',
+  utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA', 'west virginia': 'WV',
+  wisconsin: 'WI', wyoming: 'WY'
+};
+
+// Common AP-style abbreviations that show up in press releases
+const STATE_ABBREVIATIONS = {
+  'mass': 'MA', 'conn': 'CT', 'calif': 'CA', 'penn': 'PA', 'penna': 'PA',
+  'n.y': 'NY', 'n.j': 'NJ', 'n.h': 'NH', 'r.i': 'RI', 'd.c': 'DC',
+  'wash': 'WA', 'fla': 'FL', 'ill': 'IL', 'mich': 'MI', 'minn': 'MN'
+};
+
+const STATE_CODES = new Set(Object.values(US_STATES));
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+
+const AMOUNT_MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mm: 1e6, mil: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9
+};
+
+// Query parameters that only track the click and never identify a page
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|fbclid|mc_cid|mc_eid|ref|trk)$/i;
+
+// Phone numbers to E.164. Ten-digit numbers are assumed to be North American.
+function normalizePhone(value) {
+  const text = value.toString().trim();
+  const withoutExtension = text.split(/\s*(?:ext\.?|extension|x|#)\s*\d+$/i)[0];
+  const digits = withoutExtension.replace(/\D/g, '');
+
+  if (withoutExtension.trim().startsWith('+')) {
+    if (digits.length < 8 || digits.length > 15) {
+      return { error: 'Phone number must have 8 to 15 digits' };
+    }
+    return { value: `+${digits}` };
+  }
+
+  if (digits.length === 10) return { value: `+1${digits}` };
+  if (digits.length === 11 && digits.startsWith('1')) return { value: `+${digits}` };
+
+  return { error: 'Phone number is not a recognizable North American or international number' };
+}
+
+function normalizeEmail(value) {
+  const email = value.toString().trim().replace(/^mailto:/i, '').toLowerCase();
+  if (!/^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/.test(email)) {
+    return { error: 'Invalid email address' };
+  }
+  return { value: email };
+}
+
+function normalizeState(value) {
+  const text = value.toString().trim();
+  const key = text.toLowerCase().replace(/\.$/, '');
+
+  if (STATE_CODES.has(text.toUpperCase()) && text.length === 2) return { value: text.toUpperCase() };
+  if (US_STATES[key]) return { value: US_STATES[key] };
+  if (STATE_ABBREVIATIONS[key]) return { value: STATE_ABBREVIATIONS[key] };
+
+  return { error: 'Unknown US state' };
+}
+
+// "Boston, Massachusetts" -> "Boston, MA"; locations without a
+// recognizable state are left alone
+function normalizeLocation(value) {
+  const parts = value.toString().split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) return { value: value.toString().trim() };
+
+  const last = parts[parts.length - 1].replace(/\s+\d{5}(-\d{4})?$/, '');
+  const state = normalizeState(last);
+  if (state.error) return { value: parts.join(', ') };
+
+  return { value: [...parts.slice(0, -1), state.value].join(', ') };
+}
+
+// Canonical URL: https scheme, lowercase host without "www.", no
+// fragment, no tracking parameters, no trailing slash
+function normalizeUrl(value) {
+  const text = value.toString().trim();
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return { error: 'Invalid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+    return { error: 'Invalid URL' };
+  }
+
+  url.protocol = 'https:';
+  url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+  url.hash = '';
+  [...url.searchParams.keys()].forEach(key => {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  });
+
+  return { value: url.toString().replace(/\/(?=$|\?)/, '') };
+}
+
+// "$45M", "45 million dollars", "€3,500,000" -> { cents, currency }.
+// Ranges such as "$40-50M" resolve to their lower bound.
+function normalizeBudget(value) {
+  if (typeof value === 'number') {
+    return { value: { cents: Math.round(value * 100), currency: 'USD' } };
+  }
+
+  const text = value.toString().trim().toLowerCase();
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(sym => text.includes(sym));
+  const code = (text.match(/\b(usd|eur|gbp|cad|jpy)\b/) || [])[1];
+  const currency = code ? code.toUpperCase() : (symbol ? CURRENCY_SYMBOLS[symbol] : 'USD');
+
+  const match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:-|to|–)?\s*(?:\d[\d,]*(?:\.\d+)?)?\s*(k|thousand|mm|m|mil|million|bn|b|billion)?\b/);
+  if (!match) return { error: 'Budget does not contain an amount' };
+
+  const amount = parseFloat(match[1].replace(/,/g, ''));
+  const multiplier = match[2] ? AMOUNT_MULTIPLIERS[match[2]] : 1;
+  if (!Number.isFinite(amount) || amount <= 0) return { error: 'Budget amount must be positive' };
+
+  return { value: { cents: Math.round(amount * multiplier * 100), currency } };
+}
+
+// "circa 2004", "Founded in 1998" -> 2004, 1998
+function normalizeFoundedYear(value) {
+  const match = value.toString().match(/\b(1[6-9]\d\d|20\d\d)\b/);
+  if (!match) return { error: 'Founded year not found' };
+
+  const year = parseInt(match[1], 10);
+  if (year > new Date().getFullYear()) return { error: 'Founded year is in the future' };
+
+  return { value: year };
+}
+
+// Which normalizer applies to which field of which entity type
+const FIELD_NORMALIZERS = {
+  person: {
+    phone: normalizePhone,
+    email: normalizeEmail,
+    linkedin: normalizeUrl,
+    location: normalizeLocation
+  },
+  company: {
+    website: normalizeUrl,
+    state: normalizeState,
+    founded: normalizeFoundedYear,
+    headquarters: normalizeLocation
+  },
+  project: {
+    location: normalizeLocation,
+    budget: normalizeBudget
+  }
+};
+
+function isBlank(value) {
+  return value === null || value === undefined ||
+    (typeof value === 'string' && ['', 'n/a', 'na', 'none', 'unknown', 'null'].includes(value.trim().toLowerCase()));
+}
+
+// Normalize every known field of an extracted entity. Invalid values are
+// removed from the entity and reported in `errors` so they never reach
+// the database; `changes` lists values that were rewritten.
+function normalizeEntity(type, entity) {
+  const normalizers = FIELD_NORMALIZERS[type] || {};
+  const normalized = { ...entity };
+  const errors = {};
+  const changes = {};
+
+  Object.keys(normalized).forEach(field => {
+    if (isBlank(normalized[field])) {
+      delete normalized[field];
+    }
+  });
+
+  Object.entries(normalizers).forEach(([field, normalize]) => {
+    if (!(field in normalized)) return;
+
+    const original = normalized[field];
+    const result = normalize(original);
+
+    if (result.error) {
+      errors[field] = { value: original, message: result.error };
+      delete normalized[field];
+      return;
+    }
+
+    // Budgets keep their original text and gain numeric columns
+    if (field === 'budget') {
+      normalized.budget_cents = result.value.cents;
+      normalized.budget_currency = result.value.currency;
+      changes[field] = { from: original, to: result.value };
+      return;
+    }
+
+    if (result.value !== original) {
+      normalized[field] = result.value;
+      changes[field] = { from: original, to: result.value };
+    }
+  });
+
+  return { entity: normalized, errors, changes };
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeEmail,
+  normalizeState,
+  normalizeLocation,
+  normalizeUrl,
+  normalizeBudget,
+  normalizeFoundedYear,
+  normalizeEntity
+};
@@ -0,0 +1,38 @@
+// Errors the functions answer with a specific status. Whatever throws one
+// decides what the caller is told; createHandler (utils/http.js) turns it
+// into the shared error envelope. Anything else thrown is a 500.
+
+// Default machine-readable code for each status
+const ERROR_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+class HttpError extends Error {
+  // options: code (defaults by status), fields ([{ field, message }] for
+  // invalid input), details (anything else the client may act on) and
+  // headers to send with the response
+  constructor(statusCode, message, { code, fields, details, headers } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code || ERROR_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+    this.fields = fields;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  HttpError
+};
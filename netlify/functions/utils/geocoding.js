@@ -0,0 +1,159 @@
+// Geocoding of project locations and company headquarters, behind a
+// swappable adapter.
+//
+// GEOCODER_PROVIDER picks the adapter: "mapbox" (default when a Mapbox
+// token is set) or "gazetteer", which looks places up in a local JSON
+// file (GEOCODER_GAZETTEER_FILE, default fixtures/gazetteer.json) and
+// never touches the network.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GAZETTEER_FILE = path.join(__dirname, '..', 'fixtures', 'gazetteer.json');
+
+const METERS_PER_MILE = 1609.344;
+
+function normalizePlace(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const ADAPTERS = {
+  mapbox: {
+    source: 'mapbox',
+    async geocode(query) {
+      const token = process.env.MAPBOX_ACCESS_TOKEN || process.env.VITE_MAPBOX_ACCESS_TOKEN;
+      const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json` +
+        `?access_token=${token}&limit=1&country=us`;
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Mapbox geocoding error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const feature = (data.features || [])[0];
+      if (!feature) return null;
+
+      return {
+        lat: feature.center[1],
+        lng: feature.center[0],
+        label: feature.place_name,
+        confidence: feature.relevance
+      };
+    }
+  },
+
+  // Entries are { "name": "Cambridge, MA", "aliases": [...], "lat": ..., "lng": ... }.
+  // An exact name or alias match wins; otherwise the longest entry
+  // contained in the query ("100 Main St, Cambridge, MA" -> "Cambridge, MA").
+  gazetteer: {
+    source: 'gazetteer',
+    async geocode(query) {
+      const file = process.env.GEOCODER_GAZETTEER_FILE || DEFAULT_GAZETTEER_FILE;
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const wanted = normalizePlace(query);
+
+      let best = null;
+      entries.forEach(entry => {
+        [entry.name, ...(entry.aliases || [])].forEach(name => {
+          const candidate = normalizePlace(name);
+          if (!candidate) return;
+
+          if (candidate === wanted) {
+            if (!best || best.score < Infinity) best = { entry, score: Infinity };
+          } else if (` ${wanted} `.includes(` ${candidate} `) && (!best || candidate.length > best.score)) {
+            best = { entry, score: candidate.length };
+          }
+        });
+      });
+
+      if (!best) return null;
+      return {
+        lat: best.entry.lat,
+        lng: best.entry.lng,
+        label: best.entry.name,
+        confidence: best.score === Infinity ? 1 : 0.7
+      };
+    }
+  }
+};
+
+function getGeocoder() {
+  const hasMapboxToken = Boolean(process.env.MAPBOX_ACCESS_TOKEN || process.env.VITE_MAPBOX_ACCESS_TOKEN);
+  const name = process.env.GEOCODER_PROVIDER || (hasMapboxToken ? 'mapbox' : 'gazetteer');
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown GEOCODER_PROVIDER "${name}". Use mapbox or gazetteer.`);
+  }
+  return adapter;
+}
+
+// Resolves to { lat, lng, label, confidence, source } or null when the
+// place is unknown
+async function geocode(query) {
+  if (!query || !query.trim()) return null;
+
+  const adapter = getGeocoder();
+  const result = await adapter.geocode(query.trim());
+  return result ? { ...result, source: adapter.source } : null;
+}
+
+// The address text worth geocoding for a saved row, if any
+function geocodeQueryFor(type, record) {
+  if (type === 'project') {
+    return record.location || null;
+  }
+  if (type === 'company') {
+    return record.headquarters || [record.city, record.state].filter(Boolean).join(', ') || null;
+  }
+  return null;
+}
+
+// Geocode a saved project or company and store its coordinates. Skips
+// rows whose address text has not changed since the last lookup.
+// Failures are logged and swallowed so they never fail the save.
+async function refreshCoordinates(supabase, table, type, record) {
+  const query = record && record.id ? geocodeQueryFor(type, record) : null;
+  if (!query || query === record.geocode_query) return null;
+
+  try {
+    const location = await geocode(query);
+    const { error } = await supabase
+      .from(table)
+      .update({
+        latitude: location ? location.lat : null,
+        longitude: location ? location.lng : null,
+        geocode_query: query,
+        geocode_source: location ? location.source : null,
+        geocoded_at: new Date().toISOString()
+      })
+      .eq('id', record.id);
+
+    if (error) throw new Error(error.message);
+    return location;
+  } catch (error) {
+    console.warn(`Geocoding failed for ${table} ${record.id}:`, error.message);
+    return null;
+  }
+}
+
+// Great-circle distance in meters
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  METERS_PER_MILE,
+  geocode,
+  geocodeQueryFor,
+  refreshCoordinates,
+  distanceMeters
+};
@@ -0,0 +1,243 @@
+// Shared request handling for the Netlify functions: CORS, method
+// routing, caller authentication, request validation and one error
+// envelope.
+//
+//   exports.handler = createHandler({
+//     name: 'Research',                  // "Research request failed: ..." on a 500,
+//                                        // or failureMessage: 'Export failed'
+//     allowHeaders: ['X-Workspace-Id'],  // beyond Content-Type and Authorization
+//     methods: {
+//       GET: { query: { id: { type: 'string' } }, handle: async request => ({ success: true, ... }) },
+//       PATCH: { body: { tags: { type: 'array', items: { type: 'string' } } }, handle },
+//       POST: otherFunctionHandler       // forwarded as is
+//     }
+//   });
+//
+// A route may set:
+//   query     schema for the query string (see utils/schema.js)
+//   body      schema for a JSON body; invalid JSON or input is a 400
+//   rawBody   true to leave non-JSON bodies (audio) to the route
+//   response  schema the JSON response is checked against outside
+//             production; mismatches are logged, never sent
+//   auth      false for routes that run without a signed-in caller
+//   usage     metrics the route is rate limited by, checked before it
+//             runs (see utils/rate-limits.js)
+//   handle    async (request) => response body, or rawResponse(...)
+// onError(error, request) runs after unexpected errors, for failure
+// logging. Calls the route makes to paid services are metered (see
+// utils/usage-metering.js).
+// request is { event, context, method, headers (lower-cased), query,
+// body, user, token, supabase, responseHeaders }; body is null for raw
+// bodies and responseHeaders are added to whatever the route answers.
+// Throw HttpError for anything the caller should be told.
+//
+// Errors are always { success: false, error, code, fields?, details? }:
+// error is a readable message, code a stable machine-readable code,
+// fields lists invalid inputs as [{ field, message }].
+//
+// ALLOWED_ORIGINS is a comma-separated list of origins browsers may call
+// from ("https://app.example.com,https://*.netlify.app"); unset or "*"
+// allows any origin.
+const { HttpError } = require('./errors');
+const { AuthError, authenticateRequest } = require('./auth');
+const { validateBody, validateQuery } = require('./schema');
+const { RATE_LIMIT_HEADERS, enforceUsage } = require('./rate-limits');
+const { meterUsage } = require('./usage-metering');
+
+const BASE_ALLOWED_HEADERS = ['Content-Type', 'Authorization'];
+
+class RawResponse {
+  constructor({ statusCode = 200, headers = {}, body = '' }) {
+    this.statusCode = statusCode;
+    this.headers = headers;
+    this.body = body;
+  }
+}
+
+// A non-JSON response, such as a file download
+function rawResponse(response) {
+  return new RawResponse(response);
+}
+
+function allowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '*')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// "https://*.netlify.app" matches any subdomain of netlify.app over https
+function originMatches(pattern, origin) {
+  if (pattern === origin) return true;
+  if (!pattern.includes('*')) return false;
+  const expression = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]+');
+  return new RegExp(`^${expression}$`).test(origin);
+}
+
+// CORS headers for a request, and whether its origin may call at all.
+// Requests without an Origin header (servers, curl) are always allowed.
+function corsHeaders(origin, { methods, allowHeaders, exposeHeaders }) {
+  const origins = allowedOrigins();
+  const headers = {
+    'Access-Control-Allow-Headers': [...BASE_ALLOWED_HEADERS, ...allowHeaders].join(', '),
+    'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', ')
+  };
+  if (exposeHeaders.length > 0) {
+    headers['Access-Control-Expose-Headers'] = exposeHeaders.join(', ');
+  }
+
+  if (origins.includes('*')) {
+    headers['Access-Control-Allow-Origin'] = '*';
+    return { headers, allowed: true };
+  }
+
+  headers.Vary = 'Origin';
+  const allowed = !origin || origins.some(pattern => originMatches(pattern, origin));
+  if (origin && allowed) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+  return { headers, allowed };
+}
+
+function errorBody(error) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    fields: error.fields,
+    details: error.details
+  };
+}
+
+function lowerCaseHeaders(headers) {
+  const lowered = {};
+  Object.keys(headers || {}).forEach(name => { lowered[name.toLowerCase()] = headers[name]; });
+  return lowered;
+}
+
+// Outside production, warn when a JSON response drifts from its schema
+function checkResponse(name, method, schema, body) {
+  if (!schema || process.env.NODE_ENV === 'production') return;
+  const { errors } = validateBody(schema, body);
+  if (errors.length > 0) {
+    console.warn(`⚠️ ${name} ${method} response does not match its schema:`, errors);
+  }
+}
+
+function createHandler({ name, failureMessage, methods: routes, allowHeaders = [], exposeHeaders = [], onError }) {
+  const methods = Object.keys(routes);
+  // Routes may also enforce limits themselves, so the headers are always readable
+  const exposed = [...exposeHeaders, ...RATE_LIMIT_HEADERS];
+
+  return async (event, context) => {
+    const requestHeaders = lowerCaseHeaders(event.headers);
+    const cors = corsHeaders(requestHeaders.origin, { methods, allowHeaders, exposeHeaders: exposed });
+    const jsonHeaders = { ...cors.headers, 'Content-Type': 'application/json' };
+    const responseHeaders = {};
+    const fail = error => ({
+      statusCode: error.statusCode,
+      headers: { ...jsonHeaders, ...responseHeaders, ...(error.headers || {}) },
+      body: JSON.stringify(errorBody(error))
+    });
+
+    if (!cors.allowed) {
+      return fail(new HttpError(403, `Origin ${requestHeaders.origin} is not allowed`, { code: 'ORIGIN_NOT_ALLOWED' }));
+    }
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers: jsonHeaders, body: '' };
+    }
+
+    const route = routes[event.httpMethod];
+    if (!route) {
+      return fail(new HttpError(405, 'Method not allowed', { headers: { Allow: methods.join(', ') } }));
+    }
+
+    // Another function's handler answers this method
+    if (typeof route === 'function') {
+      return route(event, context);
+    }
+
+    const request = {
+      event,
+      context,
+      method: event.httpMethod,
+      headers: requestHeaders,
+      query: event.queryStringParameters || {},
+      body: null,
+      responseHeaders
+    };
+
+    try {
+      if (route.auth !== false) {
+        // Act as the caller so row-level security scopes every query to them
+        Object.assign(request, await authenticateRequest(event));
+      }
+
+      if (route.query) {
+        const { value, errors } = validateQuery(route.query, request.query);
+        if (errors.length > 0) {
+          throw new HttpError(400, errors.map(error => error.message).join('; '), { code: 'VALIDATION_FAILED', fields: errors });
+        }
+        request.query = value;
+      }
+
+      const contentType = requestHeaders['content-type'] || '';
+      const isJson = contentType.includes('application/json') || (!route.rawBody && Boolean(route.body));
+      if (route.body && isJson) {
+        let parsed;
+        try {
+          parsed = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+          throw new HttpError(400, `Request body is not valid JSON: ${parseError.message}`, { code: 'INVALID_JSON' });
+        }
+
+        const { value, errors } = validateBody(route.body, parsed);
+        if (errors.length > 0) {
+          throw new HttpError(400, errors.map(error => error.message).join('; '), { code: 'VALIDATION_FAILED', fields: errors });
+        }
+        request.body = value;
+      }
+
+      if (route.usage) {
+        await enforceUsage(request, route.usage);
+      }
+
+      const result = await meterUsage(request, () => route.handle(request));
+
+      if (result instanceof RawResponse) {
+        return { statusCode: result.statusCode, headers: { ...cors.headers, ...responseHeaders, ...result.headers }, body: result.body };
+      }
+
+      checkResponse(name, event.httpMethod, route.response, result);
+      return { statusCode: 200, headers: { ...jsonHeaders, ...responseHeaders }, body: JSON.stringify(result) };
+
+    } catch (error) {
+      if (error instanceof HttpError) {
+        if (!(error instanceof AuthError) && error.statusCode >= 500) {
+          console.error(`${name} error:`, error);
+        }
+        return fail(error);
+      }
+
+      console.error(`${name} error:`, error);
+
+      if (onError) {
+        try {
+          await onError(error, request);
+        } catch (hookError) {
+          console.warn(`${name} error hook failed:`, hookError.message);
+        }
+      }
+
+      return fail(new HttpError(500, `${failureMessage || `${name} request failed`}: ${error.message}`));
+    }
+  };
+}
+
+module.exports = {
+  HttpError,
+  rawResponse,
+  createHandler
+};
@@ -0,0 +1,56 @@
+// Structural diff of two JSON values. Objects are compared key by key
+// and arrays index by index; paths read like "research_data.contacts[0].email".
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function walk(before, after, path, diff) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      if (!(key in after)) {
+        diff.removed.push({ path: childPath(path, key), value: before[key] });
+      } else if (!(key in before)) {
+        diff.added.push({ path: childPath(path, key), value: after[key] });
+      } else {
+        walk(before[key], after[key], childPath(path, key), diff);
+      }
+    });
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      if (i >= after.length) {
+        diff.removed.push({ path: childPath(path, i), value: before[i] });
+      } else if (i >= before.length) {
+        diff.added.push({ path: childPath(path, i), value: after[i] });
+      } else {
+        walk(before[i], after[i], childPath(path, i), diff);
+      }
+    }
+    return;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    diff.changed.push({ path: path || '$', from: before, to: after });
+  }
+}
+
+// { added: [{ path, value }], removed: [{ path, value }], changed: [{ path, from, to }] }
+function diffJson(before, after) {
+  const diff = { added: [], removed: [], changed: [] };
+  walk(before, after, '', diff);
+  return diff;
+}
+
+module.exports = {
+  diffJson
+};
@@ -0,0 +1,185 @@
+// Pluggable LLM providers shared by the Netlify functions.
+//
+// Each endpoint resolves an ordered provider chain from configuration:
+//   LLM_PROVIDERS_<ENDPOINT>  e.g. LLM_PROVIDERS_ENTITIES_CREATE_FROM_TEXT
+//   LLM_PROVIDERS             default for every endpoint
+// Both take a comma-separated list of provider:model pairs, tried in
+// order until one succeeds, e.g. "anthropic:claude-3-haiku-20240307,openai:gpt-4o-mini".
+// The "local" provider answers from fixture files and never touches the
+// network, so pipelines can run offline.
+const fs = require('fs');
+const path = require('path');
+const { recordCall } = require('./usage-metering');
+
+const DEFAULT_CHAIN = 'anthropic:claude-3-haiku-20240307,openai:gpt-4o-mini';
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+// Rough token estimate for providers that do not report usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+const PROVIDERS = {
+  anthropic: {
+    defaultModel: 'claude-3-haiku-20240307',
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+    async complete({ model, prompt, system, maxTokens, temperature }) {
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          ...(system ? { system } : {}),
+          messages: [{ role: 'user', content: prompt }]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Anthropic API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.content[0].text,
+        usage: {
+          inputTokens: data.usage ? data.usage.input_tokens : estimateTokens(prompt),
+          outputTokens: data.usage ? data.usage.output_tokens : estimateTokens(data.content[0].text)
+        }
+      };
+    }
+  },
+
+  openai: {
+    defaultModel: 'gpt-4o-mini',
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    async complete({ model, prompt, system, maxTokens, temperature }) {
+      const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const text = data.choices[0].message.content;
+      return {
+        text,
+        usage: {
+          inputTokens: data.usage ? data.usage.prompt_tokens : estimateTokens(prompt),
+          outputTokens: data.usage ? data.usage.completion_tokens : estimateTokens(text)
+        }
+      };
+    }
+  },
+
+  // Answers from JSON fixtures in LLM_FIXTURES_DIR. A fixture is
+  //   { "name": "...", "match": ["text that must appear in the prompt"], "response": {...} | "..." }
+  // and the first fixture (by file name) whose strings all appear in the
+  // prompt wins. Object responses are returned as JSON text.
+  local: {
+    defaultModel: 'fixtures',
+    isConfigured: () => true,
+    async complete({ prompt }) {
+      const fixture = loadFixtures().find(candidate =>
+        (candidate.match || []).every(text => prompt.includes(text))
+      );
+
+      if (!fixture) {
+        throw new Error('Local LLM error: no fixture matches this prompt');
+      }
+
+      const text = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+      return {
+        text,
+        fixture: fixture.name,
+        usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+      };
+    }
+  }
+};
+
+function loadFixtures() {
+  const dir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ name: file, ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+}
+
+// "entities-create-from-text" -> "LLM_PROVIDERS_ENTITIES_CREATE_FROM_TEXT"
+function endpointConfigKey(endpoint) {
+  return `LLM_PROVIDERS_${endpoint.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+// Resolve the ordered list of { provider, model } to try for an endpoint.
+// Unknown and unconfigured providers are dropped.
+function resolveProviderChain(endpoint) {
+  const config = process.env[endpointConfigKey(endpoint)] || process.env.LLM_PROVIDERS || DEFAULT_CHAIN;
+
+  return config
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [provider, ...modelParts] = entry.split(':');
+      const definition = PROVIDERS[provider];
+      return definition ? { provider, model: modelParts.join(':') || definition.defaultModel } : null;
+    })
+    .filter(step => step && PROVIDERS[step.provider].isConfigured());
+}
+
+// Run a completion for an endpoint, falling back along its provider
+// chain. Resolves to { text, provider, model, usage, latencyMs, attempts }.
+// Every attempt is metered, failed ones included.
+async function complete(endpoint, { prompt, system, maxTokens = 1000, temperature = 0.1 }) {
+  const chain = resolveProviderChain(endpoint);
+  if (chain.length === 0) {
+    throw new Error(`No LLM provider configured for ${endpoint}. Set ${endpointConfigKey(endpoint)} or LLM_PROVIDERS.`);
+  }
+
+  const attempts = [];
+  for (const { provider, model } of chain) {
+    const startedAt = Date.now();
+    try {
+      const result = await PROVIDERS[provider].complete({ model, prompt, system, maxTokens, temperature });
+      const latencyMs = Date.now() - startedAt;
+      recordCall({ operation: 'completion', provider, model }, result.usage, { latencyMs });
+      return { ...result, provider, model, latencyMs, attempts };
+    } catch (error) {
+      console.warn(`LLM provider ${provider}:${model} failed for ${endpoint}:`, error.message);
+      recordCall({ operation: 'completion', provider, model }, {}, { latencyMs: Date.now() - startedAt, error });
+      attempts.push({ provider, model, error: error.message });
+    }
+  }
+
+  throw new Error(`All LLM providers failed: ${attempts.map(attempt => `${attempt.provider} (${attempt.error})`).join('; ')}`);
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveProviderChain,
+  complete
+};
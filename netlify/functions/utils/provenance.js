@@ -0,0 +1,189 @@
+// Per-field provenance for AI-extracted entities: where in the pasted
+// text or scraped pages each value was found, and how sure we are of it
+
+// Fields that describe the record itself rather than the entity
+const UNTRACED_FIELDS = [
+  'confidence', 'type', 'source', 'created_at', 'raw_input', 'source_urls',
+  'scraping_metadata', 'field_provenance'
+];
+
+// Confidence given to a value depending on how it was found
+const MATCH_CONFIDENCE = {
+  input: 0.95,
+  scraped: 0.85,
+  unverified: 0.2
+};
+
+// A paraphrase needs at least this share of its words in one sentence
+const PARAPHRASE_THRESHOLD = 0.6;
+
+const SNIPPET_RADIUS = 60;
+
+// The texts a value may legitimately have come from: the caller's input
+// and each scraped page
+function buildSourceDocuments(input, scrapedData) {
+  const documents = [{ type: 'input', text: input || '' }];
+
+  (scrapedData || []).forEach(page => {
+    const text = page.markdown || page.content || '';
+    if (!text) return;
+    documents.push({
+      type: 'scraped',
+      url: page.url || (page.metadata && (page.metadata.sourceURL || page.metadata.url)) || null,
+      text
+    });
+  });
+
+  return documents;
+}
+
+function snippetAround(text, start, end) {
+  const from = Math.max(0, start - SNIPPET_RADIUS);
+  const to = Math.min(text.length, end + SNIPPET_RADIUS);
+  return `${from > 0 ? '…' : ''}${text.substring(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build a pattern that finds the value in running text. Phone numbers
+// match on their digits whatever the punctuation; URLs match without
+// scheme or "www."; everything else matches case-insensitively with
+// flexible whitespace.
+function valuePattern(field, value) {
+  const text = value.toString().trim();
+  if (!text) return null;
+
+  if (field === 'phone') {
+    const digits = text.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    if (digits.length < 7) return null;
+    return new RegExp(digits.split('').join('\\D{0,3}'));
+  }
+
+  if (/^https?:\/\//i.test(text) || field === 'website' || field === 'linkedin') {
+    const bare = text.replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/$/, '');
+    return new RegExp(escapeRegExp(bare), 'i');
+  }
+
+  return new RegExp(text.split(/\s+/).map(escapeRegExp).join('\\s+'), 'i');
+}
+
+// Share of the value's meaningful words that appear in the best single
+// sentence of the document, for summaries the model wrote in its own words
+function findParaphrase(value, document) {
+  const words = value.toLowerCase().match(/[a-z0-9]{4,}/g) || [];
+  if (words.length < 3) return null;
+
+  let best = null;
+  const sentencePattern = /[^.!?\n]+[.!?\n]?/g;
+  let match;
+  while ((match = sentencePattern.exec(document.text)) !== null) {
+    const sentence = match[0].toLowerCase();
+    const overlap = words.filter(word => sentence.includes(word)).length / words.length;
+    if (!best || overlap > best.overlap) {
+      best = { overlap, start: match.index, end: match.index + match[0].length };
+    }
+    if (match[0].length === 0) sentencePattern.lastIndex++;
+  }
+
+  return best && best.overlap >= PARAPHRASE_THRESHOLD ? best : null;
+}
+
+function describeSource(document, start, end) {
+  const source = { type: document.type, snippet: snippetAround(document.text, start, end) };
+  if (document.type === 'input') {
+    source.start = start;
+    source.end = end;
+  } else {
+    source.url = document.url;
+  }
+  return source;
+}
+
+// Trace one scalar value through the documents, preferring exact matches
+// in the input over scraped pages over paraphrases
+function traceValue(field, value, documents) {
+  const pattern = valuePattern(field, value);
+  const sources = [];
+
+  if (pattern) {
+    documents.forEach(document => {
+      const match = pattern.exec(document.text);
+      if (match) {
+        sources.push(describeSource(document, match.index, match.index + match[0].length));
+      }
+    });
+  }
+
+  if (sources.length > 0) {
+    const confidence = sources.some(source => source.type === 'input') ? MATCH_CONFIDENCE.input : MATCH_CONFIDENCE.scraped;
+    return { verified: true, match: 'exact', confidence, sources };
+  }
+
+  if (typeof value === 'string') {
+    for (const document of documents) {
+      const paraphrase = findParaphrase(value, document);
+      if (paraphrase) {
+        return {
+          verified: true,
+          match: 'paraphrase',
+          confidence: Number((0.4 + 0.4 * paraphrase.overlap).toFixed(2)),
+          sources: [describeSource(document, paraphrase.start, paraphrase.end)]
+        };
+      }
+    }
+  }
+
+  return { verified: false, match: 'none', confidence: MATCH_CONFIDENCE.unverified, sources: [] };
+}
+
+// Trace every field of an extracted entity. Returns a map of
+// field -> { value, verified, match, confidence, sources } plus the list
+// of fields that could not be found in any source text.
+function traceEntityFields(entity, documents) {
+  const provenance = {};
+  const unverified = [];
+
+  Object.entries(entity).forEach(([field, value]) => {
+    if (UNTRACED_FIELDS.includes(field) || value === null || value === undefined || value === '') return;
+    if (typeof value === 'object' && !Array.isArray(value)) return;
+
+    let trace;
+    if (Array.isArray(value)) {
+      const items = value.filter(item => item !== null && item !== undefined && item !== '');
+      if (items.length === 0) return;
+
+      const traces = items.map(item => traceValue(field, item, documents));
+      trace = {
+        verified: traces.every(itemTrace => itemTrace.verified),
+        match: traces.every(itemTrace => itemTrace.match === 'exact') ? 'exact' : 'partial',
+        confidence: Number((traces.reduce((sum, itemTrace) => sum + itemTrace.confidence, 0) / traces.length).toFixed(2)),
+        sources: traces.flatMap(itemTrace => itemTrace.sources),
+        items: items.map((item, i) => ({ value: item, verified: traces[i].verified, confidence: traces[i].confidence }))
+      };
+    } else {
+      trace = traceValue(field, value, documents);
+    }
+
+    provenance[field] = { value, ...trace };
+    if (!trace.verified) unverified.push(field);
+  });
+
+  return { provenance, unverified };
+}
+
+// Keep provenance only for fields that survived normalization
+function pickProvenance(provenance, entity) {
+  const picked = {};
+  Object.keys(provenance).forEach(field => {
+    if (field in entity) picked[field] = provenance[field];
+  });
+  return picked;
+}
+
+module.exports = {
+  buildSourceDocuments,
+  traceEntityFields,
+  pickProvenance
+};
@@ -0,0 +1,131 @@
+// Rate limits and cost quotas for the functions that call paid services.
+// Limits live in usage_limits and are counted atomically by the
+// consume_usage database function, per user and per workspace (see
+// supabase/migrations/20261020000000_usage_limits.sql).
+//
+// A route lists the metrics it is limited by, e.g.
+//   POST: { usage: ['requests', 'llm_tokens'], handle }
+// createHandler then counts one request and checks the other quotas are
+// not used up before the route runs; the route records what the work
+// actually used with recordUsage(request, 'llm_tokens', tokens).
+//
+// Every limited response carries the RateLimit-Limit, RateLimit-Remaining,
+// RateLimit-Reset and RateLimit-Policy headers for the tightest request
+// limit. A used-up limit is a 429 with Retry-After. Limits cannot be
+// checked when the database call fails; the request then goes ahead.
+const { HttpError } = require('./errors');
+const { UUID_PATTERN, requestedWorkspaceId } = require('./workspaces');
+
+const PERIOD_SECONDS = {
+  minute: 60,
+  hour: 3600,
+  day: 86400
+};
+
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+// Count `amount` against the caller's limits for a metric. Resolves to
+// the consume_usage rows, or null when limits could not be checked.
+async function consumeUsage(request, metric, amount, { enforce = true } = {}) {
+  const requested = requestedWorkspaceId(request.event);
+  const { data, error } = await request.supabase.rpc('consume_usage', {
+    target_metric: metric,
+    amount,
+    target_workspace: requested && UUID_PATTERN.test(requested) ? requested : null,
+    enforce
+  });
+
+  if (error) {
+    console.warn(`Usage limit check failed for ${metric}:`, error.message);
+    return null;
+  }
+  return data || [];
+}
+
+function secondsUntil(time) {
+  return Math.max(Math.ceil((new Date(time).getTime() - Date.now()) / 1000), 0);
+}
+
+// Length of the window that ends at `resetsAt`. Windows follow the UTC
+// calendar like consume_usage's date_trunc, so a month is as long as
+// the month it covers.
+function windowSeconds(period, resetsAt) {
+  if (period !== 'month') return PERIOD_SECONDS[period];
+
+  const end = new Date(resetsAt);
+  const start = Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 1, 1);
+  return Math.round((end.getTime() - start) / 1000);
+}
+
+// The headers describing the tightest of a metric's limits
+function rateLimitHeaders(limits) {
+  if (limits.length === 0) return {};
+
+  const tightest = limits.reduce((best, limit) => (Number(limit.remaining) < Number(best.remaining) ? limit : best));
+  return {
+    'RateLimit-Limit': String(Number(tightest.limit_max)),
+    'RateLimit-Remaining': String(Number(tightest.remaining)),
+    'RateLimit-Reset': String(secondsUntil(tightest.resets_at)),
+    'RateLimit-Policy': limits
+      .map(limit => `${Number(limit.limit_max)};w=${windowSeconds(limit.limit_period, limit.resets_at)}`)
+      .join(', ')
+  };
+}
+
+// 429 for the limits that had no room, retrying once the last of them resets
+function limitExceeded(metric, limits, headers) {
+  const exceeded = limits.filter(limit => !limit.allowed);
+  const retryAfter = Math.max(...exceeded.map(limit => secondsUntil(limit.resets_at)), 1);
+  const described = exceeded.map(limit => `${limit.limit_scope} ${metric.replace('_', ' ')} per ${limit.limit_period} (${Number(limit.limit_max)})`);
+
+  return new HttpError(429, `Limit reached: ${described.join(', ')}. Retry in ${retryAfter} seconds`, {
+    code: metric === 'requests' ? 'RATE_LIMITED' : 'QUOTA_EXCEEDED',
+    details: {
+      metric,
+      limits: exceeded.map(limit => ({
+        scope: limit.limit_scope,
+        period: limit.limit_period,
+        limit: Number(limit.limit_max),
+        used: Number(limit.used),
+        resetsAt: limit.resets_at
+      }))
+    },
+    headers: { ...headers, 'Retry-After': String(retryAfter) }
+  });
+}
+
+// Count this request and check that the route's other quotas have room.
+// Sets the rate-limit headers on request.responseHeaders; throws
+// HttpError 429 when a limit is used up.
+async function enforceUsage(request, metrics) {
+  for (const metric of metrics) {
+    const limits = await consumeUsage(request, metric, metric === 'requests' ? 1 : 0);
+    if (!limits) continue;
+
+    const headers = metric === 'requests' ? rateLimitHeaders(limits) : {};
+    Object.assign(request.responseHeaders, headers);
+
+    if (limits.some(limit => !limit.allowed)) {
+      throw limitExceeded(metric, limits, request.responseHeaders);
+    }
+  }
+}
+
+// Record usage known only once the work is done. It always counts, so a
+// request may overshoot a quota; the next one is refused.
+async function recordUsage(request, metric, amount) {
+  if (!(amount > 0)) return;
+  await consumeUsage(request, metric, Math.round(amount * 1000) / 1000, { enforce: false });
+}
+
+// Total tokens of an llm-providers usage block
+function llmTokens(usage) {
+  return usage ? (usage.inputTokens || 0) + (usage.outputTokens || 0) : 0;
+}
+
+module.exports = {
+  RATE_LIMIT_HEADERS,
+  enforceUsage,
+  recordUsage,
+  llmTokens
+};
@@ -0,0 +1,609 @@
+// Rendering saved research for people outside the app: a Markdown
+// dossier, a CSV sheet, or a JSON bundle that api-research-import can
+// load into another database.
+const { ENTITY_RULES, resolveEntity } = require('./entity-extraction');
+const { refreshEmbedding } = require('./embeddings');
+
+const BUNDLE_FORMAT = 'o3-research-bundle';
+const BUNDLE_VERSION = 1;
+
+// Database-internal columns that mean nothing outside this database
+const INTERNAL_COLUMNS = ['embedding', 'embedding_model', 'search_vector'];
+
+function stripInternalColumns(row) {
+  const copy = { ...row };
+  INTERNAL_COLUMNS.forEach(column => { delete copy[column]; });
+  return copy;
+}
+
+// Research entity_type is free text: accept "company" as well as "companies"
+function entityTypeOf(value) {
+  const text = (value || '').toLowerCase();
+  return Object.keys(ENTITY_RULES).find(type => type === text || ENTITY_RULES[type].table === text) || null;
+}
+
+// Rows of `type` in the workspace whose `field` is one of `values`
+async function loadRowsIn(supabase, type, field, values, workspaceId) {
+  const rules = ENTITY_RULES[type];
+  if (values.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(rules.table)
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .in(field, values);
+  if (error) {
+    throw new Error(`Linked ${rules.table} lookup failed: ${error.message}`);
+  }
+  return data || [];
+}
+
+// Find the entity each research record is about, by type and exact name,
+// plus every entity directly related to it, all within workspace
+// `workspaceId`. One query per entity type finds the subjects, one finds
+// their relationships and one per type loads the related entities.
+// Resolves to { entities: { people, companies, projects }, relationships, links },
+// where links maps a research id to [{ type, id, name, relation }].
+async function loadLinkedEntities(supabase, records, workspaceId) {
+  const entities = { people: new Map(), companies: new Map(), projects: new Map() };
+  const links = {};
+  records.forEach(record => { links[record.id] = []; });
+
+  const remember = (type, row) => {
+    entities[ENTITY_RULES[type].collection].set(String(row.id), stripInternalColumns(row));
+  };
+  const entityTypes = Object.keys(ENTITY_RULES);
+
+  // The first row with each name is the subject
+  const subjects = new Map();
+  for (const type of entityTypes) {
+    const nameField = ENTITY_RULES[type].nameField;
+    const names = [...new Set(records
+      .filter(record => record.entity_name && entityTypeOf(record.entity_type) === type)
+      .map(record => record.entity_name))];
+
+    (await loadRowsIn(supabase, type, nameField, names, workspaceId)).forEach(row => {
+      const key = `${type}:${row[nameField]}`;
+      if (!subjects.has(key)) subjects.set(key, row);
+    });
+  }
+
+  const subjectIds = {};
+  records.forEach(record => {
+    const type = entityTypeOf(record.entity_type);
+    const subject = subjects.get(`${type}:${record.entity_name}`);
+    if (!subject) return;
+
+    remember(type, subject);
+    (subjectIds[type] = subjectIds[type] || new Set()).add(String(subject.id));
+    links[record.id].push({ type, id: String(subject.id), name: subject[ENTITY_RULES[type].nameField], relation: 'subject' });
+  });
+
+  const endpointFilters = Object.entries(subjectIds).flatMap(([type, ids]) => {
+    const list = [...ids].map(id => `"${id}"`).join(',');
+    return [
+      `and(source_type.eq.${type},source_id.in.(${list}))`,
+      `and(target_type.eq.${type},target_id.in.(${list}))`
+    ];
+  });
+
+  let relationships = [];
+  if (endpointFilters.length > 0) {
+    const { data, error } = await supabase
+      .from('entity_relationships')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .or(endpointFilters.join(','));
+    if (error) {
+      throw new Error(`Relationship lookup failed: ${error.message}`);
+    }
+    relationships = data || [];
+  }
+
+  // Entities at the far end of each subject's relationships, by research id
+  const related = {};
+  records.forEach(record => {
+    const subjectLink = links[record.id][0];
+    if (!subjectLink) return;
+
+    related[record.id] = relationships.flatMap(relationship => {
+      const isSource = relationship.source_type === subjectLink.type && relationship.source_id === subjectLink.id;
+      const isTarget = relationship.target_type === subjectLink.type && relationship.target_id === subjectLink.id;
+      if (isSource) return [{ type: relationship.target_type, id: relationship.target_id, relation: relationship.relation }];
+      if (isTarget) return [{ type: relationship.source_type, id: relationship.source_id, relation: relationship.relation }];
+      return [];
+    });
+  });
+
+  const relatedRows = new Map();
+  for (const type of entityTypes) {
+    const ids = [...new Set(Object.values(related).flat().filter(item => item.type === type).map(item => item.id))];
+    (await loadRowsIn(supabase, type, 'id', ids, workspaceId)).forEach(row => {
+      remember(type, row);
+      relatedRows.set(`${type}:${row.id}`, row);
+    });
+  }
+
+  Object.entries(related).forEach(([researchId, items]) => {
+    items.forEach(item => {
+      const row = relatedRows.get(`${item.type}:${item.id}`);
+      if (row) links[researchId].push({ ...item, name: row[ENTITY_RULES[item.type].nameField] });
+    });
+  });
+
+  return {
+    entities: {
+      people: [...entities.people.values()],
+      companies: [...entities.companies.values()],
+      projects: [...entities.projects.values()]
+    },
+    relationships: relationships.map(({ id, ...relationship }) => relationship),
+    links
+  };
+}
+
+// "project_budget" -> "Project budget"
+function humanizeKey(key) {
+  const text = String(key).replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim().toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
+// One-line text for a bullet
+function formatScalar(value) {
+  if (value === null || value === undefined) return '—';
+  return String(value).replace(/\s*\n\s*/g, ' ');
+}
+
+// research_data as nested Markdown bullets
+function renderMarkdownValue(value, depth = 0) {
+  const indent = '  '.repeat(depth);
+
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) {
+      return [`${indent}- ${value.map(formatScalar).join(', ')}`];
+    }
+    return value.flatMap((item, i) => (isScalar(item)
+      ? [`${indent}- ${formatScalar(item)}`]
+      : [`${indent}- Item ${i + 1}`, ...renderMarkdownValue(item, depth + 1)]));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => {
+      if (isScalar(item)) return [`${indent}- **${humanizeKey(key)}:** ${formatScalar(item)}`];
+      if (Array.isArray(item) && item.every(isScalar)) return [`${indent}- **${humanizeKey(key)}:** ${item.map(formatScalar).join(', ')}`];
+      return [`${indent}- **${humanizeKey(key)}**`, ...renderMarkdownValue(item, depth + 1)];
+    });
+  }
+
+  return [`${indent}- ${formatScalar(value)}`];
+}
+
+// "Title — Publisher. https://… (retrieved 2026-10-19)"
+function describeCitation(citation) {
+  const label = [citation.title, citation.publisher].filter(Boolean).join(' — ');
+  const retrieved = citation.fetched_at ? ` (retrieved ${String(citation.fetched_at).substring(0, 10)})` : '';
+  return `${label ? `${label}. ` : ''}${citation.url}${retrieved}`;
+}
+
+// Citations of a record, falling back to plain source URLs for records
+// saved before citations existed
+function recordCitations(record) {
+  if (record.citations && record.citations.length > 0) return record.citations;
+  return (record.sources || []).map(source => ({ url: source, canonical_url: source }));
+}
+
+// A dossier with one section per record and one numbered source list;
+// each record cites its sources by number
+function renderMarkdown(records, linked, { exportedAt }) {
+  const sourceNumbers = new Map();
+  const numberFor = citation => {
+    const key = citation.canonical_url || citation.url;
+    if (!sourceNumbers.has(key)) {
+      sourceNumbers.set(key, { number: sourceNumbers.size + 1, text: describeCitation(citation) });
+    }
+    return sourceNumbers.get(key).number;
+  };
+
+  const lines = [
+    '# Research dossier',
+    '',
+    `Exported ${exportedAt} · ${records.length} record${records.length === 1 ? '' : 's'}`,
+    ''
+  ];
+
+  records.forEach((record, i) => {
+    lines.push(`## ${i + 1}. ${record.entity_name} (${record.entity_type})`, '');
+
+    const facts = [];
+    if (record.updated_at || record.created_at) facts.push(`Saved ${record.updated_at || record.created_at}`);
+    if (record.confidence_score !== null && record.confidence_score !== undefined) {
+      facts.push(`Confidence ${Math.round(Number(record.confidence_score) * 100)}%`);
+    }
+    if (record.tags && record.tags.length > 0) facts.push(`Tags: ${record.tags.join(', ')}`);
+    if (facts.length > 0) lines.push(facts.join(' · '), '');
+
+    if (record.notes) {
+      lines.push(`> ${record.notes.replace(/\n/g, '\n> ')}`, '');
+    }
+
+    lines.push('### Findings', '', ...renderMarkdownValue(record.research_data || {}), '');
+
+    const recordLinks = (linked.links[record.id] || []).filter(link => link.relation !== 'subject');
+    if (recordLinks.length > 0) {
+      lines.push('### Linked entities', '');
+      recordLinks.forEach(link => {
+        lines.push(`- **${link.name}** (${link.type}) — ${link.relation.replace(/_/g, ' ')}`);
+      });
+      lines.push('');
+    }
+
+    const citations = recordCitations(record);
+    if (citations.length > 0) {
+      lines.push(`Sources: ${citations.map(citation => `[${numberFor(citation)}]`).join(' ')}`, '');
+    }
+  });
+
+  if (sourceNumbers.size > 0) {
+    lines.push('## Sources', '');
+    sourceNumbers.forEach(({ number, text }) => lines.push(`${number}. ${text}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Flatten research_data into "a.b.c" columns. Lists of plain values
+// become one "; "-joined cell; lists of objects are indexed ("contacts.0.name").
+function flattenValue(value, prefix, row) {
+  if (Array.isArray(value) && value.every(isScalar)) {
+    row[prefix] = value.join('; ');
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => flattenValue(item, `${prefix}.${key}`, row));
+  } else {
+    row[prefix] = value;
+  }
+}
+
+// RFC 4180 quoting. Cells that a spreadsheet would run as a formula are
+// prefixed with an apostrophe.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  'id', 'entity_type', 'entity_name', 'user_id', 'confidence_score', 'tags', 'notes',
+  'created_at', 'updated_at', 'sources'
+];
+
+// One row per record; research_data columns follow the fixed ones, sorted
+function renderCsv(records) {
+  const rows = records.map(record => {
+    const row = {
+      id: record.id,
+      entity_type: record.entity_type,
+      entity_name: record.entity_name,
+      user_id: record.user_id,
+      confidence_score: record.confidence_score,
+      tags: (record.tags || []).join('; '),
+      notes: record.notes,
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+      sources: (record.sources || []).join('; ')
+    };
+    flattenValue(record.research_data || {}, 'research_data', row);
+    return row;
+  });
+
+  const dataColumns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+    .filter(column => !CSV_COLUMNS.includes(column))
+    .sort();
+  const columns = [...CSV_COLUMNS, ...dataColumns];
+
+  return [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+function buildBundle(records, linked, { exportedAt }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt,
+    research: records.map(({ storage, current_version, ...record }) => stripInternalColumns(record)),
+    entities: linked.entities,
+    relationships: linked.relationships
+  };
+}
+
+// Problems with a bundle's shape, as a list of messages
+function validateBundle(bundle) {
+  const problems = [];
+  if (!bundle || typeof bundle !== 'object') {
+    return ['Bundle must be a JSON object'];
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    problems.push(`format must be "${BUNDLE_FORMAT}"`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    problems.push(`version must be between 1 and ${BUNDLE_VERSION}`);
+  }
+  if (!Array.isArray(bundle.research)) {
+    problems.push('research must be an array');
+  } else {
+    bundle.research.forEach((record, i) => {
+      if (!record || !record.id || !record.entity_type || !record.entity_name || !record.research_data) {
+        problems.push(`research[${i}] needs id, entity_type, entity_name and research_data`);
+      }
+    });
+  }
+  Object.keys(ENTITY_RULES).forEach(type => {
+    const collection = ENTITY_RULES[type].collection;
+    const rows = (bundle.entities || {})[collection];
+    if (rows !== undefined && !Array.isArray(rows)) {
+      problems.push(`entities.${collection} must be an array`);
+    }
+  });
+  if (bundle.relationships !== undefined && !Array.isArray(bundle.relationships)) {
+    problems.push('relationships must be an array');
+  }
+  return problems;
+}
+
+// Columns recomputed by the importing database rather than copied
+const IMPORT_OMIT_COLUMNS = [
+  'id', 'created_at', 'updated_at', 'latitude', 'longitude', 'geocode_query',
+  'geocode_source', 'geocoded_at', ...INTERNAL_COLUMNS
+];
+
+// Find the local row an exported entity already became: through an
+// earlier import of it, or because the bundle came from this database.
+// Only rows of the target workspace or the pre-workspace library count.
+async function findImportedEntity(supabase, type, row, workspaceId) {
+  const rules = ENTITY_RULES[type];
+  const sourceId = String(row.id);
+
+  const { data: mapping, error: mappingError } = await supabase
+    .from('import_entity_map')
+    .select('local_id')
+    .eq('workspace_id', workspaceId)
+    .eq('entity_type', type)
+    .eq('source_id', sourceId)
+    .maybeSingle();
+  if (mappingError) {
+    throw new Error(`Import map lookup failed: ${mappingError.message}`);
+  }
+
+  const localId = mapping ? mapping.local_id : sourceId;
+  const { data: existing, error: existingError } = await supabase
+    .from(rules.table)
+    .select(`id, ${rules.nameField}`)
+    .eq('id', localId)
+    .or(`workspace_id.eq.${workspaceId},workspace_id.is.null`)
+    .maybeSingle();
+
+  // A uuid-typed id column rejects foreign ids; that just means "not here"
+  if (existingError || !existing) return null;
+  if (!mapping && existing[rules.nameField] !== row[rules.nameField]) return null;
+  return existing;
+}
+
+// Research ids follow api-save-research
+function newResearchId() {
+  return `research-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Pick the id an exported research record is saved under: the local
+// record an earlier import made of it, the exported id when that is free
+// or already the caller's record in this workspace, or else a new id, so
+// an import never overwrites or moves someone else's research.
+// Resolves to { id, currentVersion, checked }, where currentVersion is
+// undefined for a new record and checked is false when the id may still
+// be taken by a row the caller cannot see.
+async function findImportedResearch(supabase, sourceId, { userId, workspaceId }) {
+  const { data: mapping, error: mappingError } = await supabase
+    .from('import_entity_map')
+    .select('local_id')
+    .eq('workspace_id', workspaceId)
+    .eq('entity_type', 'research')
+    .eq('source_id', String(sourceId))
+    .maybeSingle();
+  if (mappingError) {
+    throw new Error(`Import map lookup failed: ${mappingError.message}`);
+  }
+
+  const id = mapping ? mapping.local_id : String(sourceId);
+  const { data: existing, error: existingError } = await supabase
+    .from('saved_research')
+    .select('id, user_id, workspace_id, current_version')
+    .eq('id', id)
+    .maybeSingle();
+  if (existingError) {
+    throw new Error(`Research lookup failed: ${existingError.message}`);
+  }
+
+  if (!existing) return { id, checked: false };
+  if (existing.user_id === userId && existing.workspace_id === workspaceId) {
+    return { id, currentVersion: existing.current_version, checked: true };
+  }
+  return { id: newResearchId(), checked: true };
+}
+
+function saveImportedResearch(supabase, researchRecord) {
+  return supabase
+    .from('saved_research')
+    .upsert([researchRecord], { onConflict: 'id', ignoreDuplicates: false })
+    .select('id, current_version, entity_type, entity_name, research_data')
+    .single();
+}
+
+async function saveImportMapping(supabase, workspaceId, type, sourceId, localId) {
+  const { error } = await supabase
+    .from('import_entity_map')
+    .upsert([{ workspace_id: workspaceId, entity_type: type, source_id: String(sourceId), local_id: String(localId) }], {
+      onConflict: 'workspace_id,entity_type,source_id'
+    });
+  if (error) {
+    throw new Error(`Import map save failed: ${error.message}`);
+  }
+}
+
+// Load a bundle made by buildBundle. Safe to repeat: entities and research
+// are matched to what earlier imports created, relationships are upserted,
+// and research whose content is unchanged gains no new version.
+// The importing `userId` owns the imported research and is recorded as
+// creator of new entities; both land in workspace `workspaceId`.
+async function importBundle(supabase, bundle, { userId, workspaceId }) {
+  const summary = {
+    entities: { created: 0, linked: 0, failed: 0 },
+    relationships: { saved: 0, skipped: 0 },
+    research: { created: 0, updated: 0, unchanged: 0, failed: 0 }
+  };
+  const localIds = new Map();
+  const errors = [];
+
+  for (const type of Object.keys(ENTITY_RULES)) {
+    const rules = ENTITY_RULES[type];
+    for (const row of (bundle.entities || {})[rules.collection] || []) {
+      if (!row || row.id === undefined || !row[rules.nameField]) {
+        summary.entities.failed++;
+        errors.push(`${type} without id or ${rules.nameField} skipped`);
+        continue;
+      }
+
+      let local = await findImportedEntity(supabase, type, row, workspaceId);
+      if (local) {
+        summary.entities.linked++;
+      } else {
+        const entity = { ...row };
+        IMPORT_OMIT_COLUMNS.forEach(column => { delete entity[column]; });
+        entity.created_by = userId;
+        entity.workspace_id = workspaceId;
+
+        const result = await resolveEntity(supabase, type, entity);
+        if (result.action === 'failed') {
+          summary.entities.failed++;
+          errors.push(`${type} "${row[rules.nameField]}": ${result.error}`);
+          continue;
+        }
+        summary.entities[result.action === 'created' ? 'created' : 'linked']++;
+        local = result.entity;
+
+        await saveImportMapping(supabase, workspaceId, type, row.id, local.id);
+      }
+
+      localIds.set(`${type}:${row.id}`, String(local.id));
+    }
+  }
+
+  const relationshipRows = [];
+  (bundle.relationships || []).forEach(relationship => {
+    const sourceId = localIds.get(`${relationship.source_type}:${relationship.source_id}`);
+    const targetId = localIds.get(`${relationship.target_type}:${relationship.target_id}`);
+    if (!sourceId || !targetId) {
+      summary.relationships.skipped++;
+      return;
+    }
+    relationshipRows.push({
+      workspace_id: workspaceId,
+      source_type: relationship.source_type,
+      source_id: sourceId,
+      relation: relationship.relation,
+      target_type: relationship.target_type,
+      target_id: targetId,
+      confidence: relationship.confidence,
+      origin: relationship.origin || 'import'
+    });
+  });
+
+  if (relationshipRows.length > 0) {
+    const { error: relationshipError } = await supabase
+      .from('entity_relationships')
+      .upsert(relationshipRows, {
+        onConflict: 'workspace_id,source_type,source_id,relation,target_type,target_id',
+        ignoreDuplicates: false
+      });
+    if (relationshipError) {
+      throw new Error(`Relationship import failed: ${relationshipError.message}`);
+    }
+    summary.relationships.saved = relationshipRows.length;
+  }
+
+  for (const record of bundle.research) {
+    let target = await findImportedResearch(supabase, record.id, { userId, workspaceId });
+    const researchRecord = {
+      id: target.id,
+      user_id: userId,
+      workspace_id: workspaceId,
+      entity_type: record.entity_type,
+      entity_name: record.entity_name,
+      research_data: record.research_data,
+      confidence_score: record.confidence_score === undefined ? null : record.confidence_score,
+      sources: record.sources || [],
+      citations: record.citations || [],
+      tags: record.tags || [],
+      notes: record.notes === undefined ? null : record.notes,
+      created_at: record.created_at,
+      updated_at: record.updated_at || record.created_at,
+      session_id: record.session_id || null,
+      metadata: {
+        ...(record.metadata || {}),
+        imported_from: { format: bundle.format, version: bundle.version, exportedAt: bundle.exportedAt }
+      }
+    };
+
+    let { data: saved, error: saveError } = await saveImportedResearch(supabase, researchRecord);
+    if (saveError && saveError.code === '42501' && !target.checked) {
+      // Row-level security: the exported id is taken by research the
+      // caller cannot see, so the record becomes a new one
+      target = { id: newResearchId(), checked: true };
+      researchRecord.id = target.id;
+      ({ data: saved, error: saveError } = await saveImportedResearch(supabase, researchRecord));
+    }
+    if (saveError && saveError.code === '42501') {
+      summary.research.failed++;
+      errors.push(`research ${record.id} could not be saved in this workspace`);
+      continue;
+    }
+    if (saveError) {
+      throw new Error(`Research import of ${record.id} failed: ${saveError.message}`);
+    }
+    if (saved.id !== String(record.id)) {
+      await saveImportMapping(supabase, workspaceId, 'research', record.id, saved.id);
+    }
+
+    const before = target.currentVersion;
+    if (before === undefined) {
+      summary.research.created++;
+    } else if (before === saved.current_version) {
+      summary.research.unchanged++;
+      continue;
+    } else {
+      summary.research.updated++;
+    }
+
+    await refreshEmbedding(supabase, 'saved_research', 'research', saved);
+  }
+
+  return { summary, errors };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  INTERNAL_COLUMNS,
+  entityTypeOf,
+  loadLinkedEntities,
+  renderMarkdown,
+  renderCsv,
+  buildBundle,
+  validateBundle,
+  importBundle
+};
@@ -0,0 +1,268 @@
+// Reads and metadata writes for saved research. Records live in the
+// saved_research table, or in generic_data_store for records saved before
+// that table existed; the saved_research_records view shows both and tags
+// each row with the `storage` it came from.
+
+const RECORDS_VIEW = 'saved_research_records';
+
+// Columns returned to callers; the embedding stays in the database
+const RECORD_COLUMNS = [
+  'id', 'user_id', 'entity_type', 'entity_name', 'research_data', 'confidence_score',
+  'sources', 'tags', 'notes', 'created_at', 'updated_at', 'session_id', 'metadata', 'storage',
+  'current_version', 'citations', 'workspace_id', 'visibility'
+].join(', ');
+
+// 'private': the author and members it is shared with; 'workspace': every member
+const VISIBILITY_LEVELS = ['private', 'workspace'];
+
+const SORT_FIELDS = {
+  created: 'created_at',
+  updated: 'updated_at',
+  name: 'entity_name',
+  confidence: 'confidence_score'
+};
+
+const MAX_PAGE_SIZE = 100;
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// Query string schema of research lists (see utils/schema.js)
+const LIST_QUERY = {
+  userId: { type: 'string' },
+  entityType: { type: 'string' },
+  entityName: { type: 'string' },
+  tag: { type: 'string' },
+  from: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}/, message: 'from must be an ISO 8601 date' },
+  to: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}/, message: 'to must be an ISO 8601 date' },
+  sort: { type: 'string', enum: Object.keys(SORT_FIELDS), default: 'created' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 20 },
+  offset: { type: 'integer', min: 0, default: 0 }
+};
+
+// Turn a query validated against LIST_QUERY into listResearch options.
+// Resolves to { options } or { error } for dates the schema cannot check.
+function parseListOptions(params) {
+  const { userId, entityType, entityName, tag, from, to, sort, order, limit, offset } = params;
+
+  const dates = {};
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+    dates[name] = new Date(time).toISOString();
+  }
+  if (dates.from && dates.to && dates.from > dates.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  return {
+    options: {
+      userId,
+      entityType,
+      entityName,
+      tag,
+      from: dates.from,
+      to: dates.to,
+      sort,
+      order,
+      limit,
+      offset
+    }
+  };
+}
+
+async function getResearch(supabase, id) {
+  const { data, error } = await supabase
+    .from(RECORDS_VIEW)
+    .select(RECORD_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Research lookup failed: ${error.message}`);
+  }
+  return data;
+}
+
+// One page of research matching the filters, plus the total match count.
+// `from`/`to` bound created_at; `entityName` matches anywhere in the name.
+// `workspaceId` keeps that workspace's research plus the caller's own
+// research saved before workspaces existed.
+async function listResearch(supabase, {
+  workspaceId,
+  userId,
+  entityType,
+  entityName,
+  tag,
+  from,
+  to,
+  sort = 'created',
+  order = 'desc',
+  limit = 20,
+  offset = 0
+} = {}) {
+  let request = supabase
+    .from(RECORDS_VIEW)
+    .select(RECORD_COLUMNS, { count: 'exact' });
+
+  if (workspaceId) request = request.or(`workspace_id.eq.${workspaceId},workspace_id.is.null`);
+  if (userId) request = request.eq('user_id', userId);
+  if (entityType) request = request.eq('entity_type', entityType);
+  if (entityName) request = request.ilike('entity_name', `%${escapeLikePattern(entityName)}%`);
+  if (tag) request = request.contains('tags', [tag]);
+  if (from) request = request.gte('created_at', from);
+  if (to) request = request.lte('created_at', to);
+
+  const { data, error, count } = await request
+    .order(SORT_FIELDS[sort], { ascending: order === 'asc', nullsFirst: false })
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Research list failed: ${error.message}`);
+  }
+  return { records: data || [], total: count || 0 };
+}
+
+// Update tags and/or notes wherever the record is stored
+async function updateResearchMetadata(supabase, record, changes) {
+  const updatedAt = new Date().toISOString();
+
+  if (record.storage === 'generic_data_store') {
+    const { data: stored, error: readError } = await supabase
+      .from('generic_data_store')
+      .select('data')
+      .eq('id', record.id)
+      .single();
+    if (readError) {
+      throw new Error(`Research update failed: ${readError.message}`);
+    }
+
+    const { error } = await supabase
+      .from('generic_data_store')
+      .update({ data: { ...stored.data, ...changes, updated_at: updatedAt } })
+      .eq('id', record.id);
+    if (error) {
+      throw new Error(`Research update failed: ${error.message}`);
+    }
+  } else {
+    const { error } = await supabase
+      .from('saved_research')
+      .update({ ...changes, updated_at: updatedAt })
+      .eq('id', record.id);
+    if (error) {
+      throw new Error(`Research update failed: ${error.message}`);
+    }
+  }
+
+  return getResearch(supabase, record.id);
+}
+
+// User ids a record is shared with individually
+async function listResearchShares(supabase, id) {
+  const { data, error } = await supabase
+    .from('research_shares')
+    .select('user_id')
+    .eq('research_id', id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Share lookup failed: ${error.message}`);
+  }
+  return (data || []).map(share => share.user_id);
+}
+
+// Set who besides the author can read a record: `visibility` for the
+// whole workspace and/or `sharedWith`, which replaces the member list.
+// Resolves to { research, sharedWith } or { error }.
+async function updateResearchSharing(supabase, record, { visibility, sharedWith }, userId) {
+  if (record.storage === 'generic_data_store') {
+    return { error: 'Research in fallback storage cannot be shared; save it again first' };
+  }
+  if (!record.workspace_id) {
+    return { error: 'Research saved outside a workspace cannot be shared; save it again in one first' };
+  }
+
+  if (sharedWith !== undefined) {
+    const { data: members, error: memberError } = await supabase
+      .from('workspace_members')
+      .select('user_id')
+      .eq('workspace_id', record.workspace_id)
+      .in('user_id', sharedWith);
+    if (memberError) {
+      throw new Error(`Member lookup failed: ${memberError.message}`);
+    }
+
+    const memberIds = new Set((members || []).map(member => member.user_id));
+    const outsiders = sharedWith.filter(id => !memberIds.has(id));
+    if (outsiders.length > 0) {
+      return { error: `Not members of the research's workspace: ${outsiders.join(', ')}` };
+    }
+
+    const { error: clearError } = await supabase
+      .from('research_shares')
+      .delete()
+      .eq('research_id', record.id);
+    if (clearError) {
+      throw new Error(`Share update failed: ${clearError.message}`);
+    }
+
+    const shares = sharedWith
+      .filter(id => id !== userId)
+      .map(id => ({ research_id: record.id, user_id: id, shared_by: userId }));
+    if (shares.length > 0) {
+      const { error: shareError } = await supabase.from('research_shares').insert(shares);
+      if (shareError) {
+        throw new Error(`Share update failed: ${shareError.message}`);
+      }
+    }
+  }
+
+  if (visibility !== undefined && visibility !== record.visibility) {
+    const { error } = await supabase
+      .from('saved_research')
+      .update({ visibility })
+      .eq('id', record.id);
+    if (error) {
+      throw new Error(`Visibility update failed: ${error.message}`);
+    }
+  }
+
+  return {
+    research: await getResearch(supabase, record.id),
+    sharedWith: await listResearchShares(supabase, record.id)
+  };
+}
+
+// Delete a record from the table and from the fallback store, so a
+// shadowed fallback copy does not resurface afterwards
+async function deleteResearch(supabase, id) {
+  const [tableResult, fallbackResult] = await Promise.all([
+    supabase.from('saved_research').delete().eq('id', id),
+    supabase.from('generic_data_store').delete().eq('id', id).eq('type', 'saved_research')
+  ]);
+
+  const error = tableResult.error || fallbackResult.error;
+  if (error) {
+    throw new Error(`Research delete failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  LIST_QUERY,
+  parseListOptions,
+  getResearch,
+  listResearch,
+  updateResearchMetadata,
+  listResearchShares,
+  updateResearchSharing,
+  deleteResearch
+};
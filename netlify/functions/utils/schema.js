@@ -0,0 +1,147 @@
+// Declarative validation of request bodies, query strings and responses.
+//
+// A schema maps field names to specs:
+//   { type, required, nullable, default, enum, pattern, minLength,
+//     maxLength, min, max, items, properties, unique, message }
+// type is one of string, integer, number, boolean, array, object, uuid
+// or any. items is the spec of every array element and properties the
+// schema of a nested object. Strings are trimmed. Fields the schema does
+// not mention are passed through untouched.
+//
+// Query string values arrive as text, so validateQuery coerces
+// "12" -> 12, "true" -> true and "a,b" -> ['a', 'b'] before checking.
+const { UUID_PATTERN } = require('./workspaces');
+
+function describe(spec) {
+  if (spec.type === 'array' && spec.items) return `an array of ${spec.items.type || 'value'}s`;
+  if (spec.type === 'uuid') return 'a UUID';
+  if (spec.type === 'integer') return 'an integer';
+  if (spec.type === 'object') return 'an object';
+  return `a ${spec.type}`;
+}
+
+function coerce(value, spec) {
+  if (typeof value !== 'string') return value;
+  if (spec.type === 'integer' || spec.type === 'number') {
+    return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+  if (spec.type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  if (spec.type === 'array') {
+    return value.split(',').map(item => item.trim()).filter(Boolean).map(item => coerce(item, spec.items || {}));
+  }
+  return value;
+}
+
+// Check one value against its spec. Returns { value, errors } with the
+// cleaned value (trimmed strings, defaults, de-duplicated arrays).
+function checkValue(value, spec, field, options) {
+  const fail = message => ({ value, errors: [{ field, message: spec.message || `${field} ${message}` }] });
+
+  if (options.coerce) value = coerce(value, spec);
+  if (typeof value === 'string' && spec.type !== 'any') value = value.trim();
+
+  // An empty query parameter or required string counts as missing
+  if (value === undefined || (value === '' && (options.coerce || spec.required))) {
+    if (spec.default !== undefined) return { value: spec.default, errors: [] };
+    return spec.required ? fail('is required') : { value: undefined, errors: [] };
+  }
+  if (value === null) {
+    return spec.nullable ? { value, errors: [] } : fail(spec.required ? 'is required' : 'must not be null');
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      break;
+    case 'uuid':
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) return fail('must be a UUID');
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('must be an integer');
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail(`must be ${describe(spec)}`);
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      break;
+    default:
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) return fail(`must be one of: ${spec.enum.join(', ')}`);
+  if (spec.pattern && !spec.pattern.test(value)) return fail('is not in the expected format');
+  if (typeof value === 'string' || Array.isArray(value)) {
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      return fail(`must have at least ${spec.minLength} ${typeof value === 'string' ? 'characters' : 'items'}`);
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return fail(`must have at most ${spec.maxLength} ${typeof value === 'string' ? 'characters' : 'items'}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) return fail(`must be at least ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) return fail(`must be at most ${spec.max}`);
+  }
+
+  if (spec.type === 'array' && spec.items) {
+    const errors = [];
+    let items = value.map((item, index) => {
+      const checked = checkValue(item, { required: true, ...spec.items }, `${field}[${index}]`, { coerce: false });
+      errors.push(...checked.errors);
+      return checked.value;
+    });
+    if (spec.unique) items = [...new Set(items)];
+    return { value: items, errors };
+  }
+
+  if (spec.type === 'object' && spec.properties) {
+    return checkObject(value, spec.properties, { ...options, coerce: false }, `${field}.`);
+  }
+
+  return { value, errors: [] };
+}
+
+function checkObject(input, schema, options, prefix = '') {
+  const value = { ...input };
+  const errors = [];
+
+  Object.keys(schema).forEach(name => {
+    const checked = checkValue(input[name], schema[name], `${prefix}${name}`, options);
+    errors.push(...checked.errors);
+    if (checked.value === undefined) {
+      delete value[name];
+    } else {
+      value[name] = checked.value;
+    }
+  });
+
+  return { value, errors };
+}
+
+// Validate a parsed JSON body. Returns { value, errors }.
+function validateBody(schema, body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { value: body, errors: [{ field: 'body', message: 'Request body must be a JSON object' }] };
+  }
+  return checkObject(body, schema, { coerce: false });
+}
+
+// Validate query string parameters, coercing them first. Returns
+// { value, errors }.
+function validateQuery(schema, query) {
+  return checkObject(query || {}, schema, { coerce: true });
+}
+
+module.exports = {
+  validateBody,
+  validateQuery
+};
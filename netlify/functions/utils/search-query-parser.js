@@ -0,0 +1,268 @@
+// Parser for the structured search syntax used by api-search-intelligent:
+//
+//   type:company city:Boston sector:"life science"
+//   status:permitted architect:Elkus
+//   suffolk OR skanska -title:intern
+//
+// Clauses are ANDed; OR joins the clauses either side of it; a leading
+// "-" negates a clause; double quotes keep a phrase together. Field values
+// are never spliced into filter strings: they travel as data to the
+// search_entities RPC, which matches them with bound parameters.
+
+class SearchQueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.position = position;
+  }
+}
+
+const ENTITY_TYPE_VALUES = {
+  person: 'person', people: 'person', persons: 'person',
+  company: 'company', companies: 'company',
+  project: 'project', projects: 'project',
+  research: 'research'
+};
+
+// Search field -> column per entity type. Fields missing for a type do
+// not exist there: a required match excludes the type, a negated match
+// is ignored.
+const FIELD_COLUMNS = {
+  name: { person: 'name', company: 'name', project: 'title', research: 'entity_name' },
+  title: { person: 'title', project: 'title' },
+  company: { person: 'company' },
+  email: { person: 'email' },
+  city: { person: 'location', company: 'city', project: 'location' },
+  state: { person: 'location', company: 'state', project: 'location' },
+  location: { person: 'location', company: 'headquarters', project: 'location' },
+  sector: { company: 'sectors' },
+  status: { project: 'status' },
+  developer: { project: 'developer' },
+  architect: { project: 'architect' },
+  contractor: { project: 'contractor' },
+  description: { person: 'bio', company: 'description', project: 'description' },
+  // projects.type; plain "type:" picks the entity type instead
+  project_type: { project: 'type' }
+};
+
+const FIELD_ALIASES = {
+  sectors: 'sector',
+  gc: 'contractor',
+  bio: 'description',
+  projecttype: 'project_type'
+};
+
+const ENTITY_TYPES = ['person', 'company', 'project', 'research'];
+
+// Columns a negated free-text term is checked against
+const TEXT_COLUMNS = {
+  person: ['name', 'title', 'company', 'bio'],
+  company: ['name', 'description', 'sectors'],
+  project: ['title', 'description', 'location'],
+  research: ['entity_name']
+};
+
+// Split the query into tokens, keeping track of where each started
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (query[i] === '-') {
+      negated = true;
+      i++;
+      if (i >= query.length || /\s/.test(query[i])) {
+        throw new SearchQueryError('"-" must be followed by a term or filter', start);
+      }
+    }
+
+    let field = null;
+    const fieldMatch = query.substring(i).match(/^([a-zA-Z_]+):/);
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let value = '';
+    let phrase = false;
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new SearchQueryError('Unterminated quoted phrase', i);
+      }
+      value = query.substring(i + 1, end).trim();
+      phrase = true;
+      i = end + 1;
+    } else {
+      while (i < query.length && !/\s/.test(query[i])) {
+        if (query[i] === '"') {
+          throw new SearchQueryError('Quote must start a new phrase', i);
+        }
+        value += query[i];
+        i++;
+      }
+    }
+
+    if (field && !value) {
+      throw new SearchQueryError(`Filter "${field}:" needs a value`, start);
+    }
+    if (!value) {
+      throw new SearchQueryError('Empty quoted phrase', start);
+    }
+
+    if (!field && !phrase && !negated && value === 'OR') {
+      tokens.push({ kind: 'or', position: start });
+    } else {
+      tokens.push({ kind: 'term', field, value, phrase, negated, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+// Entity-type filters, column filters and free text cannot share an OR group
+function clauseKind(clause) {
+  if (!clause.field) return 'text';
+  return clause.field === 'type' ? 'type' : 'filter';
+}
+
+// Parse a query into AND-ed groups of OR-ed clauses
+function parseSearchQuery(query) {
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    throw new SearchQueryError('Query is empty', 0);
+  }
+
+  const tokens = tokenize(query);
+  const groups = [];
+  let expectOperand = true;
+  let joinNext = false;
+
+  tokens.forEach(token => {
+    if (token.kind === 'or') {
+      if (expectOperand) {
+        throw new SearchQueryError('OR must sit between two terms', token.position);
+      }
+      joinNext = true;
+      expectOperand = true;
+      return;
+    }
+
+    if (token.field) {
+      const field = FIELD_ALIASES[token.field] || token.field;
+      if (field !== 'type' && !FIELD_COLUMNS[field]) {
+        throw new SearchQueryError(`Unknown filter "${token.field}"`, token.position);
+      }
+      if (field === 'type' && !ENTITY_TYPE_VALUES[token.value.toLowerCase()]) {
+        throw new SearchQueryError(`Unknown type "${token.value}". Use person, company, project or research`, token.position);
+      }
+      token.field = field;
+    }
+
+    if (joinNext) {
+      const group = groups[groups.length - 1];
+      if (token.negated || group[0].negated) {
+        throw new SearchQueryError('Negated terms cannot be joined with OR', token.position);
+      }
+      const mixesKinds = group.some(clause => clauseKind(clause) !== clauseKind(token));
+      if (mixesKinds) {
+        throw new SearchQueryError('OR can only join two filters or two search terms of the same kind', token.position);
+      }
+      group.push(token);
+    } else {
+      groups.push([token]);
+    }
+
+    joinNext = false;
+    expectOperand = false;
+  });
+
+  if (expectOperand) {
+    throw new SearchQueryError('OR must sit between two terms', query.length);
+  }
+
+  return groups.map(group => group.map(({ field, value, phrase, negated }) => ({ field, value, phrase, negated })));
+}
+
+// websearch_to_tsquery text for the free-text part of the query
+function buildTextQuery(groups) {
+  return groups
+    .filter(group => !group[0].field && !group[0].negated)
+    .map(group => group.map(term => (term.phrase ? `"${term.value.replace(/"/g, '')}"` : term.value)).join(' or '))
+    .join(' ');
+}
+
+// Translate parsed groups into per-table filters for search_entities:
+// { entityTypes, textQuery, filters: { person: [[{ column, value, negated }]], ... } }
+// Saved research is searched only when a type: filter names it or
+// `includeResearch` is set.
+function translateSearchQuery(groups, { includeResearch = false } = {}) {
+  const entityTypes = new Set(ENTITY_TYPES);
+  const filters = { person: [], company: [], project: [], research: [] };
+
+  const hasTypeFilter = groups.some(group => group[0].field === 'type' && !group[0].negated);
+  if (!includeResearch && !hasTypeFilter) {
+    entityTypes.delete('research');
+  }
+
+  groups.forEach(group => {
+    const first = group[0];
+
+    if (first.field === 'type') {
+      const types = group.map(term => ENTITY_TYPE_VALUES[term.value.toLowerCase()]);
+      ENTITY_TYPES.forEach(type => {
+        const listed = types.includes(type);
+        if (first.negated ? listed : !listed) entityTypes.delete(type);
+      });
+      return;
+    }
+
+    // Negated free text must not appear in any of the table's text columns
+    if (!first.field && first.negated) {
+      ENTITY_TYPES.forEach(type => {
+        TEXT_COLUMNS[type].forEach(column => {
+          filters[type].push([{ column, value: first.value, negated: true }]);
+        });
+      });
+      return;
+    }
+
+    if (!first.field) return;
+
+    ENTITY_TYPES.forEach(type => {
+      const conditions = group
+        .filter(term => FIELD_COLUMNS[term.field][type])
+        .map(term => ({ column: FIELD_COLUMNS[term.field][type], value: term.value, negated: term.negated }));
+
+      if (conditions.length === 0) {
+        if (!first.negated) entityTypes.delete(type);
+        return;
+      }
+
+      filters[type].push(conditions);
+    });
+  });
+
+  const types = ENTITY_TYPES.filter(type => entityTypes.has(type));
+  const tableFilters = {};
+  types.forEach(type => { tableFilters[type] = filters[type]; });
+
+  return {
+    entityTypes: types,
+    textQuery: buildTextQuery(groups),
+    filters: tableFilters
+  };
+}
+
+module.exports = {
+  SearchQueryError,
+  FIELD_COLUMNS,
+  parseSearchQuery,
+  translateSearchQuery
+};
@@ -0,0 +1,653 @@
+// Speech-to-text for uploaded recordings. OpenAI Whisper is tried first
+// (generally more accurate) with Deepgram as the fallback; either one
+// alone is enough.
+const fetch = require('node-fetch');
+const { complete } = require('./llm-providers');
+const { meterCall } = require('./usage-metering');
+
+// Audio containers recognised by their first bytes. Only WAV and MP3 can
+// be cut into chunks without re-encoding; see splitAudio.
+const AUDIO_FORMATS = {
+  wav: { contentType: 'audio/wav', extension: 'wav' },
+  mp3: { contentType: 'audio/mpeg', extension: 'mp3' },
+  m4a: { contentType: 'audio/mp4', extension: 'm4a' },
+  ogg: { contentType: 'audio/ogg', extension: 'ogg' },
+  webm: { contentType: 'audio/webm', extension: 'webm' }
+};
+
+// Largest upload accepted at all, and largest piece sent to a provider
+// in one request (Whisper rejects files over 25 MB; the rest is headroom
+// for the multipart envelope). Netlify refuses synchronous function
+// requests over 6 MB, and binary bodies arrive base64-encoded, so the
+// default is what 6 MB of base64 decodes to.
+const MAX_UPLOAD_BYTES = parseInt(process.env.VOICE_MAX_UPLOAD_BYTES, 10) || 6 * 1024 * 1024 * 3 / 4;
+const MAX_CHUNK_BYTES = 24 * 1024 * 1024;
+
+// Multipart field names the audio may be sent under; otherwise the first
+// part carrying a filename is used
+const AUDIO_FIELD_NAMES = ['file', 'audio'];
+
+function transcriptionConfigured() {
+  return Boolean(process.env.OPENAI_API_KEY || process.env.DEEPGRAM_API_KEY);
+}
+
+// Pull the audio out of a function event, either a raw audio/* body or
+// one part of a multipart/form-data body. Resolves to
+// { audioBuffer, format, fields }, where fields holds the other form
+// fields as strings, or { error, statusCode } describing what is wrong
+// with the request.
+function readAudioBody(event) {
+  const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+
+  if (!contentType.includes('multipart/form-data') && !contentType.includes('audio/')) {
+    return { error: 'Content-Type must be multipart/form-data or audio/*', statusCode: 400 };
+  }
+
+  if (!event.body) {
+    return { error: 'No audio data provided', statusCode: 400 };
+  }
+
+  const body = event.isBase64Encoded ? Buffer.from(event.body, 'base64') : Buffer.from(event.body);
+  if (body.length > MAX_UPLOAD_BYTES) {
+    return { error: `Upload is ${body.length} bytes; the limit is ${MAX_UPLOAD_BYTES}`, statusCode: 413 };
+  }
+
+  let audioBuffer = body;
+  const fields = {};
+
+  if (contentType.includes('multipart/form-data')) {
+    const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i) || []).slice(1).find(Boolean);
+    if (!boundary) {
+      return { error: 'multipart/form-data body has no boundary', statusCode: 400 };
+    }
+
+    const parts = parseMultipart(body, boundary.trim());
+    const audioPart = parts.find(part => AUDIO_FIELD_NAMES.includes(part.name) && part.data.length > 0) ||
+      parts.find(part => part.filename && part.data.length > 0);
+    if (!audioPart) {
+      return { error: `No audio file found; send it in a "${AUDIO_FIELD_NAMES[0]}" field`, statusCode: 400 };
+    }
+
+    parts
+      .filter(part => part !== audioPart && !part.filename && part.name)
+      .forEach(part => { fields[part.name] = part.data.toString('utf8').trim(); });
+    audioBuffer = audioPart.data;
+  }
+
+  const format = detectAudioFormat(audioBuffer);
+  if (!format) {
+    return {
+      error: `Unrecognised audio format; supported formats are ${Object.keys(AUDIO_FORMATS).join(', ')}`,
+      statusCode: 415
+    };
+  }
+
+  if (audioBuffer.length > MAX_CHUNK_BYTES && !['wav', 'mp3'].includes(format)) {
+    return {
+      error: `${format} recordings over ${MAX_CHUNK_BYTES} bytes cannot be split; upload WAV or MP3, or a shorter recording`,
+      statusCode: 413
+    };
+  }
+
+  return { audioBuffer, format, fields };
+}
+
+// Language, prompt and translate=true|false for the providers, from the
+// form fields or else the query string. Resolves to { language, prompt,
+// translate } or { error }. Without a language it is detected.
+function readTranscriptionOptions(fields, query) {
+  const language = fields.language || (query || {}).language;
+  const prompt = fields.prompt || (query || {}).prompt;
+  const translate = fields.translate || (query || {}).translate;
+
+  // A BCP-47 style tag such as "en" or "pt-BR"
+  if (language && !/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(language)) {
+    return { error: `Invalid language "${language}"; use a code such as en or pt-BR` };
+  }
+  if (prompt && prompt.length > 1000) {
+    return { error: 'prompt must be at most 1000 characters' };
+  }
+
+  if (translate && !['true', 'false'].includes(translate)) {
+    return { error: 'translate must be true or false' };
+  }
+
+  return { language: language || undefined, prompt: prompt || undefined, translate: translate === 'true' };
+}
+
+// Split a multipart/form-data body into [{ name, filename, contentType, data }]
+function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let position = body.indexOf(delimiter);
+  while (position !== -1) {
+    const partStart = position + delimiter.length;
+    // "--" after a delimiter closes the body
+    if (body.slice(partStart, partStart + 2).toString() === '--') break;
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    const part = body.slice(partStart, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headerText = part.slice(0, headerEnd).toString('utf8');
+      // Content ends with the CRLF that precedes the next delimiter
+      let data = part.slice(headerEnd + 4);
+      if (data.slice(-2).toString() === '\r\n') {
+        data = data.slice(0, -2);
+      }
+
+      const disposition = (headerText.match(/content-disposition:([^\r\n]*)/i) || [])[1] || '';
+      const type = (headerText.match(/content-type:\s*([^\r\n;]*)/i) || [])[1];
+      parts.push({
+        name: (disposition.match(/\bname="([^"]*)"/i) || [])[1] || null,
+        filename: (disposition.match(/\bfilename="([^"]*)"/i) || [])[1] || null,
+        contentType: type ? type.trim() : null,
+        data
+      });
+    }
+
+    position = next;
+  }
+
+  return parts;
+}
+
+// Identify the container from its magic bytes; null when unrecognised
+function detectAudioFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  const ascii = (start, end) => buffer.slice(start, end).toString('latin1');
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  // EBML header, shared by WebM and Matroska
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  // ISO base media (MP4/M4A): a size then "ftyp"
+  if (ascii(4, 8) === 'ftyp') return 'm4a';
+  if (ascii(0, 3) === 'ID3' || mp3FrameLength(buffer, 0) > 0) return 'mp3';
+
+  return null;
+}
+
+// Cut audio into pieces of at most maxBytes, each playable on its own.
+// Resolves to [{ buffer, duration }] with the duration in seconds when it
+// is known from the container (WAV) and null otherwise; null when the
+// format cannot be split.
+function splitAudio(buffer, format, maxBytes = MAX_CHUNK_BYTES) {
+  if (buffer.length <= maxBytes) {
+    return [{ buffer, duration: format === 'wav' ? wavInfo(buffer).duration : null }];
+  }
+  if (format === 'wav') return splitWav(buffer, maxBytes);
+  if (format === 'mp3') return splitMp3(buffer, maxBytes);
+  return null;
+}
+
+// Locate the fmt and data chunks of a RIFF/WAVE file
+function wavInfo(buffer) {
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length && !(fmt && data)) {
+    const id = buffer.slice(offset, offset + 4).toString('latin1');
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') fmt = buffer.slice(offset, offset + 8 + size);
+    // Streaming recorders may leave the data size as 0 or 0xFFFFFFFF
+    if (id === 'data') data = buffer.slice(offset + 8, Math.min(buffer.length, offset + 8 + (size || buffer.length)));
+    offset += 8 + size + (size % 2);
+  }
+
+  const byteRate = fmt ? fmt.readUInt32LE(16) : 0;
+  return {
+    fmt,
+    data,
+    byteRate,
+    blockAlign: fmt ? fmt.readUInt16LE(20) || 1 : 1,
+    duration: data && byteRate ? data.length / byteRate : null
+  };
+}
+
+// Every chunk gets a copy of the original fmt chunk and a slice of the
+// samples, cut on a sample frame boundary
+function splitWav(buffer, maxBytes) {
+  const { fmt, data, byteRate, blockAlign } = wavInfo(buffer);
+  if (!fmt || !data || !byteRate) return null;
+
+  const headerBytes = 12 + fmt.length + 8;
+  const samplesPerChunk = Math.floor((maxBytes - headerBytes) / blockAlign) * blockAlign;
+  const chunks = [];
+
+  for (let start = 0; start < data.length; start += samplesPerChunk) {
+    const samples = data.slice(start, start + samplesPerChunk);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(4 + fmt.length + 8 + samples.length, 4);
+    header.write('WAVE', 8, 'latin1');
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0, 'latin1');
+    dataHeader.writeUInt32LE(samples.length, 4);
+
+    chunks.push({ buffer: Buffer.concat([header, fmt, dataHeader, samples]), duration: samples.length / byteRate });
+  }
+
+  return chunks;
+}
+
+const MP3_BITRATES = {
+  // [MPEG-1, MPEG-2/2.5] layer III, kbit/s by bitrate index
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Length in bytes of the MPEG layer III frame starting at offset, or 0
+// when there is no valid frame header there
+function mp3FrameLength(buffer, offset) {
+  if (offset + 4 > buffer.length) return 0;
+  const header = buffer.readUInt32BE(offset);
+  if ((header >>> 21) !== 0x7ff) return 0;
+
+  const version = (header >>> 19) & 3;
+  const layer = (header >>> 17) & 3;
+  const bitrateIndex = (header >>> 12) & 15;
+  const sampleRateIndex = (header >>> 10) & 3;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return 0;
+
+  const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (header >>> 9) & 1;
+  return Math.floor(((version === 3 ? 144 : 72) * bitrate) / sampleRate) + padding;
+}
+
+// MP3 frames decode independently, so a chunk is any run of whole frames;
+// cut at the last frame header before the size limit
+function splitMp3(buffer, maxBytes) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    let end = Math.min(buffer.length, start + maxBytes);
+    if (end < buffer.length) {
+      let cut = end;
+      // A header is only trusted when another one follows it, since the
+      // sync bits can also occur inside audio data
+      const isFrameStart = offset => {
+        const length = mp3FrameLength(buffer, offset);
+        return length > 0 && (offset + length >= buffer.length || mp3FrameLength(buffer, offset + length) > 0);
+      };
+      while (cut > start && !isFrameStart(cut)) cut--;
+      if (cut === start) return null;
+      end = cut;
+    }
+    chunks.push({ buffer: buffer.slice(start, end), duration: null });
+    start = end;
+  }
+
+  return chunks;
+}
+
+// Transcribe with whichever services are configured, in chunks when the
+// recording is over the provider limit. options: format (from
+// readAudioBody, default wav), language (detected when omitted), prompt
+// (Whisper only) and segments. Resolves to { transcript, service,
+// segments, duration, chunks, language, languageDetected,
+// languageConfidence } where service is 'openai' or 'deepgram'
+// ('openai,deepgram' when chunks fell back differently). duration is the
+// length of the recording in seconds. Segments (see normalizeSegment) are
+// only returned when options.segments is set, since Deepgram bills
+// diarization separately; otherwise they are null. languageConfidence is null unless the provider
+// detected the language and reports a confidence (Deepgram does).
+
+async function transcribeAudio(audioBuffer, options = {}) {
+  const format = AUDIO_FORMATS[options.format] ? options.format : 'wav';
+  const chunks = splitAudio(audioBuffer, format);
+  if (!chunks) {
+    throw new Error(`Recording is too large to transcribe and ${format} audio cannot be split`);
+  }
+
+  if (chunks.length > 1) {
+    console.log('✂️ Transcribing in chunks:', chunks.length);
+  }
+
+  const transcripts = [];
+  const services = [];
+  const segments = [];
+  let offset = 0;
+  let language = options.language || null;
+  let languageConfidence = null;
+
+  for (const chunk of chunks) {
+    // Whisper keeps names and spelling consistent across chunks when
+    // prompted with the end of the previous one
+    const previous = transcripts.length > 0 ? transcripts[transcripts.length - 1].slice(-500) : '';
+    const prompt = [options.prompt, previous].filter(Boolean).join(' ') || undefined;
+
+    // The first chunk detects the language and the rest are held to it
+    const { result, service } = await transcribeChunk(chunk.buffer, { ...options, format, prompt, language: language || undefined });
+    transcripts.push(result.transcript.trim());
+    if (!services.includes(service)) services.push(service);
+    if (!language && result.language) {
+      language = result.language;
+      languageConfidence = result.languageConfidence;
+    }
+
+    if (options.segments) {
+      (result.segments || []).forEach(segment => {
+        segments.push(shiftSegment(segments.length, segment, offset));
+      });
+    }
+    const lastEnd = result.segments && result.segments.length > 0
+      ? result.segments[result.segments.length - 1].end
+      : 0;
+    offset += chunk.duration || result.duration || lastEnd;
+  }
+
+  return {
+    transcript: transcripts.filter(Boolean).join(' '),
+    service: services.join(',') || null,
+    segments: options.segments ? segments : null,
+    duration: roundTo(offset, 3),
+    chunks: chunks.length,
+    language,
+    languageDetected: !options.language,
+    languageConfidence
+  };
+}
+
+// Place a chunk's segment on the timeline of the whole recording
+function shiftSegment(index, segment, offset) {
+  return normalizeSegment(index, {
+    ...segment,
+    start: segment.start + offset,
+    end: segment.end + offset,
+    words: segment.words.map(word => ({ ...word, start: word.start + offset, end: word.end + offset }))
+  });
+}
+
+// Both services bill by the second of audio they transcribe
+function meteredOpenAI(audioBuffer, options) {
+  return meterCall(
+    { operation: 'transcription', provider: 'openai', model: 'whisper-1' },
+    () => transcribeWithOpenAI(audioBuffer, options),
+    result => ({ audioSeconds: result.duration })
+  );
+}
+
+function meteredDeepgram(audioBuffer, options) {
+  return meterCall(
+    { operation: 'transcription', provider: 'deepgram', model: 'nova-2' },
+    () => transcribeWithDeepgram(audioBuffer, options),
+    result => ({ audioSeconds: result.duration })
+  );
+}
+
+// One provider request, OpenAI first with Deepgram as the fallback.
+// Resolves to { result, service }.
+async function transcribeChunk(audioBuffer, options) {
+  // Try OpenAI Whisper first (generally more accurate)
+  if (process.env.OPENAI_API_KEY) {
+    try {
+      const result = await meteredOpenAI(audioBuffer, options);
+      console.log('✅ OpenAI transcription successful');
+      return { result, service: 'openai' };
+    } catch (openaiError) {
+      console.warn('OpenAI transcription failed:', openaiError.message);
+
+      // Fallback to Deepgram if available
+      if (process.env.DEEPGRAM_API_KEY) {
+        try {
+          const result = await meteredDeepgram(audioBuffer, options);
+          console.log('✅ Deepgram transcription successful (fallback)');
+          return { result, service: 'deepgram' };
+        } catch (deepgramError) {
+          console.error('Deepgram transcription also failed:', deepgramError.message);
+          throw new Error('All transcription services failed');
+        }
+      }
+      throw openaiError;
+    }
+  }
+
+  try {
+    const result = await meteredDeepgram(audioBuffer, options);
+    console.log('✅ Deepgram transcription successful');
+    return { result, service: 'deepgram' };
+  } catch (deepgramError) {
+    console.error('Deepgram transcription failed:', deepgramError.message);
+    throw deepgramError;
+  }
+}
+
+// Whisper reports the detected language by name; ISO-639-1 codes for
+// the languages it supports
+const WHISPER_LANGUAGES = {
+  afrikaans: 'af', arabic: 'ar', armenian: 'hy', azerbaijani: 'az', belarusian: 'be', bosnian: 'bs',
+  bulgarian: 'bg', catalan: 'ca', chinese: 'zh', croatian: 'hr', czech: 'cs', danish: 'da', dutch: 'nl',
+  english: 'en', estonian: 'et', finnish: 'fi', french: 'fr', galician: 'gl', german: 'de', greek: 'el',
+  hebrew: 'he', hindi: 'hi', hungarian: 'hu', icelandic: 'is', indonesian: 'id', italian: 'it',
+  japanese: 'ja', kannada: 'kn', kazakh: 'kk', korean: 'ko', latvian: 'lv', lithuanian: 'lt',
+  macedonian: 'mk', malay: 'ms', marathi: 'mr', maori: 'mi', nepali: 'ne', norwegian: 'no', persian: 'fa',
+  polish: 'pl', portuguese: 'pt', romanian: 'ro', russian: 'ru', serbian: 'sr', slovak: 'sk',
+  slovenian: 'sl', spanish: 'es', swahili: 'sw', swedish: 'sv', tagalog: 'tl', tamil: 'ta', thai: 'th',
+  turkish: 'tr', ukrainian: 'uk', urdu: 'ur', vietnamese: 'vi', welsh: 'cy'
+};
+
+// True for "en", "en-US" and the like
+function isEnglish(language) {
+  return /^en(-|$)/i.test(language || '');
+}
+
+// Translate a transcript to English with the voice-translate LLM chain.
+// Resolves to { transcript, provider, model, usage }; English input is
+// returned as is.
+async function translateToEnglish(transcript, language) {
+  if (!transcript || isEnglish(language)) {
+    return { transcript, provider: null, model: null, usage: null };
+  }
+
+  const completion = await complete('voice-translate', {
+    maxTokens: Math.min(4000, Math.ceil(transcript.length / 2) + 200),
+    temperature: 0,
+    system: 'You translate transcribed speech into natural English. Keep names of people, companies and places as spoken. Reply with the translation only.',
+    prompt: `Translate this ${language ? `${language} ` : ''}transcript to English:
+
+${transcript}`
+  });
+
+  return {
+    transcript: completion.text.trim(),
+    provider: completion.provider,
+    model: completion.model,
+    usage: completion.usage
+  };
+}
+
+// The one segment shape both providers are mapped to. Times are seconds
+// from the start of the recording; speaker is a zero-based index, or null
+// when the provider does not diarize (Whisper never does); confidence is
+// 0-1, or null when the provider gives none.
+function normalizeSegment(index, { start, end, speaker = null, text, confidence = null, words = [] }) {
+  return {
+    id: index,
+    start: roundTo(start, 3),
+    end: roundTo(end, 3),
+    speaker: Number.isInteger(speaker) ? speaker : null,
+    text: (text || '').trim(),
+    confidence: typeof confidence === 'number' ? roundTo(confidence, 3) : null,
+    words: words.map(word => ({
+      word: word.word,
+      start: roundTo(word.start, 3),
+      end: roundTo(word.end, 3),
+      speaker: Number.isInteger(word.speaker) ? word.speaker : null,
+      confidence: typeof word.confidence === 'number' ? roundTo(word.confidence, 3) : null
+    }))
+  };
+}
+
+function roundTo(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+// Transcribe audio using OpenAI Whisper
+async function transcribeWithOpenAI(audioBuffer, options = {}) {
+  try {
+    // Create FormData for file upload to OpenAI
+    const FormData = require('form-data');
+    const formData = new FormData();
+
+    const { contentType, extension } = AUDIO_FORMATS[options.format] || AUDIO_FORMATS.wav;
+    formData.append('file', audioBuffer, {
+      filename: `audio.${extension}`,
+      contentType
+    });
+    formData.append('model', 'whisper-1');
+    // verbose_json is the only format that reports the detected language
+    formData.append('response_format', 'verbose_json');
+    if (options.language) {
+      // Whisper takes ISO-639-1 codes only: "en-GB" -> "en"
+      formData.append('language', options.language.split('-')[0]);
+    }
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+    if (options.segments) {
+      formData.append('timestamp_granularities[]', 'segment');
+      formData.append('timestamp_granularities[]', 'word');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        ...formData.getHeaders()
+      },
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    return {
+      transcript: (result.text || '').trim(),
+      segments: options.segments ? openAISegments(result) : null,
+      duration: typeof result.duration === 'number' ? result.duration : null,
+      // Whisper names the language ("spanish") and gives no confidence
+      language: options.language || WHISPER_LANGUAGES[(result.language || '').toLowerCase()] || result.language || null,
+      languageConfidence: null
+    };
+  } catch (error) {
+    throw new Error(`OpenAI transcription failed: ${error.message}`);
+  }
+}
+
+// Whisper reports words separately from segments and without a
+// confidence; a segment's confidence is its average token probability
+function openAISegments(result) {
+  const words = result.words || [];
+  return (result.segments || []).map((segment, index) => normalizeSegment(index, {
+    start: segment.start,
+    end: segment.end,
+    text: segment.text,
+    confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null,
+    words: words.filter(word => word.start >= segment.start && word.start < segment.end)
+  }));
+}
+
+// Transcribe audio using Deepgram
+async function transcribeWithDeepgram(audioBuffer, options = {}) {
+  const query = new URLSearchParams({ model: 'nova-2', smart_format: 'true' });
+  if (options.language) {
+    query.set('language', options.language);
+  } else {
+    query.set('detect_language', 'true');
+  }
+  if (options.segments) {
+    query.set('diarize', 'true');
+    query.set('utterances', 'true');
+  }
+
+  const response = await fetch(`https://api.deepgram.com/v1/listen?${query}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Token ${process.env.DEEPGRAM_API_KEY}`,
+      'Content-Type': (AUDIO_FORMATS[options.format] || AUDIO_FORMATS.wav).contentType
+    },
+    body: audioBuffer
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Deepgram API error: ${response.status} - ${errorText}`);
+  }
+
+  const result = await response.json();
+
+  if (!result.results || !result.results.channels || !result.results.channels[0] || !result.results.channels[0].alternatives) {
+    throw new Error('No transcription results from Deepgram');
+  }
+
+  const channel = result.results.channels[0];
+  const alternative = channel.alternatives[0];
+  return {
+    transcript: alternative.transcript.trim(),
+    segments: options.segments ? deepgramSegments(result.results, alternative) : null,
+    duration: result.metadata && typeof result.metadata.duration === 'number' ? result.metadata.duration : null,
+    language: options.language || channel.detected_language || null,
+    languageConfidence: !options.language && typeof channel.language_confidence === 'number'
+      ? roundTo(channel.language_confidence, 3)
+      : null
+  };
+}
+
+// Deepgram utterances are already split at pauses and speaker changes;
+// without them the whole alternative becomes one segment
+function deepgramSegments(results, alternative) {
+  const toWords = words => (words || []).map(word => ({
+    word: word.punctuated_word || word.word,
+    start: word.start,
+    end: word.end,
+    speaker: word.speaker,
+    confidence: word.confidence
+  }));
+
+  if (Array.isArray(results.utterances)) {
+    return results.utterances.map((utterance, index) => normalizeSegment(index, {
+      start: utterance.start,
+      end: utterance.end,
+      speaker: utterance.speaker,
+      text: utterance.transcript,
+      confidence: utterance.confidence,
+      words: toWords(utterance.words)
+    }));
+  }
+
+  const words = alternative.words || [];
+  if (!alternative.transcript || words.length === 0) {
+    return [];
+  }
+  return [normalizeSegment(0, {
+    start: words[0].start,
+    end: words[words.length - 1].end,
+    text: alternative.transcript,
+    confidence: alternative.confidence,
+    words: toWords(words)
+  })];
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  transcriptionConfigured,
+  detectAudioFormat,
+  splitAudio,
+  readAudioBody,
+  readTranscriptionOptions,
+  transcribeAudio,
+  translateToEnglish
+};
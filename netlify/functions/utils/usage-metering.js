@@ -0,0 +1,97 @@
+// Metering of calls to paid AI and scraping services. Every provider
+// request (LLM completion, transcription, embedding, scrape) is recorded
+// with what it consumed and how long it took, and written to usage_events
+// once the function is done; the database prices each row from
+// usage_prices (see supabase/migrations/20261020010000_usage_metering.sql).
+//
+// The provider modules record calls with meterCall wherever they happen;
+// createHandler runs each route inside meterUsage, which collects them
+// for the request and saves them with the service role, so callers
+// cannot write or alter their own usage. Calls made outside a request
+// (scripts, imports from the command line) are not recorded.
+const { AsyncLocalStorage } = require('async_hooks');
+const { createServiceClient } = require('./auth');
+
+const meters = new AsyncLocalStorage();
+
+// Note one provider request. usage is { inputTokens, outputTokens,
+// audioSeconds, requests }; omitted amounts are 0 (requests 1).
+function recordCall({ operation, provider, model = null }, usage, { latencyMs = null, error = null } = {}) {
+  const events = meters.getStore();
+  if (!events) return;
+
+  events.push({
+    operation,
+    provider,
+    model,
+    input_tokens: Math.round((usage && usage.inputTokens) || 0),
+    output_tokens: Math.round((usage && usage.outputTokens) || 0),
+    audio_seconds: Math.round(((usage && usage.audioSeconds) || 0) * 1000) / 1000,
+    requests: usage && Number.isInteger(usage.requests) ? usage.requests : 1,
+    latency_ms: latencyMs,
+    success: !error,
+    error_message: error ? String(error.message || error).substring(0, 500) : null
+  });
+}
+
+// Run one provider request and record it, failures included. measure
+// maps the result to its usage (see recordCall).
+async function meterCall(call, work, measure = () => ({})) {
+  const startedAt = Date.now();
+  try {
+    const result = await work();
+    recordCall(call, measure(result), { latencyMs: Date.now() - startedAt });
+    return result;
+  } catch (error) {
+    recordCall(call, {}, { latencyMs: Date.now() - startedAt, error });
+    throw error;
+  }
+}
+
+// "api-voice-to-leads" from the function context, or from the path for
+// "/.netlify/functions/api-voice-to-leads/..." and "/api/voice-to-leads"
+function endpointName(request) {
+  if (request.context && request.context.functionName) {
+    return request.context.functionName;
+  }
+  const path = (request.event && request.event.path) || '';
+  const match = path.match(/\/\.netlify\/functions\/([^/]+)/) || path.match(/^\/api\/([^/]+)/);
+  if (!match) return 'unknown';
+  return match[1].startsWith('api-') ? match[1] : `api-${match[1]}`;
+}
+
+// Run a route with metering and save the calls it made, whether or not
+// it succeeded. Saving never fails the request. `supabase` is the
+// service-role client to save with, by default one from the environment.
+async function meterUsage(request, work, { supabase } = {}) {
+  const events = [];
+  try {
+    return await meters.run(events, work);
+  } finally {
+    await saveUsageEvents(request, events, supabase);
+  }
+}
+
+async function saveUsageEvents(request, events, supabase) {
+  if (events.length === 0 || !request.user) return;
+
+  const endpoint = endpointName(request);
+  if (!supabase && !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.warn(`Usage metering skipped for ${endpoint}: SUPABASE_SERVICE_ROLE_KEY is not set`);
+    return;
+  }
+
+  const { error } = await (supabase || createServiceClient())
+    .from('usage_events')
+    .insert(events.map(event => ({ ...event, user_id: request.user.id, endpoint })));
+
+  if (error) {
+    console.warn(`Usage metering failed for ${endpoint}:`, error.message);
+  }
+}
+
+module.exports = {
+  recordCall,
+  meterCall,
+  meterUsage
+};
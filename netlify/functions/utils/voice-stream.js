@@ -0,0 +1,149 @@
+// Live transcription in chunks, behind a swappable provider.
+//
+// Audio arrives as a series of short chunks. Each chunk is transcribed on
+// its own and turned into transcript events: "final" for speech that has
+// ended, and at most one "partial" for speech that ran into the end of the
+// chunk. A partial is carried over and joined with the start of the next
+// chunk, so each partial event supersedes the one before it until a final
+// replaces it.
+//
+// VOICE_STREAM_PROVIDER picks the provider: "hosted" (the default), which
+// sends each chunk to OpenAI or Deepgram through transcribeAudio and so
+// needs a transcription service configured, or "local", which needs no
+// network and reads each chunk as UTF-8 text, one spoken line per line, so
+// the protocol can be exercised with plain text chunks. local is only
+// used when asked for by name.
+const { HttpError } = require('./errors');
+const { AUDIO_FORMATS, transcriptionConfigured, detectAudioFormat, transcribeAudio } = require('./transcription');
+
+// Speech ending closer than this to the end of a chunk may continue in the next one
+const TRAILING_SPEECH_SECONDS = 0.5;
+
+// Seconds of speech the local provider assumes per line
+const LOCAL_SECONDS_PER_LINE = 2;
+
+const PROVIDERS = {
+  hosted: {
+    async transcribe(audioBuffer, { language }) {
+      const format = detectAudioFormat(audioBuffer);
+      if (!format) {
+        throw new HttpError(415, `Unrecognised audio format in chunk; each chunk must be a complete ${Object.keys(AUDIO_FORMATS).join(', ')} file`);
+      }
+
+      const result = await transcribeAudio(audioBuffer, { format, language, segments: true });
+      return {
+        segments: result.segments,
+        duration: result.duration,
+        service: result.service,
+        language: result.language,
+        languageConfidence: result.languageConfidence
+      };
+    }
+  },
+
+  local: {
+    async transcribe(audioBuffer, { language }) {
+      const lines = audioBuffer.toString('utf8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+      return {
+        segments: lines.map((text, index) => ({
+          id: index,
+          start: index * LOCAL_SECONDS_PER_LINE,
+          end: (index + 1) * LOCAL_SECONDS_PER_LINE,
+          speaker: null,
+          text,
+          confidence: 1,
+          words: []
+        })),
+        // Unknown, so only punctuation decides whether a line has ended
+        duration: null,
+        service: 'local',
+        language: language || null,
+        languageConfidence: null
+      };
+    }
+  }
+};
+
+function getStreamProviderName() {
+  const name = process.env.VOICE_STREAM_PROVIDER || 'hosted';
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown VOICE_STREAM_PROVIDER "${name}". Use hosted or local.`);
+  }
+  if (name === 'hosted' && !transcriptionConfigured()) {
+    throw new HttpError(500, 'No transcription service configured. Please set OPENAI_API_KEY or DEEPGRAM_API_KEY.', {
+      code: 'NOT_CONFIGURED'
+    });
+  }
+  return name;
+}
+
+// Transcribe one chunk with a session's provider. Resolves to the
+// provider result plus the chunk duration in seconds, estimated from the
+// last segment when the provider does not report it.
+async function transcribeStreamChunk(providerName, audioBuffer, { language } = {}) {
+  const result = await PROVIDERS[providerName].transcribe(audioBuffer, { language });
+  const segments = (result.segments || []).filter(segment => segment.text);
+  const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : 0;
+
+  return { ...result, segments, chunkDuration: result.duration || lastEnd };
+}
+
+// Turn a chunk's segments into events, given the speech pending from the
+// previous chunk and where this chunk starts in the session. Resolves to
+// { events: [{ type, text, start, end, speaker, confidence }], pending }.
+function applyChunk(pending, segments, { offset, duration }) {
+  const spoken = segments.map(segment => ({
+    text: segment.text,
+    start: roundSeconds(segment.start + offset),
+    end: roundSeconds(segment.end + offset),
+    speaker: Number.isInteger(segment.speaker) ? segment.speaker : null,
+    confidence: typeof segment.confidence === 'number' ? segment.confidence : null
+  }));
+
+  // A chunk without speech means the speaker paused: whatever was pending is done
+  if (spoken.length === 0) {
+    return { events: pending ? [{ type: 'final', ...pending }] : [], pending: null };
+  }
+
+  if (pending) {
+    const first = spoken[0];
+    spoken[0] = {
+      text: `${pending.text} ${first.text}`,
+      start: pending.start,
+      end: first.end,
+      speaker: pending.speaker === first.speaker ? first.speaker : null,
+      confidence: pending.confidence !== null && first.confidence !== null
+        ? Math.min(pending.confidence, first.confidence)
+        : null
+    };
+  }
+
+  const last = spoken[spoken.length - 1];
+  const endsSentence = /[.!?。？！]["')\]]*$/.test(last.text);
+  const runsToEnd = duration ? offset + duration - last.end < TRAILING_SPEECH_SECONDS : false;
+  const stillSpeaking = !endsSentence || runsToEnd;
+
+  const finals = stillSpeaking ? spoken.slice(0, -1) : spoken;
+  const events = finals.map(segment => ({ type: 'final', ...segment }));
+  if (stillSpeaking) {
+    events.push({ type: 'partial', ...last });
+  }
+
+  return { events, pending: stillSpeaking ? last : null };
+}
+
+// Close a session: pending speech becomes final
+function flushPending(pending) {
+  return pending ? [{ type: 'final', ...pending }] : [];
+}
+
+function roundSeconds(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
+
+module.exports = {
+  getStreamProviderName,
+  transcribeStreamChunk,
+  applyChunk,
+  flushPending
+};
@@ -0,0 +1,84 @@
+// Workspaces group the entities and research a team shares. Each request
+// acts in one active workspace, chosen with the X-Workspace-Id header (or
+// ?workspaceId=); without one the caller's earliest membership is used.
+const { HttpError } = require('./errors');
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+// Roles allowed to create entities and save research
+const EDITOR_ROLES = ['owner', 'editor'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The workspace id a request asks for, unchecked
+function requestedWorkspaceId(event) {
+  const headers = event.headers || {};
+  const params = event.queryStringParameters || {};
+  return headers['x-workspace-id'] || headers['X-Workspace-Id'] || params.workspaceId || null;
+}
+
+// Resolve the caller's active workspace to { id, role, canEdit }, or
+// throw HttpError (400 for a malformed id, 403 when not a member)
+async function resolveWorkspace(supabase, user, event) {
+  const requested = requestedWorkspaceId(event);
+  if (requested && !UUID_PATTERN.test(requested)) {
+    throw new HttpError(400, 'Workspace id must be a UUID');
+  }
+
+  let request = supabase
+    .from('workspace_members')
+    .select('workspace_id, role')
+    .eq('user_id', user.id);
+  if (requested) request = request.eq('workspace_id', requested);
+
+  const { data, error } = await request
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Workspace lookup failed: ${error.message}`);
+  }
+
+  const membership = (data || [])[0];
+  if (!membership) {
+    throw new HttpError(403, requested
+      ? `You are not a member of workspace ${requested}`
+      : 'Create or join a workspace first', { code: requested ? 'NOT_A_MEMBER' : 'NO_WORKSPACE' });
+  }
+
+  return {
+    id: membership.workspace_id,
+    role: membership.role,
+    canEdit: EDITOR_ROLES.includes(membership.role)
+  };
+}
+
+function requireEditor(workspace) {
+  if (!workspace.canEdit) {
+    throw new HttpError(403, `A ${workspace.role} cannot change workspace ${workspace.id}`);
+  }
+}
+
+// Members of a workspace, owners first
+async function listMembers(supabase, workspaceId) {
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('user_id, role, added_by, created_at')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Member lookup failed: ${error.message}`);
+  }
+
+  return (data || []).sort((a, b) => WORKSPACE_ROLES.indexOf(a.role) - WORKSPACE_ROLES.indexOf(b.role));
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  UUID_PATTERN,
+  requestedWorkspaceId,
+  resolveWorkspace,
+  requireEditor,
+  listMembers
+};
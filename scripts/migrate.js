@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Applies pending SQL migrations from supabase/migrations in file-name
+// order and records each one in public.schema_migrations.
+//
+//   DATABASE_URL=postgres://... node scripts/migrate.js            apply pending migrations
+//   DATABASE_URL=postgres://... node scripts/migrate.js --status   list applied and pending
+//   DATABASE_URL=postgres://... node scripts/migrate.js --dry-run  list what would run
+//
+// Each migration runs in its own transaction together with its
+// schema_migrations row, so a failed migration leaves no trace and the
+// run stops there. An advisory lock keeps two runners from racing.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+
+// Arbitrary constant shared by every runner
+const MIGRATION_LOCK_ID = 72160419;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d{14}_[\w-]+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version: file.substring(0, 14),
+        name: file.replace(/^\d{14}_/, '').replace(/\.sql$/, ''),
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM public.schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Apply every pending migration. Resolves to { applied, pending, changed },
+// where changed lists applied migrations whose file was edited afterwards.
+async function runMigrations(client, { dryRun = false, log = console.log } = {}) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  try {
+    await ensureMigrationsTable(client);
+
+    const migrations = loadMigrations();
+    const applied = await appliedMigrations(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    const changed = migrations.filter(migration =>
+      applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+    );
+
+    changed.forEach(migration => {
+      log(`⚠️  ${migration.file} was edited after it was applied; add a new migration instead`);
+    });
+
+    if (dryRun) {
+      pending.forEach(migration => log(`… would apply ${migration.file}`));
+      return { applied: [], pending, changed };
+    }
+
+    const done = [];
+    for (const migration of pending) {
+      log(`▶️  Applying ${migration.file}`);
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO public.schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+        done.push(migration);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return { applied: done, pending: pending.slice(done.length), changed };
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
+
+async function printStatus(client) {
+  await ensureMigrationsTable(client);
+  const applied = await appliedMigrations(client);
+
+  loadMigrations().forEach(migration => {
+    const row = applied.get(migration.version);
+    if (!row) {
+      console.log(`pending  ${migration.file}`);
+    } else if (row.checksum !== migration.checksum) {
+      console.log(`changed  ${migration.file} (applied ${row.applied_at.toISOString()})`);
+    } else {
+      console.log(`applied  ${migration.file} (${row.applied_at.toISOString()})`);
+    }
+  });
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is required, e.g. the Supabase connection string');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    if (args.includes('--status')) {
+      await printStatus(client);
+      return;
+    }
+
+    const { applied, pending } = await runMigrations(client, { dryRun: args.includes('--dry-run') });
+    if (args.includes('--dry-run')) {
+      console.log(`${pending.length} pending migration(s)`);
+    } else {
+      console.log(`✅ Applied ${applied.length} migration(s)`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations
+};
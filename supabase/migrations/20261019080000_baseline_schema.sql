@@ -0,0 +1,144 @@
+-- Baseline schema: every table the Netlify functions read or write that
+-- no later migration creates. Tables are created only when missing, so
+-- databases set up by hand before migrations existed keep their data;
+-- later migrations add columns, indexes and functions on top.
+
+-- Entities written by api-entities-create-from-text and searched by
+-- api-search-intelligent
+CREATE TABLE IF NOT EXISTS people (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  title TEXT,
+  company TEXT,
+  email TEXT,
+  phone TEXT,
+  linkedin TEXT,
+  location TEXT,
+  bio TEXT,
+  expertise TEXT[],
+  type TEXT,
+  confidence DECIMAL(3,2),
+  source TEXT,
+  raw_input TEXT,
+  source_urls TEXT[],
+  scraping_metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS companies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  website TEXT,
+  city TEXT,
+  state TEXT,
+  sectors TEXT,
+  size TEXT,
+  founded TEXT,
+  headquarters TEXT,
+  type TEXT,
+  confidence DECIMAL(3,2),
+  source TEXT,
+  raw_input TEXT,
+  source_urls TEXT[],
+  scraping_metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS projects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  description TEXT,
+  location TEXT,
+  type TEXT,
+  status TEXT,
+  developer TEXT,
+  architect TEXT,
+  contractor TEXT,
+  budget TEXT,
+  timeline TEXT,
+  confidence DECIMAL(3,2),
+  source TEXT,
+  raw_input TEXT,
+  source_urls TEXT[],
+  scraping_metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_people_created_at ON people(created_at);
+CREATE INDEX IF NOT EXISTS idx_companies_created_at ON companies(created_at);
+CREATE INDEX IF NOT EXISTS idx_projects_created_at ON projects(created_at);
+
+-- Research saved by api-save-research
+CREATE TABLE IF NOT EXISTS saved_research (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_name TEXT NOT NULL,
+  research_data JSONB NOT NULL,
+  confidence_score DECIMAL(3,2),
+  sources TEXT[],
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  session_id TEXT,
+  metadata JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_research_user_id ON saved_research(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_research_entity_type ON saved_research(entity_type);
+CREATE INDEX IF NOT EXISTS idx_saved_research_created_at ON saved_research(created_at);
+
+-- Where api-save-research writes when saved_research is unavailable
+CREATE TABLE IF NOT EXISTS generic_data_store (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generic_data_store_type ON generic_data_store(type);
+
+-- One row per research save
+CREATE TABLE IF NOT EXISTS user_analytics (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT,
+  entity_name TEXT,
+  confidence_score DECIMAL(3,2),
+  sources_count INTEGER,
+  data_size_bytes INTEGER,
+  session_id TEXT,
+  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_analytics_user_id ON user_analytics(user_id, timestamp);
+
+-- One row per transcription attempt by api-voice-transcribe
+CREATE TABLE IF NOT EXISTS voice_analytics (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT,
+  audio_size_bytes INTEGER,
+  transcript_length INTEGER,
+  service_used TEXT,
+  success BOOLEAN NOT NULL DEFAULT FALSE,
+  error_message TEXT,
+  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_analytics_timestamp ON voice_analytics(timestamp);
+
+-- Unhandled handler errors
+CREATE TABLE IF NOT EXISTS error_logs (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint TEXT NOT NULL,
+  error_message TEXT,
+  error_stack TEXT,
+  request_id TEXT,
+  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_error_logs_endpoint ON error_logs(endpoint, timestamp);
@@ -0,0 +1,15 @@
+-- Audit trail for AI extractions merged into existing people, companies
+-- and projects rows by api-entities-create-from-text
+CREATE TABLE IF NOT EXISTS entity_merges (
+  id BIGSERIAL PRIMARY KEY,
+  entity_table TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  match_score DECIMAL(3,2),
+  match_reasons JSONB,
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  raw_input TEXT,
+  merged_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_merges_entity ON entity_merges(entity_table, entity_id);
+CREATE INDEX IF NOT EXISTS idx_entity_merges_merged_at ON entity_merges(merged_at);
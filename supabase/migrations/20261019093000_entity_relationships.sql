@@ -0,0 +1,17 @@
+-- Links between people, companies and projects saved by the "auto"
+-- extraction mode of api-entities-create-from-text
+CREATE TABLE IF NOT EXISTS entity_relationships (
+  id BIGSERIAL PRIMARY KEY,
+  source_type TEXT NOT NULL CHECK (source_type IN ('person', 'company', 'project')),
+  source_id TEXT NOT NULL,
+  relation TEXT NOT NULL CHECK (relation IN ('works_at', 'developer_of', 'architect_of', 'contractor_of')),
+  target_type TEXT NOT NULL CHECK (target_type IN ('person', 'company', 'project')),
+  target_id TEXT NOT NULL,
+  confidence DECIMAL(3,2),
+  origin TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (source_type, source_id, relation, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_relationships_source ON entity_relationships(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_entity_relationships_target ON entity_relationships(target_type, target_id);
@@ -0,0 +1,8 @@
+-- Numeric budget alongside the free-text budget, and integer founded years,
+-- written by the normalization step of api-entities-create-from-text
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_cents BIGINT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_currency TEXT;
+
+ALTER TABLE companies
+  ALTER COLUMN founded TYPE INTEGER
+  USING NULLIF(substring(founded::text FROM '(1[6-9][0-9]{2}|20[0-9]{2})'), '')::INTEGER;
@@ -0,0 +1,5 @@
+-- Per-field source and confidence for AI-extracted entities:
+-- { "<field>": { value, verified, match, confidence, sources: [...] } }
+ALTER TABLE people ADD COLUMN IF NOT EXISTS field_provenance JSONB;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS field_provenance JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS field_provenance JSONB;
@@ -0,0 +1,131 @@
+-- Full-text and trigram search across people, companies and projects,
+-- used by api-search-intelligent through the search_entities RPC
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted search documents: A = name, B = role/affiliation,
+-- C = place and contact details, D = long descriptions
+ALTER TABLE people ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(title, '') || ' ' || coalesce(company, '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce(email, '') || ' ' || coalesce(location, '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(bio, '')), 'D')
+) STORED;
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(sectors::text, '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce(city, '') || ' ' || coalesce(state, '') || ' ' || coalesce(website, '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'D')
+) STORED;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(developer, '') || ' ' || coalesce(architect, '') || ' ' || coalesce(contractor, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(location, '') || ' ' || coalesce(type, '') || ' ' || coalesce(status, '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'D')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_people_search_vector ON people USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_companies_search_vector ON companies USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_projects_search_vector ON projects USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_people_name_trgm ON people USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_people_company_trgm ON people USING GIN (company gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_companies_name_trgm ON companies USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_projects_title_trgm ON projects USING GIN (title gin_trgm_ops);
+
+-- Which of the given fields match the query, and a highlighted fragment
+-- for each. A field matches on stemmed words or on a close trigram match,
+-- so typos such as "Constructon" still count.
+CREATE OR REPLACE FUNCTION search_match_details(fields JSONB, query TSQUERY, raw_query TEXT)
+RETURNS TABLE (matched_fields TEXT[], highlights JSONB)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    COALESCE(array_agg(f.key), '{}'),
+    COALESCE(
+      jsonb_object_agg(
+        f.key,
+        ts_headline('english', f.value, query, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5')
+      ),
+      '{}'::jsonb
+    )
+  FROM jsonb_each_text(fields) AS f
+  WHERE f.value IS NOT NULL
+    AND f.value <> ''
+    AND (to_tsvector('english', f.value) @@ query OR word_similarity(raw_query, f.value) >= 0.4);
+$$;
+
+-- One ranked result list across all entity types. Rank combines
+-- weighted full-text relevance (all words count double) with trigram
+-- similarity of the name, so exact names lead and typos still match.
+CREATE OR REPLACE FUNCTION search_entities(
+  search_query TEXT,
+  max_results INTEGER DEFAULT 10,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project']
+)
+RETURNS TABLE (
+  entity_type TEXT,
+  id TEXT,
+  name TEXT,
+  rank REAL,
+  matched_fields TEXT[],
+  highlights JSONB,
+  record JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH q AS (
+    SELECT
+      websearch_to_tsquery('english', search_query) AS all_words,
+      to_tsquery('simple', COALESCE(NULLIF(array_to_string(ARRAY(
+        SELECT quote_literal(lexeme)
+        FROM unnest(tsvector_to_array(to_tsvector('english', search_query))) AS lexeme
+      ), ' | '), ''), quote_literal(''))) AS any_word
+  ),
+  hits AS (
+    SELECT
+      'person'::TEXT AS entity_type,
+      p.id::TEXT AS id,
+      p.name AS name,
+      to_jsonb(p) - 'search_vector' AS record,
+      jsonb_build_object('name', p.name, 'title', p.title, 'company', p.company, 'email', p.email, 'bio', p.bio) AS fields,
+      ts_rank_cd(p.search_vector, q.all_words) * 2 + ts_rank_cd(p.search_vector, q.any_word)
+        + word_similarity(search_query, coalesce(p.name, '')) AS rank
+    FROM people p, q
+    WHERE 'person' = ANY(entity_types)
+      AND (p.search_vector @@ q.any_word OR search_query <% coalesce(p.name, '') OR search_query <% coalesce(p.company, ''))
+
+    UNION ALL
+
+    SELECT
+      'company'::TEXT,
+      c.id::TEXT,
+      c.name,
+      to_jsonb(c) - 'search_vector',
+      jsonb_build_object('name', c.name, 'sectors', c.sectors::TEXT, 'city', c.city, 'description', c.description),
+      ts_rank_cd(c.search_vector, q.all_words) * 2 + ts_rank_cd(c.search_vector, q.any_word)
+        + word_similarity(search_query, coalesce(c.name, ''))
+    FROM companies c, q
+    WHERE 'company' = ANY(entity_types)
+      AND (c.search_vector @@ q.any_word OR search_query <% coalesce(c.name, ''))
+
+    UNION ALL
+
+    SELECT
+      'project'::TEXT,
+      pr.id::TEXT,
+      pr.title,
+      to_jsonb(pr) - 'search_vector',
+      jsonb_build_object('title', pr.title, 'developer', pr.developer, 'architect', pr.architect, 'location', pr.location, 'description', pr.description),
+      ts_rank_cd(pr.search_vector, q.all_words) * 2 + ts_rank_cd(pr.search_vector, q.any_word)
+        + word_similarity(search_query, coalesce(pr.title, ''))
+    FROM projects pr, q
+    WHERE 'project' = ANY(entity_types)
+      AND (pr.search_vector @@ q.any_word OR search_query <% coalesce(pr.title, '') OR search_query <% coalesce(pr.developer, ''))
+  )
+  SELECT h.entity_type, h.id, h.name, h.rank::REAL, d.matched_fields, d.highlights, h.record
+  FROM hits h
+  CROSS JOIN q
+  CROSS JOIN LATERAL search_match_details(h.fields, q.any_word, search_query) d
+  ORDER BY h.rank DESC, h.name
+  LIMIT max_results;
+$$;
@@ -0,0 +1,103 @@
+-- Structured filters for search_entities. Filters arrive as data, keyed
+-- by entity type: { "company": [[{ "column": "city", "value": "Boston", "negated": false }]] }
+-- Outer arrays are ANDed, inner arrays are ORed, and every value is
+-- matched as a literal substring, never as SQL or PostgREST syntax.
+CREATE OR REPLACE FUNCTION search_filters_match(record JSONB, filters JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(COALESCE(filters, '[]'::jsonb)) AS grp
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(grp) AS cond
+      WHERE (
+        COALESCE(record->>(cond->>'column'), '') ILIKE
+          '%' || replace(replace(replace(cond->>'value', '\', '\\'), '%', '\%'), '_', '\_') || '%'
+      ) <> COALESCE((cond->>'negated')::BOOLEAN, FALSE)
+    )
+  );
+$$;
+
+DROP FUNCTION IF EXISTS search_entities(TEXT, INTEGER, TEXT[]);
+
+-- One ranked result list across all entity types. Rank combines
+-- weighted full-text relevance (all words count double) with trigram
+-- similarity of the name, so exact names lead and typos still match.
+-- An empty search_query returns every row that passes the filters.
+CREATE OR REPLACE FUNCTION search_entities(
+  search_query TEXT,
+  max_results INTEGER DEFAULT 10,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb
+)
+RETURNS TABLE (
+  entity_type TEXT,
+  id TEXT,
+  name TEXT,
+  rank REAL,
+  matched_fields TEXT[],
+  highlights JSONB,
+  record JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH q AS (
+    SELECT
+      COALESCE(search_query, '') = '' AS match_all,
+      websearch_to_tsquery('english', COALESCE(search_query, '')) AS all_words,
+      to_tsquery('simple', COALESCE(NULLIF(array_to_string(ARRAY(
+        SELECT quote_literal(lexeme)
+        FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+      ), ' | '), ''), '')) AS any_word
+  ),
+  hits AS (
+    SELECT
+      'person'::TEXT AS entity_type,
+      p.id::TEXT AS id,
+      p.name AS name,
+      to_jsonb(p) - 'search_vector' AS record,
+      jsonb_build_object('name', p.name, 'title', p.title, 'company', p.company, 'email', p.email, 'bio', p.bio) AS fields,
+      ts_rank_cd(p.search_vector, q.all_words) * 2 + ts_rank_cd(p.search_vector, q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(p.name, '')) AS rank
+    FROM people p, q
+    WHERE 'person' = ANY(entity_types)
+      AND (q.match_all OR p.search_vector @@ q.any_word OR search_query <% coalesce(p.name, '') OR search_query <% coalesce(p.company, ''))
+      AND search_filters_match(to_jsonb(p), filters->'person')
+
+    UNION ALL
+
+    SELECT
+      'company'::TEXT,
+      c.id::TEXT,
+      c.name,
+      to_jsonb(c) - 'search_vector',
+      jsonb_build_object('name', c.name, 'sectors', c.sectors::TEXT, 'city', c.city, 'description', c.description),
+      ts_rank_cd(c.search_vector, q.all_words) * 2 + ts_rank_cd(c.search_vector, q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(c.name, ''))
+    FROM companies c, q
+    WHERE 'company' = ANY(entity_types)
+      AND (q.match_all OR c.search_vector @@ q.any_word OR search_query <% coalesce(c.name, ''))
+      AND search_filters_match(to_jsonb(c), filters->'company')
+
+    UNION ALL
+
+    SELECT
+      'project'::TEXT,
+      pr.id::TEXT,
+      pr.title,
+      to_jsonb(pr) - 'search_vector',
+      jsonb_build_object('title', pr.title, 'developer', pr.developer, 'architect', pr.architect, 'location', pr.location, 'description', pr.description),
+      ts_rank_cd(pr.search_vector, q.all_words) * 2 + ts_rank_cd(pr.search_vector, q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(pr.title, ''))
+    FROM projects pr, q
+    WHERE 'project' = ANY(entity_types)
+      AND (q.match_all OR pr.search_vector @@ q.any_word OR search_query <% coalesce(pr.title, '') OR search_query <% coalesce(pr.developer, ''))
+      AND search_filters_match(to_jsonb(pr), filters->'project')
+  )
+  SELECT h.entity_type, h.id, h.name, h.rank::REAL, d.matched_fields, d.highlights, h.record
+  FROM hits h
+  CROSS JOIN q
+  CROSS JOIN LATERAL search_match_details(h.fields, q.any_word, COALESCE(search_query, '')) d
+  ORDER BY h.rank DESC, h.name
+  LIMIT max_results;
+$$;
@@ -0,0 +1,226 @@
+-- Cursor pagination, sort modes and facet counts for api-search-intelligent.
+-- search_entity_hits is the unpaged, unsorted match set that both the
+-- result page and the facet counts are computed from.
+DROP FUNCTION IF EXISTS search_entities(TEXT, INTEGER, TEXT[], JSONB);
+
+CREATE OR REPLACE FUNCTION search_entity_hits(
+  search_query TEXT,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb
+)
+RETURNS TABLE (
+  entity_type TEXT,
+  id TEXT,
+  name TEXT,
+  rank REAL,
+  created_at TIMESTAMP WITH TIME ZONE,
+  record JSONB,
+  fields JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH q AS (
+    SELECT
+      COALESCE(search_query, '') = '' AS match_all,
+      websearch_to_tsquery('english', COALESCE(search_query, '')) AS all_words,
+      to_tsquery('simple', COALESCE(NULLIF(array_to_string(ARRAY(
+        SELECT quote_literal(lexeme)
+        FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+      ), ' | '), ''), '')) AS any_word
+  )
+  SELECT
+    'person'::TEXT,
+    p.id::TEXT,
+    p.name,
+    (ts_rank_cd(p.search_vector, q.all_words) * 2 + ts_rank_cd(p.search_vector, q.any_word)
+      + word_similarity(COALESCE(search_query, ''), coalesce(p.name, '')))::REAL,
+    p.created_at,
+    to_jsonb(p) - 'search_vector',
+    jsonb_build_object('name', p.name, 'title', p.title, 'company', p.company, 'email', p.email, 'bio', p.bio)
+  FROM people p, q
+  WHERE 'person' = ANY(entity_types)
+    AND (q.match_all OR p.search_vector @@ q.any_word OR search_query <% coalesce(p.name, '') OR search_query <% coalesce(p.company, ''))
+    AND search_filters_match(to_jsonb(p), filters->'person')
+
+  UNION ALL
+
+  SELECT
+    'company'::TEXT,
+    c.id::TEXT,
+    c.name,
+    (ts_rank_cd(c.search_vector, q.all_words) * 2 + ts_rank_cd(c.search_vector, q.any_word)
+      + word_similarity(COALESCE(search_query, ''), coalesce(c.name, '')))::REAL,
+    c.created_at,
+    to_jsonb(c) - 'search_vector',
+    jsonb_build_object('name', c.name, 'sectors', c.sectors::TEXT, 'city', c.city, 'description', c.description)
+  FROM companies c, q
+  WHERE 'company' = ANY(entity_types)
+    AND (q.match_all OR c.search_vector @@ q.any_word OR search_query <% coalesce(c.name, ''))
+    AND search_filters_match(to_jsonb(c), filters->'company')
+
+  UNION ALL
+
+  SELECT
+    'project'::TEXT,
+    pr.id::TEXT,
+    pr.title,
+    (ts_rank_cd(pr.search_vector, q.all_words) * 2 + ts_rank_cd(pr.search_vector, q.any_word)
+      + word_similarity(COALESCE(search_query, ''), coalesce(pr.title, '')))::REAL,
+    pr.created_at,
+    to_jsonb(pr) - 'search_vector',
+    jsonb_build_object('title', pr.title, 'developer', pr.developer, 'architect', pr.architect, 'location', pr.location, 'description', pr.description)
+  FROM projects pr, q
+  WHERE 'project' = ANY(entity_types)
+    AND (q.match_all OR pr.search_vector @@ q.any_word OR search_query <% coalesce(pr.title, '') OR search_query <% coalesce(pr.developer, ''))
+    AND search_filters_match(to_jsonb(pr), filters->'project');
+$$;
+
+-- One page of results in the requested order. Every sort ends with
+-- (entity_type, id) so the order is total and a cursor taken from the
+-- last row of a page resumes exactly where that page stopped:
+--   relevance: rank DESC     newest: created_at DESC     name: name ASC
+-- after_cursor is { "key": <sort_key of last row>, "type": ..., "id": ... }.
+CREATE OR REPLACE FUNCTION search_entities(
+  search_query TEXT,
+  max_results INTEGER DEFAULT 10,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb,
+  sort_mode TEXT DEFAULT 'relevance',
+  after_cursor JSONB DEFAULT NULL
+)
+RETURNS TABLE (
+  entity_type TEXT,
+  id TEXT,
+  name TEXT,
+  rank REAL,
+  sort_key TEXT,
+  matched_fields TEXT[],
+  highlights JSONB,
+  record JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH keyed AS (
+    SELECT
+      h.*,
+      COALESCE(h.created_at, '-infinity'::TIMESTAMP WITH TIME ZONE) AS newest_key,
+      lower(COALESCE(h.name, '')) AS name_key
+    FROM search_entity_hits(search_query, entity_types, filters) h
+  ),
+  page AS (
+    SELECT k.*
+    FROM keyed k
+    WHERE after_cursor IS NULL
+      OR CASE sort_mode
+        WHEN 'newest' THEN (k.newest_key, k.entity_type, k.id)
+          < ((after_cursor->>'key')::TIMESTAMP WITH TIME ZONE, after_cursor->>'type', after_cursor->>'id')
+        WHEN 'name' THEN (k.name_key, k.entity_type, k.id)
+          > (after_cursor->>'key', after_cursor->>'type', after_cursor->>'id')
+        ELSE (k.rank, k.entity_type, k.id)
+          < ((after_cursor->>'key')::REAL, after_cursor->>'type', after_cursor->>'id')
+      END
+    ORDER BY
+      CASE WHEN sort_mode = 'newest' THEN k.newest_key END DESC,
+      CASE WHEN sort_mode = 'name' THEN k.name_key END ASC,
+      CASE WHEN sort_mode = 'name' THEN k.entity_type END ASC,
+      CASE WHEN sort_mode = 'name' THEN k.id END ASC,
+      CASE WHEN sort_mode NOT IN ('newest', 'name') THEN k.rank END DESC,
+      CASE WHEN sort_mode <> 'name' THEN k.entity_type END DESC,
+      CASE WHEN sort_mode <> 'name' THEN k.id END DESC
+    LIMIT max_results
+  )
+  SELECT
+    p.entity_type,
+    p.id,
+    p.name,
+    p.rank,
+    CASE sort_mode
+      WHEN 'newest' THEN p.newest_key::TEXT
+      WHEN 'name' THEN p.name_key
+      ELSE p.rank::TEXT
+    END,
+    d.matched_fields,
+    d.highlights,
+    p.record
+  FROM page p
+  CROSS JOIN LATERAL search_match_details(
+    p.fields,
+    to_tsquery('simple', COALESCE(NULLIF(array_to_string(ARRAY(
+      SELECT quote_literal(lexeme)
+      FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+    ), ' | '), ''), '')),
+    COALESCE(search_query, '')
+  ) d
+  ORDER BY
+    CASE WHEN sort_mode = 'newest' THEN p.newest_key END DESC,
+    CASE WHEN sort_mode = 'name' THEN p.name_key END ASC,
+    CASE WHEN sort_mode = 'name' THEN p.entity_type END ASC,
+    CASE WHEN sort_mode = 'name' THEN p.id END ASC,
+    CASE WHEN sort_mode NOT IN ('newest', 'name') THEN p.rank END DESC,
+    CASE WHEN sort_mode <> 'name' THEN p.entity_type END DESC,
+    CASE WHEN sort_mode <> 'name' THEN p.id END DESC;
+$$;
+
+-- Total matches per entity type and facet counts over the whole match
+-- set, not just the current page. City and state come from companies'
+-- own columns or from the "City, ST" tail of a person or project location.
+CREATE OR REPLACE FUNCTION search_entity_facets(
+  search_query TEXT,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb,
+  facet_limit INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+  WITH hits AS (
+    SELECT * FROM search_entity_hits(search_query, entity_types, filters)
+  ),
+  located AS (
+    SELECT
+      h.entity_type,
+      h.record,
+      CASE
+        WHEN h.entity_type = 'company' THEN h.record->>'city'
+        WHEN h.record->>'location' ~ ',\s*[A-Z]{2}\s*$' THEN trim(reverse(split_part(reverse(h.record->>'location'), ',', 2)))
+      END AS city,
+      CASE
+        WHEN h.entity_type = 'company' THEN h.record->>'state'
+        ELSE substring(h.record->>'location' FROM ',\s*([A-Z]{2})\s*$')
+      END AS state
+    FROM hits h
+  ),
+  facet_values AS (
+    SELECT 'city' AS facet, city AS value FROM located
+    UNION ALL
+    SELECT 'state', state FROM located
+    UNION ALL
+    SELECT 'sector', lower(trim(sector))
+    FROM located, regexp_split_to_table(COALESCE(record->>'sectors', ''), '\s*[,;/]\s*') AS sector
+    WHERE entity_type = 'company'
+    UNION ALL
+    SELECT 'project_status', lower(record->>'status') FROM located WHERE entity_type = 'project'
+    UNION ALL
+    SELECT 'project_type', lower(record->>'type') FROM located WHERE entity_type = 'project'
+  ),
+  counted AS (
+    SELECT facet, value, count(*) AS total,
+      row_number() OVER (PARTITION BY facet ORDER BY count(*) DESC, value) AS position
+    FROM facet_values
+    WHERE value IS NOT NULL AND value <> ''
+    GROUP BY facet, value
+  )
+  SELECT jsonb_build_object(
+    'totals', jsonb_build_object(
+      'person', (SELECT count(*) FROM hits WHERE entity_type = 'person'),
+      'company', (SELECT count(*) FROM hits WHERE entity_type = 'company'),
+      'project', (SELECT count(*) FROM hits WHERE entity_type = 'project')
+    ),
+    'facets', COALESCE((
+      SELECT jsonb_object_agg(facet, buckets)
+      FROM (
+        SELECT facet, jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY position) AS buckets
+        FROM counted
+        WHERE position <= facet_limit
+        GROUP BY facet
+      ) grouped
+    ), '{}'::jsonb)
+  );
+$$;
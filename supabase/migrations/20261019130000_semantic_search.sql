@@ -0,0 +1,369 @@
+-- Embeddings for semantic search over people, companies, projects and
+-- saved research, and a hybrid mode for search_entities that blends
+-- vector similarity with keyword relevance
+CREATE EXTENSION IF NOT EXISTS vector;
+
+ALTER TABLE people ADD COLUMN IF NOT EXISTS embedding VECTOR(1536);
+ALTER TABLE people ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS embedding VECTOR(1536);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS embedding VECTOR(1536);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE saved_research ADD COLUMN IF NOT EXISTS embedding VECTOR(1536);
+ALTER TABLE saved_research ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_people_embedding ON people USING hnsw (embedding vector_cosine_ops);
+CREATE INDEX IF NOT EXISTS idx_companies_embedding ON companies USING hnsw (embedding vector_cosine_ops);
+CREATE INDEX IF NOT EXISTS idx_projects_embedding ON projects USING hnsw (embedding vector_cosine_ops);
+CREATE INDEX IF NOT EXISTS idx_saved_research_embedding ON saved_research USING hnsw (embedding vector_cosine_ops);
+
+DROP FUNCTION IF EXISTS search_entities(TEXT, INTEGER, TEXT[], JSONB, TEXT, JSONB);
+DROP FUNCTION IF EXISTS search_entity_facets(TEXT, TEXT[], JSONB, INTEGER);
+DROP FUNCTION IF EXISTS search_entity_hits(TEXT, TEXT[], JSONB);
+
+-- Saved research and project developers had no text search indexes;
+-- these serve the keyword candidates of search_entity_hits below
+CREATE INDEX IF NOT EXISTS idx_saved_research_name_search ON saved_research USING GIN (to_tsvector('english', coalesce(entity_name, '')));
+CREATE INDEX IF NOT EXISTS idx_saved_research_name_trgm ON saved_research USING GIN (entity_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_projects_developer_trgm ON projects USING GIN (developer gin_trgm_ops);
+
+-- Any word of the query, stemmed: "solar farms" -> 'solar' | 'farm'.
+-- A function of the query alone, so predicates using it can be served
+-- by the search_vector indexes.
+CREATE OR REPLACE FUNCTION search_any_word(search_query TEXT)
+RETURNS tsquery
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT to_tsquery('simple', COALESCE(NULLIF(array_to_string(ARRAY(
+    SELECT quote_literal(lexeme)
+    FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+  ), ' | '), ''), ''))
+$$;
+
+-- Unpaged match set. Without query_embedding this is keyword search as
+-- before. With it, rows whose embedding (from the same query_model) is
+-- at least min_similarity away also match, and rank becomes
+--   (1 - semantic_weight) * keyword / (keyword + 1) + semantic_weight * similarity
+-- so both parts sit on a 0..1 scale. Saved research ("research") is
+-- only searched when asked for in entity_types.
+--
+-- Each table is only scored for its candidates: every row when the
+-- query is empty, keyword matches found through the text search and
+-- trigram indexes, and the semantic_candidates nearest embeddings found
+-- through the hnsw index.
+CREATE OR REPLACE FUNCTION search_entity_hits(
+  search_query TEXT,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb,
+  query_embedding VECTOR(1536) DEFAULT NULL,
+  query_model TEXT DEFAULT NULL,
+  semantic_weight REAL DEFAULT 0.5,
+  min_similarity REAL DEFAULT 0.3,
+  semantic_candidates INTEGER DEFAULT 200
+)
+RETURNS TABLE (
+  entity_type TEXT,
+  id TEXT,
+  name TEXT,
+  rank REAL,
+  keyword_rank REAL,
+  similarity REAL,
+  created_at TIMESTAMP WITH TIME ZONE,
+  record JSONB,
+  fields JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH q AS (
+    SELECT
+      COALESCE(search_query, '') = '' AS match_all,
+      websearch_to_tsquery('english', COALESCE(search_query, '')) AS all_words,
+      search_any_word(search_query) AS any_word
+  ),
+  scored AS (
+    SELECT
+      'person'::TEXT AS entity_type,
+      p.id::TEXT AS id,
+      p.name AS name,
+      p.created_at AS created_at,
+      to_jsonb(p) - 'search_vector' - 'embedding' AS record,
+      jsonb_build_object('name', p.name, 'title', p.title, 'company', p.company, 'email', p.email, 'bio', p.bio) AS fields,
+      (q.match_all OR p.search_vector @@ q.any_word OR search_query <% p.name OR search_query <% p.company) AS keyword_match,
+      ts_rank_cd(p.search_vector, q.all_words) * 2 + ts_rank_cd(p.search_vector, q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(p.name, '')) AS keyword_rank,
+      CASE WHEN p.embedding_model = query_model THEN 1 - (p.embedding <=> query_embedding) END AS similarity
+    FROM people p, q
+    WHERE 'person' = ANY(entity_types)
+      AND p.id IN (
+        SELECT k.id FROM people k WHERE COALESCE(search_query, '') = ''
+        UNION
+        SELECT k.id FROM people k WHERE k.search_vector @@ search_any_word(search_query)
+          OR search_query <% k.name OR search_query <% k.company
+        UNION
+        (SELECT v.id FROM people v
+         WHERE query_embedding IS NOT NULL AND v.embedding_model = query_model
+         ORDER BY v.embedding <=> query_embedding
+         LIMIT semantic_candidates)
+      )
+      AND search_filters_match(to_jsonb(p) - 'embedding', filters->'person')
+
+    UNION ALL
+
+    SELECT
+      'company'::TEXT,
+      c.id::TEXT,
+      c.name,
+      c.created_at,
+      to_jsonb(c) - 'search_vector' - 'embedding',
+      jsonb_build_object('name', c.name, 'sectors', c.sectors::TEXT, 'city', c.city, 'description', c.description),
+      (q.match_all OR c.search_vector @@ q.any_word OR search_query <% c.name),
+      ts_rank_cd(c.search_vector, q.all_words) * 2 + ts_rank_cd(c.search_vector, q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(c.name, '')),
+      CASE WHEN c.embedding_model = query_model THEN 1 - (c.embedding <=> query_embedding) END
+    FROM companies c, q
+    WHERE 'company' = ANY(entity_types)
+      AND c.id IN (
+        SELECT k.id FROM companies k WHERE COALESCE(search_query, '') = ''
+        UNION
+        SELECT k.id FROM companies k WHERE k.search_vector @@ search_any_word(search_query)
+          OR search_query <% k.name
+        UNION
+        (SELECT v.id FROM companies v
+         WHERE query_embedding IS NOT NULL AND v.embedding_model = query_model
+         ORDER BY v.embedding <=> query_embedding
+         LIMIT semantic_candidates)
+      )
+      AND search_filters_match(to_jsonb(c) - 'embedding', filters->'company')
+
+    UNION ALL
+
+    SELECT
+      'project'::TEXT,
+      pr.id::TEXT,
+      pr.title,
+      pr.created_at,
+      to_jsonb(pr) - 'search_vector' - 'embedding',
+      jsonb_build_object('title', pr.title, 'developer', pr.developer, 'architect', pr.architect, 'location', pr.location, 'description', pr.description),
+      (q.match_all OR pr.search_vector @@ q.any_word OR search_query <% pr.title OR search_query <% pr.developer),
+      ts_rank_cd(pr.search_vector, q.all_words) * 2 + ts_rank_cd(pr.search_vector, q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(pr.title, '')),
+      CASE WHEN pr.embedding_model = query_model THEN 1 - (pr.embedding <=> query_embedding) END
+    FROM projects pr, q
+    WHERE 'project' = ANY(entity_types)
+      AND pr.id IN (
+        SELECT k.id FROM projects k WHERE COALESCE(search_query, '') = ''
+        UNION
+        SELECT k.id FROM projects k WHERE k.search_vector @@ search_any_word(search_query)
+          OR search_query <% k.title OR search_query <% k.developer
+        UNION
+        (SELECT v.id FROM projects v
+         WHERE query_embedding IS NOT NULL AND v.embedding_model = query_model
+         ORDER BY v.embedding <=> query_embedding
+         LIMIT semantic_candidates)
+      )
+      AND search_filters_match(to_jsonb(pr) - 'embedding', filters->'project')
+
+    UNION ALL
+
+    SELECT
+      'research'::TEXT,
+      r.id::TEXT,
+      r.entity_name,
+      r.created_at,
+      to_jsonb(r) - 'embedding',
+      jsonb_build_object('entity_name', r.entity_name, 'entity_type', r.entity_type),
+      (q.match_all OR to_tsvector('english', coalesce(r.entity_name, '')) @@ q.any_word OR search_query <% r.entity_name),
+      ts_rank_cd(setweight(to_tsvector('english', coalesce(r.entity_name, '')), 'A'), q.any_word)
+        + word_similarity(COALESCE(search_query, ''), coalesce(r.entity_name, '')),
+      CASE WHEN r.embedding_model = query_model THEN 1 - (r.embedding <=> query_embedding) END
+    FROM saved_research r, q
+    WHERE 'research' = ANY(entity_types)
+      AND r.id IN (
+        SELECT k.id FROM saved_research k WHERE COALESCE(search_query, '') = ''
+        UNION
+        SELECT k.id FROM saved_research k WHERE to_tsvector('english', coalesce(k.entity_name, '')) @@ search_any_word(search_query)
+          OR search_query <% k.entity_name
+        UNION
+        (SELECT v.id FROM saved_research v
+         WHERE query_embedding IS NOT NULL AND v.embedding_model = query_model
+         ORDER BY v.embedding <=> query_embedding
+         LIMIT semantic_candidates)
+      )
+      AND search_filters_match(to_jsonb(r) - 'embedding', filters->'research')
+  )
+  SELECT
+    s.entity_type,
+    s.id,
+    s.name,
+    (CASE
+      WHEN query_embedding IS NULL THEN s.keyword_rank
+      ELSE (1 - semantic_weight) * (s.keyword_rank / (s.keyword_rank + 1)) + semantic_weight * COALESCE(s.similarity, 0)
+    END)::REAL,
+    s.keyword_rank::REAL,
+    s.similarity::REAL,
+    s.created_at,
+    s.record,
+    s.fields
+  FROM scored s
+  WHERE s.keyword_match OR s.similarity >= min_similarity;
+$$;
+
+-- One page of results in the requested order. Every sort ends with
+-- (entity_type, id) so the order is total and a cursor taken from the
+-- last row of a page resumes exactly where that page stopped:
+--   relevance: rank DESC     newest: created_at DESC     name: name ASC
+-- after_cursor is { "key": <sort_key of last row>, "type": ..., "id": ... }.
+CREATE OR REPLACE FUNCTION search_entities(
+  search_query TEXT,
+  max_results INTEGER DEFAULT 10,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb,
+  sort_mode TEXT DEFAULT 'relevance',
+  after_cursor JSONB DEFAULT NULL,
+  query_embedding VECTOR(1536) DEFAULT NULL,
+  query_model TEXT DEFAULT NULL,
+  semantic_weight REAL DEFAULT 0.5
+)
+RETURNS TABLE (
+  entity_type TEXT,
+  id TEXT,
+  name TEXT,
+  rank REAL,
+  keyword_rank REAL,
+  similarity REAL,
+  sort_key TEXT,
+  matched_fields TEXT[],
+  highlights JSONB,
+  record JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH keyed AS (
+    SELECT
+      h.*,
+      COALESCE(h.created_at, '-infinity'::TIMESTAMP WITH TIME ZONE) AS newest_key,
+      lower(COALESCE(h.name, '')) AS name_key
+    FROM search_entity_hits(search_query, entity_types, filters, query_embedding, query_model, semantic_weight) h
+  ),
+  page AS (
+    SELECT k.*
+    FROM keyed k
+    WHERE after_cursor IS NULL
+      OR CASE sort_mode
+        WHEN 'newest' THEN (k.newest_key, k.entity_type, k.id)
+          < ((after_cursor->>'key')::TIMESTAMP WITH TIME ZONE, after_cursor->>'type', after_cursor->>'id')
+        WHEN 'name' THEN (k.name_key, k.entity_type, k.id)
+          > (after_cursor->>'key', after_cursor->>'type', after_cursor->>'id')
+        ELSE (k.rank, k.entity_type, k.id)
+          < ((after_cursor->>'key')::REAL, after_cursor->>'type', after_cursor->>'id')
+      END
+    ORDER BY
+      CASE WHEN sort_mode = 'newest' THEN k.newest_key END DESC,
+      CASE WHEN sort_mode = 'name' THEN k.name_key END ASC,
+      CASE WHEN sort_mode = 'name' THEN k.entity_type END ASC,
+      CASE WHEN sort_mode = 'name' THEN k.id END ASC,
+      CASE WHEN sort_mode NOT IN ('newest', 'name') THEN k.rank END DESC,
+      CASE WHEN sort_mode <> 'name' THEN k.entity_type END DESC,
+      CASE WHEN sort_mode <> 'name' THEN k.id END DESC
+    LIMIT max_results
+  )
+  SELECT
+    p.entity_type,
+    p.id,
+    p.name,
+    p.rank,
+    p.keyword_rank,
+    p.similarity,
+    CASE sort_mode
+      WHEN 'newest' THEN p.newest_key::TEXT
+      WHEN 'name' THEN p.name_key
+      ELSE p.rank::TEXT
+    END,
+    d.matched_fields,
+    d.highlights,
+    p.record
+  FROM page p
+  CROSS JOIN LATERAL search_match_details(
+    p.fields,
+    to_tsquery('simple', COALESCE(NULLIF(array_to_string(ARRAY(
+      SELECT quote_literal(lexeme)
+      FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+    ), ' | '), ''), '')),
+    COALESCE(search_query, '')
+  ) d
+  ORDER BY
+    CASE WHEN sort_mode = 'newest' THEN p.newest_key END DESC,
+    CASE WHEN sort_mode = 'name' THEN p.name_key END ASC,
+    CASE WHEN sort_mode = 'name' THEN p.entity_type END ASC,
+    CASE WHEN sort_mode = 'name' THEN p.id END ASC,
+    CASE WHEN sort_mode NOT IN ('newest', 'name') THEN p.rank END DESC,
+    CASE WHEN sort_mode <> 'name' THEN p.entity_type END DESC,
+    CASE WHEN sort_mode <> 'name' THEN p.id END DESC;
+$$;
+
+-- Total matches per entity type and facet counts over the whole match
+-- set, not just the current page. City and state come from companies'
+-- own columns or from the "City, ST" tail of a person or project location.
+CREATE OR REPLACE FUNCTION search_entity_facets(
+  search_query TEXT,
+  entity_types TEXT[] DEFAULT ARRAY['person', 'company', 'project'],
+  filters JSONB DEFAULT '{}'::jsonb,
+  facet_limit INTEGER DEFAULT 20,
+  query_embedding VECTOR(1536) DEFAULT NULL,
+  query_model TEXT DEFAULT NULL,
+  semantic_weight REAL DEFAULT 0.5
+)
+RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+  WITH hits AS (
+    SELECT * FROM search_entity_hits(search_query, entity_types, filters, query_embedding, query_model, semantic_weight)
+  ),
+  located AS (
+    SELECT
+      h.entity_type,
+      h.record,
+      CASE
+        WHEN h.entity_type = 'company' THEN h.record->>'city'
+        WHEN h.record->>'location' ~ ',\s*[A-Z]{2}\s*$' THEN trim(reverse(split_part(reverse(h.record->>'location'), ',', 2)))
+      END AS city,
+      CASE
+        WHEN h.entity_type = 'company' THEN h.record->>'state'
+        ELSE substring(h.record->>'location' FROM ',\s*([A-Z]{2})\s*$')
+      END AS state
+    FROM hits h
+  ),
+  facet_values AS (
+    SELECT 'city' AS facet, city AS value FROM located
+    UNION ALL
+    SELECT 'state', state FROM located
+    UNION ALL
+    SELECT 'sector', lower(trim(sector))
+    FROM located, regexp_split_to_table(COALESCE(record->>'sectors', ''), '\s*[,;/]\s*') AS sector
+    WHERE entity_type = 'company'
+    UNION ALL
+    SELECT 'project_status', lower(record->>'status') FROM located WHERE entity_type = 'project'
+    UNION ALL
+    SELECT 'project_type', lower(record->>'type') FROM located WHERE entity_type = 'project'
+  ),
+  counted AS (
+    SELECT facet, value, count(*) AS total,
+      row_number() OVER (PARTITION BY facet ORDER BY count(*) DESC, value) AS position
+    FROM facet_values
+    WHERE value IS NOT NULL AND value <> ''
+    GROUP BY facet, value
+  )
+  SELECT jsonb_build_object(
+    'totals', jsonb_build_object(
+      'person', (SELECT count(*) FROM hits WHERE entity_type = 'person'),
+      'company', (SELECT count(*) FROM hits WHERE entity_type = 'company'),
+      'project', (SELECT count(*) FROM hits WHERE entity_type = 'project'),
+      'research', (SELECT count(*) FROM hits WHERE entity_type = 'research')
+    ),
+    'facets', COALESCE((
+      SELECT jsonb_object_agg(facet, buckets)
+      FROM (
+        SELECT facet, jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY position) AS buckets
+        FROM counted
+        WHERE position <= facet_limit
+        GROUP BY facet
+      ) grouped
+    ), '{}'::jsonb)
+  );
+$$;
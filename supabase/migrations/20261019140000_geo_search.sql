@@ -0,0 +1,80 @@
+-- Coordinates for project sites and company headquarters, filled in by
+-- the geocoding adapter on save, and radius / bounding-box conditions
+-- for search_entities filters.
+
+ALTER TABLE companies
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS geocode_query TEXT,
+  ADD COLUMN IF NOT EXISTS geocode_source TEXT,
+  ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMPTZ;
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS geocode_query TEXT,
+  ADD COLUMN IF NOT EXISTS geocode_source TEXT,
+  ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS companies_coordinates_idx ON companies (latitude, longitude) WHERE latitude IS NOT NULL;
+CREATE INDEX IF NOT EXISTS projects_coordinates_idx ON projects (latitude, longitude) WHERE latitude IS NOT NULL;
+
+-- Great-circle (haversine) distance in meters
+CREATE OR REPLACE FUNCTION geo_distance_meters(lat1 DOUBLE PRECISION, lng1 DOUBLE PRECISION, lat2 DOUBLE PRECISION, lng2 DOUBLE PRECISION)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT 2 * 6371008.8 * asin(LEAST(1, sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2)
+    + cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  )));
+$$;
+
+-- Whether a row's coordinates satisfy one geo condition:
+--   { "near": { "lat": ..., "lng": ..., "radius_m": ... } }
+--   { "bbox": { "west": ..., "south": ..., "east": ..., "north": ... } }
+-- A box whose west edge lies east of its east edge crosses the antimeridian.
+-- Rows without coordinates never match.
+CREATE OR REPLACE FUNCTION search_geo_match(record JSONB, cond JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+    WHEN record->>'latitude' IS NULL OR record->>'longitude' IS NULL THEN FALSE
+    WHEN cond ? 'near' THEN
+      geo_distance_meters(
+        (record->>'latitude')::DOUBLE PRECISION, (record->>'longitude')::DOUBLE PRECISION,
+        (cond->'near'->>'lat')::DOUBLE PRECISION, (cond->'near'->>'lng')::DOUBLE PRECISION
+      ) <= (cond->'near'->>'radius_m')::DOUBLE PRECISION
+    WHEN cond ? 'bbox' THEN
+      (record->>'latitude')::DOUBLE PRECISION BETWEEN (cond->'bbox'->>'south')::DOUBLE PRECISION AND (cond->'bbox'->>'north')::DOUBLE PRECISION
+      AND CASE
+        WHEN (cond->'bbox'->>'west')::DOUBLE PRECISION <= (cond->'bbox'->>'east')::DOUBLE PRECISION THEN
+          (record->>'longitude')::DOUBLE PRECISION BETWEEN (cond->'bbox'->>'west')::DOUBLE PRECISION AND (cond->'bbox'->>'east')::DOUBLE PRECISION
+        ELSE
+          (record->>'longitude')::DOUBLE PRECISION >= (cond->'bbox'->>'west')::DOUBLE PRECISION
+          OR (record->>'longitude')::DOUBLE PRECISION <= (cond->'bbox'->>'east')::DOUBLE PRECISION
+      END
+    ELSE FALSE
+  END;
+$$;
+
+-- Same contract as before; conditions carrying "near" or "bbox" are
+-- checked against the row's coordinates instead of a text column
+CREATE OR REPLACE FUNCTION search_filters_match(record JSONB, filters JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(COALESCE(filters, '[]'::jsonb)) AS grp
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(grp) AS cond
+      WHERE (
+        CASE
+          WHEN cond ? 'near' OR cond ? 'bbox' THEN search_geo_match(record, cond)
+          ELSE COALESCE(record->>(cond->>'column'), '') ILIKE
+            '%' || replace(replace(replace(cond->>'value', '\', '\\'), '%', '\%'), '_', '\_') || '%'
+        END
+      ) <> COALESCE((cond->>'negated')::BOOLEAN, FALSE)
+    )
+  );
+$$;
@@ -0,0 +1,61 @@
+-- Reading saved research back: tags and notes on each record, and one
+-- view over both the saved_research table and records that
+-- api-save-research wrote to the generic_data_store fallback.
+
+CREATE TABLE IF NOT EXISTS generic_data_store (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generic_data_store_type ON generic_data_store(type);
+
+ALTER TABLE saved_research
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_saved_research_tags ON saved_research USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_saved_research_updated_at ON saved_research(updated_at);
+
+-- A fallback record whose id was later saved to the table is shown once,
+-- from the table. `storage` tells writers where the record lives.
+CREATE OR REPLACE VIEW saved_research_records
+WITH (security_invoker = true) AS
+SELECT
+  r.id,
+  r.user_id,
+  r.entity_type,
+  r.entity_name,
+  r.research_data,
+  r.confidence_score,
+  r.sources,
+  r.tags,
+  r.notes,
+  r.created_at,
+  r.updated_at,
+  r.session_id,
+  r.metadata,
+  'saved_research'::TEXT AS storage
+FROM saved_research r
+
+UNION ALL
+
+SELECT
+  g.id,
+  g.data->>'user_id',
+  g.data->>'entity_type',
+  g.data->>'entity_name',
+  g.data->'research_data',
+  (g.data->>'confidence_score')::DECIMAL(3,2),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'sources', '[]'::jsonb))),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'tags', '[]'::jsonb))),
+  g.data->>'notes',
+  COALESCE((g.data->>'created_at')::TIMESTAMPTZ, g.created_at),
+  COALESCE((g.data->>'updated_at')::TIMESTAMPTZ, g.created_at),
+  g.data->>'session_id',
+  g.data->'metadata',
+  'generic_data_store'::TEXT
+FROM generic_data_store g
+WHERE g.type = 'saved_research'
+  AND NOT EXISTS (SELECT 1 FROM saved_research r WHERE r.id = g.id);
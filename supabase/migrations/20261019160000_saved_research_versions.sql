@@ -0,0 +1,178 @@
+-- Version history for saved research. Every save that changes a
+-- record's content appends an immutable row to saved_research_versions;
+-- saved_research.current_version points at the latest one. Tags and
+-- notes are not versioned.
+
+ALTER TABLE saved_research
+  ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS saved_research_versions (
+  id BIGSERIAL PRIMARY KEY,
+  research_id TEXT NOT NULL REFERENCES saved_research(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  user_id TEXT,
+  entity_type TEXT NOT NULL,
+  entity_name TEXT NOT NULL,
+  research_data JSONB NOT NULL,
+  confidence_score DECIMAL(3,2),
+  sources TEXT[],
+  session_id TEXT,
+  -- Set when this version was created by restoring an older one
+  restored_from INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (research_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_research_versions_research_id ON saved_research_versions(research_id, version DESC);
+
+-- Existing records start their history at version 1
+INSERT INTO saved_research_versions (research_id, version, user_id, entity_type, entity_name, research_data, confidence_score, sources, session_id, created_at)
+SELECT id, 1, user_id, entity_type, entity_name, research_data, confidence_score, sources, session_id, COALESCE(updated_at, created_at, NOW())
+FROM saved_research
+ON CONFLICT (research_id, version) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION saved_research_versions_immutable()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'saved_research_versions rows are immutable';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS saved_research_versions_no_update ON saved_research_versions;
+CREATE TRIGGER saved_research_versions_no_update
+  BEFORE UPDATE ON saved_research_versions
+  FOR EACH ROW EXECUTE FUNCTION saved_research_versions_immutable();
+
+-- Number the version a save is about to create. An upsert runs the
+-- INSERT and then the UPDATE branch, so the number is only settled here
+-- and the version row is written after the statement's row lands.
+CREATE OR REPLACE FUNCTION saved_research_number_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND
+     NEW.entity_type IS NOT DISTINCT FROM OLD.entity_type AND
+     NEW.entity_name IS NOT DISTINCT FROM OLD.entity_name AND
+     NEW.research_data IS NOT DISTINCT FROM OLD.research_data AND
+     NEW.confidence_score IS NOT DISTINCT FROM OLD.confidence_score AND
+     NEW.sources IS NOT DISTINCT FROM OLD.sources THEN
+    NEW.current_version := OLD.current_version;
+    RETURN NEW;
+  END IF;
+
+  NEW.current_version := COALESCE(
+    (SELECT MAX(version) FROM saved_research_versions WHERE research_id = NEW.id),
+    0
+  ) + 1;
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION saved_research_record_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.current_version = OLD.current_version THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO saved_research_versions (
+    research_id, version, user_id, entity_type, entity_name, research_data,
+    confidence_score, sources, session_id, restored_from
+  ) VALUES (
+    NEW.id, NEW.current_version, NEW.user_id, NEW.entity_type, NEW.entity_name, NEW.research_data,
+    NEW.confidence_score, NEW.sources, NEW.session_id,
+    NULLIF(current_setting('saved_research.restored_from', TRUE), '')::INTEGER
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS saved_research_number_version ON saved_research;
+CREATE TRIGGER saved_research_number_version
+  BEFORE INSERT OR UPDATE ON saved_research
+  FOR EACH ROW EXECUTE FUNCTION saved_research_number_version();
+
+DROP TRIGGER IF EXISTS saved_research_record_version ON saved_research;
+CREATE TRIGGER saved_research_record_version
+  AFTER INSERT OR UPDATE ON saved_research
+  FOR EACH ROW EXECUTE FUNCTION saved_research_record_version();
+
+-- Expose the version number through the records view; fallback records
+-- have no history
+CREATE OR REPLACE VIEW saved_research_records
+WITH (security_invoker = true) AS
+SELECT
+  r.id,
+  r.user_id,
+  r.entity_type,
+  r.entity_name,
+  r.research_data,
+  r.confidence_score,
+  r.sources,
+  r.tags,
+  r.notes,
+  r.created_at,
+  r.updated_at,
+  r.session_id,
+  r.metadata,
+  'saved_research'::TEXT AS storage,
+  r.current_version
+FROM saved_research r
+
+UNION ALL
+
+SELECT
+  g.id,
+  g.data->>'user_id',
+  g.data->>'entity_type',
+  g.data->>'entity_name',
+  g.data->'research_data',
+  (g.data->>'confidence_score')::DECIMAL(3,2),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'sources', '[]'::jsonb))),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'tags', '[]'::jsonb))),
+  g.data->>'notes',
+  COALESCE((g.data->>'created_at')::TIMESTAMPTZ, g.created_at),
+  COALESCE((g.data->>'updated_at')::TIMESTAMPTZ, g.created_at),
+  g.data->>'session_id',
+  g.data->'metadata',
+  'generic_data_store'::TEXT,
+  NULL::INTEGER
+FROM generic_data_store g
+WHERE g.type = 'saved_research'
+  AND NOT EXISTS (SELECT 1 FROM saved_research r WHERE r.id = g.id);
+
+-- Make an older version current again. The restore is itself saved as a
+-- new version that remembers where it came from. Returns no row when the
+-- version does not exist.
+CREATE OR REPLACE FUNCTION restore_research_version(target_id TEXT, target_version INTEGER)
+RETURNS SETOF saved_research
+LANGUAGE plpgsql AS $$
+DECLARE
+  snapshot saved_research_versions;
+BEGIN
+  SELECT * INTO snapshot
+  FROM saved_research_versions
+  WHERE research_id = target_id AND version = target_version;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  PERFORM set_config('saved_research.restored_from', target_version::TEXT, TRUE);
+
+  RETURN QUERY
+  UPDATE saved_research
+  SET entity_type = snapshot.entity_type,
+      entity_name = snapshot.entity_name,
+      research_data = snapshot.research_data,
+      confidence_score = snapshot.confidence_score,
+      sources = snapshot.sources,
+      updated_at = NOW()
+  WHERE id = target_id
+  RETURNING *;
+
+  PERFORM set_config('saved_research.restored_from', '', TRUE);
+END;
+$$;
@@ -0,0 +1,10 @@
+-- Which local entity or research record each one of an imported research
+-- bundle became, so importing the same bundle again reuses the rows it
+-- created instead of adding duplicates
+CREATE TABLE IF NOT EXISTS import_entity_map (
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('person', 'company', 'project', 'research')),
+  source_id TEXT NOT NULL,
+  local_id TEXT NOT NULL,
+  imported_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (entity_type, source_id)
+);
@@ -0,0 +1,156 @@
+-- Structured citations for saved research. saved_research.citations holds
+--   [{ "id", "url", "canonical_url", "title", "publisher", "fetched_at", "content_hash" }]
+-- and claims inside research_data cite them through "citationIds".
+-- sources stays as the list of canonical URLs for older readers. Text
+-- snapshots are stored once per content hash in citation_snapshots.
+
+ALTER TABLE saved_research
+  ADD COLUMN IF NOT EXISTS citations JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE saved_research_versions
+  ADD COLUMN IF NOT EXISTS citations JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TABLE IF NOT EXISTS citation_snapshots (
+  content_hash TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Existing plain sources become citations with only a URL. This runs
+-- before the version trigger learns about citations, so it adds no versions.
+UPDATE saved_research
+SET citations = (
+  SELECT jsonb_agg(jsonb_build_object('id', 'c_' || left(md5(source), 10), 'url', source, 'canonical_url', source))
+  FROM unnest(sources) AS source
+)
+WHERE cardinality(sources) > 0 AND citations = '[]'::jsonb;
+
+ALTER TABLE saved_research_versions DISABLE TRIGGER saved_research_versions_no_update;
+
+UPDATE saved_research_versions
+SET citations = (
+  SELECT jsonb_agg(jsonb_build_object('id', 'c_' || left(md5(source), 10), 'url', source, 'canonical_url', source))
+  FROM unnest(sources) AS source
+)
+WHERE cardinality(sources) > 0 AND citations = '[]'::jsonb;
+
+ALTER TABLE saved_research_versions ENABLE TRIGGER saved_research_versions_no_update;
+
+CREATE OR REPLACE FUNCTION saved_research_number_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND
+     NEW.entity_type IS NOT DISTINCT FROM OLD.entity_type AND
+     NEW.entity_name IS NOT DISTINCT FROM OLD.entity_name AND
+     NEW.research_data IS NOT DISTINCT FROM OLD.research_data AND
+     NEW.confidence_score IS NOT DISTINCT FROM OLD.confidence_score AND
+     NEW.sources IS NOT DISTINCT FROM OLD.sources AND
+     NEW.citations IS NOT DISTINCT FROM OLD.citations THEN
+    NEW.current_version := OLD.current_version;
+    RETURN NEW;
+  END IF;
+
+  NEW.current_version := COALESCE(
+    (SELECT MAX(version) FROM saved_research_versions WHERE research_id = NEW.id),
+    0
+  ) + 1;
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION saved_research_record_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.current_version = OLD.current_version THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO saved_research_versions (
+    research_id, version, user_id, entity_type, entity_name, research_data,
+    confidence_score, sources, citations, session_id, restored_from
+  ) VALUES (
+    NEW.id, NEW.current_version, NEW.user_id, NEW.entity_type, NEW.entity_name, NEW.research_data,
+    NEW.confidence_score, NEW.sources, NEW.citations, NEW.session_id,
+    NULLIF(current_setting('saved_research.restored_from', TRUE), '')::INTEGER
+  );
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION restore_research_version(target_id TEXT, target_version INTEGER)
+RETURNS SETOF saved_research
+LANGUAGE plpgsql AS $$
+DECLARE
+  snapshot saved_research_versions;
+BEGIN
+  SELECT * INTO snapshot
+  FROM saved_research_versions
+  WHERE research_id = target_id AND version = target_version;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  PERFORM set_config('saved_research.restored_from', target_version::TEXT, TRUE);
+
+  RETURN QUERY
+  UPDATE saved_research
+  SET entity_type = snapshot.entity_type,
+      entity_name = snapshot.entity_name,
+      research_data = snapshot.research_data,
+      confidence_score = snapshot.confidence_score,
+      sources = snapshot.sources,
+      citations = snapshot.citations,
+      updated_at = NOW()
+  WHERE id = target_id
+  RETURNING *;
+
+  PERFORM set_config('saved_research.restored_from', '', TRUE);
+END;
+$$;
+
+CREATE OR REPLACE VIEW saved_research_records
+WITH (security_invoker = true) AS
+SELECT
+  r.id,
+  r.user_id,
+  r.entity_type,
+  r.entity_name,
+  r.research_data,
+  r.confidence_score,
+  r.sources,
+  r.tags,
+  r.notes,
+  r.created_at,
+  r.updated_at,
+  r.session_id,
+  r.metadata,
+  'saved_research'::TEXT AS storage,
+  r.current_version,
+  r.citations
+FROM saved_research r
+
+UNION ALL
+
+SELECT
+  g.id,
+  g.data->>'user_id',
+  g.data->>'entity_type',
+  g.data->>'entity_name',
+  g.data->'research_data',
+  (g.data->>'confidence_score')::DECIMAL(3,2),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'sources', '[]'::jsonb))),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'tags', '[]'::jsonb))),
+  g.data->>'notes',
+  COALESCE((g.data->>'created_at')::TIMESTAMPTZ, g.created_at),
+  COALESCE((g.data->>'updated_at')::TIMESTAMPTZ, g.created_at),
+  g.data->>'session_id',
+  g.data->'metadata',
+  'generic_data_store'::TEXT,
+  NULL::INTEGER,
+  COALESCE(g.data->'citations', '[]'::jsonb)
+FROM generic_data_store g
+WHERE g.type = 'saved_research'
+  AND NOT EXISTS (SELECT 1 FROM saved_research r WHERE r.id = g.id);
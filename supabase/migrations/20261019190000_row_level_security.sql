@@ -0,0 +1,129 @@
+-- Per-user ownership. The functions now act as the caller (their Supabase
+-- access token) instead of the service role, so these policies decide
+-- which research and analytics rows each user can see and change.
+-- Rows saved before authentication existed carry user_id 'anonymous' and
+-- stay readable only with the service role.
+
+-- Whether the row owner is the signed-in caller. Policies go through this
+-- one function so sharing beyond the owner can be added in one place.
+CREATE OR REPLACE FUNCTION caller_can_read(owner_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT owner_id IS NOT NULL AND owner_id = auth.uid()::TEXT
+$$;
+
+-- Who created each entity; entities themselves stay shared
+ALTER TABLE people ADD COLUMN IF NOT EXISTS created_by TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS created_by TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS created_by TEXT;
+
+-- Research
+ALTER TABLE saved_research ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY saved_research_select ON saved_research
+  FOR SELECT TO authenticated
+  USING (caller_can_read(user_id));
+
+CREATE POLICY saved_research_insert ON saved_research
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid()::TEXT);
+
+CREATE POLICY saved_research_update ON saved_research
+  FOR UPDATE TO authenticated
+  USING (user_id = auth.uid()::TEXT)
+  WITH CHECK (user_id = auth.uid()::TEXT);
+
+CREATE POLICY saved_research_delete ON saved_research
+  FOR DELETE TO authenticated
+  USING (user_id = auth.uid()::TEXT);
+
+-- Versions are written only by the saved_research triggers, which run as
+-- their owner so the caller needs no insert policy
+ALTER TABLE saved_research_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY saved_research_versions_select ON saved_research_versions
+  FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM saved_research r WHERE r.id = research_id));
+
+ALTER FUNCTION saved_research_number_version() SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION saved_research_record_version() SECURITY DEFINER SET search_path = public;
+
+-- Fallback research storage, owned through the stored record
+ALTER TABLE generic_data_store ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY generic_data_store_select ON generic_data_store
+  FOR SELECT TO authenticated
+  USING (caller_can_read(data->>'user_id'));
+
+CREATE POLICY generic_data_store_insert ON generic_data_store
+  FOR INSERT TO authenticated
+  WITH CHECK (data->>'user_id' = auth.uid()::TEXT);
+
+CREATE POLICY generic_data_store_update ON generic_data_store
+  FOR UPDATE TO authenticated
+  USING (data->>'user_id' = auth.uid()::TEXT)
+  WITH CHECK (data->>'user_id' = auth.uid()::TEXT);
+
+CREATE POLICY generic_data_store_delete ON generic_data_store
+  FOR DELETE TO authenticated
+  USING (data->>'user_id' = auth.uid()::TEXT);
+
+-- Snapshots are shared by content hash; a snapshot is readable by anyone
+-- who can read research citing it
+ALTER TABLE citation_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY citation_snapshots_select ON citation_snapshots
+  FOR SELECT TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM saved_research r
+    WHERE r.citations @> jsonb_build_array(jsonb_build_object('content_hash', citation_snapshots.content_hash))
+  ));
+
+-- Snapshots are written only through save_citation_snapshot, which
+-- hashes the text itself: a snapshot row always holds the content its
+-- hash names, so nobody can plant text under another page's hash.
+-- Callers send whitespace-normalized text (see utils/citations.js).
+CREATE OR REPLACE FUNCTION save_citation_snapshot(snapshot TEXT)
+RETURNS TEXT
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO citation_snapshots (content_hash, content)
+  VALUES ('sha256:' || encode(sha256(convert_to(snapshot, 'UTF8')), 'hex'), snapshot)
+  ON CONFLICT (content_hash) DO NOTHING;
+  SELECT 'sha256:' || encode(sha256(convert_to(snapshot, 'UTF8')), 'hex');
+$$;
+
+REVOKE EXECUTE ON FUNCTION save_citation_snapshot(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION save_citation_snapshot(TEXT) TO authenticated;
+
+-- Error logs hold stack traces; only the service role writes and reads
+-- them, so no policy is granted
+ALTER TABLE error_logs ENABLE ROW LEVEL SECURITY;
+
+-- Analytics
+ALTER TABLE voice_analytics ADD COLUMN IF NOT EXISTS user_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_voice_analytics_user_id ON voice_analytics(user_id, timestamp);
+
+ALTER TABLE user_analytics ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY user_analytics_select ON user_analytics
+  FOR SELECT TO authenticated
+  USING (caller_can_read(user_id));
+
+CREATE POLICY user_analytics_insert ON user_analytics
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid()::TEXT);
+
+ALTER TABLE voice_analytics ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY voice_analytics_select ON voice_analytics
+  FOR SELECT TO authenticated
+  USING (caller_can_read(user_id));
+
+CREATE POLICY voice_analytics_insert ON voice_analytics
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid()::TEXT);
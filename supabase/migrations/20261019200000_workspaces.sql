@@ -0,0 +1,405 @@
+-- Team workspaces. Entities and saved research belong to a workspace;
+-- members are owners (manage the workspace and its members), editors
+-- (create entities and save research) or viewers (read only).
+--
+-- Research stays private to its author unless its visibility is
+-- 'workspace' or it is shared with specific members. Entities saved
+-- before workspaces existed keep a NULL workspace_id and remain a
+-- read-only library visible to every signed-in user.
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  added_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+-- The caller's role in a workspace, or NULL when not a member. Runs as
+-- its owner so policies on workspace_members do not recurse.
+CREATE OR REPLACE FUNCTION workspace_role(target_workspace UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM workspace_members
+  WHERE workspace_id = target_workspace AND user_id = auth.uid()::TEXT
+$$;
+
+CREATE OR REPLACE FUNCTION can_edit_workspace(target_workspace UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(workspace_role(target_workspace) IN ('owner', 'editor'), FALSE)
+$$;
+
+-- Whoever creates a workspace owns it
+CREATE OR REPLACE FUNCTION workspaces_add_creator()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO workspace_members (workspace_id, user_id, role, added_by)
+  VALUES (NEW.id, NEW.created_by, 'owner', NEW.created_by);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS workspaces_add_creator ON workspaces;
+CREATE TRIGGER workspaces_add_creator
+  AFTER INSERT ON workspaces
+  FOR EACH ROW EXECUTE FUNCTION workspaces_add_creator();
+
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY workspaces_select ON workspaces
+  FOR SELECT TO authenticated
+  USING (workspace_role(id) IS NOT NULL OR created_by = auth.uid()::TEXT);
+
+CREATE POLICY workspaces_insert ON workspaces
+  FOR INSERT TO authenticated
+  WITH CHECK (created_by = auth.uid()::TEXT);
+
+CREATE POLICY workspaces_update ON workspaces
+  FOR UPDATE TO authenticated
+  USING (workspace_role(id) = 'owner');
+
+CREATE POLICY workspaces_delete ON workspaces
+  FOR DELETE TO authenticated
+  USING (workspace_role(id) = 'owner');
+
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY workspace_members_select ON workspace_members
+  FOR SELECT TO authenticated
+  USING (workspace_role(workspace_id) IS NOT NULL);
+
+CREATE POLICY workspace_members_insert ON workspace_members
+  FOR INSERT TO authenticated
+  WITH CHECK (workspace_role(workspace_id) = 'owner');
+
+CREATE POLICY workspace_members_update ON workspace_members
+  FOR UPDATE TO authenticated
+  USING (workspace_role(workspace_id) = 'owner');
+
+-- Owners remove members; anyone may leave
+CREATE POLICY workspace_members_delete ON workspace_members
+  FOR DELETE TO authenticated
+  USING (workspace_role(workspace_id) = 'owner' OR user_id = auth.uid()::TEXT);
+
+-- Entities
+ALTER TABLE people ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_people_workspace_id ON people(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_companies_workspace_id ON companies(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_projects_workspace_id ON projects(workspace_id);
+
+ALTER TABLE people ENABLE ROW LEVEL SECURITY;
+ALTER TABLE companies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY people_select ON people
+  FOR SELECT TO authenticated
+  USING (workspace_id IS NULL OR workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY people_insert ON people
+  FOR INSERT TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY people_update ON people
+  FOR UPDATE TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY people_delete ON people
+  FOR DELETE TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+CREATE POLICY companies_select ON companies
+  FOR SELECT TO authenticated
+  USING (workspace_id IS NULL OR workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY companies_insert ON companies
+  FOR INSERT TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY companies_update ON companies
+  FOR UPDATE TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY companies_delete ON companies
+  FOR DELETE TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+CREATE POLICY projects_select ON projects
+  FOR SELECT TO authenticated
+  USING (workspace_id IS NULL OR workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY projects_insert ON projects
+  FOR INSERT TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY projects_update ON projects
+  FOR UPDATE TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY projects_delete ON projects
+  FOR DELETE TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+-- Relationships, merge history and import mappings belong to the
+-- workspace they were made in, with the same access as its entities.
+-- Rows from before workspaces stay in the read-only library.
+ALTER TABLE entity_relationships ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE entity_merges ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE import_entity_map ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+-- Two workspaces may link the same library entities; a bundle imported
+-- into two workspaces gets its own rows in each
+ALTER TABLE entity_relationships DROP CONSTRAINT IF EXISTS entity_relationships_source_type_source_id_relation_target__key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entity_relationships_key
+  ON entity_relationships(workspace_id, source_type, source_id, relation, target_type, target_id);
+ALTER TABLE import_entity_map DROP CONSTRAINT IF EXISTS import_entity_map_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_import_entity_map_key ON import_entity_map(workspace_id, entity_type, source_id);
+
+CREATE INDEX IF NOT EXISTS idx_entity_merges_workspace_id ON entity_merges(workspace_id);
+
+ALTER TABLE entity_relationships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE entity_merges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE import_entity_map ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY entity_relationships_select ON entity_relationships
+  FOR SELECT TO authenticated
+  USING (workspace_id IS NULL OR workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY entity_relationships_insert ON entity_relationships
+  FOR INSERT TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY entity_relationships_update ON entity_relationships
+  FOR UPDATE TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY entity_relationships_delete ON entity_relationships
+  FOR DELETE TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+CREATE POLICY entity_merges_select ON entity_merges
+  FOR SELECT TO authenticated
+  USING (workspace_id IS NULL OR workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY entity_merges_insert ON entity_merges
+  FOR INSERT TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY entity_merges_update ON entity_merges
+  FOR UPDATE TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY entity_merges_delete ON entity_merges
+  FOR DELETE TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+CREATE POLICY import_entity_map_select ON import_entity_map
+  FOR SELECT TO authenticated
+  USING (workspace_id IS NULL OR workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY import_entity_map_insert ON import_entity_map
+  FOR INSERT TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY import_entity_map_update ON import_entity_map
+  FOR UPDATE TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+CREATE POLICY import_entity_map_delete ON import_entity_map
+  FOR DELETE TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+-- Research. Deleting a workspace leaves its research private to each author.
+ALTER TABLE saved_research ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL;
+ALTER TABLE saved_research ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'private'
+  CHECK (visibility IN ('private', 'workspace'));
+
+CREATE INDEX IF NOT EXISTS idx_saved_research_workspace_id ON saved_research(workspace_id);
+
+-- Members a research record is shared with individually
+CREATE TABLE IF NOT EXISTS research_shares (
+  research_id TEXT NOT NULL REFERENCES saved_research(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  shared_by TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (research_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_shares_user_id ON research_shares(user_id);
+
+CREATE OR REPLACE FUNCTION research_shared_with_caller(target_research TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM research_shares
+    WHERE research_id = target_research AND user_id = auth.uid()::TEXT
+  )
+$$;
+
+CREATE OR REPLACE FUNCTION research_owned_by_caller(target_research TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM saved_research
+    WHERE id = target_research AND user_id = auth.uid()::TEXT
+  )
+$$;
+
+DROP POLICY IF EXISTS saved_research_select ON saved_research;
+DROP POLICY IF EXISTS saved_research_insert ON saved_research;
+DROP POLICY IF EXISTS saved_research_update ON saved_research;
+
+CREATE POLICY saved_research_select ON saved_research
+  FOR SELECT TO authenticated
+  USING (
+    user_id = auth.uid()::TEXT
+    OR (
+      workspace_role(workspace_id) IS NOT NULL
+      AND (visibility = 'workspace' OR research_shared_with_caller(id))
+    )
+  );
+
+CREATE POLICY saved_research_insert ON saved_research
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid()::TEXT AND can_edit_workspace(workspace_id));
+
+CREATE POLICY saved_research_update ON saved_research
+  FOR UPDATE TO authenticated
+  USING (user_id = auth.uid()::TEXT)
+  WITH CHECK (
+    user_id = auth.uid()::TEXT
+    AND (workspace_id IS NULL OR can_edit_workspace(workspace_id))
+  );
+
+ALTER TABLE research_shares ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY research_shares_select ON research_shares
+  FOR SELECT TO authenticated
+  USING (user_id = auth.uid()::TEXT OR research_owned_by_caller(research_id));
+
+CREATE POLICY research_shares_insert ON research_shares
+  FOR INSERT TO authenticated
+  WITH CHECK (shared_by = auth.uid()::TEXT AND research_owned_by_caller(research_id));
+
+CREATE POLICY research_shares_delete ON research_shares
+  FOR DELETE TO authenticated
+  USING (research_owned_by_caller(research_id));
+
+-- Fallback research storage is never shared
+DROP POLICY IF EXISTS generic_data_store_select ON generic_data_store;
+
+CREATE POLICY generic_data_store_select ON generic_data_store
+  FOR SELECT TO authenticated
+  USING (data->>'user_id' = auth.uid()::TEXT);
+
+-- Analytics: a workspace owner also sees the rows of that workspace's members
+CREATE OR REPLACE FUNCTION caller_can_read(owner_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT owner_id IS NOT NULL AND (
+    owner_id = auth.uid()::TEXT
+    OR EXISTS (
+      SELECT 1
+      FROM workspace_members mine
+      JOIN workspace_members theirs ON theirs.workspace_id = mine.workspace_id
+      WHERE mine.user_id = auth.uid()::TEXT
+        AND mine.role = 'owner'
+        AND theirs.user_id = owner_id
+    )
+  )
+$$;
+
+-- Search filter condition { "workspace": "<uuid>" } keeps rows of that
+-- workspace plus the pre-workspace library
+CREATE OR REPLACE FUNCTION search_filters_match(record JSONB, filters JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(COALESCE(filters, '[]'::jsonb)) AS grp
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(grp) AS cond
+      WHERE (
+        CASE
+          WHEN cond ? 'near' OR cond ? 'bbox' THEN search_geo_match(record, cond)
+          WHEN cond ? 'workspace' THEN
+            record->>'workspace_id' IS NULL OR record->>'workspace_id' = cond->>'workspace'
+          ELSE COALESCE(record->>(cond->>'column'), '') ILIKE
+            '%' || replace(replace(replace(cond->>'value', '\', '\\'), '%', '\%'), '_', '\_') || '%'
+        END
+      ) <> COALESCE((cond->>'negated')::BOOLEAN, FALSE)
+    )
+  );
+$$;
+
+CREATE OR REPLACE VIEW saved_research_records
+WITH (security_invoker = true) AS
+SELECT
+  r.id,
+  r.user_id,
+  r.entity_type,
+  r.entity_name,
+  r.research_data,
+  r.confidence_score,
+  r.sources,
+  r.tags,
+  r.notes,
+  r.created_at,
+  r.updated_at,
+  r.session_id,
+  r.metadata,
+  'saved_research'::TEXT AS storage,
+  r.current_version,
+  r.citations,
+  r.workspace_id,
+  r.visibility
+FROM saved_research r
+
+UNION ALL
+
+SELECT
+  g.id,
+  g.data->>'user_id',
+  g.data->>'entity_type',
+  g.data->>'entity_name',
+  g.data->'research_data',
+  (g.data->>'confidence_score')::DECIMAL(3,2),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'sources', '[]'::jsonb))),
+  ARRAY(SELECT jsonb_array_elements_text(COALESCE(g.data->'tags', '[]'::jsonb))),
+  g.data->>'notes',
+  COALESCE((g.data->>'created_at')::TIMESTAMPTZ, g.created_at),
+  COALESCE((g.data->>'updated_at')::TIMESTAMPTZ, g.created_at),
+  g.data->>'session_id',
+  g.data->'metadata',
+  'generic_data_store'::TEXT,
+  NULL::INTEGER,
+  COALESCE(g.data->'citations', '[]'::jsonb),
+  (g.data->>'workspace_id')::UUID,
+  'private'::TEXT
+FROM generic_data_store g
+WHERE g.type = 'saved_research'
+  AND NOT EXISTS (SELECT 1 FROM saved_research r WHERE r.id = g.id);
@@ -0,0 +1,57 @@
+-- Voice memos turned into leads by api-voice-to-leads. A session holds
+-- the transcript and the entities proposed from it until they are
+-- confirmed; voice_session_entities links each saved entity back to the
+-- recording it came from. voice_analytics rows share the session id.
+
+CREATE TABLE IF NOT EXISTS voice_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'saved', 'discarded')),
+  transcript TEXT NOT NULL,
+  audio_size_bytes INTEGER,
+  service_used TEXT,
+  -- The extracted entity graph, as built by buildEntityGraph
+  proposal JSONB NOT NULL,
+  extraction_model TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  saved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_sessions_user_id ON voice_sessions(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS voice_session_entities (
+  session_id UUID NOT NULL REFERENCES voice_sessions(id) ON DELETE CASCADE,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('person', 'company', 'project')),
+  entity_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (session_id, entity_type, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_session_entities_entity ON voice_session_entities(entity_type, entity_id);
+
+ALTER TABLE voice_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY voice_sessions_select ON voice_sessions
+  FOR SELECT TO authenticated
+  USING (user_id = auth.uid()::TEXT);
+
+CREATE POLICY voice_sessions_insert ON voice_sessions
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid()::TEXT AND can_edit_workspace(workspace_id));
+
+CREATE POLICY voice_sessions_update ON voice_sessions
+  FOR UPDATE TO authenticated
+  USING (user_id = auth.uid()::TEXT)
+  WITH CHECK (user_id = auth.uid()::TEXT);
+
+ALTER TABLE voice_session_entities ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY voice_session_entities_select ON voice_session_entities
+  FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM voice_sessions s WHERE s.id = session_id));
+
+CREATE POLICY voice_session_entities_insert ON voice_session_entities
+  FOR INSERT TO authenticated
+  WITH CHECK (EXISTS (SELECT 1 FROM voice_sessions s WHERE s.id = session_id));
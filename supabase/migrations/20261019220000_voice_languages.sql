@@ -0,0 +1,12 @@
+-- Language of each transcription: the ISO-639-1 code (optionally with a
+-- region) the recording was transcribed in, whether it was detected or
+-- requested by the caller, and the provider's detection confidence when
+-- it reports one.
+
+ALTER TABLE voice_analytics ADD COLUMN IF NOT EXISTS language TEXT;
+ALTER TABLE voice_analytics ADD COLUMN IF NOT EXISTS language_detected BOOLEAN;
+ALTER TABLE voice_analytics ADD COLUMN IF NOT EXISTS language_confidence REAL;
+-- Set when the transcript was also translated to English
+ALTER TABLE voice_analytics ADD COLUMN IF NOT EXISTS translated BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_voice_analytics_language ON voice_analytics(language);
@@ -0,0 +1,68 @@
+-- Live transcription sessions for api-voice-stream. Audio arrives as a
+-- numbered series of chunks; each chunk appends partial and final
+-- transcript events that clients read back by id. The session id is also
+-- the session_id of the voice_analytics row written when it finishes.
+
+CREATE TABLE IF NOT EXISTS voice_stream_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'finished')),
+  provider TEXT NOT NULL,
+  -- Requested up front, or detected from the first chunk with speech
+  language TEXT,
+  language_detected BOOLEAN,
+  language_confidence REAL,
+  services_used TEXT,
+  -- Sequence number the next chunk must carry
+  next_seq INTEGER NOT NULL DEFAULT 0,
+  -- Seconds of audio received so far, where the next chunk starts
+  offset_seconds REAL NOT NULL DEFAULT 0,
+  audio_size_bytes BIGINT NOT NULL DEFAULT 0,
+  -- Speech that ran into the end of the last chunk and may continue
+  pending JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_stream_sessions_user_id ON voice_stream_sessions(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS voice_stream_events (
+  id BIGSERIAL PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES voice_stream_sessions(id) ON DELETE CASCADE,
+  chunk_seq INTEGER NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('partial', 'final')),
+  text TEXT NOT NULL,
+  start_seconds REAL,
+  end_seconds REAL,
+  speaker INTEGER,
+  confidence REAL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_stream_events_session ON voice_stream_events(session_id, id);
+
+ALTER TABLE voice_stream_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY voice_stream_sessions_select ON voice_stream_sessions
+  FOR SELECT TO authenticated
+  USING (user_id = auth.uid()::TEXT);
+
+CREATE POLICY voice_stream_sessions_insert ON voice_stream_sessions
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid()::TEXT);
+
+CREATE POLICY voice_stream_sessions_update ON voice_stream_sessions
+  FOR UPDATE TO authenticated
+  USING (user_id = auth.uid()::TEXT)
+  WITH CHECK (user_id = auth.uid()::TEXT);
+
+ALTER TABLE voice_stream_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY voice_stream_events_select ON voice_stream_events
+  FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM voice_stream_sessions s WHERE s.id = session_id));
+
+CREATE POLICY voice_stream_events_insert ON voice_stream_events
+  FOR INSERT TO authenticated
+  WITH CHECK (EXISTS (SELECT 1 FROM voice_stream_sessions s WHERE s.id = session_id AND s.status = 'active'));
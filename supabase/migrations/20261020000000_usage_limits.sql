@@ -0,0 +1,201 @@
+-- Rate limits and cost quotas for the functions that call paid AI and
+-- transcription services. A limit caps one metric over a fixed window
+-- for a user or a workspace:
+--   requests       billable calls, usually per minute
+--   audio_seconds  audio transcribed, usually per day
+--   llm_tokens     LLM input plus output tokens, usually per month
+-- Rows without a subject_id are the defaults; a row for a specific user
+-- or workspace replaces the default with the same scope, metric and
+-- period. Limits are managed with the service role.
+
+CREATE TABLE IF NOT EXISTS usage_limits (
+  id BIGSERIAL PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('user', 'workspace')),
+  subject_id TEXT,
+  metric TEXT NOT NULL CHECK (metric IN ('requests', 'audio_seconds', 'llm_tokens')),
+  period TEXT NOT NULL CHECK (period IN ('minute', 'hour', 'day', 'month')),
+  max_amount NUMERIC NOT NULL CHECK (max_amount >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_limits_unique
+  ON usage_limits(scope, COALESCE(subject_id, ''), metric, period);
+
+-- Usage within the current window of each limit; older windows are
+-- cleared as new ones start
+CREATE TABLE IF NOT EXISTS usage_counters (
+  scope TEXT NOT NULL CHECK (scope IN ('user', 'workspace')),
+  subject_id TEXT NOT NULL,
+  metric TEXT NOT NULL,
+  period TEXT NOT NULL,
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  amount NUMERIC NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (scope, subject_id, metric, period, period_start)
+);
+
+INSERT INTO usage_limits (scope, subject_id, metric, period, max_amount) VALUES
+  ('user', NULL, 'requests', 'minute', 30),
+  ('user', NULL, 'audio_seconds', 'day', 7200),
+  ('user', NULL, 'llm_tokens', 'month', 2000000),
+  ('workspace', NULL, 'requests', 'minute', 120),
+  ('workspace', NULL, 'audio_seconds', 'day', 36000),
+  ('workspace', NULL, 'llm_tokens', 'month', 10000000)
+ON CONFLICT DO NOTHING;
+
+-- The limits that apply to a user and their workspace for one metric,
+-- a subject's own row before the default
+CREATE OR REPLACE FUNCTION effective_usage_limits(target_metric TEXT, target_user TEXT, target_workspace TEXT)
+RETURNS TABLE (limit_scope TEXT, limit_subject TEXT, limit_period TEXT, limit_max NUMERIC)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT DISTINCT ON (l.scope, l.period)
+    l.scope,
+    CASE l.scope WHEN 'user' THEN target_user ELSE target_workspace END,
+    l.period,
+    l.max_amount
+  FROM usage_limits l
+  WHERE l.metric = target_metric
+    AND ((l.scope = 'user' AND (l.subject_id IS NULL OR l.subject_id = target_user))
+      OR (l.scope = 'workspace' AND target_workspace IS NOT NULL
+        AND (l.subject_id IS NULL OR l.subject_id = target_workspace)))
+  ORDER BY l.scope, l.period, l.subject_id NULLS LAST
+$$;
+
+-- Count `amount` of a metric against every limit of the caller and the
+-- workspace they act in (target_workspace, or their earliest
+-- membership, as the functions pick it). With enforce, nothing is
+-- counted unless every limit has room: an amount of 0 only checks that
+-- no limit is used up. Without enforce the amount is always counted,
+-- for usage only known after the work is done. Returns one row per
+-- limit with its usage after the call; allowed is false for the limits
+-- that had no room.
+CREATE OR REPLACE FUNCTION consume_usage(
+  target_metric TEXT,
+  amount NUMERIC,
+  target_workspace UUID DEFAULT NULL,
+  enforce BOOLEAN DEFAULT TRUE
+)
+RETURNS TABLE (
+  limit_scope TEXT,
+  limit_subject TEXT,
+  limit_period TEXT,
+  limit_max NUMERIC,
+  used NUMERIC,
+  remaining NUMERIC,
+  resets_at TIMESTAMP WITH TIME ZONE,
+  allowed BOOLEAN
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  caller TEXT := auth.uid()::TEXT;
+  workspace TEXT;
+  applicable RECORD;
+  window_start TIMESTAMP WITH TIME ZONE;
+  current_amount NUMERIC;
+  has_room BOOLEAN;
+  denied BOOLEAN := FALSE;
+BEGIN
+  IF caller IS NULL THEN
+    RAISE EXCEPTION 'consume_usage needs a signed-in caller';
+  END IF;
+  IF amount IS NULL OR amount < 0 THEN
+    RAISE EXCEPTION 'amount must not be negative';
+  END IF;
+
+  SELECT m.workspace_id::TEXT INTO workspace
+  FROM workspace_members m
+  WHERE m.user_id = caller
+    AND (target_workspace IS NULL OR m.workspace_id = target_workspace)
+  ORDER BY m.created_at
+  LIMIT 1;
+
+  -- Lock this window's counters (in a fixed order) and see whether
+  -- every limit has room
+  FOR applicable IN SELECT * FROM effective_usage_limits(target_metric, caller, workspace) LOOP
+    window_start := date_trunc(applicable.limit_period, NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+
+    DELETE FROM usage_counters c
+    WHERE c.scope = applicable.limit_scope AND c.subject_id = applicable.limit_subject
+      AND c.metric = target_metric AND c.period = applicable.limit_period
+      AND c.period_start < window_start;
+
+    INSERT INTO usage_counters (scope, subject_id, metric, period, period_start)
+    VALUES (applicable.limit_scope, applicable.limit_subject, target_metric, applicable.limit_period, window_start)
+    ON CONFLICT DO NOTHING;
+
+    SELECT c.amount INTO current_amount
+    FROM usage_counters c
+    WHERE c.scope = applicable.limit_scope AND c.subject_id = applicable.limit_subject
+      AND c.metric = target_metric AND c.period = applicable.limit_period
+      AND c.period_start = window_start
+    FOR UPDATE;
+
+    has_room := CASE WHEN amount = 0
+      THEN current_amount < applicable.limit_max
+      ELSE current_amount + amount <= applicable.limit_max END;
+    IF NOT has_room THEN
+      denied := TRUE;
+    END IF;
+  END LOOP;
+
+  FOR applicable IN SELECT * FROM effective_usage_limits(target_metric, caller, workspace) LOOP
+    window_start := date_trunc(applicable.limit_period, NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+
+    SELECT c.amount INTO current_amount
+    FROM usage_counters c
+    WHERE c.scope = applicable.limit_scope AND c.subject_id = applicable.limit_subject
+      AND c.metric = target_metric AND c.period = applicable.limit_period
+      AND c.period_start = window_start;
+
+    has_room := CASE WHEN amount = 0
+      THEN current_amount < applicable.limit_max
+      ELSE current_amount + amount <= applicable.limit_max END;
+
+    IF amount > 0 AND (NOT denied OR NOT enforce) THEN
+      UPDATE usage_counters c
+      SET amount = c.amount + consume_usage.amount, updated_at = NOW()
+      WHERE c.scope = applicable.limit_scope AND c.subject_id = applicable.limit_subject
+        AND c.metric = target_metric AND c.period = applicable.limit_period
+        AND c.period_start = window_start;
+      current_amount := current_amount + amount;
+    END IF;
+
+    limit_scope := applicable.limit_scope;
+    limit_subject := applicable.limit_subject;
+    limit_period := applicable.limit_period;
+    limit_max := applicable.limit_max;
+    used := current_amount;
+    remaining := GREATEST(applicable.limit_max - current_amount, 0);
+    resets_at := window_start + ('1 ' || applicable.limit_period)::INTERVAL;
+    allowed := has_room OR NOT enforce;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+ALTER TABLE usage_limits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY usage_limits_select ON usage_limits
+  FOR SELECT TO authenticated
+  USING (
+    subject_id IS NULL
+    OR (scope = 'user' AND subject_id = auth.uid()::TEXT)
+    OR (scope = 'workspace' AND workspace_role(subject_id::UUID) IS NOT NULL)
+  );
+
+-- Counters only change through consume_usage
+ALTER TABLE usage_counters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY usage_counters_select ON usage_counters
+  FOR SELECT TO authenticated
+  USING (
+    (scope = 'user' AND subject_id = auth.uid()::TEXT)
+    OR (scope = 'workspace' AND workspace_role(subject_id::UUID) IS NOT NULL)
+  );
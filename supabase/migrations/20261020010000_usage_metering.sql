@@ -0,0 +1,161 @@
+-- Metering of every call the functions make to a paid AI or scraping
+-- service: one usage_events row per provider request, with what it
+-- consumed (tokens, audio seconds, requests), how long it took and what
+-- it cost. Costs come from usage_prices when the row is written, so a
+-- price change applies to new calls only. Failed calls are recorded at
+-- no cost.
+
+-- Price of one unit of a provider's service. model '*' covers every
+-- model of the provider without its own row; the latest row in effect
+-- when a call is made prices it.
+CREATE TABLE IF NOT EXISTS usage_prices (
+  id BIGSERIAL PRIMARY KEY,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL DEFAULT '*',
+  unit TEXT NOT NULL CHECK (unit IN ('input_token', 'output_token', 'audio_second', 'request')),
+  usd_per_unit NUMERIC NOT NULL CHECK (usd_per_unit >= 0),
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_prices_unique
+  ON usage_prices(provider, model, unit, effective_from);
+
+-- List prices at the time of writing; local providers cost nothing
+INSERT INTO usage_prices (provider, model, unit, usd_per_unit, effective_from) VALUES
+  ('anthropic', 'claude-3-haiku-20240307', 'input_token', 0.25 / 1000000, '2024-01-01'),
+  ('anthropic', 'claude-3-haiku-20240307', 'output_token', 1.25 / 1000000, '2024-01-01'),
+  ('anthropic', '*', 'input_token', 3.00 / 1000000, '2024-01-01'),
+  ('anthropic', '*', 'output_token', 15.00 / 1000000, '2024-01-01'),
+  ('openai', 'gpt-4o-mini', 'input_token', 0.15 / 1000000, '2024-01-01'),
+  ('openai', 'gpt-4o-mini', 'output_token', 0.60 / 1000000, '2024-01-01'),
+  ('openai', 'gpt-4o', 'input_token', 2.50 / 1000000, '2024-01-01'),
+  ('openai', 'gpt-4o', 'output_token', 10.00 / 1000000, '2024-01-01'),
+  ('openai', 'text-embedding-3-small', 'input_token', 0.02 / 1000000, '2024-01-01'),
+  ('openai', 'whisper-1', 'audio_second', 0.006 / 60, '2024-01-01'),
+  ('deepgram', 'nova-2', 'audio_second', 0.0043 / 60, '2024-01-01'),
+  ('firecrawl', '*', 'request', 0.001, '2024-01-01')
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS usage_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT,
+  -- Function that made the call, e.g. api-voice-to-leads
+  endpoint TEXT NOT NULL,
+  operation TEXT NOT NULL CHECK (operation IN ('completion', 'transcription', 'embedding', 'scrape')),
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  audio_seconds NUMERIC NOT NULL DEFAULT 0,
+  -- Billable requests, e.g. pages scraped
+  requests INTEGER NOT NULL DEFAULT 1,
+  latency_ms INTEGER,
+  success BOOLEAN NOT NULL DEFAULT TRUE,
+  error_message TEXT,
+  -- Set from usage_prices on insert
+  cost_usd NUMERIC NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_id ON usage_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_events_created_at ON usage_events(created_at);
+
+-- Price of one unit of a provider's model at a point in time; 0 when
+-- nothing prices it
+CREATE OR REPLACE FUNCTION usage_price(target_provider TEXT, target_model TEXT, target_unit TEXT, at_time TIMESTAMP WITH TIME ZONE)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT COALESCE((
+    SELECT p.usd_per_unit
+    FROM usage_prices p
+    WHERE p.provider = target_provider
+      AND (p.model = target_model OR p.model = '*')
+      AND p.unit = target_unit
+      AND p.effective_from <= at_time
+    ORDER BY (p.model = '*'), p.effective_from DESC
+    LIMIT 1
+  ), 0)
+$$;
+
+CREATE OR REPLACE FUNCTION price_usage_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  NEW.created_at := COALESCE(NEW.created_at, NOW());
+  NEW.cost_usd := CASE WHEN NEW.success THEN ROUND(
+      NEW.input_tokens * usage_price(NEW.provider, NEW.model, 'input_token', NEW.created_at)
+      + NEW.output_tokens * usage_price(NEW.provider, NEW.model, 'output_token', NEW.created_at)
+      + NEW.audio_seconds * usage_price(NEW.provider, NEW.model, 'audio_second', NEW.created_at)
+      + NEW.requests * usage_price(NEW.provider, NEW.model, 'request', NEW.created_at), 10)
+    ELSE 0 END;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS usage_events_price ON usage_events;
+CREATE TRIGGER usage_events_price
+  BEFORE INSERT ON usage_events
+  FOR EACH ROW EXECUTE FUNCTION price_usage_event();
+
+-- Usage totals per day (UTC), user, endpoint and provider for the events
+-- the caller can see, created in [from_time, to_time)
+CREATE OR REPLACE FUNCTION usage_report(from_time TIMESTAMP WITH TIME ZONE, to_time TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  day DATE,
+  user_id TEXT,
+  endpoint TEXT,
+  provider TEXT,
+  calls BIGINT,
+  failed_calls BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  audio_seconds NUMERIC,
+  requests BIGINT,
+  total_latency_ms BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT
+    (e.created_at AT TIME ZONE 'UTC')::DATE,
+    e.user_id,
+    e.endpoint,
+    e.provider,
+    COUNT(*),
+    COUNT(*) FILTER (WHERE NOT e.success),
+    SUM(e.input_tokens),
+    SUM(e.output_tokens),
+    SUM(e.audio_seconds),
+    SUM(e.requests),
+    COALESCE(SUM(e.latency_ms), 0),
+    SUM(e.cost_usd)
+  FROM usage_events e
+  WHERE e.created_at >= from_time AND e.created_at < to_time
+  GROUP BY 1, 2, 3, 4
+  ORDER BY 1, 2, 3, 4
+$$;
+
+ALTER TABLE usage_prices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY usage_prices_select ON usage_prices
+  FOR SELECT TO authenticated
+  USING (true);
+
+-- Callers see their own usage, and workspace owners their members'.
+-- Events are written with the service role only, so no insert policy.
+ALTER TABLE usage_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY usage_events_select ON usage_events
+  FOR SELECT TO authenticated
+  USING (caller_can_read(user_id));
+
+-- Length of the recording each transcription covered
+ALTER TABLE voice_analytics ADD COLUMN IF NOT EXISTS audio_seconds REAL;
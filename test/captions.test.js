@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTimestamp, renderSrt, renderWebVtt } = require('../netlify/functions/utils/captions');
+
+const segments = [
+  { id: 0, start: 0, end: 2.5, speaker: 0, text: 'We are bidding on the Kendall Square lab.', confidence: 0.9, words: [] },
+  { id: 1, start: 2.5, end: 3, speaker: 1, text: '', confidence: null, words: [] },
+  { id: 2, start: 3725.5, end: 3727.25, speaker: 1, text: 'Budget is <about> $45M & rising.', confidence: 0.8, words: [] }
+];
+
+test('formatTimestamp writes hours, minutes, seconds and milliseconds', () => {
+  assert.equal(formatTimestamp(3725.5, ','), '01:02:05,500');
+  assert.equal(formatTimestamp(0.0004, '.'), '00:00:00.000');
+  assert.equal(formatTimestamp(59.9996, '.'), '00:01:00.000');
+  assert.equal(formatTimestamp(-1, ','), '00:00:00,000');
+});
+
+test('renderSrt numbers cues, labels speakers and skips empty segments', () => {
+  assert.equal(renderSrt(segments), [
+    '1',
+    '00:00:00,000 --> 00:00:02,500',
+    'Speaker 1: We are bidding on the Kendall Square lab.',
+    '',
+    '2',
+    '01:02:05,500 --> 01:02:07,250',
+    'Speaker 2: Budget is <about> $45M & rising.',
+    ''
+  ].join('\n'));
+});
+
+test('renderSrt leaves undiarized segments unlabelled', () => {
+  assert.equal(renderSrt([{ start: 1, end: 2, speaker: null, text: 'Hello.' }]), '1\n00:00:01,000 --> 00:00:02,000\nHello.\n');
+});
+
+test('renderWebVtt writes voice spans and escapes markup', () => {
+  assert.equal(renderWebVtt(segments), [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:02.500',
+    '<v Speaker 1>We are bidding on the Kendall Square lab.',
+    '',
+    '01:02:05.500 --> 01:02:07.250',
+    '<v Speaker 2>Budget is &lt;about&gt; $45M &amp; rising.',
+    ''
+  ].join('\n'));
+});
+
+test('renderWebVtt of no segments is an empty but valid file', () => {
+  assert.equal(renderWebVtt([]), 'WEBVTT\n');
+  assert.equal(renderWebVtt(null), 'WEBVTT\n');
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canonicalizeUrl,
+  citationId,
+  hashContent,
+  buildCitations,
+  checkCitation
+} = require('../netlify/functions/utils/citations');
+
+test('canonicalizeUrl lowercases the host, drops www and trailing slashes and sorts the query', () => {
+  assert.equal(canonicalizeUrl('HTTPS://www.Suffolk.com/news/?b=2&a=1'), 'https://suffolk.com/news?a=1&b=2');
+  assert.equal(canonicalizeUrl('suffolk.com/news'), 'https://suffolk.com/news');
+  assert.equal(canonicalizeUrl('not a url'), null);
+  assert.equal(canonicalizeUrl(''), null);
+});
+
+test('buildCitations collapses sources with the same canonical url', async () => {
+  const { citations, errors } = await buildCitations([
+    'https://suffolk.com/news',
+    { url: 'https://www.suffolk.com/news/', title: 'News', publisher: 'Suffolk' }
+  ], {});
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(citations, [{
+    id: citationId('https://suffolk.com/news'),
+    url: 'https://suffolk.com/news',
+    canonical_url: 'https://suffolk.com/news',
+    title: 'News',
+    publisher: 'Suffolk',
+    fetched_at: null,
+    content_hash: null,
+    has_snapshot: false
+  }]);
+});
+
+test('buildCitations points claims at citation ids and reports unknown refs', async () => {
+  const { citations, researchData, errors } = await buildCitations(
+    [{ id: 's1', url: 'https://suffolk.com/news' }, 'https://enr.com/rankings'],
+    { claims: [{ text: 'Top 10 builder', citationIds: ['s1', 'https://www.suffolk.com/news/', 'https://enr.com/rankings', 'nope'] }] }
+  );
+  const [news, rankings] = citations.map(citation => citation.id);
+
+  assert.deepEqual(researchData.claims[0].citationIds, [news, rankings, 'nope']);
+  assert.deepEqual(errors, ['research_data.claims[0].citationIds cites unknown source "nope"']);
+});
+
+test('buildCitations hashes supplied snapshots by their readable text', async () => {
+  const { citations, snapshots } = await buildCitations([
+    { url: 'https://suffolk.com/news', snapshot: '<html><body><p>Suffolk  wins</p><script>track()</script></body></html>' }
+  ], {});
+
+  assert.deepEqual(snapshots, [{ content_hash: hashContent('Suffolk wins'), content: 'Suffolk wins' }]);
+  assert.equal(citations[0].content_hash, hashContent('Suffolk wins'));
+  assert.equal(citations[0].has_snapshot, true);
+});
+
+test('hashContent ignores whitespace differences', () => {
+  assert.equal(hashContent(' Suffolk\n wins '), hashContent('Suffolk wins'));
+  assert.notEqual(hashContent('Suffolk wins'), hashContent('Suffolk lost'));
+});
+
+test('checkCitation refuses to fetch private hosts', async () => {
+  for (const url of ['http://localhost/', 'http://127.0.0.1:8080/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'file:///etc/passwd']) {
+    const result = await checkCitation({ id: 'c_1', url, content_hash: hashContent('page') });
+    assert.equal(result.status, 'unreachable', url);
+  }
+});
+
+test('checkCitation leaves citations without a hash unchecked', async () => {
+  const result = await checkCitation({ id: 'c_1', url: 'https://suffolk.com/news', content_hash: null });
+
+  assert.equal(result.status, 'unchecked');
+});
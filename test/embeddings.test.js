@@ -0,0 +1,46 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EMBEDDING_DIMENSIONS, embedText, embedTexts, embeddingTextFor } = require('../netlify/functions/utils/embeddings');
+
+let savedProvider;
+
+beforeEach(() => {
+  savedProvider = process.env.EMBEDDING_PROVIDER;
+  process.env.EMBEDDING_PROVIDER = 'local';
+});
+
+afterEach(() => {
+  if (savedProvider === undefined) delete process.env.EMBEDDING_PROVIDER;
+  else process.env.EMBEDDING_PROVIDER = savedProvider;
+});
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test('the local embedder is deterministic, normalized and tagged with its model', async () => {
+  const first = await embedText('Life science lab in Kendall Square');
+  const second = await embedText('Life science lab in Kendall Square');
+
+  assert.equal(first.model, `local:hashing-${EMBEDDING_DIMENSIONS}`);
+  assert.equal(first.vector.length, EMBEDDING_DIMENSIONS);
+  assert.deepEqual(first.vector, second.vector);
+  assert.ok(Math.abs(cosine(first.vector, first.vector) - 1) < 1e-4);
+});
+
+test('the local embedder places texts sharing vocabulary closer together', async () => {
+  const { vectors: [query, lab, golf] } = await embedTexts([
+    'laboratory construction Kendall Square',
+    'Kendall Square laboratory construction by Suffolk',
+    'Golf tournament sponsorship in Florida'
+  ]);
+
+  assert.ok(cosine(query, lab) > cosine(query, golf));
+});
+
+test('embeddingTextFor joins the fields that describe each type', () => {
+  assert.equal(
+    embeddingTextFor('project', { title: 'Kendall Square Lab', status: 'permitted', architect: 'Elkus Manfredi', developer: null }),
+    'Kendall Square Lab\npermitted\nArchitect: Elkus Manfredi'
+  );
+  assert.equal(embeddingTextFor('person', { name: 'Jane Doe', expertise: ['preconstruction', 'life science'] }), 'Jane Doe\npreconstruction, life science');
+  assert.equal(embeddingTextFor('unknown', {}), '');
+});
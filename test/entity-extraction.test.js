@@ -0,0 +1,79 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const { buildEntityGraph, saveEntityGraph } = require('../netlify/functions/utils/entity-extraction');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOSTON = '00000000-0000-4000-8000-000000000001';
+
+const RAW_GRAPH = {
+  people: [{ name: 'Jane Doe', title: 'CEO', company: 'Suffolk' }],
+  companies: [{ name: 'Suffolk Construction', website: 'suffolk.com' }],
+  projects: [
+    { title: 'Kendall Lab', type: 'laboratory', location: 'Cambridge, MA', contractor: 'Suffolk' },
+    { description: 'A project without a title' }
+  ],
+  relationships: []
+};
+
+let db;
+let supabase;
+let savedProvider;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+  await db.query("INSERT INTO workspaces (id, name, created_by) VALUES ($1, 'Boston', $2)", [BOSTON, ALICE]);
+});
+
+after(async () => {
+  await db.close();
+});
+
+beforeEach(() => {
+  savedProvider = process.env.EMBEDDING_PROVIDER;
+  process.env.EMBEDDING_PROVIDER = 'local';
+});
+
+afterEach(async () => {
+  await actAsService(db);
+  if (savedProvider === undefined) delete process.env.EMBEDDING_PROVIDER;
+  else process.env.EMBEDDING_PROVIDER = savedProvider;
+});
+
+test('buildEntityGraph links short references to entities in the graph and rejects incomplete ones', () => {
+  const graph = buildEntityGraph(RAW_GRAPH);
+
+  assert.deepEqual(graph.companies.map(company => company.name), ['Suffolk Construction']);
+  assert.equal(graph.companies[0].website, 'https://suffolk.com');
+  assert.deepEqual(graph.relationships.map(({ fromKey, relation, toKey }) => [fromKey, relation, toKey]), [
+    ['person:jane doe', 'works_at', 'company:suffolk construction'],
+    ['company:suffolk construction', 'contractor_of', 'project:kendall lab']
+  ]);
+  assert.deepEqual(graph.rejected.map(rejected => [rejected.type, rejected.error]), [['project', 'Missing required fields: title']]);
+});
+
+test('saveEntityGraph keeps a project type and saves relationships in the workspace', async () => {
+  await actAs(db, ALICE);
+  const { saved, relationships, relationshipError } = await saveEntityGraph(supabase, buildEntityGraph(RAW_GRAPH), {
+    metadata: { created_by: ALICE, workspace_id: BOSTON }
+  });
+
+  assert.equal(relationshipError, null);
+  assert.deepEqual([...saved.people, ...saved.companies, ...saved.projects].map(result => result.action), ['created', 'created', 'created']);
+  assert.equal(saved.projects[0].entity.type, 'laboratory');
+  assert.equal(relationships.length, 2);
+  assert.ok(relationships.every(relationship => relationship.workspace_id === BOSTON));
+});
+
+test('saveEntityGraph links entities saved before instead of duplicating them', async () => {
+  await actAs(db, ALICE);
+  const { saved } = await saveEntityGraph(supabase, buildEntityGraph({ ...RAW_GRAPH, projects: [] }), {
+    metadata: { created_by: ALICE, workspace_id: BOSTON }
+  });
+
+  assert.deepEqual([...saved.people, ...saved.companies].map(result => result.action), ['linked', 'linked']);
+  const { rows } = await db.query('SELECT count(*)::int AS count FROM entity_relationships');
+  assert.equal(rows[0].count, 2);
+});
@@ -0,0 +1,125 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const {
+  normalizeName,
+  extractDomain,
+  normalizeLinkedIn,
+  scoreMatch,
+  findMatchCandidates,
+  mergeEntityFields
+} = require('../netlify/functions/utils/entity-matching');
+const { mergeIntoExisting } = require('../netlify/functions/utils/entity-extraction');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOSTON = '00000000-0000-4000-8000-000000000001';
+const ELSEWHERE = '00000000-0000-4000-8000-000000000002';
+
+let db;
+let supabase;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+  await db.query("INSERT INTO workspaces (id, name, created_by) VALUES ($1, 'Boston', $3), ($2, 'Elsewhere', $3)", [BOSTON, ELSEWHERE, ALICE]);
+  await db.query(
+    `INSERT INTO people (name, title, company, email, workspace_id) VALUES
+      ('Jane Doe', 'CEO', 'Suffolk', 'jane@suffolk.com', $1),
+      ('Jane Doe', 'CEO', 'Suffolk', 'jane@suffolk.com', $2)`,
+    [BOSTON, ELSEWHERE]
+  );
+});
+
+after(async () => {
+  await db.close();
+});
+
+afterEach(async () => {
+  await actAsService(db);
+});
+
+test('normalizeName drops honorifics, legal suffixes, accents and punctuation', () => {
+  assert.equal(normalizeName("Dr. José  O'Neil, Jr."), 'jose o neil');
+  assert.equal(normalizeName('The Suffolk Construction Co., Inc.', 'companies'), 'suffolk construction');
+  assert.equal(normalizeName(null), '');
+});
+
+test('extractDomain and normalizeLinkedIn reduce identifiers to comparable keys', () => {
+  assert.equal(extractDomain('https://www.Suffolk.com/about'), 'suffolk.com');
+  assert.equal(extractDomain('jane@suffolk.com'), 'suffolk.com');
+  assert.equal(normalizeLinkedIn('https://www.linkedin.com/in/jane-doe/?trk=x'), 'in/jane-doe');
+});
+
+test('scoreMatch combines independent signals', () => {
+  const byEmail = scoreMatch('people', { name: 'Jane Doe', email: 'JANE@suffolk.com' }, { name: 'Jane Doe', email: 'jane@suffolk.com' });
+  assert.equal(byEmail.score, 0.98);
+  assert.deepEqual(byEmail.reasons.map(reason => reason.signal), ['exact_name', 'email']);
+
+  const byDomain = scoreMatch('companies', { name: 'Suffolk Construction', website: 'https://www.suffolk.com' }, { name: 'Suffolk Construction Company, Inc.', website: 'suffolk.com' });
+  assert.deepEqual(byDomain.reasons.map(reason => reason.signal), ['exact_name', 'website_domain']);
+
+  const nameOnly = scoreMatch('people', { name: 'Jane Doe' }, { name: 'Jane Doe' });
+  assert.equal(nameOnly.score, 0.7);
+
+  assert.deepEqual(scoreMatch('people', { name: 'Jane Doe' }, { name: 'John Smith' }), { score: 0, reasons: [] });
+});
+
+test('mergeEntityFields fills blanks, unions arrays, updates values and keeps the name', () => {
+  const existing = { id: 1, name: 'Jane Doe', title: 'CEO', phone: null, expertise: ['labs'] };
+  const incoming = { id: 9, name: 'Jane A. Doe', title: 'President', phone: '617-555-0100', expertise: ['labs', 'healthcare'], created_by: 'someone' };
+
+  assert.deepEqual(mergeEntityFields('people', existing, incoming), {
+    patch: { title: 'President', phone: '617-555-0100', expertise: ['labs', 'healthcare'] },
+    changes: [
+      { field: 'title', action: 'updated', previous: 'CEO', value: 'President' },
+      { field: 'phone', action: 'filled', previous: null, value: '617-555-0100' },
+      { field: 'expertise', action: 'appended', previous: ['labs'], value: ['labs', 'healthcare'] }
+    ]
+  });
+});
+
+test('findMatchCandidates only matches within the entity workspace', async () => {
+  await actAs(db, ALICE);
+  const candidates = await findMatchCandidates(supabase, 'people', { name: 'Jane Doe', email: 'jane@suffolk.com', workspace_id: BOSTON });
+
+  assert.equal(candidates.length, 1);
+  assert.equal(candidates[0].score, 0.98);
+  const { rows } = await db.query('SELECT workspace_id FROM people WHERE id = $1', [candidates[0].id]);
+  assert.equal(rows[0].workspace_id, BOSTON);
+});
+
+test('findMatchCandidates treats LIKE wildcards in the input literally', async () => {
+  let filters;
+  const recorder = {
+    from: () => ({
+      select() { return this; },
+      or(value) { filters = value; return this; },
+      eq() { return this; },
+      limit: async () => ({ data: [], error: null })
+    })
+  };
+
+  await findMatchCandidates(recorder, 'people', { name: 'Jane Doe', email: 'j_doe%@suffolk.com', company: 'A_B', title: '100%' });
+
+  assert.ok(filters.includes('email.ilike."j\\\\_doe\\\\%@suffolk.com"'), filters);
+  assert.ok(filters.includes('company.ilike."A\\\\_B"'), filters);
+  assert.ok(filters.includes('title.ilike."100\\\\%"'), filters);
+});
+
+test('mergeIntoExisting patches the row and records the merge', async () => {
+  await actAs(db, ALICE);
+  const [target] = await findMatchCandidates(supabase, 'people', { name: 'Jane Doe', email: 'jane@suffolk.com', workspace_id: BOSTON });
+
+  const { record, changes } = await mergeIntoExisting(supabase, 'people', target, {
+    name: 'Jane Doe',
+    phone: '617-555-0100',
+    workspace_id: BOSTON,
+    raw_input: 'Jane Doe, 617-555-0100'
+  });
+
+  assert.equal(record.phone, '617-555-0100');
+  assert.deepEqual(changes, [{ field: 'phone', action: 'filled', previous: null, value: '617-555-0100' }]);
+  const { rows } = await db.query('SELECT entity_id, changes FROM entity_merges');
+  assert.deepEqual(rows, [{ entity_id: String(target.id), changes }]);
+});
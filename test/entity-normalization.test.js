@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePhone,
+  normalizeEmail,
+  normalizeState,
+  normalizeLocation,
+  normalizeUrl,
+  normalizeBudget,
+  normalizeFoundedYear,
+  normalizeEntity
+} = require('../netlify/functions/utils/entity-normalization');
+
+test('normalizePhone writes numbers as E.164', () => {
+  assert.deepEqual(normalizePhone('(617) 555-0142'), { value: '+16175550142' });
+  assert.deepEqual(normalizePhone('1-617-555-0142 ext. 12'), { value: '+16175550142' });
+  assert.deepEqual(normalizePhone('+44 20 7946 0958'), { value: '+442079460958' });
+  assert.ok(normalizePhone('555-0142').error);
+  assert.ok(normalizePhone('+12 345').error);
+});
+
+test('normalizeEmail lowercases and rejects malformed addresses', () => {
+  assert.deepEqual(normalizeEmail(' mailto:Jane.Doe@Example.COM '), { value: 'jane.doe@example.com' });
+  assert.ok(normalizeEmail('jane.doe@example').error);
+  assert.ok(normalizeEmail('jane doe@example.com').error);
+});
+
+test('normalizeState accepts names, codes and old abbreviations', () => {
+  assert.deepEqual(normalizeState('Massachusetts'), { value: 'MA' });
+  assert.deepEqual(normalizeState('ma'), { value: 'MA' });
+  assert.deepEqual(normalizeState('Mass.'), { value: 'MA' });
+  assert.ok(normalizeState('Ontario').error);
+});
+
+test('normalizeLocation abbreviates a trailing state and leaves other places alone', () => {
+  assert.deepEqual(normalizeLocation('Boston, Massachusetts'), { value: 'Boston, MA' });
+  assert.deepEqual(normalizeLocation('Cambridge, MA 02139'), { value: 'Cambridge, MA' });
+  assert.deepEqual(normalizeLocation('Toronto, Ontario'), { value: 'Toronto, Ontario' });
+  assert.deepEqual(normalizeLocation(' Boston '), { value: 'Boston' });
+});
+
+test('normalizeUrl canonicalises scheme, host, tracking parameters and trailing slashes', () => {
+  assert.deepEqual(
+    normalizeUrl('http://WWW.Example.com/about/?utm_source=news&id=4#team'),
+    { value: 'https://example.com/about?id=4' }
+  );
+  assert.deepEqual(normalizeUrl('linkedin.com/in/jane-doe/'), { value: 'https://linkedin.com/in/jane-doe' });
+  assert.ok(normalizeUrl('ftp://example.com').error);
+  assert.ok(normalizeUrl('not a url').error);
+});
+
+test('normalizeBudget reads amounts, multipliers, currencies and ranges', () => {
+  assert.deepEqual(normalizeBudget('$45M'), { value: { cents: 4500000000, currency: 'USD' } });
+  assert.deepEqual(normalizeBudget('45 million dollars'), { value: { cents: 4500000000, currency: 'USD' } });
+  assert.deepEqual(normalizeBudget('€3,500,000'), { value: { cents: 350000000, currency: 'EUR' } });
+  assert.deepEqual(normalizeBudget('$40-50M'), { value: { cents: 4000000000, currency: 'USD' } });
+  assert.deepEqual(normalizeBudget(1250.5), { value: { cents: 125050, currency: 'USD' } });
+  assert.ok(normalizeBudget('to be decided').error);
+});
+
+test('normalizeFoundedYear finds the year and rejects future ones', () => {
+  assert.deepEqual(normalizeFoundedYear('circa 2004'), { value: 2004 });
+  assert.deepEqual(normalizeFoundedYear('Founded in 1998 in Boston'), { value: 1998 });
+  assert.ok(normalizeFoundedYear('a long time ago').error);
+  assert.ok(normalizeFoundedYear(String(new Date().getFullYear() + 1)).error);
+});
+
+test('normalizeEntity rewrites known fields, drops blanks and reports invalid values', () => {
+  const { entity, errors, changes } = normalizeEntity('person', {
+    name: 'Jane Doe',
+    phone: '617.555.0142',
+    email: 'not-an-email',
+    title: 'N/A',
+    location: 'Boston, MA'
+  });
+
+  assert.deepEqual(entity, { name: 'Jane Doe', phone: '+16175550142', location: 'Boston, MA' });
+  assert.deepEqual(errors, { email: { value: 'not-an-email', message: 'Invalid email address' } });
+  assert.deepEqual(changes, { phone: { from: '617.555.0142', to: '+16175550142' } });
+});
+
+test('normalizeEntity keeps a project budget as text alongside its numeric columns', () => {
+  const { entity, changes } = normalizeEntity('project', { name: 'Kendall Square Lab', budget: '$45M' });
+
+  assert.deepEqual(entity, { name: 'Kendall Square Lab', budget: '$45M', budget_cents: 4500000000, budget_currency: 'USD' });
+  assert.deepEqual(changes.budget, { from: '$45M', to: { cents: 4500000000, currency: 'USD' } });
+});
@@ -0,0 +1,57 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { geocode, geocodeQueryFor, distanceMeters, METERS_PER_MILE } = require('../netlify/functions/utils/geocoding');
+
+const ENV_KEYS = ['GEOCODER_PROVIDER', 'GEOCODER_GAZETTEER_FILE', 'MAPBOX_ACCESS_TOKEN', 'VITE_MAPBOX_ACCESS_TOKEN'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = {};
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+test('geocode finds exact names and aliases in the committed gazetteer', async () => {
+  assert.deepEqual(await geocode('Kendall Square'), {
+    lat: 42.3629,
+    lng: -71.0901,
+    label: 'Kendall Square, Cambridge, MA',
+    confidence: 1,
+    source: 'gazetteer'
+  });
+});
+
+test('geocode falls back to the longest place named in an address', async () => {
+  const location = await geocode('300 Binney St, Kendall Square, Cambridge, MA');
+
+  assert.equal(location.label, 'Kendall Square, Cambridge, MA');
+  assert.equal(location.confidence, 0.7);
+});
+
+test('geocode resolves unknown and empty places to null', async () => {
+  assert.equal(await geocode('Atlantis'), null);
+  assert.equal(await geocode('   '), null);
+});
+
+test('geocodeQueryFor uses project locations and company headquarters or city', () => {
+  assert.equal(geocodeQueryFor('project', { location: 'Seaport' }), 'Seaport');
+  assert.equal(geocodeQueryFor('company', { city: 'Boston', state: 'MA' }), 'Boston, MA');
+  assert.equal(geocodeQueryFor('person', { location: 'Boston' }), null);
+});
+
+test('distanceMeters matches the distance between gazetteer places', async () => {
+  const boston = await geocode('Boston, MA');
+  const cambridge = await geocode('Cambridge, MA');
+  const miles = distanceMeters(boston.lat, boston.lng, cambridge.lat, cambridge.lng) / METERS_PER_MILE;
+
+  assert.ok(miles > 2.5 && miles < 3.5, `${miles} miles`);
+});
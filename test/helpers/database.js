@@ -0,0 +1,52 @@
+// An in-memory Postgres with every migration applied, standing in for
+// the Supabase database in tests
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const { vector } = require('@electric-sql/pglite/vector');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'supabase', 'migrations');
+
+// The parts of Supabase the migrations rely on. Supabase grants the
+// authenticated role every table and leaves access to the policies.
+const SUPABASE_STUBS = `
+  CREATE ROLE authenticated;
+  CREATE SCHEMA auth;
+  CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE
+    AS $$ SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID $$;
+  GRANT USAGE ON SCHEMA auth TO authenticated;
+`;
+
+const SUPABASE_GRANTS = `
+  GRANT ALL ON ALL TABLES IN SCHEMA public TO authenticated;
+  GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO authenticated;
+`;
+
+async function createDatabase() {
+  const db = new PGlite({ extensions: { pg_trgm, vector } });
+  await db.exec(SUPABASE_STUBS);
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+  await db.exec(SUPABASE_GRANTS);
+  return db;
+}
+
+// Act as a signed-in user, subject to row-level security
+async function actAs(db, userId) {
+  await db.exec('SET ROLE authenticated');
+  await db.query("SELECT set_config('request.jwt.claim.sub', $1, false)", [userId]);
+}
+
+// Act as the service role, which bypasses row-level security
+async function actAsService(db) {
+  await db.exec('RESET ROLE');
+  await db.query("SELECT set_config('request.jwt.claim.sub', '', false)");
+}
+
+module.exports = {
+  createDatabase,
+  actAs,
+  actAsService
+};
@@ -0,0 +1,319 @@
+// A Supabase client over the test database: the query builder calls the
+// functions make (filters, .or() strings, upserts, rpc) become SQL run as
+// whichever role the database is acting as (see database.js), so
+// row-level security applies as it would through PostgREST.
+
+// Column types per table, to send json and array values the way
+// PostgREST would
+async function columnTypes(db, table, cache) {
+  if (!cache.has(table)) {
+    const { rows } = await db.query(
+      "SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1",
+      [table]
+    );
+    cache.set(table, new Map(rows.map(row => [row.column_name, row.data_type])));
+  }
+  return cache.get(table);
+}
+
+function quoteIdent(name) {
+  return `"${String(name).trim().replace(/"/g, '""')}"`;
+}
+
+// Split a PostgREST filter list on the commas outside parentheses and quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted && char === '\\') {
+      current += char + text[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  if (!value.startsWith('"')) return value;
+  return value.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+class Query {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.conditions = [];
+    this.params = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.expect = 'many';
+    this.countMode = null;
+  }
+
+  param(value) {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  condition(column, operator, value) {
+    const ident = quoteIdent(column);
+    if (operator === 'is') {
+      return `${ident} IS ${value === null || value === 'null' ? 'NULL' : value ? 'TRUE' : 'FALSE'}`;
+    }
+    if (operator === 'in') {
+      return `${ident}::text = ANY(${this.param(value.map(String))}::text[])`;
+    }
+    return `${ident} ${OPERATORS[operator]} ${this.param(value)}`;
+  }
+
+  // One PostgREST filter expression: col.op.value, and(...) or or(...)
+  filterExpression(text) {
+    const group = text.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      const joiner = group[1] === 'and' ? ' AND ' : ' OR ';
+      return `(${splitTopLevel(group[2]).map(part => this.filterExpression(part)).join(joiner)})`;
+    }
+
+    const [, column, operator, value] = text.match(/^([^.]+)\.([a-z]+)\.(.*)$/);
+    if (operator === 'in') {
+      return this.condition(column, 'in', splitTopLevel(value.slice(1, -1)).map(unquote));
+    }
+    return this.condition(column, operator, unquote(value));
+  }
+
+  select(columns = '*', { count } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = count || null;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.insert(rows);
+    this.onConflict = onConflict;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { this.conditions.push(this.condition(column, 'eq', value)); return this; }
+  neq(column, value) { this.conditions.push(this.condition(column, 'neq', value)); return this; }
+  gt(column, value) { this.conditions.push(this.condition(column, 'gt', value)); return this; }
+  gte(column, value) { this.conditions.push(this.condition(column, 'gte', value)); return this; }
+  lt(column, value) { this.conditions.push(this.condition(column, 'lt', value)); return this; }
+  lte(column, value) { this.conditions.push(this.condition(column, 'lte', value)); return this; }
+  like(column, value) { this.conditions.push(this.condition(column, 'like', value)); return this; }
+  ilike(column, value) { this.conditions.push(this.condition(column, 'ilike', value)); return this; }
+  is(column, value) { this.conditions.push(this.condition(column, 'is', value)); return this; }
+  in(column, values) { this.conditions.push(this.condition(column, 'in', values)); return this; }
+
+  // Arrays are compared as text[], anything else as jsonb
+  contains(column, value) {
+    const param = Array.isArray(value) ? `${this.param(value.map(String))}::text[]` : `${this.param(JSON.stringify(value))}::jsonb`;
+    this.conditions.push(`${quoteIdent(column)} @> ${param}`);
+    return this;
+  }
+
+  or(filters) {
+    this.conditions.push(this.filterExpression(`or(${filters})`));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    const nulls = nullsFirst === undefined ? '' : nullsFirst ? ' NULLS FIRST' : ' NULLS LAST';
+    this.orders.push(`${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'}${nulls}`);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.expect = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = 'maybeSingle';
+    return this;
+  }
+
+  // A row value as SQL, cast the way its column stores it
+  async valueSql(column, value) {
+    const types = await columnTypes(this.client.db, this.table, this.client.types);
+    const type = types.get(column);
+    if (value !== null && value !== undefined && (type === 'jsonb' || type === 'json')) {
+      return `${this.param(JSON.stringify(value))}::${type}`;
+    }
+    if (type === 'USER-DEFINED' && Array.isArray(value)) {
+      return `${this.param(JSON.stringify(value))}::vector`;
+    }
+    return this.param(value === undefined ? null : value);
+  }
+
+  where() {
+    return this.conditions.length > 0 ? ` WHERE ${this.conditions.join(' AND ')}` : '';
+  }
+
+  async toSql() {
+    if (this.action === 'select') {
+      const order = this.orders.length > 0 ? ` ORDER BY ${this.orders.join(', ')}` : '';
+      const limit = this.limitCount === null ? '' : ` LIMIT ${this.limitCount}`;
+      const offset = this.offsetCount === null ? '' : ` OFFSET ${this.offsetCount}`;
+      return `SELECT ${this.columns} FROM ${quoteIdent(this.table)}${this.where()}${order}${limit}${offset}`;
+    }
+
+    if (this.action === 'insert') {
+      const columns = [...new Set(this.rows.flatMap(row => Object.keys(row)))];
+      const tuples = [];
+      for (const row of this.rows) {
+        const values = [];
+        for (const column of columns) {
+          values.push(column in row ? await this.valueSql(column, row[column]) : 'DEFAULT');
+        }
+        tuples.push(`(${values.join(', ')})`);
+      }
+
+      let conflict = '';
+      if (this.onConflict !== undefined) {
+        const target = (this.onConflict || await this.primaryKey()).split(',').map(quoteIdent).join(', ');
+        conflict = this.ignoreDuplicates
+          ? ` ON CONFLICT (${target}) DO NOTHING`
+          : ` ON CONFLICT (${target}) DO UPDATE SET ${columns.map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`).join(', ')}`;
+      }
+      return `INSERT INTO ${quoteIdent(this.table)} (${columns.map(quoteIdent).join(', ')}) VALUES ${tuples.join(', ')}${conflict} RETURNING *`;
+    }
+
+    if (this.action === 'update') {
+      const assignments = [];
+      for (const [column, value] of Object.entries(this.values)) {
+        assignments.push(`${quoteIdent(column)} = ${await this.valueSql(column, value)}`);
+      }
+      return `UPDATE ${quoteIdent(this.table)} SET ${assignments.join(', ')}${this.where()} RETURNING *`;
+    }
+
+    return `DELETE FROM ${quoteIdent(this.table)}${this.where()} RETURNING *`;
+  }
+
+  async primaryKey() {
+    const { rows } = await this.client.db.query(
+      `SELECT string_agg(a.attname, ',') AS columns FROM pg_index i
+       JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+       WHERE i.indrelid = $1::regclass AND i.indisprimary`,
+      [this.table]
+    );
+    return rows[0].columns;
+  }
+
+  async execute() {
+    let rows;
+    let count = null;
+    try {
+      // Conditions are added as filters are called, so parameters are
+      // numbered before the row values toSql adds
+      const sql = await this.toSql();
+      rows = (await this.client.db.query(sql, this.params)).rows;
+      if (this.countMode) {
+        const { rows: [counted] } = await this.client.db.query(
+          `SELECT count(*)::int AS count FROM ${quoteIdent(this.table)}${this.where()}`,
+          this.params
+        );
+        count = counted.count;
+      }
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code } };
+    }
+
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+    if (this.expect === 'many') return { data: rows, error: null, count };
+    if (rows.length > 1 || (rows.length === 0 && this.expect === 'single')) {
+      return { data: null, error: { message: `JSON object requested, ${rows.length} rows returned`, code: 'PGRST116' } };
+    }
+    return { data: rows[0] || null, error: null };
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+function createClient(db) {
+  const client = { db, types: new Map() };
+  return {
+    from: table => new Query(client, table),
+
+    // Set-returning functions resolve to rows, others to their value
+    async rpc(name, args = {}) {
+      try {
+        const { rows: [fn] } = await db.query(
+          `SELECT p.proretset, json_object_agg(a.name, format_type(a.type, NULL)) FILTER (WHERE a.type IS NOT NULL) AS types
+           FROM pg_proc p LEFT JOIN LATERAL unnest(p.proargnames, p.proargtypes::oid[]) AS a(name, type) ON TRUE
+           WHERE p.proname = $1 GROUP BY p.oid LIMIT 1`,
+          [name]
+        );
+        const types = (fn && fn.types) || {};
+        const named = Object.keys(args)
+          .map((key, i) => `${quoteIdent(key)} => $${i + 1}${types[key] ? `::${types[key]}` : ''}`)
+          .join(', ');
+        const values = Object.entries(args).map(([key, value]) => {
+          const asJson = ['json', 'jsonb'].includes(types[key]) || /^vector/.test(types[key] || '');
+          return value !== null && (asJson || (typeof value === 'object' && !Array.isArray(value))) ? JSON.stringify(value) : value;
+        });
+        const { rows } = await db.query(`SELECT * FROM ${quoteIdent(name)}(${named})`, values);
+        return { data: fn && fn.proretset ? rows : (rows[0] ? Object.values(rows[0])[0] : null), error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message, code: error.code } };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createClient
+};
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffJson } = require('../netlify/functions/utils/json-diff');
+
+test('diffJson reports added, removed and changed paths', () => {
+  const before = { name: 'Suffolk', contacts: [{ email: 'a@suffolk.com' }], city: 'Boston' };
+  const after = { name: 'Suffolk Construction', contacts: [{ email: 'a@suffolk.com' }, { email: 'b@suffolk.com' }], state: 'MA' };
+
+  assert.deepEqual(diffJson(before, after), {
+    added: [
+      { path: 'contacts[1]', value: { email: 'b@suffolk.com' } },
+      { path: 'state', value: 'MA' }
+    ],
+    removed: [{ path: 'city', value: 'Boston' }],
+    changed: [{ path: 'name', from: 'Suffolk', to: 'Suffolk Construction' }]
+  });
+});
+
+test('diffJson compares nested values in place', () => {
+  const diff = diffJson({ research_data: { contacts: [{ email: 'old@x.com' }] } }, { research_data: { contacts: [{ email: 'new@x.com' }] } });
+
+  assert.deepEqual(diff.changed, [{ path: 'research_data.contacts[0].email', from: 'old@x.com', to: 'new@x.com' }]);
+});
+
+test('diffJson reports a type change at the path and identical values as no change', () => {
+  assert.deepEqual(diffJson({ a: [1] }, { a: { 0: 1 } }).changed, [{ path: 'a', from: [1], to: { 0: 1 } }]);
+  assert.deepEqual(diffJson(1, 2).changed, [{ path: '$', from: 1, to: 2 }]);
+  assert.deepEqual(diffJson({ a: [1, { b: null }] }, { a: [1, { b: null }] }), { added: [], removed: [], changed: [] });
+});
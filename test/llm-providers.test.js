@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProviderChain, complete } = require('../netlify/functions/utils/llm-providers');
+
+const ENV_KEYS = ['LLM_PROVIDERS', 'LLM_PROVIDERS_ENTITIES_CREATE_FROM_TEXT', 'LLM_PROVIDERS_O3_DIRECTOR', 'ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'LLM_FIXTURES_DIR'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = {};
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+test('resolveProviderChain keeps configured providers in order', () => {
+  process.env.ANTHROPIC_API_KEY = 'test';
+  process.env.OPENAI_API_KEY = 'test';
+  process.env.LLM_PROVIDERS = 'openai:gpt-4o, anthropic:claude-3-haiku-20240307';
+
+  assert.deepEqual(resolveProviderChain('voice-to-leads'), [
+    { provider: 'openai', model: 'gpt-4o' },
+    { provider: 'anthropic', model: 'claude-3-haiku-20240307' }
+  ]);
+});
+
+test('resolveProviderChain prefers the endpoint setting over the default', () => {
+  process.env.LLM_PROVIDERS = 'anthropic:claude-3-haiku-20240307';
+  process.env.LLM_PROVIDERS_ENTITIES_CREATE_FROM_TEXT = 'local';
+
+  assert.deepEqual(resolveProviderChain('entities-create-from-text'), [{ provider: 'local', model: 'fixtures' }]);
+});
+
+test('resolveProviderChain drops unknown and unconfigured providers', () => {
+  process.env.OPENAI_API_KEY = 'test';
+  process.env.LLM_PROVIDERS = 'mystery:model,anthropic,openai,local:fixtures';
+
+  assert.deepEqual(resolveProviderChain('voice-translate'), [
+    { provider: 'openai', model: 'gpt-4o-mini' },
+    { provider: 'local', model: 'fixtures' }
+  ]);
+});
+
+test('resolveProviderChain keeps colons inside model names', () => {
+  process.env.LLM_PROVIDERS = 'local:fixtures:v2';
+
+  assert.deepEqual(resolveProviderChain('voice-to-leads'), [{ provider: 'local', model: 'fixtures:v2' }]);
+});
+
+test('resolveProviderChain is empty when nothing is configured', () => {
+  assert.deepEqual(resolveProviderChain('voice-to-leads'), []);
+});
+
+test('complete answers from the committed fixtures with the local provider', async () => {
+  process.env.LLM_PROVIDERS = 'local';
+
+  const result = await complete('entities-create-from-text', {
+    prompt: 'Extract person information from this text: Jane Doe runs preconstruction at Suffolk.'
+  });
+
+  assert.equal(result.provider, 'local');
+  assert.equal(result.fixture, 'person-jane-doe.json');
+  assert.equal(JSON.parse(result.text).company, 'Suffolk Construction');
+  assert.ok(result.usage.inputTokens > 0);
+});
+
+test('complete fails with every attempt when no fixture matches', async () => {
+  process.env.LLM_PROVIDERS = 'local';
+
+  await assert.rejects(
+    complete('entities-create-from-text', { prompt: 'Nothing any fixture expects' }),
+    /All LLM providers failed: local \(Local LLM error: no fixture matches this prompt\)/
+  );
+});
+
+test('the o3-director chain has its own setting and offline fixture', async () => {
+  process.env.LLM_PROVIDERS = 'anthropic:claude-3-haiku-20240307';
+  process.env.LLM_PROVIDERS_O3_DIRECTOR = 'local';
+
+  const result = await complete('o3-director', {
+    system: 'You are O3 Director',
+    prompt: 'Latest message:\nWho is building the Kendall Square Lab?'
+  });
+
+  assert.equal(result.provider, 'local');
+  assert.equal(result.fixture, 'o3-director-kendall-lab.json');
+  assert.deepEqual(Object.keys(JSON.parse(result.text)), ['response', 'insights', 'nextSteps', 'confidence']);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSourceDocuments, traceEntityFields, pickProvenance } = require('../netlify/functions/utils/provenance');
+
+const INPUT = 'Met Jane Doe at the Kendall Square site. She runs preconstruction for Suffolk. Call her at (617) 555-0142.';
+const PAGE = {
+  url: 'https://suffolk.com/team/jane-doe',
+  markdown: 'Jane Doe is Vice President of Preconstruction. Find her at linkedin.com/in/jane-doe.'
+};
+
+test('buildSourceDocuments keeps the input first and skips empty pages', () => {
+  const documents = buildSourceDocuments(INPUT, [PAGE, { url: 'https://suffolk.com/empty' }, { content: 'Text', metadata: { sourceURL: 'https://suffolk.com/about' } }]);
+
+  assert.deepEqual(documents.map(document => [document.type, document.url]), [
+    ['input', undefined],
+    ['scraped', 'https://suffolk.com/team/jane-doe'],
+    ['scraped', 'https://suffolk.com/about']
+  ]);
+});
+
+test('traceEntityFields finds values in the input with their offsets', () => {
+  const { provenance, unverified } = traceEntityFields(
+    { name: 'Jane Doe', phone: '+16175550142', confidence: 0.9 },
+    buildSourceDocuments(INPUT, [PAGE])
+  );
+
+  assert.deepEqual(unverified, []);
+  assert.equal(provenance.confidence, undefined);
+  assert.equal(provenance.phone.match, 'exact');
+  assert.equal(provenance.phone.confidence, 0.95);
+  assert.equal(INPUT.substring(provenance.phone.sources[0].start, provenance.phone.sources[0].end), '617) 555-0142');
+  assert.deepEqual(provenance.name.sources.map(source => source.type), ['input', 'scraped']);
+});
+
+test('traceEntityFields credits scraped pages, paraphrases and flags invented values', () => {
+  const { provenance, unverified } = traceEntityFields(
+    {
+      linkedin: 'https://www.linkedin.com/in/jane-doe/',
+      summary: 'Jane runs preconstruction at Suffolk',
+      email: 'jane.doe@suffolk.com'
+    },
+    buildSourceDocuments(INPUT, [PAGE])
+  );
+
+  assert.equal(provenance.linkedin.match, 'exact');
+  assert.equal(provenance.linkedin.confidence, 0.85);
+  assert.equal(provenance.linkedin.sources[0].url, PAGE.url);
+
+  assert.equal(provenance.summary.match, 'paraphrase');
+  assert.ok(provenance.summary.confidence > 0.4 && provenance.summary.confidence <= 0.8);
+
+  assert.deepEqual(unverified, ['email']);
+  assert.deepEqual(provenance.email, { value: 'jane.doe@suffolk.com', verified: false, match: 'none', confidence: 0.2, sources: [] });
+});
+
+test('traceEntityFields traces list items one by one', () => {
+  const { provenance, unverified } = traceEntityFields(
+    { specialties: ['preconstruction', 'healthcare'] },
+    buildSourceDocuments(INPUT, [])
+  );
+
+  assert.equal(provenance.specialties.verified, false);
+  assert.equal(provenance.specialties.match, 'partial');
+  assert.deepEqual(provenance.specialties.items.map(item => item.verified), [true, false]);
+  assert.deepEqual(unverified, ['specialties']);
+});
+
+test('pickProvenance drops fields removed by normalization', () => {
+  const provenance = { name: { verified: true }, email: { verified: false } };
+  assert.deepEqual(pickProvenance(provenance, { name: 'Jane Doe' }), { name: { verified: true } });
+});
@@ -0,0 +1,119 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const {
+  loadLinkedEntities,
+  buildBundle,
+  validateBundle,
+  importBundle
+} = require('../netlify/functions/utils/research-export');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOB = '00000000-0000-4000-8000-00000000000b';
+const SOURCE = '00000000-0000-4000-8000-000000000001';
+const OTHER = '00000000-0000-4000-8000-000000000002';
+const TARGET = '00000000-0000-4000-8000-000000000003';
+
+let db;
+let supabase;
+let savedProvider;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+
+  await db.query(
+    `INSERT INTO workspaces (id, name, created_by) VALUES ($1, 'Boston', $4), ($2, 'Elsewhere', $5), ($3, 'Archive', $4)`,
+    [SOURCE, OTHER, TARGET, ALICE, BOB]
+  );
+  // The same company name in two workspaces, each with its own staff
+  const { rows: [suffolk] } = await db.query("INSERT INTO companies (name, city, workspace_id) VALUES ('Suffolk', 'Boston', $1) RETURNING id", [SOURCE]);
+  const { rows: [jane] } = await db.query("INSERT INTO people (name, title, company, workspace_id) VALUES ('Jane Doe', 'CEO', 'Suffolk', $1) RETURNING id", [SOURCE]);
+  const { rows: [otherSuffolk] } = await db.query("INSERT INTO companies (name, workspace_id) VALUES ('Suffolk', $1) RETURNING id", [OTHER]);
+  const { rows: [mallory] } = await db.query("INSERT INTO people (name, workspace_id) VALUES ('Mallory Roe', $1) RETURNING id", [OTHER]);
+  await db.query(
+    `INSERT INTO entity_relationships (workspace_id, source_type, source_id, relation, target_type, target_id, confidence, origin) VALUES
+      ($1, 'person', $2, 'works_at', 'company', $3, 0.9, 'extraction'),
+      ($4, 'person', $5, 'works_at', 'company', $6, 0.9, 'extraction')`,
+    [SOURCE, jane.id, suffolk.id, OTHER, mallory.id, otherSuffolk.id]
+  );
+  await db.query(
+    `INSERT INTO saved_research (id, user_id, workspace_id, entity_type, entity_name, research_data, tags, created_at)
+     VALUES ('research-suffolk', $1, $2, 'company', 'Suffolk', '{"revenue": "4.8B"}', '{builders}', '2026-10-01T00:00:00Z')`,
+    [ALICE, SOURCE]
+  );
+});
+
+after(async () => {
+  await db.close();
+});
+
+beforeEach(async () => {
+  savedProvider = process.env.EMBEDDING_PROVIDER;
+  process.env.EMBEDDING_PROVIDER = 'local';
+  await actAs(db, ALICE);
+});
+
+afterEach(async () => {
+  await actAsService(db);
+  if (savedProvider === undefined) delete process.env.EMBEDDING_PROVIDER;
+  else process.env.EMBEDDING_PROVIDER = savedProvider;
+});
+
+async function exportWorkspace(workspaceId) {
+  const { data: records } = await supabase.from('saved_research').select('*').eq('workspace_id', workspaceId);
+  const linked = await loadLinkedEntities(supabase, records, workspaceId);
+  return { records, linked, bundle: JSON.parse(JSON.stringify(buildBundle(records, linked, { exportedAt: '2026-10-19T00:00:00Z' }))) };
+}
+
+test('loadLinkedEntities stays inside the workspace', async () => {
+  await actAsService(db);
+  const { linked } = await exportWorkspace(SOURCE);
+
+  assert.deepEqual(linked.entities.companies.map(company => company.workspace_id), [SOURCE]);
+  assert.deepEqual(linked.entities.people.map(person => person.name), ['Jane Doe']);
+  assert.deepEqual(linked.links['research-suffolk'].map(link => [link.type, link.name, link.relation]), [
+    ['company', 'Suffolk', 'subject'],
+    ['person', 'Jane Doe', 'works_at']
+  ]);
+  assert.equal(linked.relationships.length, 1);
+});
+
+test('a bundle imports into another workspace with its entities and relationships', async () => {
+  const { bundle } = await exportWorkspace(SOURCE);
+  assert.deepEqual(validateBundle(bundle), []);
+
+  const { summary, errors } = await importBundle(supabase, bundle, { userId: ALICE, workspaceId: TARGET });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(summary, {
+    entities: { created: 2, linked: 0, failed: 0 },
+    relationships: { saved: 1, skipped: 0 },
+    research: { created: 1, updated: 0, unchanged: 0, failed: 0 }
+  });
+
+  const { records, linked } = await exportWorkspace(TARGET);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].entity_name, 'Suffolk');
+  assert.deepEqual(records[0].research_data, { revenue: '4.8B' });
+  assert.deepEqual(records[0].tags, ['builders']);
+  assert.deepEqual(linked.links[records[0].id].map(link => [link.type, link.name, link.relation]), [
+    ['company', 'Suffolk', 'subject'],
+    ['person', 'Jane Doe', 'works_at']
+  ]);
+});
+
+test('importing the same bundle again changes nothing', async () => {
+  const { bundle } = await exportWorkspace(SOURCE);
+
+  const { summary } = await importBundle(supabase, bundle, { userId: ALICE, workspaceId: TARGET });
+
+  assert.deepEqual(summary, {
+    entities: { created: 0, linked: 2, failed: 0 },
+    relationships: { saved: 1, skipped: 0 },
+    research: { created: 0, updated: 0, unchanged: 1, failed: 0 }
+  });
+  const { rows } = await db.query("SELECT count(*)::int AS count FROM saved_research WHERE entity_name = 'Suffolk'");
+  assert.equal(rows[0].count, 2);
+});
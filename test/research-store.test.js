@@ -0,0 +1,126 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const { validateQuery } = require('../netlify/functions/utils/schema');
+const {
+  LIST_QUERY,
+  parseListOptions,
+  getResearch,
+  listResearch,
+  updateResearchMetadata,
+  deleteResearch
+} = require('../netlify/functions/utils/research-store');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOB = '00000000-0000-4000-8000-00000000000b';
+
+let db;
+let supabase;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+
+  await db.query(
+    `INSERT INTO saved_research (id, user_id, entity_type, entity_name, research_data, confidence_score, tags, created_at) VALUES
+      ('suffolk', $1, 'company', 'Suffolk', '{}', 0.9, '{builders,boston}', '2026-10-01T00:00:00Z'),
+      ('turner', $1, 'company', 'Turner 100%', '{}', 0.7, '{builders}', '2026-10-05T00:00:00Z'),
+      ('jane', $1, 'person', 'Jane Doe', '{}', NULL, '{}', '2026-10-10T00:00:00Z'),
+      ('bobs', $2, 'company', 'Suffolk', '{}', 0.8, '{builders}', '2026-10-02T00:00:00Z')`,
+    [ALICE, BOB]
+  );
+  // Saved before the saved_research table existed
+  await db.query(
+    `INSERT INTO generic_data_store (id, type, data) VALUES
+      ('legacy', 'saved_research', $1)`,
+    [JSON.stringify({ user_id: ALICE, entity_type: 'project', entity_name: 'Kendall Square Lab', tags: ['lab'], created_at: '2026-09-01T00:00:00Z' })]
+  );
+});
+
+after(async () => {
+  await db.close();
+});
+
+beforeEach(async () => {
+  await actAs(db, ALICE);
+});
+
+afterEach(async () => {
+  await actAsService(db);
+});
+
+test('parseListOptions turns dates into timestamps and rejects reversed ranges', () => {
+  const { options } = parseListOptions(validateQuery(LIST_QUERY, { from: '2026-10-01', entityType: 'company' }).value);
+  assert.equal(options.from, '2026-10-01T00:00:00.000Z');
+  assert.equal(options.sort, 'created');
+  assert.equal(options.limit, 20);
+
+  assert.ok(parseListOptions({ from: '2026-13-45' }).error);
+  assert.equal(parseListOptions({ from: '2026-10-05', to: '2026-10-01' }).error, 'from must not be after to');
+});
+
+test('listResearch shows only the caller\'s research, legacy records included', async () => {
+  const { records, total } = await listResearch(supabase);
+
+  assert.deepEqual(records.map(record => [record.id, record.storage]), [
+    ['jane', 'saved_research'],
+    ['turner', 'saved_research'],
+    ['suffolk', 'saved_research'],
+    ['legacy', 'generic_data_store']
+  ]);
+  assert.equal(total, 4);
+});
+
+test('listResearch filters by type, name, tag and date', async () => {
+  const ids = async options => (await listResearch(supabase, options)).records.map(record => record.id);
+
+  assert.deepEqual(await ids({ entityType: 'company' }), ['turner', 'suffolk']);
+  assert.deepEqual(await ids({ entityName: 'suff' }), ['suffolk']);
+  assert.deepEqual(await ids({ entityName: '100%' }), ['turner']);
+  assert.deepEqual(await ids({ entityName: '_' }), []);
+  assert.deepEqual(await ids({ tag: 'boston' }), ['suffolk']);
+  assert.deepEqual(await ids({ from: '2026-10-02T00:00:00Z', to: '2026-10-06T00:00:00Z' }), ['turner']);
+});
+
+test('listResearch sorts, pages and counts every match', async () => {
+  const page = await listResearch(supabase, { sort: 'confidence', order: 'desc', limit: 2, offset: 0 });
+  assert.deepEqual(page.records.map(record => record.id), ['suffolk', 'turner']);
+  assert.equal(page.total, 4);
+
+  // Records without a confidence come last either way
+  const rest = await listResearch(supabase, { sort: 'confidence', order: 'asc', limit: 2, offset: 2 });
+  assert.deepEqual(rest.records.map(record => record.id).sort(), ['jane', 'legacy']);
+
+  const byName = await listResearch(supabase, { sort: 'name', order: 'asc' });
+  assert.deepEqual(byName.records.map(record => record.entity_name), ['Jane Doe', 'Kendall Square Lab', 'Suffolk', 'Turner 100%']);
+});
+
+test('getResearch does not return another user\'s private research', async () => {
+  assert.equal(await getResearch(supabase, 'bobs'), null);
+  assert.equal((await getResearch(supabase, 'suffolk')).entity_name, 'Suffolk');
+});
+
+test('updateResearchMetadata writes tags and notes wherever the record is stored', async () => {
+  const updated = await updateResearchMetadata(supabase, await getResearch(supabase, 'turner'), { notes: 'Call in Q1' });
+  assert.equal(updated.notes, 'Call in Q1');
+  assert.deepEqual(updated.tags, ['builders']);
+
+  const legacy = await updateResearchMetadata(supabase, await getResearch(supabase, 'legacy'), { tags: ['lab', 'cambridge'] });
+  assert.equal(legacy.storage, 'generic_data_store');
+  assert.deepEqual(legacy.tags, ['lab', 'cambridge']);
+  assert.equal(legacy.entity_name, 'Kendall Square Lab');
+});
+
+test('deleteResearch removes the record and leaves other users\' research alone', async () => {
+  await deleteResearch(supabase, 'jane');
+  await deleteResearch(supabase, 'legacy');
+  await deleteResearch(supabase, 'bobs');
+
+  assert.equal(await getResearch(supabase, 'jane'), null);
+  assert.equal(await getResearch(supabase, 'legacy'), null);
+
+  await actAsService(db);
+  const { rows } = await db.query("SELECT id FROM saved_research WHERE id = 'bobs'");
+  assert.equal(rows.length, 1);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { hashContent } = require('../netlify/functions/utils/citations');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOB = '00000000-0000-4000-8000-00000000000b';
+
+let db;
+
+before(async () => {
+  db = await createDatabase();
+  await db.query(
+    `INSERT INTO saved_research (id, user_id, entity_type, entity_name, research_data, citations) VALUES
+      ('research-alice', $1, 'company', 'Suffolk', '{}', '[{"id": "c_1", "content_hash": "sha256:planted"}]'),
+      ('research-bob', $2, 'company', 'Skanska', '{}', '[]')`,
+    [ALICE, BOB]
+  );
+  await db.query("INSERT INTO error_logs (endpoint, error_message, error_stack) VALUES ('api-save-research', 'boom', 'at secret.js:1')");
+  await db.query(
+    "INSERT INTO user_analytics (user_id, action, timestamp) VALUES ($1, 'save', NOW()), ($2, 'save', NOW())",
+    [ALICE, BOB]
+  );
+});
+
+after(async () => {
+  await db.close();
+});
+
+test('users read only their own research', async () => {
+  await actAs(db, ALICE);
+  const { rows } = await db.query('SELECT id FROM saved_research ORDER BY id');
+  await actAsService(db);
+
+  assert.deepEqual(rows.map(row => row.id), ['research-alice']);
+});
+
+test('users cannot take over research by upserting its id', async () => {
+  await actAs(db, ALICE);
+  await assert.rejects(db.query(
+    `INSERT INTO saved_research (id, user_id, entity_type, entity_name, research_data) VALUES ('research-bob', $1, 'company', 'Mine', '{}')
+     ON CONFLICT (id) DO UPDATE SET entity_name = EXCLUDED.entity_name`,
+    [ALICE]
+  ), /row-level security/);
+  await actAsService(db);
+});
+
+test('analytics rows are readable by their owner only', async () => {
+  await actAs(db, BOB);
+  const { rows } = await db.query('SELECT user_id FROM user_analytics');
+  await actAsService(db);
+
+  assert.deepEqual(rows.map(row => row.user_id), [BOB]);
+});
+
+test('error logs are hidden from signed-in users', async () => {
+  await actAs(db, ALICE);
+  const { rows } = await db.query('SELECT * FROM error_logs');
+  await actAsService(db);
+
+  assert.deepEqual(rows, []);
+});
+
+test('snapshots can only be stored under the hash of their own text', async () => {
+  await actAs(db, BOB);
+  await assert.rejects(
+    db.query("INSERT INTO citation_snapshots (content_hash, content) VALUES ('sha256:planted', 'forged page')"),
+    /row-level security/
+  );
+
+  const text = 'Suffolk wins the Kendall Square lab contract';
+  const { rows } = await db.query('SELECT save_citation_snapshot($1) AS content_hash', [text]);
+  await actAsService(db);
+
+  assert.equal(rows[0].content_hash, hashContent(text));
+  const stored = await db.query('SELECT content FROM citation_snapshots WHERE content_hash = $1', [rows[0].content_hash]);
+  assert.equal(stored.rows[0].content, text);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBody, validateQuery } = require('../netlify/functions/utils/schema');
+
+test('validateBody trims strings, fills defaults and passes unknown fields through', () => {
+  const schema = {
+    name: { type: 'string', required: true },
+    limit: { type: 'integer', default: 10 }
+  };
+
+  assert.deepEqual(validateBody(schema, { name: '  Suffolk ', extra: true }), {
+    value: { name: 'Suffolk', limit: 10, extra: true },
+    errors: []
+  });
+});
+
+test('validateBody treats an empty required string as missing but allows an empty optional one', () => {
+  assert.deepEqual(validateBody({ query: { type: 'string', required: true } }, { query: '' }).errors, [
+    { field: 'query', message: 'query is required' }
+  ]);
+  assert.deepEqual(validateBody({ query: { type: 'string' } }, { query: '' }), { value: { query: '' }, errors: [] });
+});
+
+test('validateBody reports every invalid field, nested ones by path', () => {
+  const schema = {
+    tags: { type: 'array', items: { type: 'string' } },
+    near: { type: 'object', properties: { radiusMiles: { type: 'number', max: 500 } } },
+    sort: { type: 'string', enum: ['relevance', 'newest'] }
+  };
+
+  assert.deepEqual(validateBody(schema, { tags: ['labs', 3], near: { radiusMiles: 900 }, sort: 'oldest' }).errors, [
+    { field: 'tags[1]', message: 'tags[1] must be a string' },
+    { field: 'near.radiusMiles', message: 'near.radiusMiles must be at most 500' },
+    { field: 'sort', message: 'sort must be one of: relevance, newest' }
+  ]);
+  assert.deepEqual(validateBody(schema, []).errors, [{ field: 'body', message: 'Request body must be a JSON object' }]);
+});
+
+test('validateQuery coerces numbers, booleans and lists from text', () => {
+  const schema = {
+    limit: { type: 'integer' },
+    includeFacets: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    cursor: { type: 'string' }
+  };
+
+  assert.deepEqual(validateQuery(schema, { limit: '25', includeFacets: 'false', tags: 'labs, healthcare', cursor: '' }), {
+    value: { limit: 25, includeFacets: false, tags: ['labs', 'healthcare'] },
+    errors: []
+  });
+  assert.deepEqual(validateQuery(schema, { limit: 'ten' }).errors, [{ field: 'limit', message: 'limit must be an integer' }]);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, translateSearchQuery } = require('../netlify/functions/utils/search-query-parser');
+
+const translate = (query, options) => translateSearchQuery(parseSearchQuery(query), options);
+
+test('translateSearchQuery maps a field to each type that has it', () => {
+  const { entityTypes, filters, textQuery } = translate('city:Boston');
+
+  assert.deepEqual(entityTypes, ['person', 'company', 'project']);
+  assert.deepEqual(filters.person, [[{ column: 'location', value: 'Boston', negated: false }]]);
+  assert.deepEqual(filters.company, [[{ column: 'city', value: 'Boston', negated: false }]]);
+  assert.deepEqual(filters.project, [[{ column: 'location', value: 'Boston', negated: false }]]);
+  assert.equal(textQuery, '');
+});
+
+test('translateSearchQuery drops types a required field does not exist on', () => {
+  const { entityTypes, filters } = translate('architect:Elkus status:permitted');
+
+  assert.deepEqual(entityTypes, ['project']);
+  assert.deepEqual(filters.project, [
+    [{ column: 'architect', value: 'Elkus', negated: false }],
+    [{ column: 'status', value: 'permitted', negated: false }]
+  ]);
+});
+
+test('translateSearchQuery ignores a negated field on types without it', () => {
+  const { entityTypes, filters } = translate('-sector:retail');
+
+  assert.deepEqual(entityTypes, ['person', 'company', 'project']);
+  assert.deepEqual(filters.company, [[{ column: 'sectors', value: 'retail', negated: true }]]);
+  assert.deepEqual(filters.person, []);
+});
+
+test('translateSearchQuery narrows types with type: filters', () => {
+  assert.deepEqual(translate('type:company OR type:projects').entityTypes, ['company', 'project']);
+  assert.deepEqual(translate('-type:person').entityTypes, ['company', 'project']);
+});
+
+test('translateSearchQuery searches research only when asked for', () => {
+  assert.ok(!translate('suffolk').entityTypes.includes('research'));
+  assert.deepEqual(translate('type:research').entityTypes, ['research']);
+  assert.ok(translate('suffolk', { includeResearch: true }).entityTypes.includes('research'));
+});
+
+test('translateSearchQuery builds the free-text query and negated text filters', () => {
+  const { textQuery, filters } = translate('suffolk OR skanska "life science" -intern');
+
+  assert.equal(textQuery, 'suffolk or skanska "life science"');
+  assert.deepEqual(filters.person.map(group => group[0].column), ['name', 'title', 'company', 'bio']);
+  assert.ok(filters.person.every(group => group[0].value === 'intern' && group[0].negated));
+});
+
+test('translateSearchQuery keeps OR-ed filters in one group', () => {
+  const { filters } = translate('contractor:Suffolk OR architect:Elkus');
+
+  assert.deepEqual(filters.project, [[
+    { column: 'contractor', value: 'Suffolk', negated: false },
+    { column: 'architect', value: 'Elkus', negated: false }
+  ]]);
+});
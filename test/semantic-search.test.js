@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const { embedText, embeddingTextFor } = require('../netlify/functions/utils/embeddings');
+
+let db;
+let supabase;
+let savedProvider;
+
+before(async () => {
+  savedProvider = process.env.EMBEDDING_PROVIDER;
+  process.env.EMBEDDING_PROVIDER = 'local';
+  db = await createDatabase();
+  supabase = createClient(db);
+
+  // A name match on the keyword side, a description about labs on the semantic side
+  const companies = [
+    { name: 'Kendall Lab Partners', description: 'Golf course and resort development in Florida' },
+    { name: 'Acme', description: 'Lab construction: life science lab fit-outs and lab renovations in Kendall Square' }
+  ];
+  for (const company of companies) {
+    const { model, vector } = await embedText(embeddingTextFor('company', company));
+    await db.query(
+      'INSERT INTO companies (name, description, embedding, embedding_model) VALUES ($1, $2, $3::vector, $4)',
+      [company.name, company.description, JSON.stringify(vector), model]
+    );
+  }
+});
+
+after(async () => {
+  await db.close();
+  if (savedProvider === undefined) delete process.env.EMBEDDING_PROVIDER;
+  else process.env.EMBEDDING_PROVIDER = savedProvider;
+});
+
+async function hybridSearch(searchQuery, semanticWeight, extra = {}) {
+  const { model, vector } = await embedText(searchQuery);
+  const { data, error } = await supabase.rpc('search_entities', {
+    search_query: searchQuery,
+    entity_types: ['company'],
+    filters: {},
+    query_embedding: vector,
+    query_model: model,
+    semantic_weight: semanticWeight,
+    ...extra
+  });
+  assert.equal(error, null);
+  return data;
+}
+
+test('semantic_weight decides between keyword and vector ranking', async () => {
+  assert.deepEqual((await hybridSearch('kendall lab', 0)).map(row => row.name), ['Kendall Lab Partners', 'Acme']);
+  assert.deepEqual((await hybridSearch('kendall lab', 1)).map(row => row.name), ['Acme', 'Kendall Lab Partners']);
+});
+
+test('the blended rank weighs similarity against keyword relevance', async () => {
+  const [row] = await hybridSearch('kendall lab', 1, { max_results: 1 });
+
+  assert.equal(row.rank, row.similarity);
+  assert.ok(row.keyword_rank > 0);
+});
+
+test('hybrid search only ranks rows the keywords match', async () => {
+  assert.deepEqual(await hybridSearch('golf', 1).then(rows => rows.map(row => row.name)), ['Kendall Lab Partners']);
+});
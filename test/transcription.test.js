@@ -0,0 +1,150 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectAudioFormat,
+  splitAudio,
+  readAudioBody,
+  readTranscriptionOptions,
+  translateToEnglish
+} = require('../netlify/functions/utils/transcription');
+
+const ENV_KEYS = ['LLM_PROVIDERS', 'LLM_PROVIDERS_VOICE_TRANSLATE', 'LLM_FIXTURES_DIR'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = {};
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+// 16-bit mono PCM WAV of `seconds` of silence
+function wav(seconds, sampleRate = 8000) {
+  const samples = Buffer.alloc(Math.round(seconds * sampleRate) * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(samples.length, 40);
+  return Buffer.concat([header, samples]);
+}
+
+// MPEG-1 layer III frames at 128 kbit/s, 44.1 kHz: 417 bytes each
+function mp3(frames) {
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(0xfffb9000, 0);
+  return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+test('detectAudioFormat recognises containers by their first bytes', () => {
+  assert.equal(detectAudioFormat(wav(0.1)), 'wav');
+  assert.equal(detectAudioFormat(mp3(2)), 'mp3');
+  assert.equal(detectAudioFormat(Buffer.concat([Buffer.from('ID3'), Buffer.alloc(20)])), 'mp3');
+  assert.equal(detectAudioFormat(Buffer.concat([Buffer.from('OggS'), Buffer.alloc(20)])), 'ogg');
+  assert.equal(detectAudioFormat(Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(20)])), 'webm');
+  assert.equal(detectAudioFormat(Buffer.concat([Buffer.alloc(4), Buffer.from('ftypM4A '), Buffer.alloc(8)])), 'm4a');
+});
+
+test('detectAudioFormat rejects text and short buffers', () => {
+  assert.equal(detectAudioFormat(Buffer.from('Jane Doe runs preconstruction.')), null);
+  assert.equal(detectAudioFormat(Buffer.from('RIFF')), null);
+  assert.equal(detectAudioFormat(null), null);
+});
+
+test('splitAudio keeps a small recording whole, with its WAV duration', () => {
+  const audio = wav(2);
+  const chunks = splitAudio(audio, 'wav', audio.length);
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].buffer, audio);
+  assert.equal(chunks[0].duration, 2);
+});
+
+test('splitAudio cuts WAV into playable chunks on frame boundaries', () => {
+  const audio = wav(10);
+  const chunks = splitAudio(audio, 'wav', 40044);
+
+  assert.equal(chunks.length, 4);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.buffer.length <= 40044);
+    assert.equal(detectAudioFormat(chunk.buffer), 'wav');
+    assert.equal(chunk.buffer.readUInt32LE(4), chunk.buffer.length - 8);
+    assert.equal((chunk.buffer.length - 44) % 2, 0);
+  });
+  const total = chunks.reduce((sum, chunk) => sum + chunk.duration, 0);
+  assert.ok(Math.abs(total - 10) < 1e-9);
+});
+
+test('splitAudio cuts MP3 between frames', () => {
+  const audio = mp3(10);
+  const chunks = splitAudio(audio, 'mp3', 417 * 4);
+
+  assert.deepEqual(chunks.map(chunk => chunk.buffer.length), [417 * 4, 417 * 4, 417 * 2]);
+  chunks.forEach(chunk => assert.equal(chunk.buffer.readUInt32BE(0), 0xfffb9000));
+});
+
+test('splitAudio cannot split other formats', () => {
+  const audio = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(100)]);
+  assert.equal(splitAudio(audio, 'ogg', 50), null);
+});
+
+test('readAudioBody decodes a base64 upload', () => {
+  const audio = wav(1);
+  const result = readAudioBody({ headers: { 'content-type': 'audio/wav' }, body: audio.toString('base64'), isBase64Encoded: true });
+
+  assert.equal(result.format, 'wav');
+  assert.deepEqual(result.audioBuffer, audio);
+});
+
+test('readAudioBody rejects uploads over what a Netlify request can carry with 413', () => {
+  // 6 MB of base64, the most Netlify passes to a function, decodes to 4.5 MB
+  const audio = wav(300);
+  assert.ok(audio.length > 4.5 * 1024 * 1024);
+
+  const result = readAudioBody({ headers: { 'content-type': 'audio/wav' }, body: audio.toString('base64'), isBase64Encoded: true });
+  assert.equal(result.statusCode, 413);
+});
+
+test('readTranscriptionOptions prefers form fields over the query string', () => {
+  assert.deepEqual(
+    readTranscriptionOptions({ language: 'pt-BR', translate: 'true' }, { language: 'es', prompt: 'Suffolk' }),
+    { language: 'pt-BR', prompt: 'Suffolk', translate: true }
+  );
+  assert.deepEqual(readTranscriptionOptions({}, null), { language: undefined, prompt: undefined, translate: false });
+});
+
+test('readTranscriptionOptions rejects malformed languages, long prompts and bad translate flags', () => {
+  assert.ok(readTranscriptionOptions({ language: 'Spanish please' }).error);
+  assert.ok(readTranscriptionOptions({ prompt: 'x'.repeat(1001) }).error);
+  assert.ok(readTranscriptionOptions({}, { translate: 'yes' }).error);
+});
+
+test('translateToEnglish returns English transcripts untouched', async () => {
+  const result = await translateToEnglish('Call me tomorrow.', 'en-US');
+  assert.deepEqual(result, { transcript: 'Call me tomorrow.', provider: null, model: null, usage: null });
+});
+
+test('translateToEnglish runs other languages through the voice-translate chain', async () => {
+  process.env.LLM_PROVIDERS_VOICE_TRANSLATE = 'local';
+
+  const result = await translateToEnglish('Estamos licitando el laboratorio de Kendall Square.', 'es');
+  assert.equal(result.transcript, 'We are bidding on the Kendall Square lab. Call Jane Doe at Suffolk Construction tomorrow.');
+  assert.equal(result.provider, 'local');
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const { enforceUsage } = require('../netlify/functions/utils/rate-limits');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOB = '00000000-0000-4000-8000-00000000000b';
+const CAROL = '00000000-0000-4000-8000-00000000000c';
+
+let db;
+let workspaceId;
+
+before(async () => {
+  db = await createDatabase();
+
+  const { rows } = await db.query("INSERT INTO workspaces (name, created_by) VALUES ('Preconstruction', $1) RETURNING id", [ALICE]);
+  workspaceId = rows[0].id;
+  await db.query(
+    `INSERT INTO usage_limits (scope, subject_id, metric, period, max_amount) VALUES
+      ('user', $1, 'requests', 'minute', 2),
+      ('workspace', $2, 'llm_tokens', 'month', 1000),
+      ('user', $3, 'requests', 'month', 100)`,
+    [ALICE, workspaceId, CAROL]
+  );
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function consume(userId, metric, amount, { workspace = null, enforce = true } = {}) {
+  await db.query("SELECT set_config('request.jwt.claim.sub', $1, false)", [userId]);
+  const { rows } = await db.query(
+    'SELECT * FROM consume_usage($1, $2, $3, $4) ORDER BY limit_scope, limit_period',
+    [metric, amount, workspace, enforce]
+  );
+  return rows.map(row => ({ ...row, limit_max: Number(row.limit_max), used: Number(row.used), remaining: Number(row.remaining) }));
+}
+
+test('consume_usage counts against a user limit until it is used up', async () => {
+  const first = await consume(ALICE, 'requests', 1);
+  assert.deepEqual(first.map(row => [row.limit_scope, row.limit_max, row.used, row.allowed]), [
+    ['user', 2, 1, true],
+    ['workspace', 120, 1, true]
+  ]);
+
+  await consume(ALICE, 'requests', 1);
+  const denied = await consume(ALICE, 'requests', 1);
+  assert.deepEqual(denied.map(row => [row.limit_scope, row.used, row.remaining, row.allowed]), [
+    ['user', 2, 0, false],
+    ['workspace', 2, 118, true]
+  ]);
+});
+
+test('consume_usage with amount 0 only checks for room', async () => {
+  const rows = await consume(ALICE, 'requests', 0);
+  assert.equal(rows.find(row => row.limit_scope === 'user').allowed, false);
+  assert.equal(rows.find(row => row.limit_scope === 'user').used, 2);
+});
+
+test('consume_usage without enforce counts past the limit', async () => {
+  const rows = await consume(ALICE, 'llm_tokens', 1500, { enforce: false });
+  const workspace = rows.find(row => row.limit_scope === 'workspace');
+
+  assert.equal(workspace.limit_max, 1000);
+  assert.equal(workspace.used, 1500);
+  assert.equal(workspace.remaining, 0);
+  assert.equal(workspace.allowed, true);
+});
+
+test('consume_usage counts nothing when a workspace limit has no room', async () => {
+  const rows = await consume(ALICE, 'llm_tokens', 10, { workspace: workspaceId });
+  const user = rows.find(row => row.limit_scope === 'user');
+
+  assert.equal(rows.find(row => row.limit_scope === 'workspace').allowed, false);
+  assert.equal(user.allowed, true);
+  assert.equal(user.used, 1500);
+});
+
+test('consume_usage applies the defaults to users without their own limits', async () => {
+  const rows = await consume(BOB, 'audio_seconds', 30.5);
+
+  assert.deepEqual(rows.map(row => [row.limit_scope, row.limit_period, row.limit_max, row.used, row.allowed]), [
+    ['user', 'day', 7200, 30.5, true]
+  ]);
+});
+
+test('consume_usage rejects negative amounts and anonymous callers', async () => {
+  await assert.rejects(consume(BOB, 'requests', -1), /amount must not be negative/);
+  await assert.rejects(consume('', 'requests', 1), /needs a signed-in caller/);
+});
+
+async function enforceAs(userId, metrics) {
+  const request = { event: { headers: {} }, supabase: createClient(db), responseHeaders: {} };
+  await actAs(db, userId);
+  try {
+    await enforceUsage(request, metrics);
+    return request.responseHeaders;
+  } finally {
+    await actAsService(db);
+  }
+}
+
+test('enforceUsage describes a monthly limit by the length of this calendar month', async () => {
+  const now = new Date();
+  const monthSeconds = (Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) - Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)) / 1000;
+
+  const headers = await enforceAs(CAROL, ['requests']);
+
+  assert.match(headers['RateLimit-Policy'], new RegExp(`(^|, )100;w=${monthSeconds}($|,)`));
+  assert.ok(Number(headers['RateLimit-Reset']) <= monthSeconds);
+});
+
+test('enforceUsage refuses a used-up limit with 429 and Retry-After', async () => {
+  await assert.rejects(enforceAs(ALICE, ['requests']), error => {
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.code, 'RATE_LIMITED');
+    assert.ok(Number(error.headers['Retry-After']) >= 1 && Number(error.headers['Retry-After']) <= 60);
+    return true;
+  });
+});
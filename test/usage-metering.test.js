@@ -0,0 +1,68 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const { meterCall, meterUsage } = require('../netlify/functions/utils/usage-metering');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOB = '00000000-0000-4000-8000-00000000000b';
+
+let db;
+let supabase;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+});
+
+after(async () => {
+  await db.close();
+});
+
+afterEach(async () => {
+  await actAsService(db);
+});
+
+const request = userId => ({ user: { id: userId }, event: { path: '/.netlify/functions/api-voice-to-leads' } });
+const completion = { operation: 'completion', provider: 'openai', model: 'gpt-4o-mini' };
+
+test('meterUsage saves every metered call, failed ones included, priced by the database', async () => {
+  await meterUsage(request(ALICE), async () => {
+    await meterCall(completion, async () => ({ usage: { inputTokens: 1000000, outputTokens: 500000 } }), result => result.usage);
+    await assert.rejects(meterCall(completion, async () => { throw new Error('overloaded'); }), /overloaded/);
+  }, { supabase });
+
+  const { rows } = await db.query('SELECT user_id, endpoint, input_tokens, output_tokens, success, error_message, cost_usd FROM usage_events ORDER BY id');
+  assert.deepEqual(rows.map(row => ({ ...row, cost_usd: Number(row.cost_usd) })), [
+    { user_id: ALICE, endpoint: 'api-voice-to-leads', input_tokens: 1000000, output_tokens: 500000, success: true, error_message: null, cost_usd: 0.45 },
+    { user_id: ALICE, endpoint: 'api-voice-to-leads', input_tokens: 0, output_tokens: 0, success: false, error_message: 'overloaded', cost_usd: 0 }
+  ]);
+});
+
+test('meterUsage saves nothing without the service role key', async () => {
+  const savedKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+  try {
+    const result = await meterUsage(request(BOB), () => meterCall(completion, async () => 'done'));
+    assert.equal(result, 'done');
+  } finally {
+    if (savedKey !== undefined) process.env.SUPABASE_SERVICE_ROLE_KEY = savedKey;
+  }
+
+  const { rows } = await db.query('SELECT count(*)::int AS count FROM usage_events WHERE user_id = $1', [BOB]);
+  assert.equal(rows[0].count, 0);
+});
+
+test('callers read their own usage and cannot write any', async () => {
+  await actAs(db, BOB);
+  await assert.rejects(
+    db.query("INSERT INTO usage_events (user_id, endpoint, operation, provider) VALUES ($1, 'api-x', 'completion', 'openai')", [BOB]),
+    /row-level security/
+  );
+  const { rows } = await db.query('SELECT user_id FROM usage_events');
+  assert.deepEqual(rows, []);
+
+  await actAs(db, ALICE);
+  const own = await db.query('SELECT user_id FROM usage_events');
+  assert.equal(own.rows.length, 2);
+});
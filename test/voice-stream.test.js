@@ -0,0 +1,110 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getStreamProviderName,
+  transcribeStreamChunk,
+  applyChunk,
+  flushPending
+} = require('../netlify/functions/utils/voice-stream');
+
+const ENV_KEYS = ['VOICE_STREAM_PROVIDER', 'OPENAI_API_KEY', 'DEEPGRAM_API_KEY'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = {};
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+const segment = (text, start, end, extra = {}) => ({ text, start, end, speaker: null, confidence: 1, ...extra });
+
+test('applyChunk finalises finished sentences', () => {
+  const { events, pending } = applyChunk(null, [segment('Hello there.', 0, 1.5), segment('Jane Doe speaking.', 1.5, 3)], { offset: 0, duration: 5 });
+
+  assert.deepEqual(events.map(event => [event.type, event.text]), [['final', 'Hello there.'], ['final', 'Jane Doe speaking.']]);
+  assert.equal(pending, null);
+});
+
+test('applyChunk keeps unfinished speech as a partial and joins it to the next chunk', () => {
+  const first = applyChunk(null, [segment('We are bidding on', 0, 2, { confidence: 0.9 })], { offset: 10, duration: 2 });
+
+  assert.deepEqual(first.events, [{ type: 'partial', text: 'We are bidding on', start: 10, end: 12, speaker: null, confidence: 0.9 }]);
+  assert.deepEqual(first.pending, { text: 'We are bidding on', start: 10, end: 12, speaker: null, confidence: 0.9 });
+
+  const second = applyChunk(first.pending, [segment('the Kendall Square lab.', 0, 1.2, { confidence: 0.8 })], { offset: 12, duration: 3 });
+
+  assert.deepEqual(second.events, [{
+    type: 'final',
+    text: 'We are bidding on the Kendall Square lab.',
+    start: 10,
+    end: 13.2,
+    speaker: null,
+    confidence: 0.8
+  }]);
+  assert.equal(second.pending, null);
+});
+
+test('applyChunk treats punctuated speech that runs into the chunk end as unfinished', () => {
+  const { events, pending } = applyChunk(null, [segment('Call me tomorrow.', 0, 2.8)], { offset: 0, duration: 3 });
+
+  assert.deepEqual(events.map(event => event.type), ['partial']);
+  assert.equal(pending.text, 'Call me tomorrow.');
+});
+
+test('applyChunk finalises pending speech when a chunk has none', () => {
+  const pending = { text: 'and then', start: 4, end: 5, speaker: 1, confidence: null };
+
+  assert.deepEqual(applyChunk(pending, [], { offset: 6, duration: 2 }), {
+    events: [{ type: 'final', ...pending }],
+    pending: null
+  });
+  assert.deepEqual(applyChunk(null, [], { offset: 6, duration: 2 }), { events: [], pending: null });
+});
+
+test('applyChunk drops the speaker when joined speech changes speaker', () => {
+  const pending = { text: 'So', start: 0, end: 0.5, speaker: 0, confidence: 1 };
+  const { events } = applyChunk(pending, [segment('yes.', 0, 0.4, { speaker: 1 })], { offset: 1, duration: 3 });
+
+  assert.equal(events[0].speaker, null);
+});
+
+test('flushPending turns pending speech into a final event', () => {
+  const pending = { text: 'last words', start: 1, end: 2, speaker: null, confidence: 1 };
+
+  assert.deepEqual(flushPending(pending), [{ type: 'final', ...pending }]);
+  assert.deepEqual(flushPending(null), []);
+});
+
+test('getStreamProviderName uses local only when asked for', () => {
+  process.env.VOICE_STREAM_PROVIDER = 'local';
+  assert.equal(getStreamProviderName(), 'local');
+
+  delete process.env.VOICE_STREAM_PROVIDER;
+  assert.throws(getStreamProviderName, error => error.statusCode === 500 && error.code === 'NOT_CONFIGURED');
+
+  process.env.OPENAI_API_KEY = 'test';
+  assert.equal(getStreamProviderName(), 'hosted');
+});
+
+test('transcribeStreamChunk rejects a hosted chunk that is not an audio file with 415', async () => {
+  await assert.rejects(
+    transcribeStreamChunk('hosted', Buffer.from('not audio at all')),
+    error => error.statusCode === 415
+  );
+});
+
+test('transcribeStreamChunk reads local chunks as lines of speech', async () => {
+  const chunk = await transcribeStreamChunk('local', Buffer.from('Hello there.\n\nJane Doe speaking\n'));
+
+  assert.deepEqual(chunk.segments.map(item => [item.text, item.start, item.end]), [['Hello there.', 0, 2], ['Jane Doe speaking', 2, 4]]);
+  assert.equal(chunk.chunkDuration, 4);
+});
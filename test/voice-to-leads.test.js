@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const {
+  AUTO_EXTRACTION_PROMPT,
+  requestExtraction,
+  buildEntityGraph,
+  selectFromGraph,
+  saveEntityGraph
+} = require('../netlify/functions/utils/entity-extraction');
+const { buildSourceDocuments } = require('../netlify/functions/utils/provenance');
+
+const ALICE = '00000000-0000-4000-8000-00000000000a';
+const BOB = '00000000-0000-4000-8000-00000000000b';
+const BOSTON = '00000000-0000-4000-8000-000000000001';
+const SESSION = '00000000-0000-4000-8000-0000000000f1';
+
+const TRANSCRIPT = 'Just left the Kendall Square Lab site. Jane Doe at Suffolk Construction is running preconstruction, ' +
+  'Elkus Manfredi Architects designed it for BioMed Realty. Budget is about forty-five million.';
+
+const ENV_KEYS = ['LLM_PROVIDERS', 'LLM_PROVIDERS_VOICE_TO_LEADS', 'LLM_FIXTURES_DIR', 'EMBEDDING_PROVIDER'];
+let savedEnv;
+let db;
+let supabase;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+  await db.query("INSERT INTO workspaces (id, name, created_by) VALUES ($1, 'Boston', $2)", [BOSTON, ALICE]);
+  await db.query("INSERT INTO workspace_members (workspace_id, user_id, role, added_by) VALUES ($1, $2, 'viewer', $3)", [BOSTON, BOB, ALICE]);
+});
+
+after(async () => {
+  await db.close();
+});
+
+beforeEach(() => {
+  savedEnv = {};
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+  process.env.LLM_PROVIDERS_VOICE_TO_LEADS = 'local';
+  process.env.EMBEDDING_PROVIDER = 'local';
+});
+
+afterEach(async () => {
+  await actAsService(db);
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+async function proposeFromTranscript() {
+  const extraction = await requestExtraction(AUTO_EXTRACTION_PROMPT, TRANSCRIPT, { endpoint: 'voice-to-leads' });
+  return buildEntityGraph(extraction.data, { documents: buildSourceDocuments(TRANSCRIPT, null) });
+}
+
+test('a transcript is turned into a graph of proposed leads on the voice-to-leads chain', async () => {
+  const graph = await proposeFromTranscript();
+
+  assert.deepEqual(graph.people.map(person => person.name), ['Jane Doe', 'Mark Chen']);
+  assert.deepEqual(graph.projects.map(project => project.title), ['Kendall Square Lab']);
+  assert.ok(graph.relationships.some(({ fromKey, relation, toKey }) =>
+    fromKey === 'person:jane doe' && relation === 'works_at' && toKey === 'company:suffolk construction'));
+  // Said in the memo, so traced to the transcript; Mark Chen was not
+  assert.equal(graph.people[0].field_provenance.name.verified, true);
+  assert.equal(graph.people[1].field_provenance.name.verified, false);
+});
+
+test('selectFromGraph keeps accepted proposals and the relationships between them', async () => {
+  const graph = await proposeFromTranscript();
+  const selected = selectFromGraph(graph, ['person:jane doe', 'company:suffolk construction']);
+
+  assert.deepEqual(selected.people.map(person => person.name), ['Jane Doe']);
+  assert.deepEqual(selected.companies.map(company => company.name), ['Suffolk Construction']);
+  assert.deepEqual(selected.projects, []);
+  assert.deepEqual(selected.relationships.map(({ fromKey, toKey }) => [fromKey, toKey]), [['person:jane doe', 'company:suffolk construction']]);
+});
+
+test('accepted proposals are saved in the workspace and linked to their session', async () => {
+  const graph = await proposeFromTranscript();
+
+  await actAs(db, ALICE);
+  const { error: sessionError } = await supabase
+    .from('voice_sessions')
+    .insert([{ id: SESSION, user_id: ALICE, workspace_id: BOSTON, transcript: TRANSCRIPT, proposal: graph }]);
+  assert.equal(sessionError, null);
+
+  const { saved } = await saveEntityGraph(supabase, selectFromGraph(graph, ['person:jane doe', 'company:suffolk construction']), {
+    metadata: { source: 'voice_memo', created_by: ALICE, workspace_id: BOSTON }
+  });
+  const links = [...saved.people.map(result => ['person', result]), ...saved.companies.map(result => ['company', result])]
+    .map(([type, result]) => ({ session_id: SESSION, entity_type: type, entity_id: String(result.entity.id), action: result.action }));
+  const { error: linkError } = await supabase.from('voice_session_entities').insert(links);
+  assert.equal(linkError, null);
+
+  const { data: linked } = await supabase.from('voice_session_entities').select('entity_type, action').order('entity_type');
+  assert.deepEqual(linked, [{ entity_type: 'company', action: 'created' }, { entity_type: 'person', action: 'created' }]);
+});
+
+test('voice sessions stay with the member who recorded them', async () => {
+  await actAs(db, BOB);
+  const { data: sessions } = await supabase.from('voice_sessions').select('id');
+  const { data: links } = await supabase.from('voice_session_entities').select('entity_id');
+  assert.deepEqual(sessions, []);
+  assert.deepEqual(links, []);
+
+  // Viewers cannot propose leads into the workspace
+  const { error } = await supabase
+    .from('voice_sessions')
+    .insert([{ user_id: BOB, workspace_id: BOSTON, transcript: 'Hello', proposal: {} }]);
+  assert.match(error.message, /row-level security/);
+});
@@ -0,0 +1,165 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, actAs, actAsService } = require('./helpers/database');
+const { createClient } = require('./helpers/supabase');
+const { resolveWorkspace } = require('../netlify/functions/utils/workspaces');
+const { getResearch, updateResearchSharing } = require('../netlify/functions/utils/research-store');
+
+const OWNER = '00000000-0000-4000-8000-00000000000a';
+const EDITOR = '00000000-0000-4000-8000-00000000000b';
+const VIEWER = '00000000-0000-4000-8000-00000000000c';
+const OUTSIDER = '00000000-0000-4000-8000-00000000000d';
+const NEWCOMER = '00000000-0000-4000-8000-00000000000e';
+const WORKSPACE = '00000000-0000-4000-8000-000000000001';
+const ELSEWHERE = '00000000-0000-4000-8000-000000000002';
+
+let db;
+let supabase;
+
+before(async () => {
+  db = await createDatabase();
+  supabase = createClient(db);
+
+  await db.query(
+    "INSERT INTO workspaces (id, name, created_by) VALUES ($1, 'Boston', $2), ($3, 'Elsewhere', $4)",
+    [WORKSPACE, OWNER, ELSEWHERE, OUTSIDER]
+  );
+  await db.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role, added_by) VALUES
+      ($1, $2, 'editor', $4), ($1, $3, 'viewer', $4)`,
+    [WORKSPACE, EDITOR, VIEWER, OWNER]
+  );
+  await db.query("INSERT INTO companies (name, workspace_id) VALUES ('Suffolk', $1), ('Library Builders', NULL)", [WORKSPACE]);
+  await db.query(
+    `INSERT INTO saved_research (id, user_id, workspace_id, entity_type, entity_name, research_data) VALUES
+      ('research-editor', $1, $2, 'company', 'Suffolk', '{}')`,
+    [EDITOR, WORKSPACE]
+  );
+});
+
+after(async () => {
+  await db.close();
+});
+
+afterEach(async () => {
+  await actAsService(db);
+});
+
+// Run a query as a user and return its rows
+async function queryAs(userId, sql, params) {
+  await actAs(db, userId);
+  try {
+    return (await db.query(sql, params)).rows;
+  } finally {
+    await actAsService(db);
+  }
+}
+
+test('resolveWorkspace returns the caller\'s role in the requested workspace', async () => {
+  await actAs(db, VIEWER);
+  const workspace = await resolveWorkspace(supabase, { id: VIEWER }, { headers: { 'x-workspace-id': WORKSPACE } });
+
+  assert.deepEqual(workspace, { id: WORKSPACE, role: 'viewer', canEdit: false });
+});
+
+test('resolveWorkspace rejects non-members, malformed ids and callers without a workspace', async () => {
+  await actAs(db, OUTSIDER);
+  await assert.rejects(
+    resolveWorkspace(supabase, { id: OUTSIDER }, { headers: {}, queryStringParameters: { workspaceId: WORKSPACE } }),
+    error => error.statusCode === 403 && error.code === 'NOT_A_MEMBER'
+  );
+  await assert.rejects(
+    resolveWorkspace(supabase, { id: OUTSIDER }, { headers: { 'x-workspace-id': 'boston' } }),
+    error => error.statusCode === 400
+  );
+
+  await actAs(db, NEWCOMER);
+  await assert.rejects(
+    resolveWorkspace(supabase, { id: NEWCOMER }, { headers: {} }),
+    error => error.statusCode === 403 && error.code === 'NO_WORKSPACE'
+  );
+});
+
+test('members see their workspace\'s entities and the library; others only the library', async () => {
+  const names = async userId => (await queryAs(userId, 'SELECT name FROM companies ORDER BY name')).map(row => row.name);
+
+  assert.deepEqual(await names(VIEWER), ['Library Builders', 'Suffolk']);
+  assert.deepEqual(await names(OUTSIDER), ['Library Builders']);
+});
+
+test('editors create entities in their workspace; viewers and outsiders cannot', async () => {
+  const insert = 'INSERT INTO people (name, workspace_id) VALUES ($1, $2) RETURNING name';
+
+  assert.deepEqual(await queryAs(EDITOR, insert, ['Jane Doe', WORKSPACE]), [{ name: 'Jane Doe' }]);
+  await assert.rejects(queryAs(VIEWER, insert, ['Viewer Entry', WORKSPACE]), /row-level security/);
+  await assert.rejects(queryAs(OUTSIDER, insert, ['Outsider Entry', WORKSPACE]), /row-level security/);
+  // The pre-workspace library is read-only
+  await assert.rejects(queryAs(EDITOR, insert, ['Library Entry', null]), /row-level security/);
+});
+
+test('viewers cannot change or delete entities', async () => {
+  assert.deepEqual(await queryAs(VIEWER, "UPDATE companies SET city = 'Cambridge' WHERE name = 'Suffolk' RETURNING id"), []);
+  assert.deepEqual(await queryAs(VIEWER, "DELETE FROM companies WHERE name = 'Suffolk' RETURNING id"), []);
+  assert.equal((await queryAs(EDITOR, "UPDATE companies SET city = 'Cambridge' WHERE name = 'Suffolk' RETURNING city"))[0].city, 'Cambridge');
+});
+
+test('relationships and import mappings follow their workspace', async () => {
+  const relationship = `INSERT INTO entity_relationships (workspace_id, source_type, source_id, relation, target_type, target_id, confidence, origin)
+    VALUES ($1, 'person', '1', 'works_at', 'company', '2', 0.9, 'extraction')`;
+  const mapping = "INSERT INTO import_entity_map (workspace_id, entity_type, source_id, local_id) VALUES ($1, 'company', 'c-1', 'local-1')";
+
+  await assert.rejects(queryAs(VIEWER, relationship, [WORKSPACE]), /row-level security/);
+  await assert.rejects(queryAs(VIEWER, mapping, [WORKSPACE]), /row-level security/);
+  await queryAs(EDITOR, relationship, [WORKSPACE]);
+  await queryAs(EDITOR, mapping, [WORKSPACE]);
+
+  assert.equal((await queryAs(VIEWER, 'SELECT * FROM entity_relationships')).length, 1);
+  assert.equal((await queryAs(VIEWER, 'SELECT * FROM import_entity_map')).length, 1);
+  assert.deepEqual(await queryAs(OUTSIDER, 'SELECT * FROM entity_relationships'), []);
+  assert.deepEqual(await queryAs(OUTSIDER, 'SELECT * FROM import_entity_map'), []);
+});
+
+test('only owners add members or change roles', async () => {
+  const add = "INSERT INTO workspace_members (workspace_id, user_id, role, added_by) VALUES ($1, $2, 'viewer', $3)";
+
+  await assert.rejects(queryAs(EDITOR, add, [WORKSPACE, OUTSIDER, EDITOR]), /row-level security/);
+  assert.deepEqual(await queryAs(EDITOR, "UPDATE workspace_members SET role = 'owner' WHERE user_id = $1 RETURNING role", [EDITOR]), []);
+  assert.deepEqual(await queryAs(OUTSIDER, 'SELECT * FROM workspace_members WHERE workspace_id = $1', [WORKSPACE]), []);
+
+  await queryAs(OWNER, add, [WORKSPACE, NEWCOMER, OWNER]);
+  // Anyone may leave
+  assert.equal((await queryAs(NEWCOMER, 'DELETE FROM workspace_members WHERE user_id = $1 RETURNING role', [NEWCOMER])).length, 1);
+});
+
+test('viewers cannot save research in the workspace', async () => {
+  await assert.rejects(queryAs(VIEWER,
+    "INSERT INTO saved_research (id, user_id, workspace_id, entity_type, entity_name, research_data) VALUES ('research-viewer', $1, $2, 'company', 'Mine', '{}')",
+    [VIEWER, WORKSPACE]
+  ), /row-level security/);
+});
+
+test('research stays private until shared with members or the workspace', async () => {
+  const visibleTo = async userId => (await queryAs(userId, "SELECT id FROM saved_research WHERE id = 'research-editor'")).length > 0;
+  assert.equal(await visibleTo(VIEWER), false);
+  assert.equal(await visibleTo(OWNER), false);
+
+  await actAs(db, EDITOR);
+  const record = await getResearch(supabase, 'research-editor');
+  assert.match((await updateResearchSharing(supabase, record, { sharedWith: [OUTSIDER] }, EDITOR)).error, /Not members/);
+
+  const shared = await updateResearchSharing(supabase, record, { sharedWith: [VIEWER, EDITOR] }, EDITOR);
+  assert.deepEqual(shared.sharedWith, [VIEWER]);
+  assert.equal(await visibleTo(VIEWER), true);
+  assert.equal(await visibleTo(OWNER), false);
+  // Members a record is shared with cannot pass it on
+  await assert.rejects(queryAs(VIEWER,
+    "INSERT INTO research_shares (research_id, user_id, shared_by) VALUES ('research-editor', $1, $2)",
+    [OWNER, VIEWER]
+  ), /row-level security/);
+
+  await actAs(db, EDITOR);
+  const published = await updateResearchSharing(supabase, record, { visibility: 'workspace' }, EDITOR);
+  assert.equal(published.research.visibility, 'workspace');
+  assert.equal(await visibleTo(OWNER), true);
+  assert.equal(await visibleTo(OUTSIDER), false);
+});